@@ -1,6 +1,6 @@
 import { useState } from 'react';
 
-const DIALECT_LABEL = { postgres: 'PostgreSQL', sqlserver: 'SQL Server' };
+const DIALECT_LABEL = { postgres: 'PostgreSQL', sqlserver: 'SQL Server', mysql: 'MySQL', sqlite: 'SQLite' };
 import ChatBot from './components/chat/ChatBot';
 import SchemaSidebar from './components/SchemaSidebar';
 import SchemaVisualizer from './components/SchemaVisualizer';
@@ -22,7 +22,7 @@ function RateLimitBadge({ remaining, limit, reset }) {
   );
 }
 
-export default function DbExplorer({ tables = [], onBack, onExit, dialect = 'postgres' }) {
+export default function DbExplorer({ tables = [], routines = [], onBack, onExit, dialect = 'postgres' }) {
   const dialectLabel = DIALECT_LABEL[dialect] ?? 'PostgreSQL';
   const [showExitConfirm, setShowExitConfirm] = useState(false);
   const [rateLimitInfo, setRateLimitInfo] = useState(() => {
@@ -32,14 +32,8 @@ export default function DbExplorer({ tables = [], onBack, onExit, dialect = 'pos
     } catch { return { remaining: null, limit: null, reset: null }; }
   });
   const isBlocked = rateLimitInfo.remaining != null && rateLimitInfo.remaining <= 0;
-  const [hasMessages, setHasMessages] = useState(() => {
-    try {
-      const saved = localStorage.getItem('querify_messages');
-      return saved ? JSON.parse(saved).length > 0 : false;
-    } catch {
-      return false;
-    }
-  });
+  // Set by ChatBot once its conversation has messages (sent here or loaded from the server)
+  const [hasMessages, setHasMessages] = useState(false);
   const [highlightedTables, setHighlightedTables] = useState(new Set());
   const [showVisualizer, setShowVisualizer] = useState(false);
   const [sidebarOpen, setSidebarOpen] = useState(false);
@@ -65,7 +59,7 @@ export default function DbExplorer({ tables = [], onBack, onExit, dialect = 'pos
         <div className="exit-confirm-overlay" role="dialog" aria-modal="true" aria-labelledby="exit-confirm-title">
           <div className="exit-confirm-modal">
             <h3 id="exit-confirm-title">Exit session?</h3>
-            <p>You will lose your current chat history and query state. This cannot be undone.</p>
+            <p>You will lose the current query state. Your conversations stay in History for this connection.</p>
             <div className="exit-confirm-actions">
               <button className="btn ghost" type="button" onClick={() => setShowExitConfirm(false)}>
                 Cancel
@@ -128,7 +122,7 @@ export default function DbExplorer({ tables = [], onBack, onExit, dialect = 'pos
           <ChatBot onTablesUsed={handleTablesUsed} onFirstMessage={() => setHasMessages(true)} dialect={dialect} onRateLimitUpdate={setRateLimitInfo} isBlocked={isBlocked} />
         </section>
 
-        <SchemaSidebar tables={tables} highlightedTables={highlightedTables} isOpen={sidebarOpen} onClose={() => setSidebarOpen(false)} />
+        <SchemaSidebar tables={tables} routines={routines} highlightedTables={highlightedTables} isOpen={sidebarOpen} onClose={() => setSidebarOpen(false)} />
       </div>
     </div>
   );
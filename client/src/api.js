@@ -1,5 +1,10 @@
+import axios from 'axios';
+
 export const API_BASE = import.meta.env.VITE_API_URL ?? '';
 
+// Database connections live in the server session, so every request must carry its cookie
+axios.defaults.withCredentials = true;
+
 export function apiFetch(path, options = {}) {
   return fetch(`${API_BASE}${path}`, {
     credentials: 'include',
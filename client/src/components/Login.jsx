@@ -2,17 +2,82 @@ import { useState, useEffect } from 'react';
 import axios from 'axios';
 import postgresLogo from '/icons8-postgres.svg';
 import sqlserverLogo from '/icons8-microsoft-sql-server.svg';
+import mysqlLogo from '/mysql.svg';
+import sqliteLogo from '/sqlite.svg';
 import DbExplorer from '../DbExplorer.jsx';
 import { API_BASE } from '../api.js';
+import { reconnectSession, isConnected } from '../reconnect.js';
 import ColdStartBanner from './ColdStartBanner.jsx';
+import SshTunnelFields from './SshTunnelFields.jsx';
+import { EMPTY_SSH_TUNNEL, sshTunnelBody } from './sshTunnel.js';
+
+// Server routes for the selected engine; dbType values are the server's driver names
+function dbEndpoint(dbType, route) {
+  return `${API_BASE}/db/${dbType}/${route}`;
+}
+
+// localStorage of a connected session — cleared on Back / Exit and when the connection can't be restored
+const SESSION_KEYS = [
+  'querify_connected',
+  'querify_conversation_id',
+  'querify_schema',
+  'querify_routines',
+  'querify_ratelimit',
+  'querify_db_type',
+];
+
+function clearSavedSession() {
+  SESSION_KEYS.forEach((key) => localStorage.removeItem(key));
+}
+
+// "public, sales" → ['public', 'sales']; blank leaves the schema choice to the server
+function parseSchemaList(text) {
+  const schemas = text.split(',').map((schema) => schema.trim()).filter(Boolean);
+  return schemas.length > 0 ? schemas : undefined;
+}
+
+const DB_LOGOS = {
+  postgres: { src: postgresLogo, alt: 'PostgreSQL logo' },
+  sqlserver: { src: sqlserverLogo, alt: 'SQL Server logo' },
+  mysql: { src: mysqlLogo, alt: 'MySQL logo' },
+  sqlite: { src: sqliteLogo, alt: 'SQLite logo' },
+};
+
+const PII_POLICY_OPTIONS = [
+  { value: 'mask', label: 'Mask with placeholder values' },
+  { value: 'hash', label: 'Hash (equal values stay equal)' },
+  { value: 'show', label: 'Show raw values (audited)' },
+];
+
+const SSL_MODE_OPTIONS = [
+  { value: '', label: 'From connection string (off if none)' },
+  { value: 'disable', label: 'disable — no TLS' },
+  { value: 'require', label: 'require — encrypt, don’t verify' },
+  { value: 'verify-ca', label: 'verify-ca — check the CA' },
+  { value: 'verify-full', label: 'verify-full — check the CA and host name' },
+];
+
+const ROUTINE_CALL_OPTIONS = [
+  { value: 'off', label: 'Off — routines are listed but not called' },
+  { value: 'all', label: 'Allow calls to catalogued functions' },
+];
 
 export default function Login() {
   const [_data, setData] = useState({ message: 'Loading...' });
   const [host, setHost] = useState('');
-  const [port, setPort] = useState('5432');
+  // Empty means the connection string's port, or 5432
+  const [port, setPort] = useState('');
   const [user, setUser] = useState('');
   const [password, setPassword] = useState('');
   const [database, setDatabase] = useState('');
+  const [pgSchemas, setPgSchemas] = useState('');
+  // postgres:// URI; filled-in fields override its parts
+  const [pgConnectionString, setPgConnectionString] = useState('');
+  const [pgSslMode, setPgSslMode] = useState('');
+  // PEM files sent with the connection: CA bundle, client certificate and key
+  const [pgSslCa, setPgSslCa] = useState(null);
+  const [pgSslCert, setPgSslCert] = useState(null);
+  const [pgSslKey, setPgSslKey] = useState(null);
   const [statusMessage, setStatusMessage] = useState('');
   const [dbStatus, setDbStatus] = useState('unknown');
   const [showExplorer, setShowExplorer] = useState(() => localStorage.getItem('querify_connected') === 'true');
@@ -24,6 +89,14 @@ export default function Login() {
       return [];
     }
   });
+  const [routines, setRoutines] = useState(() => {
+    try {
+      const saved = localStorage.getItem('querify_routines');
+      return saved ? JSON.parse(saved) : [];
+    } catch {
+      return [];
+    }
+  });
   const [activeDb, setActiveDb] = useState('postgres');
   const [loading, setLoading] = useState(false);
 
@@ -34,6 +107,22 @@ export default function Login() {
   const [sqlPassword, setSqlPassword] = useState('');
   const [sqlDatabase, setSqlDatabase] = useState('');
   const [sqlInstance, setSqlInstance] = useState('');
+  const [sqlSchemas, setSqlSchemas] = useState('');
+  // MySQL / MariaDB connection form
+  const [myHost, setMyHost] = useState('');
+  const [myPort, setMyPort] = useState('3306');
+  const [myUser, setMyUser] = useState('');
+  const [myPassword, setMyPassword] = useState('');
+  const [myDatabase, setMyDatabase] = useState('');
+  // SQLite: an uploaded file, or a path inside the server's SQLITE_DATA_DIR
+  const [sqliteFile, setSqliteFile] = useState(null);
+  const [sqlitePath, setSqlitePath] = useState('');
+  // How PII columns in executed results are returned: mask | hash | show (audited)
+  const [piiPolicy, setPiiPolicy] = useState('mask');
+  // Postgres / SQL Server: whether generated queries may call the database's own functions
+  const [routineCalls, setRoutineCalls] = useState('off');
+  // Postgres / SQL Server: bastion host to tunnel through (see SshTunnelFields)
+  const [sshTunnel, setSshTunnel] = useState(EMPTY_SSH_TUNNEL);
 
   const fetchData = async () => {
     try {
@@ -46,9 +135,9 @@ export default function Login() {
   };
 
   const checkDbStatus = async (dbType = 'postgres') => {
-    const endpoint = dbType === 'sqlserver' ? '/db/status-sqlserver' : '/db/status';
+    const endpoint = dbEndpoint(dbType, 'status');
     try {
-      const res = await axios.get(`${API_BASE}${endpoint}`);
+      const res = await axios.get(endpoint);
       const available = !!res.data.available;
       setDbStatus(available ? 'available' : 'unavailable');
       return available;
@@ -59,15 +148,21 @@ export default function Login() {
   };
 
   const fetchSchema = async (dbType = 'postgres') => {
-    const endpoint = dbType === 'sqlserver' ? '/db/schema-sqlserver' : '/db/schema';
+    const endpoint = dbEndpoint(dbType, 'schema');
     try {
-      const res = await axios.get(`${API_BASE}${endpoint}`);
+      const res = await axios.get(endpoint);
       const rows = Array.isArray(res.data) ? res.data : [];
       const tableMap = rows.reduce((acc, row) => {
         const name = typeof row === 'string' ? row : row.table_name;
         if (!name) return acc;
         if (!acc[name]) {
-          acc[name] = { name, columns: [] };
+          acc[name] = {
+            name,
+            tableType: row.table_type || 'BASE TABLE',
+            comment: row.table_comment || null,
+            description: row.table_comment || '',
+            columns: [],
+          };
         }
         if (row.column_name) {
           acc[name].columns.push({
@@ -77,20 +172,51 @@ export default function Login() {
             isForeign: !!row.is_foreign,
             foreignTable: row.foreign_table || null,
             foreignColumn: row.foreign_column || null,
+            comment: row.column_comment || null,
+            enumValues: row.enum_values || null,
+            foreignKeys: row.foreign_keys?.map((fk) => ({
+              constraint: fk.constraint_name,
+              position: fk.position,
+              table: fk.foreign_table,
+              column: fk.foreign_column,
+            })),
           });
         }
         return acc;
       }, {});
 
+      // Indexes and constraints are extra detail; the schema is usable without them
+      let constraintMap = {};
+      try {
+        const constraintRes = await axios.get(dbEndpoint(dbType, 'constraints'));
+        constraintMap = constraintRes.data ?? {};
+      } catch (err) {
+        console.warn('Failed to fetch indexes and constraints', err);
+      }
+
       const tables = Object.values(tableMap)
         .map((table) => ({
           ...table,
           columnCount: table.columns.length,
+          indexes: constraintMap[table.name]?.indexes ?? [],
+          uniqueConstraints: constraintMap[table.name]?.uniqueConstraints ?? [],
+          checkConstraints: constraintMap[table.name]?.checkConstraints ?? [],
         }))
         .sort((a, b) => a.name.localeCompare(b.name));
 
       setSchema(tables);
       localStorage.setItem('querify_schema', JSON.stringify(tables));
+
+      // Functions and procedures for the sidebar; engines without a routine catalog return none
+      let routineList = [];
+      try {
+        const routineRes = await axios.get(dbEndpoint(dbType, 'routines'));
+        routineList = Array.isArray(routineRes.data?.routines) ? routineRes.data.routines : [];
+      } catch (err) {
+        console.warn('Failed to fetch routines', err);
+      }
+      setRoutines(routineList);
+      localStorage.setItem('querify_routines', JSON.stringify(routineList));
       return tables;
     } catch (err) {
       console.error('Failed to fetch schema', err);
@@ -99,13 +225,13 @@ export default function Login() {
     }
   };
 
-  const mergeDescriptions = async () => {
+  const mergeDescriptions = async (dbType = 'postgres') => {
     try {
-      const res = await axios.get(`${API_BASE}/api/table-descriptions`);
+      const res = await axios.get(dbEndpoint(dbType, 'table-descriptions'));
       const descMap = res.data;
       if (!descMap || !Object.keys(descMap).length) return;
       setSchema((prev) => {
-        const updated = prev.map((t) => ({ ...t, description: descMap[t.name] ?? '' }));
+        const updated = prev.map((t) => ({ ...t, description: descMap[t.name] ?? t.comment ?? '' }));
         localStorage.setItem('querify_schema', JSON.stringify(updated));
         return updated;
       });
@@ -115,9 +241,9 @@ export default function Login() {
   };
 
   const generateExplorerContext = async (dbType = 'postgres') => {
-    const endpoint = dbType === 'sqlserver' ? '/db/explorer-context-sqlserver/snapshot' : '/db/explorer-context/snapshot';
+    const endpoint = dbEndpoint(dbType, 'explorer-context/snapshot');
     try {
-      await axios.post(`${API_BASE}${endpoint}`);
+      await axios.post(endpoint);
     } catch (err) {
       console.error('Failed to generate DB explorer context', err);
       throw err;
@@ -125,147 +251,181 @@ export default function Login() {
   };
 
   const clearExplorerContext = async (dbType = 'postgres') => {
-    const endpoint = dbType === 'sqlserver' ? '/db/explorer-context-sqlserver/clear' : '/db/explorer-context/clear';
+    const endpoint = dbEndpoint(dbType, 'explorer-context/clear');
     try {
-      await axios.post(`${API_BASE}${endpoint}`);
+      await axios.post(endpoint);
     } catch (err) {
       console.error('Failed to clear DB explorer context', err);
     }
   };
 
-  const connect = async () => {
+  // Shared by every engine's connect, demo, upload and path buttons: `request` opens the
+  // connection on the server, then the schema and explorer context of `dbType` are loaded
+  const openConnection = async (dbType, request, progressMessage, failureMessage) => {
     setLoading(true);
-    setStatusMessage('Connecting...');
+    setStatusMessage(progressMessage);
     try {
-      const res = await axios.post(`${API_BASE}/db/connect`, { host, port, user, password, database });
+      const res = await request();
       setStatusMessage(res.data.message || 'Connected');
-      const available = await checkDbStatus('postgres');
+      const available = await checkDbStatus(dbType);
       if (available) {
-        await fetchSchema('postgres');
+        await fetchSchema(dbType);
         try {
-          await generateExplorerContext('postgres');
+          await generateExplorerContext(dbType);
         } catch (err) {
           setStatusMessage(err.response?.data?.error ?? 'Failed to generate schema context');
-          await checkDbStatus('postgres');
+          await checkDbStatus(dbType);
           return;
         }
-        await mergeDescriptions();
+        await mergeDescriptions(dbType);
         localStorage.setItem('querify_connected', 'true');
-        localStorage.setItem('querify_db_type', 'postgres');
+        localStorage.setItem('querify_db_type', dbType);
         setShowExplorer(true);
       }
     } catch (err) {
       const error = err.response?.data;
-      setStatusMessage(error?.error ? `${error.error}${error.details ? `: ${error.details}` : ''}` : 'Failed to connect');
-      await checkDbStatus('postgres');
+      setStatusMessage(typeof error?.error === 'string' ? `${error.error}${error.details ? `: ${error.details}` : ''}` : failureMessage);
+      await checkDbStatus(dbType);
     } finally {
       setLoading(false);
     }
   };
 
-  const connectDemo = async () => {
-    setLoading(true);
-    setStatusMessage('Connecting to demo DB...');
-    try {
-      const res = await axios.post(`${API_BASE}/db/connect-demo`);
-      setStatusMessage(res.data.message || 'Connected to demo');
-      const available = await checkDbStatus('postgres');
-      if (available) {
-        await fetchSchema('postgres');
-        try {
-          await generateExplorerContext('postgres');
-        } catch (err) {
-          setStatusMessage(err.response?.data?.error ?? 'Failed to generate schema context');
-          await checkDbStatus('postgres');
-          return;
-        }
-        await mergeDescriptions();
-        localStorage.setItem('querify_connected', 'true');
-        localStorage.setItem('querify_db_type', 'postgres');
-        setShowExplorer(true);
-      }
-    } catch (err) {
-      const error = err.response?.data;
-      setStatusMessage(error?.error ? `${error.error}${error.details ? `: ${error.details}` : ''}` : 'Failed to connect to demo DB');
-      await checkDbStatus('postgres');
-    } finally {
-      setLoading(false);
-    }
-  };
+  const connect = () =>
+    openConnection(
+      'postgres',
+      async () => {
+        const [sslCa, sslCert, sslKey] = await Promise.all([pgSslCa, pgSslCert, pgSslKey].map((file) => file?.text()));
+        return axios.post(dbEndpoint('postgres', 'connect'), {
+          connectionString: pgConnectionString.trim() || undefined,
+          host,
+          port,
+          user,
+          password,
+          database,
+          sslMode: pgSslMode || undefined,
+          sslCa,
+          sslCert,
+          sslKey,
+          ssh: await sshTunnelBody(sshTunnel),
+          schemas: parseSchemaList(pgSchemas),
+          piiPolicy,
+          allowRoutines: routineCalls === 'all',
+        });
+      },
+      'Connecting...',
+      'Failed to connect',
+    );
 
-  const connectSqlServer = async () => {
-    setLoading(true);
-    setStatusMessage('Connecting...');
-    try {
-      const res = await axios.post(`${API_BASE}/db/connect-sqlserver`, {
+  const connectDemo = () =>
+    openConnection(
+      'postgres',
+      () => axios.post(dbEndpoint('postgres', 'connect-demo')),
+      'Connecting to demo DB...',
+      'Failed to connect to demo DB',
+    );
+
+  const connectSqlServer = () =>
+    openConnection(
+      'sqlserver',
+      async () => axios.post(dbEndpoint('sqlserver', 'connect'), {
         server: sqlServer,
         port: sqlPort,
         user: sqlUser,
         password: sqlPassword,
         database: sqlDatabase,
         instanceName: sqlInstance || undefined,
-      });
-      setStatusMessage(res.data.message || 'Connected');
-      const available = await checkDbStatus('sqlserver');
-      if (available) {
-        await fetchSchema('sqlserver');
-        try {
-          await generateExplorerContext('sqlserver');
-        } catch (err) {
-          setStatusMessage(err.response?.data?.error ?? 'Failed to generate schema context');
-          await checkDbStatus('sqlserver');
-          return;
-        }
-        await mergeDescriptions();
-        localStorage.setItem('querify_connected', 'true');
-        localStorage.setItem('querify_db_type', 'sqlserver');
-        setShowExplorer(true);
-      }
-    } catch (err) {
-      const error = err.response?.data;
-      setStatusMessage(error?.error ? `${error.error}${error.details ? `: ${error.details}` : ''}` : 'Failed to connect to SQL Server');
-      await checkDbStatus('sqlserver');
-    } finally {
-      setLoading(false);
-    }
-  };
+        ssh: await sshTunnelBody(sshTunnel),
+        schemas: parseSchemaList(sqlSchemas),
+        piiPolicy,
+        allowRoutines: routineCalls === 'all',
+      }),
+      'Connecting...',
+      'Failed to connect to SQL Server',
+    );
 
-  const connectDemoSqlServer = async () => {
-    setLoading(true);
-    setStatusMessage('Connecting to demo SQL Server...');
-    try {
-      const res = await axios.post(`${API_BASE}/db/connect-demo-sqlserver`);
-      setStatusMessage(res.data.message || 'Connected to demo');
-      const available = await checkDbStatus('sqlserver');
-      if (available) {
-        await fetchSchema('sqlserver');
-        try {
-          await generateExplorerContext('sqlserver');
-        } catch (err) {
-          setStatusMessage(err.response?.data?.error ?? 'Failed to generate schema context');
-          await checkDbStatus('sqlserver');
-          return;
-        }
-        await mergeDescriptions();
-        localStorage.setItem('querify_connected', 'true');
-        localStorage.setItem('querify_db_type', 'sqlserver');
-        setShowExplorer(true);
-      }
-    } catch (err) {
-      const error = err.response?.data;
-      setStatusMessage(error?.error ? `${error.error}${error.details ? `: ${error.details}` : ''}` : 'Failed to connect to demo SQL Server');
-      await checkDbStatus('sqlserver');
-    } finally {
-      setLoading(false);
+  const connectDemoSqlServer = () =>
+    openConnection(
+      'sqlserver',
+      () => axios.post(dbEndpoint('sqlserver', 'connect-demo')),
+      'Connecting to demo SQL Server...',
+      'Failed to connect to demo SQL Server',
+    );
+
+  const connectMysql = () =>
+    openConnection(
+      'mysql',
+      () => axios.post(dbEndpoint('mysql', 'connect'), {
+        host: myHost,
+        port: myPort,
+        user: myUser,
+        password: myPassword,
+        database: myDatabase,
+        piiPolicy,
+      }),
+      'Connecting...',
+      'Failed to connect to MySQL',
+    );
+
+  const connectDemoMysql = () =>
+    openConnection(
+      'mysql',
+      () => axios.post(dbEndpoint('mysql', 'connect-demo')),
+      'Connecting to demo MySQL...',
+      'Failed to connect to demo MySQL',
+    );
+
+  const connectSqlite = () => {
+    if (sqliteFile) {
+      return openConnection(
+        'sqlite',
+        () => axios.post(dbEndpoint('sqlite', 'upload'), sqliteFile, {
+          headers: { 'Content-Type': 'application/octet-stream' },
+          params: { piiPolicy },
+        }),
+        `Uploading ${sqliteFile.name}...`,
+        'Failed to open the uploaded SQLite file',
+      );
+    }
+    if (!sqlitePath.trim()) {
+      setStatusMessage('Choose a SQLite file or enter a server path');
+      return;
     }
+    return openConnection(
+      'sqlite',
+      () => axios.post(dbEndpoint('sqlite', 'connect'), { path: sqlitePath.trim(), piiPolicy }),
+      'Opening...',
+      'Failed to open SQLite database',
+    );
   };
 
+  const connectDemoSqlite = () =>
+    openConnection(
+      'sqlite',
+      () => axios.post(dbEndpoint('sqlite', 'connect-demo')),
+      'Opening demo SQLite database...',
+      'Failed to open demo SQLite database',
+    );
+
   useEffect(() => {
     fetchData();
     (async () => {
       const wasConnected = localStorage.getItem('querify_connected') === 'true';
       if (!wasConnected) return;
       const savedDbType = localStorage.getItem('querify_db_type') || 'postgres';
+      if (DB_LOGOS[savedDbType]) setActiveDb(savedDbType);
+
+      // The server may have restarted or closed an idle pool since the last visit: reopen it, or
+      // go back to the form with the reason instead of showing an explorer that can't query
+      const handshake = await reconnectSession(savedDbType);
+      if (!isConnected(handshake)) {
+        clearSavedSession();
+        setShowExplorer(false);
+        setDbStatus('unavailable');
+        setStatusMessage(handshake.error);
+        return;
+      }
+
       const available = await checkDbStatus(savedDbType);
       if (available) {
         setLoading(true);
@@ -286,12 +446,7 @@ export default function Login() {
   }, []);
 
   const handleDisconnect = (dbType = 'postgres') => {
-    localStorage.removeItem('querify_connected');
-    localStorage.removeItem('querify_messages');
-    localStorage.removeItem('querify_conversation_id');
-    localStorage.removeItem('querify_schema');
-    localStorage.removeItem('querify_ratelimit');
-    localStorage.removeItem('querify_db_type');
+    clearSavedSession();
     clearExplorerContext(dbType);
   };
 
@@ -300,6 +455,7 @@ export default function Login() {
     return (
       <DbExplorer
         tables={schema}
+        routines={routines}
         dialect={activeDb}
         onBack={() => {
           handleDisconnect(connectedDbType);
@@ -326,9 +482,9 @@ export default function Login() {
           <header className='login-header'>
             <div className='brand'>
               <img
-                src={activeDb === 'postgres' ? postgresLogo : sqlserverLogo}
+                src={DB_LOGOS[activeDb].src}
                 className='logo'
-                alt={activeDb === 'postgres' ? 'PostgreSQL logo' : 'SQL Server logo'}
+                alt={DB_LOGOS[activeDb].alt}
               />
               <div className='brand-text'>
                 <p className='eyebrow'>AI DB Explorer</p>
@@ -361,11 +517,35 @@ export default function Login() {
             >
               SQL Server
             </button>
+            <button
+              className={`tab ${activeDb === 'mysql' ? 'active' : ''}`}
+              onClick={() => setActiveDb('mysql')}
+              type='button'
+            >
+              MySQL
+            </button>
+            <button
+              className={`tab ${activeDb === 'sqlite' ? 'active' : ''}`}
+              onClick={() => setActiveDb('sqlite')}
+              type='button'
+            >
+              SQLite
+            </button>
           </div>
 
-          {activeDb === 'postgres' ? (
+          {activeDb === 'postgres' && (
             <div className='panel'>
               <div className='fields-grid'>
+                <div className='field field-full'>
+                  <label htmlFor='pg-connection-string'>Connection string</label>
+                  <input
+                    id='pg-connection-string'
+                    value={pgConnectionString}
+                    onChange={(e) => setPgConnectionString(e.target.value)}
+                    placeholder='postgres://user@db.example.com:5432/app?sslmode=verify-full'
+                  />
+                  <span className='field-hint'>Optional. Fields filled in below override its parts.</span>
+                </div>
                 <div className='field'>
                   <label htmlFor='pg-host'>Host</label>
                   <input
@@ -381,6 +561,7 @@ export default function Login() {
                     id='pg-port'
                     value={port}
                     onChange={(e) => setPort(e.target.value)}
+                    placeholder='5432'
                   />
                 </div>
                 <div className='field'>
@@ -408,6 +589,87 @@ export default function Login() {
                     onChange={(e) => setDatabase(e.target.value)}
                   />
                 </div>
+                <div className='field field-full'>
+                  <label htmlFor='pg-schemas'>Schemas</label>
+                  <input
+                    id='pg-schemas'
+                    placeholder='public'
+                    value={pgSchemas}
+                    onChange={(e) => setPgSchemas(e.target.value)}
+                  />
+                  <span className='field-hint'>Comma-separated, e.g. public, sales, ops. Tables outside these schemas are not read.</span>
+                </div>
+                <SshTunnelFields idPrefix='pg' value={sshTunnel} onChange={setSshTunnel} />
+                <div className='field field-full'>
+                  <label htmlFor='pg-ssl-mode'>SSL mode</label>
+                  <select
+                    id='pg-ssl-mode'
+                    value={pgSslMode}
+                    onChange={(e) => setPgSslMode(e.target.value)}
+                  >
+                    {SSL_MODE_OPTIONS.map((option) => (
+                      <option key={option.value} value={option.value}>{option.label}</option>
+                    ))}
+                  </select>
+                </div>
+                <div className='field field-full'>
+                  <label htmlFor='pg-ssl-ca'>CA certificate</label>
+                  <input
+                    id='pg-ssl-ca'
+                    type='file'
+                    accept='.pem,.crt,.cer'
+                    onChange={(e) => setPgSslCa(e.target.files?.[0] ?? null)}
+                  />
+                  <span className='field-hint'>PEM file from your provider, used to verify the server. Uploading one turns verification on.</span>
+                </div>
+                <div className='field'>
+                  <label htmlFor='pg-ssl-cert'>Client certificate</label>
+                  <input
+                    id='pg-ssl-cert'
+                    type='file'
+                    accept='.pem,.crt'
+                    onChange={(e) => setPgSslCert(e.target.files?.[0] ?? null)}
+                  />
+                </div>
+                <div className='field'>
+                  <label htmlFor='pg-ssl-key'>Client key</label>
+                  <input
+                    id='pg-ssl-key'
+                    type='file'
+                    accept='.pem,.key'
+                    onChange={(e) => setPgSslKey(e.target.files?.[0] ?? null)}
+                  />
+                </div>
+                <div className='field field-full'>
+                  <label htmlFor='pg-pii-policy'>PII in results</label>
+                  <select
+                    id='pg-pii-policy'
+                    value={piiPolicy}
+                    onChange={(e) => setPiiPolicy(e.target.value)}
+                  >
+                    {PII_POLICY_OPTIONS.map((option) => (
+                      <option key={option.value} value={option.value}>{option.label}</option>
+                    ))}
+                  </select>
+                  {piiPolicy === 'show' && (
+                    <span className='field-hint'>Raw values will be shown; every such query is written to the audit log.</span>
+                  )}
+                </div>
+                <div className='field field-full'>
+                  <label htmlFor='pg-routine-calls'>Routine calls</label>
+                  <select
+                    id='pg-routine-calls'
+                    value={routineCalls}
+                    onChange={(e) => setRoutineCalls(e.target.value)}
+                  >
+                    {ROUTINE_CALL_OPTIONS.map((option) => (
+                      <option key={option.value} value={option.value}>{option.label}</option>
+                    ))}
+                  </select>
+                  {routineCalls === 'all' && (
+                    <span className='field-hint'>Queries may call user-defined functions, which run with this login&apos;s permissions. Procedures are never executed.</span>
+                  )}
+                </div>
               </div>
 
               <div className='actions'>
@@ -429,7 +691,8 @@ export default function Login() {
                 </button>
               </div>
             </div>
-          ) : (
+          )}
+          {activeDb === 'sqlserver' && (
             <div className='panel'>
               <div className='fields-grid'>
                 <div className='field'>
@@ -483,6 +746,47 @@ export default function Login() {
                     placeholder='SQLEXPRESS'
                   />
                 </div>
+                <div className='field field-full'>
+                  <label htmlFor='ms-schemas'>Schemas (optional)</label>
+                  <input
+                    id='ms-schemas'
+                    placeholder='All schemas'
+                    value={sqlSchemas}
+                    onChange={(e) => setSqlSchemas(e.target.value)}
+                  />
+                  <span className='field-hint'>Comma-separated, e.g. Sales, HR. Tables are named schema.table.</span>
+                </div>
+                <SshTunnelFields idPrefix='ms' value={sshTunnel} onChange={setSshTunnel} />
+                <div className='field field-full'>
+                  <label htmlFor='ms-pii-policy'>PII in results</label>
+                  <select
+                    id='ms-pii-policy'
+                    value={piiPolicy}
+                    onChange={(e) => setPiiPolicy(e.target.value)}
+                  >
+                    {PII_POLICY_OPTIONS.map((option) => (
+                      <option key={option.value} value={option.value}>{option.label}</option>
+                    ))}
+                  </select>
+                  {piiPolicy === 'show' && (
+                    <span className='field-hint'>Raw values will be shown; every such query is written to the audit log.</span>
+                  )}
+                </div>
+                <div className='field field-full'>
+                  <label htmlFor='ms-routine-calls'>Routine calls</label>
+                  <select
+                    id='ms-routine-calls'
+                    value={routineCalls}
+                    onChange={(e) => setRoutineCalls(e.target.value)}
+                  >
+                    {ROUTINE_CALL_OPTIONS.map((option) => (
+                      <option key={option.value} value={option.value}>{option.label}</option>
+                    ))}
+                  </select>
+                  {routineCalls === 'all' && (
+                    <span className='field-hint'>Queries may call user-defined functions, which run with this login&apos;s permissions. Procedures are never executed.</span>
+                  )}
+                </div>
               </div>
 
               <div className='actions'>
@@ -505,6 +809,147 @@ export default function Login() {
               </div>
             </div>
           )}
+          {activeDb === 'mysql' && (
+            <div className='panel'>
+              <div className='fields-grid'>
+                <div className='field'>
+                  <label htmlFor='my-host'>Host</label>
+                  <input
+                    id='my-host'
+                    value={myHost}
+                    onChange={(e) => setMyHost(e.target.value)}
+                    placeholder='localhost'
+                  />
+                </div>
+                <div className='field'>
+                  <label htmlFor='my-port'>Port</label>
+                  <input
+                    id='my-port'
+                    value={myPort}
+                    onChange={(e) => setMyPort(e.target.value)}
+                  />
+                </div>
+                <div className='field'>
+                  <label htmlFor='my-user'>User</label>
+                  <input
+                    id='my-user'
+                    value={myUser}
+                    onChange={(e) => setMyUser(e.target.value)}
+                  />
+                </div>
+                <div className='field'>
+                  <label htmlFor='my-password'>Password</label>
+                  <input
+                    id='my-password'
+                    type='password'
+                    value={myPassword}
+                    onChange={(e) => setMyPassword(e.target.value)}
+                  />
+                </div>
+                <div className='field field-full'>
+                  <label htmlFor='my-database'>Database</label>
+                  <input
+                    id='my-database'
+                    value={myDatabase}
+                    onChange={(e) => setMyDatabase(e.target.value)}
+                  />
+                </div>
+                <div className='field field-full'>
+                  <label htmlFor='my-pii-policy'>PII in results</label>
+                  <select
+                    id='my-pii-policy'
+                    value={piiPolicy}
+                    onChange={(e) => setPiiPolicy(e.target.value)}
+                  >
+                    {PII_POLICY_OPTIONS.map((option) => (
+                      <option key={option.value} value={option.value}>{option.label}</option>
+                    ))}
+                  </select>
+                  {piiPolicy === 'show' && (
+                    <span className='field-hint'>Raw values will be shown; every such query is written to the audit log.</span>
+                  )}
+                </div>
+              </div>
+
+              <div className='actions'>
+                <button
+                  className='btn primary'
+                  onClick={connectMysql}
+                  type='button'
+                  disabled={loading}
+                >
+                  Connect
+                </button>
+                <button
+                  className='btn ghost'
+                  onClick={connectDemoMysql}
+                  type='button'
+                  disabled={loading}
+                >
+                  Use Demo DB
+                </button>
+              </div>
+            </div>
+          )}
+          {activeDb === 'sqlite' && (
+            <div className='panel'>
+              <div className='fields-grid'>
+                <div className='field field-full'>
+                  <label htmlFor='sqlite-file'>Database file</label>
+                  <input
+                    id='sqlite-file'
+                    type='file'
+                    accept='.sqlite,.sqlite3,.db,.db3'
+                    onChange={(e) => setSqliteFile(e.target.files?.[0] ?? null)}
+                  />
+                </div>
+                <div className='field field-full'>
+                  <label htmlFor='sqlite-path'>Or a file in the server's SQLite data directory</label>
+                  <input
+                    id='sqlite-path'
+                    value={sqlitePath}
+                    onChange={(e) => setSqlitePath(e.target.value)}
+                    placeholder='shop.sqlite'
+                    disabled={!!sqliteFile}
+                  />
+                </div>
+                <div className='field field-full'>
+                  <label htmlFor='sqlite-pii-policy'>PII in results</label>
+                  <select
+                    id='sqlite-pii-policy'
+                    value={piiPolicy}
+                    onChange={(e) => setPiiPolicy(e.target.value)}
+                  >
+                    {PII_POLICY_OPTIONS.map((option) => (
+                      <option key={option.value} value={option.value}>{option.label}</option>
+                    ))}
+                  </select>
+                  {piiPolicy === 'show' && (
+                    <span className='field-hint'>Raw values will be shown; every such query is written to the audit log.</span>
+                  )}
+                </div>
+              </div>
+
+              <div className='actions'>
+                <button
+                  className='btn primary'
+                  onClick={connectSqlite}
+                  type='button'
+                  disabled={loading}
+                >
+                  Connect
+                </button>
+                <button
+                  className='btn ghost'
+                  onClick={connectDemoSqlite}
+                  type='button'
+                  disabled={loading}
+                >
+                  Use Demo DB
+                </button>
+              </div>
+            </div>
+          )}
         </div>
       </div>
     </>
@@ -1,12 +1,17 @@
 import { useState, useRef, useEffect } from 'react';
 import { HiOutlineTableCells, HiChevronDown } from 'react-icons/hi2';
+import { tableTypeBadge } from './tableTypes';
+import { referencedTables } from './foreignKeys';
+import { columnConstraintNotes } from './constraints';
+import { routineTypeBadge, routineSignature, routineSnippet } from './routines';
 
 function columnTooltipKey(tableName, columnName) {
   return `${tableName}\0${columnName}`;
 }
 
-export default function SchemaSidebar({ tables = [], highlightedTables = new Set(), isOpen = false, onClose }) {
+export default function SchemaSidebar({ tables = [], routines = [], highlightedTables = new Set(), isOpen = false, onClose }) {
   const [expandedTables, setExpandedTables] = useState({});
+  const [expandedRoutines, setExpandedRoutines] = useState({});
   const [columnTooltip, setColumnTooltip] = useState(null);
   const [tooltipPinned, setTooltipPinned] = useState(false);
   const tooltipCloseRef = useRef(null);
@@ -23,6 +28,13 @@ export default function SchemaSidebar({ tables = [], highlightedTables = new Set
     }));
   };
 
+  const toggleRoutine = (routineName) => {
+    setExpandedRoutines((prev) => ({
+      ...prev,
+      [routineName]: !prev[routineName],
+    }));
+  };
+
   const showTooltip = (tableName, column) => {
     setColumnTooltip({
       tableName,
@@ -100,6 +112,9 @@ export default function SchemaSidebar({ tables = [], highlightedTables = new Set
                   >
                     <HiChevronDown className="table-row-chevron" aria-hidden />
                     <span className="table-name">{table.name}</span>
+                    {tableTypeBadge(table.tableType) && (
+                      <span className="table-type-badge">{tableTypeBadge(table.tableType)}</span>
+                    )}
                     <span className="count">{table.columnCount}</span>
                   </button>
                   {expandedTables[table.name] && table.columns?.length ? (
@@ -123,13 +138,24 @@ export default function SchemaSidebar({ tables = [], highlightedTables = new Set
                               {column.isPrimary && <span className="key-badge pk">PK</span>}
                               {column.isForeign && (
                                 <span className="key-badge fk">
-                                  FK{column.foreignTable ? ` → ${column.foreignTable}` : ''}
+                                  FK{referencedTables(column).length > 0 ? ` → ${referencedTables(column).join(', ')}` : ''}
                                 </span>
                               )}
                             </span>
                             {isActive && (
                               <span className="column-type-tooltip" role="tooltip">
                                 {columnTooltip.dataType}
+                                {column.enumValues?.length > 0 && (
+                                  <span className="column-constraint-note">
+                                    Values: {column.enumValues.map((value) => `'${value}'`).join(', ')}
+                                  </span>
+                                )}
+                                {column.comment && (
+                                  <span className="column-constraint-note">{column.comment}</span>
+                                )}
+                                {Object.values(columnConstraintNotes(table, column.name)).flat().map((note) => (
+                                  <span key={note} className="column-constraint-note">{note}</span>
+                                ))}
                               </span>
                             )}
                           </li>
@@ -141,6 +167,44 @@ export default function SchemaSidebar({ tables = [], highlightedTables = new Set
               ))}
             </ul>
           )}
+          {routines.length > 0 && (
+            <section className="routine-section" aria-label="Routines">
+              <div className="routine-section-header">
+                <span className="sidebar-title">Routines</span>
+                <span className="sidebar-count" aria-label={`${routines.length} routines`}>
+                  {routines.length}
+                </span>
+              </div>
+              <ul>
+                {routines.map((routine) => (
+                  <li key={routine.name} className="table-item">
+                    <button
+                      className={`table-row ${expandedRoutines[routine.name] ? 'expanded' : ''}`}
+                      type="button"
+                      onClick={() => toggleRoutine(routine.name)}
+                    >
+                      <HiChevronDown className="table-row-chevron" aria-hidden />
+                      <span className="table-name">{routine.name}</span>
+                      <span className="table-type-badge">{routineTypeBadge(routine.type)}</span>
+                      {routine.callable && (
+                        <span className="key-badge routine-callable" title="Queries on this connection may call it">
+                          Callable
+                        </span>
+                      )}
+                    </button>
+                    {expandedRoutines[routine.name] && (
+                      <div className="routine-details">
+                        <code className="routine-signature">{routineSignature(routine)}</code>
+                        {routineSnippet(routine.definition) && (
+                          <pre className="routine-definition">{routineSnippet(routine.definition)}</pre>
+                        )}
+                      </div>
+                    )}
+                  </li>
+                ))}
+              </ul>
+            </section>
+          )}
         </div>
       </div>
     </aside>
@@ -9,6 +9,9 @@ import ReactFlow, {
   ReactFlowProvider,
   useReactFlow,
 } from 'reactflow';
+import { tableTypeBadge } from './tableTypes';
+import { columnForeignKeys, referencedTables } from './foreignKeys';
+import { columnConstraintNotes } from './constraints';
 
 // ── Constants ─────────────────────────────────────────────────────────────────
 
@@ -16,6 +19,15 @@ const HEADER_H = 40;  // px — must match nodeStyles.header height
 const ROW_H    = 28;  // px — must match nodeStyles.colRow height
 
 // ── TableNode ─────────────────────────────────────────────────────────────────
+
+// Hover text for a column name: its database comment and enum labels, if any
+function columnTitle(col) {
+  const lines = [];
+  if (col.comment) lines.push(col.comment);
+  if (col.enumValues?.length) lines.push(`Values: ${col.enumValues.map((value) => `'${value}'`).join(', ')}`);
+  return lines.length ? lines.join('\n') : undefined;
+}
+
 // Defined at module level so ReactFlow never re-creates the component reference.
 
 function TableNode({ data }) {
@@ -38,7 +50,10 @@ function TableNode({ data }) {
     <div style={{ position: 'relative' }}>
       <div style={cardStyle}>
       <div style={nodeStyles.header}>
-        {table.name}
+        <span style={nodeStyles.headerName}>{table.name}</span>
+        {tableTypeBadge(table.tableType) && (
+          <span style={nodeStyles.typeBadge}>{tableTypeBadge(table.tableType)}</span>
+        )}
         {table.description && (
           <span
             style={nodeStyles.infoIcon}
@@ -53,6 +68,7 @@ function TableNode({ data }) {
         const needsTarget = col.isPrimary || referencedCols?.has(col.name);
         const isRelated   = col.isForeign || needsTarget;
         const isHovered   = hoveredCol === col.name;
+        const notes       = columnConstraintNotes(table, col.name);
 
         return (
           <Fragment key={col.name}>
@@ -71,11 +87,20 @@ function TableNode({ data }) {
                 onColLeave?.();
               } : undefined}
             >
-              <span style={nodeStyles.colName}>{col.name}</span>
+              <span style={nodeStyles.colName} title={columnTitle(col)}>{col.name}</span>
               <span style={nodeStyles.colType}>{col.dataType}</span>
               {col.isPrimary && <span style={nodeStyles.pkBadge}>PK</span>}
               {col.isForeign && (
-                <span style={nodeStyles.fkBadge}>FK → {col.foreignTable}</span>
+                <span style={nodeStyles.fkBadge}>FK → {referencedTables(col).join(', ')}</span>
+              )}
+              {notes.indexes.length > 0 && (
+                <span style={nodeStyles.constraintBadge} title={notes.indexes.join('\n')}>IX</span>
+              )}
+              {notes.uniques.length > 0 && (
+                <span style={nodeStyles.constraintBadge} title={notes.uniques.join('\n')}>UQ</span>
+              )}
+              {notes.checks.length > 0 && (
+                <span style={nodeStyles.constraintBadge} title={notes.checks.join('\n')}>CK</span>
               )}
             </div>
 
@@ -177,6 +202,17 @@ const nodeStyles = {
     flexShrink: 0,
     letterSpacing: '0.05em',
   },
+  constraintBadge: {
+    background: 'rgba(255,255,255,0.07)',
+    color: 'var(--muted)',
+    borderRadius: 3,
+    padding: '1px 4px',
+    fontSize: 9,
+    fontWeight: 700,
+    flexShrink: 0,
+    letterSpacing: '0.05em',
+    cursor: 'help',
+  },
   fkBadge: {
     background: '#2a2a4a',
     color: '#8888e8',
@@ -208,6 +244,24 @@ const nodeStyles = {
     lineHeight: 1.45,
     pointerEvents: 'none',
   },
+  headerName: {
+    flex: 1,
+    minWidth: 0,
+    overflow: 'hidden',
+    textOverflow: 'ellipsis',
+    whiteSpace: 'nowrap',
+  },
+  typeBadge: {
+    padding: '1px 6px',
+    marginLeft: 6,
+    borderRadius: 4,
+    background: 'rgba(120,160,220,0.16)',
+    color: '#9bb8e0',
+    fontSize: 10,
+    fontWeight: 600,
+    letterSpacing: '0.02em',
+    flexShrink: 0,
+  },
   infoIcon: {
     display: 'inline-flex',
     alignItems: 'center',
@@ -243,10 +297,11 @@ function buildNodes(tables, onColHover, onColLeave, onTooltipToggle) {
   const referencedColsMap = new Map(tables.map(t => [t.name, new Set()]));
   tables.forEach(t => {
     t.columns?.forEach(col => {
-      if (col.isForeign && col.foreignTable && col.foreignColumn &&
-          referencedColsMap.has(col.foreignTable)) {
-        referencedColsMap.get(col.foreignTable).add(col.foreignColumn);
-      }
+      columnForeignKeys(col).forEach(fk => {
+        if (fk.column && referencedColsMap.has(fk.table)) {
+          referencedColsMap.get(fk.table).add(fk.column);
+        }
+      });
     });
   });
 
@@ -255,11 +310,12 @@ function buildNodes(tables, onColHover, onColLeave, onTooltipToggle) {
   const incoming = new Map(tables.map(t => [t.name, new Set()]));
   tables.forEach(t => {
     t.columns?.forEach(col => {
-      if (col.isForeign && col.foreignTable &&
-          tableNames.has(col.foreignTable) && col.foreignTable !== t.name) {
-        outgoing.get(t.name).add(col.foreignTable);
-        incoming.get(col.foreignTable).add(t.name);
-      }
+      referencedTables(col).forEach(target => {
+        if (tableNames.has(target) && target !== t.name) {
+          outgoing.get(t.name).add(target);
+          incoming.get(target).add(t.name);
+        }
+      });
     });
   });
 
@@ -345,21 +401,24 @@ function buildEdges(tables) {
   const edges = [];
 
   tables.forEach(table => {
+    // One edge per column pair; `data.constraint` ties the pairs of a composite key together
     table.columns?.forEach(col => {
-      if (!col.isForeign || !col.foreignTable) return;
-      if (!tableNames.has(col.foreignTable)) return;
-      if (table.name === col.foreignTable) return;
-
-      edges.push({
-        id:           `${table.name}-${col.name}`,
-        source:       table.name,
-        sourceHandle: col.name,
-        target:       col.foreignTable,
-        targetHandle: col.foreignColumn ?? undefined,
-        hidden:       false,
-        type:         'smoothstep',
-        style:        { stroke: '#555', strokeWidth: 1.5, strokeOpacity: 0.7 },
-        markerEnd:    { type: MarkerType.ArrowClosed, color: '#555', width: 12, height: 12 },
+      columnForeignKeys(col).forEach(fk => {
+        if (!tableNames.has(fk.table)) return;
+        if (table.name === fk.table) return;
+
+        edges.push({
+          id:           `${table.name}-${fk.constraint ?? ''}-${col.name}`,
+          source:       table.name,
+          sourceHandle: col.name,
+          target:       fk.table,
+          targetHandle: fk.column ?? undefined,
+          data:         { constraint: fk.constraint },
+          hidden:       false,
+          type:         'smoothstep',
+          style:        { stroke: '#555', strokeWidth: 1.5, strokeOpacity: 0.7 },
+          markerEnd:    { type: MarkerType.ArrowClosed, color: '#555', width: 12, height: 12 },
+        });
       });
     });
   });
@@ -379,12 +438,15 @@ function SchemaVisualizerInner({ tables, onBack }) {
   const showEdgesFor = useCallback((nodeId, colName) => {
     const connectedNodeCols = new Map();
     const connections = [];
+    // Composite keys light up as a whole: every pair of a constraint the column belongs to
+    const activeConstraints = new Set();
     getEdges()
       .filter(e =>
         (e.source === nodeId && e.sourceHandle === colName) ||
         (e.target === nodeId && e.targetHandle === colName)
       )
       .forEach(e => {
+        if (e.data?.constraint) activeConstraints.add(`${e.source}\0${e.data.constraint}`);
         const otherId  = e.source === nodeId ? e.target       : e.source;
         const otherCol = e.source === nodeId ? e.targetHandle : e.sourceHandle;
         if (!connectedNodeCols.has(otherId)) connectedNodeCols.set(otherId, new Set());
@@ -408,7 +470,8 @@ function SchemaVisualizerInner({ tables, onBack }) {
     setEdges(eds => eds.map(e => {
       const active =
         (e.source === nodeId && e.sourceHandle === colName) ||
-        (e.target === nodeId && e.targetHandle === colName);
+        (e.target === nodeId && e.targetHandle === colName) ||
+        activeConstraints.has(`${e.source}\0${e.data?.constraint}`);
       return {
         ...e,
         style:     active ? { stroke: '#d06a45', strokeWidth: 1.5, strokeOpacity: 0.9 }
@@ -0,0 +1,65 @@
+// SSH tunnel inputs for a connect form; `value` / `onChange` hold the EMPTY_SSH_TUNNEL shape
+export default function SshTunnelFields({ idPrefix, value, onChange }) {
+  const setField = (field) => (e) => onChange({ ...value, [field]: e.target.value });
+
+  return (
+    <>
+      <div className='field field-full'>
+        <label htmlFor={`${idPrefix}-ssh`}>SSH tunnel</label>
+        <select
+          id={`${idPrefix}-ssh`}
+          value={value.enabled ? 'on' : 'off'}
+          onChange={(e) => onChange({ ...value, enabled: e.target.value === 'on' })}
+        >
+          <option value='off'>Connect directly</option>
+          <option value='on'>Through a bastion host</option>
+        </select>
+      </div>
+      {value.enabled && (
+        <>
+          <div className='field'>
+            <label htmlFor={`${idPrefix}-ssh-host`}>SSH host</label>
+            <input id={`${idPrefix}-ssh-host`} value={value.host} onChange={setField('host')} placeholder='bastion.example.com' />
+          </div>
+          <div className='field'>
+            <label htmlFor={`${idPrefix}-ssh-port`}>SSH port</label>
+            <input id={`${idPrefix}-ssh-port`} value={value.port} onChange={setField('port')} placeholder='22' />
+          </div>
+          <div className='field'>
+            <label htmlFor={`${idPrefix}-ssh-user`}>SSH user</label>
+            <input id={`${idPrefix}-ssh-user`} value={value.user} onChange={setField('user')} />
+          </div>
+          <div className='field'>
+            <label htmlFor={`${idPrefix}-ssh-password`}>SSH password</label>
+            <input id={`${idPrefix}-ssh-password`} type='password' value={value.password} onChange={setField('password')} />
+          </div>
+          <div className='field'>
+            <label htmlFor={`${idPrefix}-ssh-key`}>Private key</label>
+            <input
+              id={`${idPrefix}-ssh-key`}
+              type='file'
+              onChange={(e) => onChange({ ...value, privateKey: e.target.files?.[0] ?? null })}
+            />
+          </div>
+          <div className='field'>
+            <label htmlFor={`${idPrefix}-ssh-passphrase`}>Key passphrase</label>
+            <input id={`${idPrefix}-ssh-passphrase`} type='password' value={value.passphrase} onChange={setField('passphrase')} />
+          </div>
+          <div className='field field-full'>
+            <label htmlFor={`${idPrefix}-ssh-fingerprint`}>Host key fingerprint</label>
+            <input
+              id={`${idPrefix}-ssh-fingerprint`}
+              value={value.hostFingerprint}
+              onChange={setField('hostFingerprint')}
+              placeholder='SHA256:…'
+            />
+            <span className='field-hint'>
+              From <code>ssh-keygen -lf</code> on the bastion&apos;s host key. Required: without it the tunnel is refused, and the
+              error shows the key the bastion offered.
+            </span>
+          </div>
+        </>
+      )}
+    </>
+  );
+}
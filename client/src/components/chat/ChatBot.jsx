@@ -1,48 +1,69 @@
 import axios from 'axios';
-import { useEffect, useRef, useState } from 'react';
+import { useEffect, useState } from 'react';
 import TypingIndicator from './TypingIndicator';
 import ChatMessages from './ChatMessages';
 import ChatInput from './ChatInput';
+import ConversationHistory from './ConversationHistory';
 import { API_BASE } from '../../api.js';
+import { getConversation, toChatMessages, botContent } from '../../conversations.js';
+import { withReconnect } from '../../reconnect.js';
 
 const ChatBot = ({ onTablesUsed, onFirstMessage, dialect, onRateLimitUpdate, isBlocked = false }) => {
-  const [messages, setMessages] = useState(() => {
-    try {
-      const saved = localStorage.getItem('querify_messages');
-      return saved ? JSON.parse(saved) : [];
-    } catch {
-      return [];
-    }
-  });
+  const [messages, setMessages] = useState([]);
   const [isBotTyping, setIsBotTyping] = useState(false);
   const [error, setError] = useState('');
-  const conversationId = useRef(
-    localStorage.getItem('querify_conversation_id') ?? (() => {
-      const id = crypto.randomUUID();
-      localStorage.setItem('querify_conversation_id', id);
-      return id;
-    })()
+  const [conversationId, setConversationId] = useState(
+    () => localStorage.getItem('querify_conversation_id') ?? crypto.randomUUID()
   );
 
   useEffect(() => {
-    localStorage.setItem('querify_messages', JSON.stringify(messages));
-  }, [messages]);
+    localStorage.setItem('querify_conversation_id', conversationId);
+  }, [conversationId]);
+
+  // The server keeps the transcript, so a conversation started in another browser opens here too
+  useEffect(() => {
+    let cancelled = false;
+    getConversation(conversationId)
+      .then((conversation) => {
+        // A new conversation is unknown to the server until its first answer
+        if (!cancelled && conversation) setMessages(toChatMessages(conversation));
+      })
+      .catch(() => {
+        if (!cancelled) setError('Could not load this conversation.');
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [conversationId]);
+
+  useEffect(() => {
+    if (messages.length > 0 && typeof onFirstMessage === 'function') onFirstMessage();
+  }, [messages.length, onFirstMessage]);
+
+  const openConversation = (id) => {
+    setError('');
+    setMessages([]);
+    setConversationId(id);
+  };
+
+  const startNewConversation = () => openConversation(crypto.randomUUID());
+
+  const handleConversationDeleted = (id) => {
+    if (id === conversationId) startNewConversation();
+  };
 
   const onSubmit = async ({ prompt }) => {
     try {
-      if (messages.length === 0 && typeof onFirstMessage === 'function') {
-        onFirstMessage();
-      }
       setMessages((prev) => [...prev, { role: 'user', content: prompt }]);
       setIsBotTyping(true);
       setError('');
       //api call to backend with prompt and conversationId
-      const response = await axios.post(`${API_BASE}/api/query`, {
+      const response = await withReconnect(dialect, () => axios.post(`${API_BASE}/api/query`, {
         question: prompt,
-        conversationId: conversationId.current,
+        conversationId,
         dialect,
-      });
-      const { sql, explanation, tablesUsed, tablesCached, piiColumnsMasked, tokenCount } = response.data;
+      }));
+      const { sql, explanation, tablesUsed, tablesCached, piiColumnsMasked, attempts, validation, tokenCount } = response.data;
       const rlRemaining = response.headers['x-ratelimit-remaining'];
       const rlLimit = response.headers['x-ratelimit-limit'];
       const rlReset = response.headers['x-ratelimit-reset'];
@@ -51,9 +72,7 @@ const ChatBot = ({ onTablesUsed, onFirstMessage, dialect, onRateLimitUpdate, isB
         localStorage.setItem('querify_ratelimit', JSON.stringify(info));
         if (typeof onRateLimitUpdate === 'function') onRateLimitUpdate(info);
       }
-      const content = sql
-        ? `${explanation}\n\n\`\`\`sql\n${sql}\n\`\`\``
-        : explanation;
+      const content = botContent({ sql, explanation });
       setMessages((prev) => [
         ...prev,
         {
@@ -62,6 +81,8 @@ const ChatBot = ({ onTablesUsed, onFirstMessage, dialect, onRateLimitUpdate, isB
           metadata: {
             tablesCached: tablesCached ?? [],
             piiColumnsMasked: piiColumnsMasked ?? [],
+            attempts: attempts ?? [],
+            validation: validation ?? null,
             tokenCount: tokenCount ?? 0,
           },
         },
@@ -91,6 +112,12 @@ const ChatBot = ({ onTablesUsed, onFirstMessage, dialect, onRateLimitUpdate, isB
 
   return (
     <div className='chat-window'>
+      <ConversationHistory
+        activeId={conversationId}
+        onSelect={openConversation}
+        onNew={startNewConversation}
+        onDeleted={handleConversationDeleted}
+      />
       {messages.length === 0 && (
         <div className='chat-header'>
           <span className='chat-hint'>AI answers in seconds</span>
@@ -101,7 +128,7 @@ const ChatBot = ({ onTablesUsed, onFirstMessage, dialect, onRateLimitUpdate, isB
       </div> */}
       <div className='chat-body'>
         <div className='chat-messages-area'>
-          <ChatMessages messages={messages} error={error} />
+          <ChatMessages messages={messages} error={error} dialect={dialect} />
           {isBotTyping && <TypingIndicator />}
         </div>
         <ChatInput onSubmit={onSubmit} disabled={isBlocked} />
@@ -1,10 +1,15 @@
 import React from 'react';
+import axios from 'axios';
 import ReactMarkdown from 'react-markdown';
-import { useEffect, useRef, useState } from 'react';
-import { FiCopy, FiCheck } from 'react-icons/fi';
+import { createContext, useContext, useEffect, useRef, useState } from 'react';
+import { FiCopy, FiCheck, FiPlay, FiGitBranch } from 'react-icons/fi';
 import { PrismLight as SyntaxHighlighter } from 'react-syntax-highlighter';
 import sql from 'react-syntax-highlighter/dist/esm/languages/prism/sql';
 import { ssmsTheme } from './ssmsTheme';
+import QueryResult from './QueryResult';
+import QueryPlan from './QueryPlan';
+import { API_BASE } from '../../api.js';
+import { withReconnect } from '../../reconnect.js';
 
 SyntaxHighlighter.registerLanguage('sql', sql);
 
@@ -16,8 +21,25 @@ function isSqlBlock(codeText, langClass) {
   return false;
 }
 
+function toRunError(err, fallback) {
+  const data = err.response?.data;
+  return {
+    message: typeof data?.error === 'string' ? data.error : fallback,
+    reasons: Array.isArray(data?.reasons) ? data.reasons : [],
+  };
+}
+
+// Dialect of the active connection — read by CopyPre so ReactMarkdown can keep a stable component reference
+const DialectContext = createContext('postgres');
+
 const CopyPre = ({ children, node, ...props }) => {
+  const dialect = useContext(DialectContext);
   const [copied, setCopied] = useState(false);
+  const [running, setRunning] = useState(false);
+  const [result, setResult] = useState(null);
+  const [runError, setRunError] = useState(null);
+  const [explaining, setExplaining] = useState(false);
+  const [plan, setPlan] = useState(null);
 
   const handleCopy = () => {
     const code = node?.children?.[0]?.children?.[0]?.value ?? '';
@@ -32,15 +54,80 @@ const CopyPre = ({ children, node, ...props }) => {
   const codeText = codeChild?.children?.[0]?.value ?? '';
   const showHighlight = isSqlBlock(codeText, langClass);
 
+  const handleRun = async () => {
+    setRunning(true);
+    setRunError(null);
+    try {
+      const response = await withReconnect(dialect, () => axios.post(
+        `${API_BASE}/api/query/execute`,
+        { sql: codeText, dialect },
+        { withCredentials: true },
+      ));
+      setResult(response.data);
+    } catch (err) {
+      console.error('Error running query:', err);
+      setResult(null);
+      setRunError(toRunError(err, 'Failed to run query. Please try again.'));
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  const handleExplain = async () => {
+    if (plan) {
+      setPlan(null);
+      return;
+    }
+    setExplaining(true);
+    setRunError(null);
+    try {
+      const response = await withReconnect(dialect, () => axios.post(
+        `${API_BASE}/api/query/explain`,
+        { sql: codeText, dialect },
+        { withCredentials: true },
+      ));
+      setPlan(response.data);
+    } catch (err) {
+      console.error('Error fetching query plan:', err);
+      setRunError(toRunError(err, 'Failed to fetch the query plan. Please try again.'));
+    } finally {
+      setExplaining(false);
+    }
+  };
+
   return (
     <div className='code-block-wrapper'>
-      <button
-        className={`copy-sql-btn${copied ? ' copied' : ''}`}
-        onClick={handleCopy}
-        title={copied ? 'Copied!' : 'Copy SQL'}
-      >
-        {copied ? <FiCheck size={14} /> : <FiCopy size={14} />}
-      </button>
+      <div className='code-block-actions'>
+        {showHighlight && (
+          <button
+            className={`run-sql-btn${plan ? ' active' : ''}`}
+            onClick={handleExplain}
+            disabled={explaining}
+            title={plan ? 'Hide query plan' : 'Show estimated query plan'}
+          >
+            <FiGitBranch size={12} />
+            {explaining ? 'Planning…' : 'Plan'}
+          </button>
+        )}
+        {showHighlight && (
+          <button
+            className='run-sql-btn'
+            onClick={handleRun}
+            disabled={running}
+            title='Run query'
+          >
+            <FiPlay size={12} />
+            {running ? 'Running…' : 'Run'}
+          </button>
+        )}
+        <button
+          className={`copy-sql-btn${copied ? ' copied' : ''}`}
+          onClick={handleCopy}
+          title={copied ? 'Copied!' : 'Copy SQL'}
+        >
+          {copied ? <FiCheck size={14} /> : <FiCopy size={14} />}
+        </button>
+      </div>
       <pre {...props}>
         {showHighlight ? (
           <SyntaxHighlighter
@@ -62,6 +149,20 @@ const CopyPre = ({ children, node, ...props }) => {
           children
         )}
       </pre>
+      {runError && (
+        <div className='query-run-error' role='alert'>
+          {runError.message}
+          {runError.reasons.length > 0 && (
+            <ul className='query-run-reasons'>
+              {runError.reasons.map((reason, i) => (
+                <li key={`${reason.code}-${i}`}>{reason.message}</li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+      {plan && <QueryPlan result={plan} />}
+      {result && <QueryResult result={result} sql={codeText} dialect={dialect} />}
     </div>
   );
 };
@@ -70,6 +171,8 @@ function QueryMetaLine({ metadata }) {
   const fields = [];
   if (metadata.piiColumnsMasked?.length > 0)
     fields.push({ label: '🔒 Sanitized:', value: metadata.piiColumnsMasked.join(', ') });
+  if (metadata.validation?.status === 'valid')
+    fields.push({ label: 'Validated:', value: '✓ dry run passed' });
   if (metadata.tablesCached?.length > 0)
     fields.push({ label: 'Tables cached:', value: metadata.tablesCached.join(', ') });
   if (metadata.tokenCount)
@@ -89,7 +192,39 @@ function QueryMetaLine({ metadata }) {
   );
 }
 
-const ChatMessages = ({ messages, error }) => {
+function ValidationNotice({ validation }) {
+  if (!validation || (validation.status !== 'invalid' && validation.status !== 'error')) return null;
+  const label = validation.status === 'invalid'
+    ? '⚠️ The database rejected this query:'
+    : '⚠️ Could not validate this query:';
+  return (
+    <p className="validation-notice" role="alert">
+      {label} <span className="validation-notice-error">{validation.error}</span>
+    </p>
+  );
+}
+
+function RepairHistory({ attempts }) {
+  const failed = attempts?.filter((attempt) => attempt.error) ?? [];
+  if (failed.length === 0) return null;
+  const fixed = !attempts[attempts.length - 1].error;
+  const label = `${failed.length} failed ${failed.length === 1 ? 'attempt' : 'attempts'}`;
+  return (
+    <details className="repair-history">
+      <summary>{fixed ? `🔧 Fixed after ${label}` : `⚠️ Still failing after ${label}`}</summary>
+      <ol>
+        {failed.map((attempt, i) => (
+          <li key={i}>
+            <pre className="repair-history-sql">{attempt.sql}</pre>
+            <p className="repair-history-error">{attempt.error}</p>
+          </li>
+        ))}
+      </ol>
+    </details>
+  );
+}
+
+const ChatMessages = ({ messages, error, dialect = 'postgres' }) => {
   const containerRef = useRef(null);
 
   useEffect(() => {
@@ -100,21 +235,27 @@ const ChatMessages = ({ messages, error }) => {
   }, [messages]);
 
   return (
-    <div className='chat-messages' ref={containerRef}>
-      {messages.map((message, index) => (
-        <React.Fragment key={index}>
-          <div
-            className={`chat-message ${message.role === 'user' ? 'user-message' : 'bot-message'}`}
-          >
-            <ReactMarkdown components={{ pre: CopyPre }}>{message.content}</ReactMarkdown>
-          </div>
-          {message.role === 'bot' && message.metadata && (
-            <QueryMetaLine metadata={message.metadata} />
-          )}
-        </React.Fragment>
-      ))}
-      {error && <div className="chat-message bot-message error-message">{error}</div>}
-    </div>
+    <DialectContext.Provider value={dialect}>
+      <div className='chat-messages' ref={containerRef}>
+        {messages.map((message, index) => (
+          <React.Fragment key={index}>
+            <div
+              className={`chat-message ${message.role === 'user' ? 'user-message' : 'bot-message'}`}
+            >
+              <ReactMarkdown components={{ pre: CopyPre }}>{message.content}</ReactMarkdown>
+            </div>
+            {message.role === 'bot' && message.metadata && (
+              <>
+                <ValidationNotice validation={message.metadata.validation} />
+                <RepairHistory attempts={message.metadata.attempts} />
+                <QueryMetaLine metadata={message.metadata} />
+              </>
+            )}
+          </React.Fragment>
+        ))}
+        {error && <div className="chat-message bot-message error-message">{error}</div>}
+      </div>
+    </DialectContext.Provider>
   );
 };
 
@@ -0,0 +1,149 @@
+import { useState } from 'react';
+import { FiClock, FiPlus, FiTrash2 } from 'react-icons/fi';
+import {
+  listConversations,
+  deleteConversation,
+  getHistoryKey,
+  setHistoryKey,
+  HISTORY_KEY_PATTERN,
+} from '../../conversations.js';
+
+function formatUpdated(iso) {
+  return new Date(iso).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+}
+
+const ConversationHistory = ({ activeId, onSelect, onNew, onDeleted }) => {
+  const [open, setOpen] = useState(false);
+  const [conversations, setConversations] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [historyKey, setHistoryKeyState] = useState(getHistoryKey);
+  const [keyInput, setKeyInput] = useState('');
+  const [keyCopied, setKeyCopied] = useState(false);
+
+  const refresh = async () => {
+    setLoading(true);
+    setError('');
+    try {
+      setConversations(await listConversations());
+    } catch {
+      setError('Could not load your conversations.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const toggle = () => {
+    if (!open) void refresh();
+    setOpen((v) => !v);
+  };
+
+  const handleSelect = (id) => {
+    setOpen(false);
+    onSelect(id);
+  };
+
+  const handleDelete = async (id) => {
+    try {
+      await deleteConversation(id);
+      setConversations((prev) => prev.filter((conversation) => conversation.id !== id));
+      onDeleted(id);
+    } catch {
+      setError('Could not delete the conversation.');
+    }
+  };
+
+  const copyKey = () => {
+    navigator.clipboard.writeText(historyKey).then(() => {
+      setKeyCopied(true);
+      setTimeout(() => setKeyCopied(false), 1500);
+    });
+  };
+
+  // The open conversation belongs to the old key, so the chat starts over
+  const applyKey = (event) => {
+    event.preventDefault();
+    const key = keyInput.trim();
+    if (!HISTORY_KEY_PATTERN.test(key)) {
+      setError('That is not a history key. Copy it from the History menu of your other browser.');
+      return;
+    }
+    setHistoryKey(key);
+    setHistoryKeyState(key);
+    setKeyInput('');
+    onNew();
+    void refresh();
+  };
+
+  return (
+    <div className='conversation-history'>
+      <div className='conversation-history-actions'>
+        <button className='btn ghost btn-nav' type='button' onClick={toggle} aria-expanded={open}>
+          <FiClock aria-hidden />
+          <span>History</span>
+        </button>
+        <button className='btn ghost btn-nav' type='button' onClick={onNew}>
+          <FiPlus aria-hidden />
+          <span>New chat</span>
+        </button>
+      </div>
+      {open && (
+        <div className='conversation-history-panel' role='region' aria-label='Conversation history'>
+          {loading && <p className='conversation-history-note'>Loading…</p>}
+          {error && <p className='conversation-history-note' role='alert'>{error}</p>}
+          {!loading && !error && conversations.length === 0 && (
+            <p className='conversation-history-note'>No saved conversations yet.</p>
+          )}
+          <ul>
+            {conversations.map((conversation) => (
+              <li key={conversation.id} className={conversation.id === activeId ? 'active' : undefined}>
+                <button className='conversation-history-item' type='button' onClick={() => handleSelect(conversation.id)}>
+                  <span className='conversation-history-title'>{conversation.title}</span>
+                  <span className='conversation-history-meta'>
+                    {[conversation.connection, formatUpdated(conversation.updatedAt), `${conversation.tokensUsed.toLocaleString()} tokens`]
+                      .filter(Boolean)
+                      .join(' · ')}
+                  </span>
+                </button>
+                <button
+                  className='conversation-history-delete'
+                  type='button'
+                  onClick={() => handleDelete(conversation.id)}
+                  aria-label={`Delete “${conversation.title}”`}
+                  title='Delete conversation'
+                >
+                  <FiTrash2 aria-hidden />
+                </button>
+              </li>
+            ))}
+          </ul>
+          <div className='conversation-history-key'>
+            <p className='conversation-history-note'>
+              Your history key opens these conversations in another browser. Keep it private.
+            </p>
+            <div className='conversation-history-key-row'>
+              <input type='text' value={historyKey} readOnly aria-label='History key' />
+              <button className='btn ghost' type='button' onClick={copyKey}>
+                {keyCopied ? 'Copied' : 'Copy'}
+              </button>
+            </div>
+            <form className='conversation-history-key-row' onSubmit={applyKey}>
+              <input
+                type='text'
+                value={keyInput}
+                onChange={(event) => setKeyInput(event.target.value)}
+                placeholder='Paste a key from another browser'
+                aria-label='History key from another browser'
+              />
+              <button className='btn ghost' type='submit' disabled={!keyInput.trim()}>
+                Use
+              </button>
+            </form>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ConversationHistory;
@@ -0,0 +1,55 @@
+function formatNumber(value) {
+  if (value === null || value === undefined) return '–';
+  return value.toLocaleString(undefined, { maximumFractionDigits: 2 });
+}
+
+const PlanNode = ({ node }) => (
+  <li>
+    <div className={`query-plan-node${node.fullScan ? ' full-scan' : ''}`}>
+      <span className='query-plan-op'>{node.operation}</span>
+      {node.relation && (
+        <span className='query-plan-relation'>
+          {' '}on {node.relation}
+          {node.index && ` using ${node.index}`}
+        </span>
+      )}
+      <span className='query-plan-stats'>
+        cost {node.startupCost !== null && node.startupCost !== undefined ? `${formatNumber(node.startupCost)}..` : ''}
+        {formatNumber(node.cost)} · rows {formatNumber(node.rows)}
+      </span>
+    </div>
+    {node.children?.length > 0 && (
+      <ul>
+        {node.children.map((child, i) => (
+          <PlanNode key={i} node={child} />
+        ))}
+      </ul>
+    )}
+  </li>
+);
+
+const QueryPlan = ({ result }) => {
+  const { plan, fullScans = [], durationMs = 0 } = result;
+
+  return (
+    <div className='query-plan'>
+      <p className='query-plan-summary'>
+        Estimated plan · {durationMs.toLocaleString()} ms
+        {fullScans.length > 0 && (
+          <span className='query-plan-warning'>
+            {' '}· Full scan on {fullScans.join(', ')}
+          </span>
+        )}
+      </p>
+      {plan ? (
+        <ul className='query-plan-tree'>
+          <PlanNode node={plan} />
+        </ul>
+      ) : (
+        <p className='query-plan-empty'>The database returned no plan for this query.</p>
+      )}
+    </div>
+  );
+};
+
+export default QueryPlan;
@@ -0,0 +1,168 @@
+import axios from 'axios';
+import { useMemo, useState } from 'react';
+import { FiBarChart2, FiCheck, FiDownload, FiFileText } from 'react-icons/fi';
+import { API_BASE } from '../../api.js';
+import ResultChart from './ResultChart';
+import { suggestChart } from './chartSuggestion';
+
+const EXPORT_FORMATS = [
+  { format: 'csv', label: 'CSV' },
+  { format: 'ndjson', label: 'JSON' },
+  { format: 'xlsx', label: 'Excel' },
+];
+
+function formatValue(value) {
+  if (value === null || value === undefined) return 'NULL';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+function toMarkdownCell(text) {
+  return text.replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+}
+
+function toMarkdownTable(columns, rows) {
+  const header = `| ${columns.map((column) => toMarkdownCell(column.name)).join(' | ')} |`;
+  const divider = `| ${columns.map(() => '---').join(' | ')} |`;
+  const body = rows.map((row) => `| ${columns.map((_, i) => toMarkdownCell(formatValue(row[i]))).join(' | ')} |`);
+  return [header, divider, ...body].join('\n');
+}
+
+// Clicks a link to the one-time download URL. The server answers with an attachment, so the
+// browser streams the file to disk and the page stays where it is.
+function startDownload(url) {
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = '';
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+}
+
+// Summary labels for the connection's PII policy (see Login)
+const PII_LABELS = {
+  mask: '🔒 Masked:',
+  hash: '🔒 Hashed:',
+  show: '⚠ Unmasked (audited):',
+};
+
+const QueryResult = ({ result, sql, dialect }) => {
+  const { columns = [], rows = [], rowCount = 0, durationMs = 0, truncated = false, maxRows, piiPolicy, piiColumns = [] } = result;
+  const [copied, setCopied] = useState(false);
+  const [exporting, setExporting] = useState(null);
+  const [exportError, setExportError] = useState(null);
+  const suggestion = useMemo(() => suggestChart(columns, rows), [columns, rows]);
+  const [showChart, setShowChart] = useState(true);
+
+  const handleCopyMarkdown = () => {
+    navigator.clipboard.writeText(toMarkdownTable(columns, rows)).then(() => {
+      setCopied(true);
+      setTimeout(() => setCopied(false), 1500);
+    });
+  };
+
+  // Registering the export dry-runs the SQL, so its errors show below the results; the file
+  // itself streams from the one-time link straight to disk, never through browser memory
+  const handleExport = async (format) => {
+    setExporting(format);
+    setExportError(null);
+    try {
+      const response = await axios.post(
+        `${API_BASE}/api/query/export`,
+        { sql, dialect, format },
+        { withCredentials: true },
+      );
+      startDownload(`${API_BASE}${response.data.downloadUrl}`);
+    } catch (err) {
+      console.error('Error exporting query:', err);
+      const data = err.response?.data;
+      setExportError(typeof data?.error === 'string' ? data.error : 'Failed to export results. Please try again.');
+    } finally {
+      setExporting(null);
+    }
+  };
+
+  return (
+    <div className='query-result'>
+      <div className='query-result-header'>
+        <p className='query-result-summary'>
+          {rowCount.toLocaleString()} {rowCount === 1 ? 'row' : 'rows'} · {durationMs.toLocaleString()} ms
+          {truncated && (
+            <span className='query-result-truncated'>
+              {' '}· Result truncated at {(maxRows ?? rowCount).toLocaleString()} rows
+            </span>
+          )}
+          {piiColumns.length > 0 && (
+            <span className={piiPolicy === 'show' ? 'query-result-pii-shown' : undefined}>
+              {' '}· {PII_LABELS[piiPolicy] ?? PII_LABELS.mask} {piiColumns.join(', ')}
+            </span>
+          )}
+        </p>
+        {columns.length > 0 && (
+          <div className='query-result-actions'>
+            {suggestion && (
+              <button
+                className={`run-sql-btn${showChart ? ' active' : ''}`}
+                onClick={() => setShowChart((shown) => !shown)}
+                title={showChart ? 'Hide chart' : 'Show chart'}
+              >
+                <FiBarChart2 size={12} />
+                Chart
+              </button>
+            )}
+            <button
+              className='run-sql-btn'
+              onClick={handleCopyMarkdown}
+              title={truncated ? 'Copy the rows shown as a Markdown table' : 'Copy as a Markdown table'}
+            >
+              {copied ? <FiCheck size={12} /> : <FiFileText size={12} />}
+              {copied ? 'Copied' : 'Markdown'}
+            </button>
+            {sql && EXPORT_FORMATS.map(({ format, label }) => (
+              <button
+                key={format}
+                className='run-sql-btn'
+                onClick={() => handleExport(format)}
+                disabled={exporting !== null}
+                title={`Download all rows as ${label}`}
+              >
+                <FiDownload size={12} />
+                {exporting === format ? 'Preparing…' : label}
+              </button>
+            ))}
+          </div>
+        )}
+      </div>
+      {exportError && (
+        <div className='query-run-error' role='alert'>{exportError}</div>
+      )}
+      {suggestion && showChart && <ResultChart columns={columns} rows={rows} suggestion={suggestion} />}
+      {columns.length > 0 && (
+        <div className='query-result-scroll'>
+          <table className='query-result-table'>
+            <thead>
+              <tr>
+                {columns.map((column, i) => (
+                  <th key={i} title={column.type}>{column.name}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map((row, rowIndex) => (
+                <tr key={rowIndex}>
+                  {columns.map((_, colIndex) => (
+                    <td key={colIndex} className={row[colIndex] == null ? 'null-cell' : undefined}>
+                      {formatValue(row[colIndex])}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default QueryResult;
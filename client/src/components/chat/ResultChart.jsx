@@ -0,0 +1,211 @@
+import { useMemo, useRef, useState } from 'react';
+import {
+  Bar,
+  BarChart,
+  CartesianGrid,
+  Cell,
+  Line,
+  LineChart,
+  Pie,
+  PieChart,
+  ResponsiveContainer,
+  Scatter,
+  ScatterChart,
+  Tooltip,
+  XAxis,
+  YAxis,
+} from 'recharts';
+import { FiImage, FiDownload } from 'react-icons/fi';
+import { CHART_TYPES, classifyColumns, toChartData } from './chartSuggestion';
+
+// Explicit colours (not CSS variables) so exported SVG/PNG files look the same outside the app
+const SERIES_COLOR = '#4f8cff';
+const PIE_COLORS = ['#4f8cff', '#4ade80', '#e0a84a', '#e05c5c', '#a78bfa', '#22d3ee', '#f472b6', '#94a3b8'];
+const AXIS_COLOR = '#8a8f98';
+const CHART_HEIGHT = 260;
+
+function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function serializeSvg(svg) {
+  const copy = svg.cloneNode(true);
+  copy.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+  copy.setAttribute('width', svg.clientWidth);
+  copy.setAttribute('height', svg.clientHeight);
+  return new XMLSerializer().serializeToString(copy);
+}
+
+// Midnight timestamps (Postgres date columns arrive as ISO strings) read better as plain dates
+function formatTick(value) {
+  return typeof value === 'string' ? value.replace(/T00:00:00(\.000)?Z$/, '') : value;
+}
+
+function axisLabel(value, position) {
+  return { value, position, fill: AXIS_COLOR, fontSize: 11, ...(position === 'insideLeft' && { angle: -90 }) };
+}
+
+const ResultChart = ({ columns, rows, suggestion }) => {
+  const containerRef = useRef(null);
+  const [chart, setChart] = useState(suggestion);
+  const classified = useMemo(() => classifyColumns(columns, rows), [columns, rows]);
+  const data = useMemo(() => toChartData(rows, chart), [rows, chart]);
+
+  const numericColumns = classified.filter((column) => column.kind === 'numeric');
+  const xOptions = chart.type === 'scatter' ? numericColumns : classified.filter((column) => column.kind);
+  const xLabel = columns[chart.x]?.name ?? '';
+  const yLabel = columns[chart.y]?.name ?? '';
+
+  const getSvg = () => containerRef.current?.querySelector('svg.recharts-surface');
+
+  const handleExportSvg = () => {
+    const svg = getSvg();
+    if (!svg) return;
+    downloadBlob(new Blob([serializeSvg(svg)], { type: 'image/svg+xml' }), `querify-chart-${chart.type}.svg`);
+  };
+
+  const handleExportPng = () => {
+    const svg = getSvg();
+    if (!svg) return;
+    const image = new Image();
+    const scale = window.devicePixelRatio || 1;
+    image.onload = () => {
+      const canvas = document.createElement('canvas');
+      canvas.width = svg.clientWidth * scale;
+      canvas.height = svg.clientHeight * scale;
+      const context = canvas.getContext('2d');
+      context.fillStyle = getComputedStyle(containerRef.current).backgroundColor || '#ffffff';
+      context.fillRect(0, 0, canvas.width, canvas.height);
+      context.scale(scale, scale);
+      context.drawImage(image, 0, 0);
+      canvas.toBlob((blob) => blob && downloadBlob(blob, `querify-chart-${chart.type}.png`), 'image/png');
+    };
+    image.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(serializeSvg(svg))}`;
+  };
+
+  const handleTypeChange = (type) => {
+    // Scatter needs a numeric x axis; fall back to the first numeric column that isn't y
+    if (type === 'scatter' && classified[chart.x]?.kind !== 'numeric') {
+      const x = numericColumns.find((column) => column.index !== chart.y) ?? numericColumns[0];
+      setChart({ ...chart, type, x: x.index });
+      return;
+    }
+    setChart({ ...chart, type });
+  };
+
+  const renderChart = () => {
+    const xAxis = (
+      <XAxis
+        dataKey='x'
+        type={chart.type === 'scatter' ? 'number' : 'category'}
+        name={xLabel}
+        stroke={AXIS_COLOR}
+        tick={{ fontSize: 11 }}
+        tickFormatter={formatTick}
+        label={axisLabel(xLabel, 'insideBottom')}
+        height={40}
+      />
+    );
+    const yAxis = (
+      <YAxis dataKey='y' name={yLabel} stroke={AXIS_COLOR} tick={{ fontSize: 11 }} label={axisLabel(yLabel, 'insideLeft')} />
+    );
+    const grid = <CartesianGrid strokeDasharray='3 3' stroke={AXIS_COLOR} strokeOpacity={0.25} />;
+
+    if (chart.type === 'pie') {
+      return (
+        <PieChart>
+          <Pie data={data} dataKey='y' nameKey='x' outerRadius={90} label={({ name }) => name} isAnimationActive={false}>
+            {data.map((_, i) => (
+              <Cell key={i} fill={PIE_COLORS[i % PIE_COLORS.length]} />
+            ))}
+          </Pie>
+          <Tooltip formatter={(value) => [value, yLabel]} />
+        </PieChart>
+      );
+    }
+    if (chart.type === 'bar') {
+      return (
+        <BarChart data={data} margin={{ left: 10, bottom: 10 }}>
+          {grid}
+          {xAxis}
+          {yAxis}
+          <Tooltip formatter={(value) => [value, yLabel]} />
+          <Bar dataKey='y' fill={SERIES_COLOR} isAnimationActive={false} />
+        </BarChart>
+      );
+    }
+    if (chart.type === 'scatter') {
+      return (
+        <ScatterChart margin={{ left: 10, bottom: 10 }}>
+          {grid}
+          {xAxis}
+          {yAxis}
+          <Tooltip />
+          <Scatter data={data} fill={SERIES_COLOR} isAnimationActive={false} />
+        </ScatterChart>
+      );
+    }
+    return (
+      <LineChart data={data} margin={{ left: 10, bottom: 10 }}>
+        {grid}
+        {xAxis}
+        {yAxis}
+        <Tooltip formatter={(value) => [value, yLabel]} />
+        <Line dataKey='y' stroke={SERIES_COLOR} dot={data.length <= 50} isAnimationActive={false} />
+      </LineChart>
+    );
+  };
+
+  return (
+    <div className='result-chart'>
+      <div className='result-chart-controls'>
+        <label>
+          Chart
+          <select value={chart.type} onChange={(e) => handleTypeChange(e.target.value)}>
+            {CHART_TYPES.filter((type) => type !== 'scatter' || numericColumns.length >= 2).map((type) => (
+              <option key={type} value={type}>{type}</option>
+            ))}
+          </select>
+        </label>
+        <label>
+          {chart.type === 'pie' ? 'Slices' : 'X'}
+          <select value={chart.x} onChange={(e) => setChart({ ...chart, x: Number(e.target.value) })}>
+            {xOptions.map((column) => (
+              <option key={column.index} value={column.index}>{column.name}</option>
+            ))}
+          </select>
+        </label>
+        <label>
+          {chart.type === 'pie' ? 'Values' : 'Y'}
+          <select value={chart.y} onChange={(e) => setChart({ ...chart, y: Number(e.target.value) })}>
+            {numericColumns.map((column) => (
+              <option key={column.index} value={column.index}>{column.name}</option>
+            ))}
+          </select>
+        </label>
+        <div className='result-chart-export'>
+          <button className='run-sql-btn' onClick={handleExportPng} title='Download chart as PNG'>
+            <FiImage size={12} />
+            PNG
+          </button>
+          <button className='run-sql-btn' onClick={handleExportSvg} title='Download chart as SVG'>
+            <FiDownload size={12} />
+            SVG
+          </button>
+        </div>
+      </div>
+      <div className='result-chart-canvas' ref={containerRef}>
+        <ResponsiveContainer width='100%' height={CHART_HEIGHT}>
+          {renderChart()}
+        </ResponsiveContainer>
+      </div>
+    </div>
+  );
+};
+
+export default ResultChart;
@@ -0,0 +1,78 @@
+// Picks a chart for a result set from its column types and values.
+// Column names are the model's human-readable aliases, so they double as axis labels.
+
+const NUMERIC_TYPE = /^(smallint|integer|int|bigint|tinyint|numeric|decimal|real|double precision|float|money|smallmoney)\b/i;
+const TEMPORAL_TYPE = /^(date|time|timestamp|timestamptz|datetime|datetime2|smalldatetime|datetimeoffset)\b/i;
+const ISO_DATE = /^\d{4}-\d{2}(-\d{2})?([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+export const CHART_TYPES = ['line', 'bar', 'pie', 'scatter'];
+
+// Pie charts with more slices than this are unreadable
+const MAX_PIE_SLICES = 8;
+
+function nonNullValues(rows, index) {
+  return rows.map((row) => row[index]).filter((value) => value !== null && value !== undefined);
+}
+
+function isNumericValue(value) {
+  if (typeof value === 'number') return Number.isFinite(value);
+  // Postgres returns numeric and bigint as strings
+  return typeof value === 'string' && value.trim() !== '' && Number.isFinite(Number(value));
+}
+
+function isTemporalValue(value) {
+  if (value instanceof Date) return true;
+  return typeof value === 'string' && ISO_DATE.test(value) && !Number.isNaN(Date.parse(value));
+}
+
+/** Classify each column as 'numeric', 'temporal' or 'category' (or null when it is empty). */
+export function classifyColumns(columns, rows) {
+  return columns.map((column, index) => {
+    const values = nonNullValues(rows, index);
+    if (values.length === 0) return { ...column, index, kind: null };
+
+    let kind = 'category';
+    if (NUMERIC_TYPE.test(column.type ?? '') || values.every(isNumericValue)) kind = 'numeric';
+    if (TEMPORAL_TYPE.test(column.type ?? '') || values.every(isTemporalValue)) kind = 'temporal';
+    return { ...column, index, kind };
+  });
+}
+
+/**
+ * Suggest { type, x, y } (column indexes) for a result set, or null when nothing fits:
+ * date + number → line, category + number → bar (pie for a handful of rows),
+ * two numbers → scatter.
+ */
+export function suggestChart(columns, rows) {
+  if (rows.length < 2) return null;
+  const classified = classifyColumns(columns, rows);
+  const numeric = classified.filter((column) => column.kind === 'numeric');
+  const temporal = classified.find((column) => column.kind === 'temporal');
+  const category = classified.find((column) => column.kind === 'category');
+
+  if (numeric.length === 0) return null;
+  if (temporal) return { type: 'line', x: temporal.index, y: numeric[0].index };
+  if (category) {
+    const type = numeric.length === 1 && rows.length <= MAX_PIE_SLICES ? 'pie' : 'bar';
+    return { type, x: category.index, y: numeric[0].index };
+  }
+  if (numeric.length >= 2) return { type: 'scatter', x: numeric[0].index, y: numeric[1].index };
+  return null;
+}
+
+function toNumber(value) {
+  return value === null || value === undefined ? null : Number(value);
+}
+
+/**
+ * Rows → recharts data points keyed x / y. y is always coerced to a number; x only for
+ * scatter charts, where both axes are numeric. Points missing either value are dropped.
+ */
+export function toChartData(rows, { type, x, y }) {
+  return rows
+    .map((row) => ({
+      x: type === 'scatter' ? toNumber(row[x]) : row[x],
+      y: toNumber(row[y]),
+    }))
+    .filter((point) => point.x !== null && point.x !== undefined && Number.isFinite(point.y));
+}
@@ -0,0 +1,18 @@
+// Index and constraint notes for one column, from the table's indexes / uniqueConstraints /
+// checkConstraints (GET /db/:driver/constraints). Primary key indexes are left out — the PK
+// badge already says as much.
+export function columnConstraintNotes(table, columnName) {
+  const indexes = (table.indexes ?? [])
+    .filter((index) => !index.primary && index.columns.includes(columnName))
+    .map((index) => {
+      const flags = [index.type, index.unique ? 'unique' : ''].filter(Boolean).join(', ');
+      return `Index ${index.name}${flags ? ` (${flags})` : ''}: ${index.columns.join(', ')}`;
+    });
+  const uniques = (table.uniqueConstraints ?? [])
+    .filter((constraint) => constraint.columns.includes(columnName))
+    .map((constraint) => `Unique ${constraint.name}: ${constraint.columns.join(', ')}`);
+  const checks = (table.checkConstraints ?? [])
+    .filter((constraint) => constraint.columns.includes(columnName))
+    .map((constraint) => `Check ${constraint.name}: ${constraint.definition}`);
+  return { indexes, uniques, checks };
+}
@@ -0,0 +1,13 @@
+// Foreign keys of a sidebar / ERD column as { constraint, position, table, column }. Schemas
+// cached before composite keys were modelled only carry foreignTable / foreignColumn.
+export function columnForeignKeys(column) {
+  if (Array.isArray(column.foreignKeys)) return column.foreignKeys;
+  return column.isForeign && column.foreignTable
+    ? [{ constraint: null, position: 1, table: column.foreignTable, column: column.foreignColumn }]
+    : [];
+}
+
+// Distinct tables a column points at, in constraint order
+export function referencedTables(column) {
+  return [...new Set(columnForeignKeys(column).map((fk) => fk.table))];
+}
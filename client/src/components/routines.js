@@ -0,0 +1,23 @@
+// Display helpers for routines from /db/:driver/routines
+const ROUTINE_TYPE_BADGES = {
+  FUNCTION: 'Function',
+  'TABLE FUNCTION': 'Table fn',
+  PROCEDURE: 'Procedure',
+};
+
+// The sidebar only needs enough of the body to show what the routine does
+const MAX_SNIPPET_CHARS = 400;
+
+export function routineTypeBadge(type) {
+  return ROUTINE_TYPE_BADGES[type] ?? type;
+}
+
+export function routineSignature(routine) {
+  const returns = routine.returnType ? ` → ${routine.returnType}` : '';
+  return `(${routine.parameters ?? ''})${returns}`;
+}
+
+export function routineSnippet(definition) {
+  if (!definition) return null;
+  return definition.length > MAX_SNIPPET_CHARS ? `${definition.slice(0, MAX_SNIPPET_CHARS)}…` : definition;
+}
@@ -0,0 +1,25 @@
+// SSH tunnel settings shared by the PostgreSQL and SQL Server connect forms
+export const EMPTY_SSH_TUNNEL = {
+  enabled: false,
+  host: '',
+  port: '',
+  user: '',
+  password: '',
+  privateKey: null, // File with the PEM / OpenSSH key
+  passphrase: '',
+  hostFingerprint: '',
+};
+
+// Form state → the `ssh` field of the connect body; undefined connects directly
+export async function sshTunnelBody(tunnel) {
+  if (!tunnel.enabled) return undefined;
+  return {
+    host: tunnel.host,
+    port: tunnel.port || undefined,
+    user: tunnel.user,
+    password: tunnel.password || undefined,
+    privateKey: await tunnel.privateKey?.text(),
+    passphrase: tunnel.passphrase || undefined,
+    hostFingerprint: tunnel.hostFingerprint.trim() || undefined,
+  };
+}
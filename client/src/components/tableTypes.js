@@ -0,0 +1,10 @@
+// Badge labels for schema objects that are not base tables (row.table_type from /db/:driver/schema)
+const TABLE_TYPE_BADGES = {
+  VIEW: 'View',
+  'MATERIALIZED VIEW': 'Mat. view',
+  'INDEXED VIEW': 'Indexed view',
+};
+
+export function tableTypeBadge(tableType) {
+  return TABLE_TYPE_BADGES[tableType] ?? null;
+}
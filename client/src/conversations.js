@@ -0,0 +1,65 @@
+import axios from 'axios';
+import { API_BASE } from './api.js';
+
+// Conversations belong to this random key (see conversation.service.js on the server). It stays
+// when the user leaves a connection; entering it in another browser brings the history along.
+const HISTORY_KEY_STORAGE = 'querify_history_key';
+const HISTORY_KEY_HEADER = 'X-Querify-History-Key';
+export const HISTORY_KEY_PATTERN = /^[A-Za-z0-9_-]{32,128}$/;
+
+function newHistoryKey() {
+  const bytes = crypto.getRandomValues(new Uint8Array(24));
+  return btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_');
+}
+
+export function getHistoryKey() {
+  let key = localStorage.getItem(HISTORY_KEY_STORAGE);
+  if (!key || !HISTORY_KEY_PATTERN.test(key)) {
+    key = newHistoryKey();
+    localStorage.setItem(HISTORY_KEY_STORAGE, key);
+  }
+  return key;
+}
+
+/** Switches to another browser's history key; every later request carries it. */
+export function setHistoryKey(key) {
+  localStorage.setItem(HISTORY_KEY_STORAGE, key);
+  axios.defaults.headers.common[HISTORY_KEY_HEADER] = key;
+}
+
+axios.defaults.headers.common[HISTORY_KEY_HEADER] = getHistoryKey();
+
+/** Conversation history kept by the server (GET/DELETE /api/conversations) under the history key. */
+export async function listConversations() {
+  const res = await axios.get(`${API_BASE}/api/conversations`);
+  return res.data.conversations;
+}
+
+/** The conversation with its transcript, or null when the server has none under that ID. */
+export async function getConversation(id) {
+  try {
+    const res = await axios.get(`${API_BASE}/api/conversations/${id}`);
+    return res.data;
+  } catch (err) {
+    if (err.response?.status === 404) return null;
+    throw err;
+  }
+}
+
+export async function deleteConversation(id) {
+  await axios.delete(`${API_BASE}/api/conversations/${id}`);
+}
+
+// Same content ChatBot builds from a live /api/query answer
+export function botContent({ sql, explanation }) {
+  return sql ? `${explanation}\n\n\`\`\`sql\n${sql}\n\`\`\`` : explanation;
+}
+
+/** Transcript messages → ChatMessages' { role: 'user' | 'bot', content }. */
+export function toChatMessages(conversation) {
+  return (conversation?.messages ?? []).map((message) =>
+    message.role === 'assistant'
+      ? { role: 'bot', content: botContent(message) }
+      : { role: 'user', content: message.content }
+  );
+}
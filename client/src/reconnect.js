@@ -0,0 +1,36 @@
+import axios from 'axios';
+import { API_BASE } from './api.js';
+
+/**
+ * Reconnect handshake for a connection this browser believes is open. The server may have
+ * restarted or closed an idle pool since; it reopens what it can without credentials.
+ * Resolves to { status: 'connected' | 'reconnected' } or
+ * { status: 'credentials-required' | 'disconnected' | 'failed', error }.
+ */
+export async function reconnectSession(dbType) {
+  try {
+    const res = await axios.post(`${API_BASE}/db/${dbType}/reconnect`);
+    return res.data;
+  } catch (err) {
+    return {
+      status: err.response?.data?.status ?? 'failed',
+      error: err.response?.data?.error ?? 'Could not reach the server to restore the connection',
+    };
+  }
+}
+
+export function isConnected(handshake) {
+  return handshake.status === 'connected' || handshake.status === 'reconnected';
+}
+
+/** Runs `request`; when the server has lost the session's pool (503), reopens it once and retries. */
+export async function withReconnect(dbType, request) {
+  try {
+    return await request();
+  } catch (err) {
+    if (err.response?.status !== 503) throw err;
+    const handshake = await reconnectSession(dbType);
+    if (handshake.status !== 'reconnected') throw err;
+    return request();
+  }
+}
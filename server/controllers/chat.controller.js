@@ -2,6 +2,9 @@
 // controller for chat-related endpoints
 
 import { chatService } from '../services/chat.service.js';
+import { connectionService } from '../services/connection.service.js';
+import { conversationIdentity, historyKeyFrom } from '../services/conversation.service.js';
+import { postgresDriver } from '../drivers/postgres.driver.js';
 import z from 'zod';
 
 // Implementation detail
@@ -21,9 +24,17 @@ export const chatController = {
       return;
     }
 
+    const historyKey = historyKeyFrom(req.headers);
+    if (!historyKey.ok) {
+      res.status(historyKey.status).json(historyKey.body);
+      return;
+    }
+
     try {
       const { prompt, conversationId } = req.body;
-      const response = await chatService.sendMessage(prompt, conversationId);
+      const context = await connectionService.getSchemaContext(req.sessionID, postgresDriver);
+      const conversation = conversationIdentity(req.sessionID, req.session, postgresDriver.name, historyKey.key);
+      const response = await chatService.sendMessage(prompt, conversationId, undefined, { context, conversation });
       res.json({
         sql: response.sql,
         explanation: response.explanation,
@@ -0,0 +1,161 @@
+// gateway
+// Controller for the /db/:driver/... endpoints. Routes without a :driver segment are the
+// original Postgres endpoints and resolve to the postgres adapter. Connections belong to the
+// caller's session, so every call passes req.sessionID along.
+
+import { connectionService } from '../services/connection.service.js';
+import { driverRegistry } from '../drivers/index.js';
+import z from 'zod';
+import { PII_POLICIES } from '../services/piiPolicy.js';
+
+const piiPolicySchema = z.enum(PII_POLICIES).optional();
+// Routine calls stay off unless the connection allows all of them (true) or names some
+const allowRoutinesSchema = z.union([z.boolean(), z.array(z.string().trim().min(1))]).optional();
+
+// The upload body is the raw file, so options travel in the query string
+const uploadQuerySchema = z.object({
+  piiPolicy: piiPolicySchema,
+});
+
+/** Adapter for req.params.driver, or null after sending a 404. */
+function resolveDriver(req, res) {
+  const driver = driverRegistry.get(req.params?.driver ?? 'postgres');
+  if (!driver) {
+    res.status(404).json({ error: `Unknown database driver: ${req.params.driver}` });
+    return null;
+  }
+  return driver;
+}
+
+// The session remembers how each driver's connection was opened, for POST /db/:driver/reconnect
+function rememberConnection(req, driver, result) {
+  req.session.connected = true;
+  req.session.connections = { ...req.session.connections, [driver.name]: result.reconnect };
+}
+
+function sendConnectResult(req, res, driver, result, message, fallbackError) {
+  if (result.ok) {
+    rememberConnection(req, driver, result);
+    res.json({ message });
+    return;
+  }
+  // A failed attempt leaves the session's pools open, including the one it would have replaced
+  if (!connectionService.hasOpenConnection(req.sessionID)) req.session.connected = false;
+  res.status(result.status || 500).json({ error: result.error || fallbackError });
+}
+
+function sendResult(res, result) {
+  if (result.ok) {
+    res.json(result.body);
+    return;
+  }
+  res.status(result.status || 500).json(result.body);
+}
+
+// Public interface
+export const connectionController = {
+  async connectDemo(req, res) {
+    const driver = resolveDriver(req, res);
+    if (!driver) return;
+
+    const result = await connectionService.connectDemo(req.sessionID, driver);
+    sendConnectResult(req, res, driver, result, `Connected to demo ${driver.label} database`, `Failed to connect to demo ${driver.label} database`);
+  },
+
+  async connect(req, res) {
+    const driver = resolveDriver(req, res);
+    if (!driver) return;
+
+    const parseResult = driver.configSchema.extend({ piiPolicy: piiPolicySchema, allowRoutines: allowRoutinesSchema }).safeParse(req.body);
+    if (!parseResult.success) {
+      res.status(400).json({ error: parseResult.error.format() });
+      return;
+    }
+
+    const result = await connectionService.connect(req.sessionID, driver, parseResult.data);
+    sendConnectResult(req, res, driver, result, `Connected to ${driver.label}`, 'Failed to connect with provided credentials');
+  },
+
+  async upload(req, res) {
+    const driver = resolveDriver(req, res);
+    if (!driver) return;
+
+    const parseResult = uploadQuerySchema.safeParse(req.query ?? {});
+    if (!parseResult.success) {
+      res.status(400).json({ error: parseResult.error.format() });
+      return;
+    }
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      res.status(400).json({ error: 'Upload the database file as application/octet-stream' });
+      return;
+    }
+
+    const result = await connectionService.connectUpload(req.sessionID, driver, req.body, parseResult.data);
+    sendConnectResult(req, res, driver, result, `Connected to uploaded ${driver.label} database`, `Failed to open uploaded ${driver.label} database`);
+  },
+
+  // Reconnect handshake for a client that thinks it is connected (see connectionService.reconnect)
+  async reconnect(req, res) {
+    const driver = resolveDriver(req, res);
+    if (!driver) return;
+
+    const record = req.session.connected ? req.session.connections?.[driver.name] : undefined;
+    sendResult(res, await connectionService.reconnect(req.sessionID, driver, record));
+  },
+
+  getStatus(req, res) {
+    const driver = resolveDriver(req, res);
+    if (!driver) return;
+
+    res.json(connectionService.getStatus(req.sessionID, driver));
+  },
+
+  async getHealth(req, res) {
+    const driver = resolveDriver(req, res);
+    if (!driver) return;
+
+    sendResult(res, await connectionService.getHealth(req.sessionID, driver));
+  },
+
+  async getSchema(req, res) {
+    const driver = resolveDriver(req, res);
+    if (!driver) return;
+
+    sendResult(res, await connectionService.getSchema(req.sessionID, driver));
+  },
+
+  async getTableConstraints(req, res) {
+    const driver = resolveDriver(req, res);
+    if (!driver) return;
+
+    sendResult(res, await connectionService.getTableConstraints(req.sessionID, driver));
+  },
+
+  async getRoutines(req, res) {
+    const driver = resolveDriver(req, res);
+    if (!driver) return;
+
+    sendResult(res, await connectionService.getRoutines(req.sessionID, driver));
+  },
+
+  async getTableDescriptions(req, res) {
+    const driver = resolveDriver(req, res);
+    if (!driver) return;
+
+    sendResult(res, await connectionService.getTableDescriptions(req.sessionID, driver));
+  },
+
+  async buildExplorerSnapshot(req, res) {
+    const driver = resolveDriver(req, res);
+    if (!driver) return;
+
+    sendResult(res, await connectionService.buildExplorerSnapshot(req.sessionID, driver));
+  },
+
+  async clearExplorerSnapshot(req, res) {
+    const driver = resolveDriver(req, res);
+    if (!driver) return;
+
+    sendResult(res, await connectionService.clearExplorerSnapshot(req.sessionID, driver));
+  },
+};
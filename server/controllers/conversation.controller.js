@@ -0,0 +1,63 @@
+// gateway
+// Controller for the /api/conversations endpoints. Every call is limited to the conversations
+// of the caller's history key, or its session without one (see conversationOwner in conversation.service.js).
+
+import z from 'zod';
+import { conversationService, conversationOwner, historyKeyFrom } from '../services/conversation.service.js';
+
+// Conversation IDs are the client's UUIDs (the conversationId of POST /api/query)
+const idSchema = z.string().uuid('Conversation ID must be a valid UUID');
+
+/** req.params.id, or null after sending a 400. */
+function resolveId(req, res) {
+  const parseResult = idSchema.safeParse(req.params?.id);
+  if (!parseResult.success) {
+    res.status(400).json({ error: parseResult.error.format() });
+    return null;
+  }
+  return parseResult.data;
+}
+
+function sendResult(res, result) {
+  if (result.ok) {
+    res.json(result.body);
+    return;
+  }
+  res.status(result.status || 500).json(result.body);
+}
+
+/** The caller's conversation owner, or null after sending a 400 for a malformed history key. */
+function resolveOwner(req, res) {
+  const historyKey = historyKeyFrom(req.headers);
+  if (!historyKey.ok) {
+    sendResult(res, historyKey);
+    return null;
+  }
+  return conversationOwner(req.sessionID, historyKey.key);
+}
+
+// Public interface
+export const conversationController = {
+  list(req, res) {
+    const owner = resolveOwner(req, res);
+    if (!owner) return;
+
+    sendResult(res, conversationService.list(owner));
+  },
+
+  get(req, res) {
+    const owner = resolveOwner(req, res);
+    const id = owner && resolveId(req, res);
+    if (!id) return;
+
+    sendResult(res, conversationService.get(owner, id));
+  },
+
+  delete(req, res) {
+    const owner = resolveOwner(req, res);
+    const id = owner && resolveId(req, res);
+    if (!id) return;
+
+    sendResult(res, conversationService.delete(owner, id));
+  },
+};
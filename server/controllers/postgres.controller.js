@@ -1,107 +1,35 @@
 // gateway
-// controller for postgres-related endpoints
+// controller for the /api schema endpoints (connect + introspect, structured schema, descriptions)
 
-import { postgresService } from '../services/postgres.service.js';
-import { schemaStore } from '../services/schemaStore.js';
+import { snapshotService } from '../services/snapshot.service.js';
+import { connectionService } from '../services/connection.service.js';
+import { postgresDriver } from '../drivers/postgres.driver.js';
 import z from 'zod';
+import { PII_POLICIES } from '../services/piiPolicy.js';
 
-const connectSchema = z.object({
-  host: z.string().trim().min(1, 'Host is required'),
-  user: z.string().trim().min(1, 'User is required'),
-  database: z.string().trim().min(1, 'Database is required'),
-  port: z.union([z.string(), z.number()]).optional(),
-  password: z.string().optional(),
-  ssl: z.boolean().optional(),
-  options: z.string().optional(),
+const connectSchema = postgresDriver.configSchema.extend({
+  piiPolicy: z.enum(PII_POLICIES).optional(),
+  allowRoutines: z.union([z.boolean(), z.array(z.string().trim().min(1))]).optional(),
 });
 
 // Public interface
 export const postgresController = {
-  async connectDemo(req, res) {
-    const result = await postgresService.connectDemo();
-    if (result.ok) {
-      req.session.connected = true;
-      res.json({ message: 'Connected to demo DB' });
-      return;
-    }
-
-    req.session.connected = false;
-    res.status(result.status || 500).json({
-      error: result.error || 'Failed to connect to demo DB',
-    });
-  },
-  async connect(req, res) {
-    const parseResult = connectSchema.safeParse(req.body);
-    if (!parseResult.success) {
-      res.status(400).json({ error: parseResult.error.format() });
-      return;
-    }
-
-    const result = await postgresService.connect(parseResult.data);
-    if (result.ok) {
-      req.session.connected = true;
-      res.json({ message: 'Connected' });
-      return;
-    }
-
-    req.session.connected = false;
-    res.status(result.status || 500).json({
-      error: result.error || 'Failed to connect with provided credentials',
-    });
-  },
-  getStatus(req, res) {
-    res.json(postgresService.getStatus());
-  },
-  async getHealth(req, res) {
-    const result = await postgresService.getHealth();
-    if (result.ok) {
-      res.json(result.body);
-      return;
-    }
-
-    res.status(result.status || 500).json(result.body);
-  },
-  async getSchema(req, res) {
-    const result = await postgresService.getSchema();
-    if (result.ok) {
-      res.json(result.body);
-      return;
-    }
-
-    res.status(result.status || 500).json(result.body);
-  },
-  async buildExplorerSnapshot(req, res) {
-    const result = await postgresService.buildExplorerSnapshot();
-    if (result.ok) {
-      res.json(result.body);
-      return;
-    }
-
-    res.status(result.status || 500).json(result.body);
-  },
-  async clearExplorerSnapshot(req, res) {
-    const result = await postgresService.clearExplorerSnapshot();
-    if (result.ok) {
-      res.json(result.body);
-      return;
-    }
-
-    res.status(result.status || 500).json(result.body);
-  },
-  getIntrospectedSchema(req, res) {
-    if (!schemaStore.isAvailable()) {
+  async getIntrospectedSchema(req, res) {
+    const context = await connectionService.getSchemaContext(req.sessionID, postgresDriver);
+    if (!context?.introspection) {
       res.status(503).json({ error: 'No schema available. Connect to a database first.' });
       return;
     }
 
-    const { tables } = schemaStore.get();
+    const { tables } = context.introspection;
 
     const relationships = tables.flatMap((table) =>
       table.foreignKeys.map((fk) => ({
+        name: fk.name,
         fromTable: table.name,
-        fromColumn: fk.column,
+        fromColumns: fk.columns,
         toTable: fk.referencedTable,
-        toColumn: fk.referencedColumn,
+        toColumns: fk.referencedColumns,
       }))
     );
 
@@ -114,20 +42,21 @@ export const postgresController = {
       return;
     }
 
-    const result = await postgresService.connectAndIntrospect(parseResult.data);
+    const result = await connectionService.connectAndIntrospect(req.sessionID, postgresDriver, parseResult.data);
     if (result.ok) {
       req.session.connected = true;
+      req.session.connections = { ...req.session.connections, [postgresDriver.name]: result.reconnect };
       res.json({ tables: result.tables, descriptions: result.descriptions });
       return;
     }
 
-    req.session.connected = false;
+    if (!connectionService.hasOpenConnection(req.sessionID)) req.session.connected = false;
     res.status(result.status || 500).json({
       error: result.error || 'Failed to connect',
     });
   },
   async getTableDescriptions(req, res) {
-    const result = await postgresService.getTableDescriptions();
+    const result = await snapshotService.getTableDescriptions(req.sessionID, postgresDriver);
     res.json(result.body);
   },
 };
@@ -1,15 +1,13 @@
 // controller for the /api/query endpoint
 
-import { promises as fs } from 'fs';
-import path from 'path';
-import { fileURLToPath } from 'url';
 import z from 'zod';
 import { chatService } from '../services/chat.service.js';
-import { queryCache } from '../services/cache.js';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-const tableMetadataPath = path.resolve(__dirname, '../prompts/table-metadata.json');
+import { conversationIdentity, historyKeyFrom } from '../services/conversation.service.js';
+import { connectionService } from '../services/connection.service.js';
+import { driverRegistry } from '../drivers/index.js';
+import { queryCache, cacheScope } from '../services/cache.js';
+import { resultExport, EXPORT_FORMATS } from '../services/resultExport.js';
+import { resultMasking } from '../services/resultMasking.js';
 
 // Zod schema for incoming request body
 const querySchema = z.object({
@@ -18,15 +16,88 @@ const querySchema = z.object({
   dialect: z.string().trim().optional(),
 });
 
-/** Load table names from the metadata file; falls back to [] if missing. */
-async function loadTableNames() {
-  try {
-    const content = await fs.readFile(tableMetadataPath, 'utf8');
-    const metadata = JSON.parse(content);
-    return Object.keys(metadata).filter((k) => !k.startsWith('_'));
-  } catch {
-    return [];
+const executeSchema = z.object({
+  sql: z.string().trim().min(1, 'SQL cannot be empty').max(20000, 'SQL is too long (max 20000 characters)'),
+  dialect: z.string().trim().optional(),
+});
+
+const exportSchema = executeSchema.extend({
+  format: z.enum(Object.keys(EXPORT_FORMATS)),
+});
+
+/**
+ * Build the verifier chatService uses for self-repair: dry-run the generated SQL against the
+ * session's live connection (compile only, nothing is executed) and report whether a failure is worth
+ * sending back to the model. Returns undefined when no connection for the dialect is open.
+ */
+function buildSqlVerifier(sessionId, dialect) {
+  const driver = driverRegistry.get(dialect ?? 'postgres');
+  if (!driver || !connectionService.getStatus(sessionId, driver).available) return undefined;
+
+  return async (sql) => {
+    const result = await connectionService.validateQuery(sessionId, driver, sql);
+    if (result.ok) return { ok: true };
+
+    // 400 = database error, 422 = safety check — both are mistakes the model can fix.
+    // Timeouts and missing connections are not, so stop there.
+    const repairable = result.status === 400 || result.status === 422;
+    const reasons = result.body?.reasons?.map((reason) => reason.message) ?? [];
+    const error = reasons.length > 0 ? `${result.body.error}: ${reasons.join(' ')}` : result.body?.error;
+    return { ok: false, error: error ?? 'Query failed', repairable };
+  };
+}
+
+/** Summarise the last dry run of the returned SQL for the `validation` field. */
+function toValidation(sql, check) {
+  if (!sql || !check) return { status: 'skipped', error: null };
+  if (check.ok) return { status: 'valid', error: null };
+  return { status: check.repairable ? 'invalid' : 'error', error: check.error };
+}
+
+/** Table names in the snapshot of the caller's connection; [] before one is taken. */
+function loadTableNames(context) {
+  return Object.keys(context?.metadata ?? {}).filter((k) => !k.startsWith('_'));
+}
+
+/**
+ * True when the session connected `driver` but the pool has closed since (restart, idle reaping).
+ * Answering then would use an empty schema; a 503 makes the client run the reconnect handshake.
+ */
+function hasLostConnection(req, driver) {
+  if (!driver || !req.session?.connections?.[driver.name]) return false;
+  return !connectionService.getStatus(req.sessionID, driver).available;
+}
+
+/** Schema context of the caller's connection for `dialect`; null when there is none. */
+async function loadSchemaContext(sessionId, dialect) {
+  const driver = driverRegistry.get(dialect ?? 'postgres');
+  return driver ? connectionService.getSchemaContext(sessionId, driver) : null;
+}
+
+/**
+ * Validate { sql, dialect }, then hand the SQL to connectionService `method` with the dialect's driver.
+ * `present(body, context)` may reshape a successful body before it is sent.
+ */
+async function runOnDriver(req, res, method, present = (body) => body) {
+  const parseResult = executeSchema.safeParse(req.body);
+  if (!parseResult.success) {
+    res.status(400).json({ error: parseResult.error.format() });
+    return;
+  }
+
+  const { sql, dialect } = parseResult.data;
+  const driver = driverRegistry.get(dialect ?? 'postgres');
+  if (!driver) {
+    res.status(400).json({ error: `Unsupported dialect: ${dialect}` });
+    return;
+  }
+
+  const result = await connectionService[method](req.sessionID, driver, sql);
+  if (result.ok) {
+    res.json(present(result.body, { driver, sql }));
+    return;
   }
+  res.status(result.status || 500).json(result.body);
 }
 
 // Public interface
@@ -41,20 +112,42 @@ export const queryController = {
 
     const { question, conversationId, dialect } = parseResult.data;
 
+    const historyKey = historyKeyFrom(req.headers);
+    if (!historyKey.ok) {
+      res.status(historyKey.status).json(historyKey.body);
+      return;
+    }
+
+    const driver = driverRegistry.get(dialect ?? 'postgres');
+    if (hasLostConnection(req, driver)) {
+      res.status(503).json({ error: `${driver.label} connection not available` });
+      return;
+    }
+
     try {
-      // Build cache key from question + dialect + current table names
-      const tableNames = await loadTableNames();
-      const cacheKey = queryCache.buildKey(`${dialect ?? ''}:${question}`, tableNames);
+      // Build cache key from question + current table names, scoped to this session's connection
+      const context = await loadSchemaContext(req.sessionID, dialect);
+      const tableNames = loadTableNames(context);
+      const driverName = driver?.name ?? dialect;
+      const scope = cacheScope(req.sessionID, driverName);
+      const cacheKey = queryCache.buildKey(question, tableNames, scope);
+      const conversation = conversationIdentity(req.sessionID, req.session, driverName, historyKey.key);
 
       // Cache hit — return immediately without calling AI
       const cached = queryCache.get(cacheKey);
       if (cached) {
+        chatService.recordCachedAnswer(question, conversationId, cached, { conversation });
         res.json(cached);
         return;
       }
 
       // Cache miss — call service
-      const response = await chatService.sendMessage(question, conversationId, dialect);
+      // Remember the last check so the response can report how the final SQL fared
+      const verifier = buildSqlVerifier(req.sessionID, dialect);
+      let lastCheck = null;
+      const verifySql = verifier && (async (sql) => (lastCheck = await verifier(sql)));
+
+      const response = await chatService.sendMessage(question, conversationId, dialect, { verifySql, context, conversation });
 
       const result = {
         sql: response.sql ?? null,
@@ -62,13 +155,96 @@ export const queryController = {
         tablesUsed: response.tables_used ?? [],
         tablesCached: response.tables_cached ?? [],
         piiColumnsMasked: response.pii_columns_masked ?? [],
+        attempts: response.attempts ?? [],
+        validation: toValidation(response.sql, lastCheck),
         tokenCount: response.token_count ?? 0,
       };
 
-      queryCache.set(cacheKey, result);
+      queryCache.set(cacheKey, result, scope);
       res.json(result);
     } catch (error) {
       res.status(500).json({ error: 'Failed to generate a response' });
     }
   },
+
+  async executeQuery(req, res) {
+    await runOnDriver(req, res, 'executeQuery', (body, { driver, sql }) => {
+      const masker = resultMasking.createMasker(body.columns, {
+        policy: connectionService.getPiiPolicy(req.sessionID, driver),
+        sessionId: req.sessionID,
+        dialect: driver.dialect,
+        sql,
+      });
+      const rows = masker.maskRows(body.rows);
+      masker.finish();
+      return { ...body, rows, piiPolicy: masker.policy, piiColumns: masker.piiColumns, piiColumnsMasked: masker.maskedColumns };
+    });
+  },
+
+  async explainQuery(req, res) {
+    await runOnDriver(req, res, 'explainQuery');
+  },
+
+  // Step 1 of an export: check the SQL compiles, then hand back a one-time download URL
+  async createExport(req, res) {
+    const parseResult = exportSchema.safeParse(req.body);
+    if (!parseResult.success) {
+      res.status(400).json({ error: parseResult.error.format() });
+      return;
+    }
+
+    const { sql, dialect, format } = parseResult.data;
+    const driver = driverRegistry.get(dialect ?? 'postgres');
+    if (!driver) {
+      res.status(400).json({ error: `Unsupported dialect: ${dialect}` });
+      return;
+    }
+
+    const check = await connectionService.validateQuery(req.sessionID, driver, sql);
+    if (!check.ok) {
+      res.status(check.status || 500).json(check.body);
+      return;
+    }
+
+    const token = resultExport.createTicket({ sql, dialect: driver.name, format, sessionId: req.sessionID });
+    res.status(201).json({ downloadUrl: `/api/query/export/${token}` });
+  },
+
+  // Step 2: stream the file. Headers are only sent once the first batch is in, so early
+  // failures still get a JSON error; later ones abort the download.
+  async downloadExport(req, res) {
+    const ticket = resultExport.redeemTicket(req.params.token, req.sessionID);
+    if (!ticket) {
+      res.status(404).json({ error: 'Export link expired or not found. Please export again.' });
+      return;
+    }
+
+    const driver = driverRegistry.get(ticket.dialect);
+    const result = await connectionService.openExport(req.sessionID, driver, ticket.sql);
+    if (!result.ok) {
+      res.status(result.status || 500).json(result.body);
+      return;
+    }
+
+    // Exports follow the same PII policy as the results grid
+    const masker = resultMasking.createMasker(result.columns, {
+      policy: connectionService.getPiiPolicy(req.sessionID, driver),
+      sessionId: req.sessionID,
+      dialect: driver.dialect,
+      sql: ticket.sql,
+    });
+    const batches = (async function* () {
+      for await (const { rows } of result.batches) yield { rows: masker.maskRows(rows) };
+    })();
+
+    res.setHeader('Content-Type', EXPORT_FORMATS[ticket.format].contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${resultExport.fileName(ticket.format)}"`);
+    try {
+      await resultExport.write(ticket.format, res, result.columns, batches);
+      masker.finish();
+    } catch (err) {
+      console.error('[export] stream failed:', err.message);
+      res.destroy(err);
+    }
+  },
 };
@@ -0,0 +1,37 @@
+// server/db/foreignKeys.js
+// Folds foreign key constraints into the per-column schema rows every engine returns
+
+/**
+ * Adds the foreign key fields to each schema row (matched on table_name + column_name).
+ * `fkRows` hold one row per constraint column: { table_name, column_name, constraint_name,
+ * position, foreign_table, foreign_column }, `position` being the column's 1-based place in
+ * the constraint. Each schema row gets `foreign_keys` — every constraint the column takes
+ * part in, ordered by constraint name — and is_foreign / foreign_table / foreign_column
+ * describing the first of them, as before composite keys were modelled.
+ */
+export function attachForeignKeys(rows, fkRows) {
+  const byColumn = new Map();
+  for (const fk of fkRows) {
+    const key = `${fk.table_name}\0${fk.column_name}`;
+    if (!byColumn.has(key)) byColumn.set(key, []);
+    byColumn.get(key).push({
+      constraint_name: fk.constraint_name,
+      position: Number(fk.position),
+      foreign_table: fk.foreign_table,
+      foreign_column: fk.foreign_column,
+    });
+  }
+
+  return rows.map((row) => {
+    const foreignKeys = (byColumn.get(`${row.table_name}\0${row.column_name}`) ?? [])
+      .sort((a, b) => String(a.constraint_name).localeCompare(String(b.constraint_name)));
+    const first = foreignKeys[0];
+    return {
+      ...row,
+      is_foreign: foreignKeys.length > 0,
+      foreign_table: first ? first.foreign_table : null,
+      foreign_column: first ? first.foreign_column : null,
+      foreign_keys: foreignKeys,
+    };
+  });
+}
@@ -1,39 +1,85 @@
 // server/db/mssql.js
 // SQL Server introspection queries — returns same row shapes as postgres.js
 
+import { attachForeignKeys } from './foreignKeys.js';
+
+// Schemas that never hold user tables
+const SYSTEM_SCHEMAS = ['sys', 'INFORMATION_SCHEMA'];
+
 function quoteIdentifier(identifier) {
   return `[${String(identifier).replace(/]/g, ']]')}]`;
 }
 
-async function getSchema(pool) {
+// Tables are always named schema.table, so generated T-SQL uses two-part names
+function twoPartName(schema, table) {
+  return `${schema}.${table}`;
+}
+
+// TABLE_TYPE of an INFORMATION_SCHEMA.TABLES row (alias `t`), with views that have a
+// clustered index reported as INDEXED VIEW
+const TABLE_TYPE_SQL = `
+  CASE
+    WHEN t.TABLE_TYPE = 'VIEW' AND EXISTS (
+      SELECT 1 FROM sys.indexes i
+      WHERE i.object_id = OBJECT_ID(QUOTENAME(t.TABLE_SCHEMA) + '.' + QUOTENAME(t.TABLE_NAME))
+        AND i.index_id = 1
+    ) THEN 'INDEXED VIEW'
+    ELSE t.TABLE_TYPE
+  END`;
+
+// WHERE condition limiting `column` to the schema allow-list (bound as parameters on `request`),
+// or to every user schema when `schemas` is null
+function schemaFilter(request, column, schemas) {
+  if (!schemas) {
+    return `${column} NOT IN (${SYSTEM_SCHEMAS.map((schema) => `'${schema}'`).join(', ')})`;
+  }
+  schemas.forEach((schema, i) => request.input(`schema${i}`, schema));
+  return `${column} IN (${schemas.map((_, i) => `@schema${i}`).join(', ')})`;
+}
+
+async function getSchema(pool, schemas = null) {
   if (!pool) throw new Error('DB pool not available');
 
-  // First get column info from INFORMATION_SCHEMA
-  const colRes = await pool.request().query(`
+  // First get column info from INFORMATION_SCHEMA, with MS_Description extended properties
+  // as table / column comments
+  const colRequest = pool.request();
+  const colRes = await colRequest.query(`
     SELECT
+      c.TABLE_SCHEMA AS table_schema,
       c.TABLE_NAME AS table_name,
+      ${TABLE_TYPE_SQL} AS table_type,
       c.COLUMN_NAME AS column_name,
       c.DATA_TYPE AS data_type,
       c.IS_NULLABLE AS is_nullable,
-      CAST(0 AS BIT) AS is_primary,
-      CAST(0 AS BIT) AS is_foreign,
-      NULL AS foreign_table,
-      NULL AS foreign_column,
-      c.ORDINAL_POSITION AS ordinal_position
+      c.ORDINAL_POSITION AS ordinal_position,
+      CAST(tep.value AS nvarchar(max)) AS table_comment,
+      CAST(cep.value AS nvarchar(max)) AS column_comment
     FROM INFORMATION_SCHEMA.COLUMNS c
     INNER JOIN INFORMATION_SCHEMA.TABLES t
       ON c.TABLE_NAME = t.TABLE_NAME
       AND c.TABLE_SCHEMA = t.TABLE_SCHEMA
       AND c.TABLE_CATALOG = t.TABLE_CATALOG
-    WHERE t.TABLE_TYPE = 'BASE TABLE'
+    LEFT JOIN sys.extended_properties tep
+      ON tep.class = 1
+      AND tep.major_id = OBJECT_ID(QUOTENAME(c.TABLE_SCHEMA) + '.' + QUOTENAME(c.TABLE_NAME))
+      AND tep.minor_id = 0
+      AND tep.name = 'MS_Description'
+    LEFT JOIN sys.extended_properties cep
+      ON cep.class = 1
+      AND cep.major_id = OBJECT_ID(QUOTENAME(c.TABLE_SCHEMA) + '.' + QUOTENAME(c.TABLE_NAME))
+      AND cep.minor_id = COLUMNPROPERTY(cep.major_id, c.COLUMN_NAME, 'ColumnId')
+      AND cep.name = 'MS_Description'
+    WHERE t.TABLE_TYPE IN ('BASE TABLE', 'VIEW')
       AND t.TABLE_CATALOG = DB_NAME()
-      AND c.TABLE_SCHEMA = 'dbo'
-    ORDER BY c.TABLE_NAME, c.ORDINAL_POSITION
+      AND ${schemaFilter(colRequest, 'c.TABLE_SCHEMA', schemas)}
+    ORDER BY c.TABLE_SCHEMA, c.TABLE_NAME, c.ORDINAL_POSITION
   `);
 
   // Get primary key info
-  const pkRes = await pool.request().query(`
+  const pkRequest = pool.request();
+  const pkRes = await pkRequest.query(`
     SELECT
+      tc.TABLE_SCHEMA AS table_schema,
       tc.TABLE_NAME AS table_name,
       kcu.COLUMN_NAME AS column_name
     FROM INFORMATION_SCHEMA.TABLE_CONSTRAINTS tc
@@ -42,16 +88,22 @@ async function getSchema(pool) {
       AND tc.TABLE_SCHEMA = kcu.TABLE_SCHEMA
     WHERE tc.CONSTRAINT_TYPE = 'PRIMARY KEY'
       AND tc.TABLE_CATALOG = DB_NAME()
-      AND tc.TABLE_SCHEMA = 'dbo'
+      AND ${schemaFilter(pkRequest, 'tc.TABLE_SCHEMA', schemas)}
   `);
 
-  const pkSet = new Set(pkRes.recordset.map((r) => `${r.table_name}.${r.column_name}`));
+  const pkSet = new Set(pkRes.recordset.map((r) => `${twoPartName(r.table_schema, r.table_name)}.${r.column_name}`));
 
-  // Get foreign key info
-  const fkRes = await pool.request().query(`
+  // Get foreign key info, one row per constraint column in key order; the referenced table
+  // may live in another schema
+  const fkRequest = pool.request();
+  const fkRes = await fkRequest.query(`
     SELECT
+      fk.name AS constraint_name,
+      fkc.constraint_column_id AS position,
+      sp.name AS parent_schema,
       tp.name AS parent_table,
       cp.name AS parent_col,
+      sr.name AS ref_schema,
       tr.name AS ref_table,
       cr.name AS ref_col
     FROM sys.foreign_keys fk
@@ -64,82 +116,469 @@ async function getSchema(pool) {
     INNER JOIN sys.columns cr
       ON fkc.referenced_object_id = cr.object_id
       AND fkc.referenced_column_id = cr.column_id
-    INNER JOIN sys.schemas s ON tp.schema_id = s.schema_id
-    WHERE s.name = 'dbo'
+    INNER JOIN sys.schemas sp ON tp.schema_id = sp.schema_id
+    INNER JOIN sys.schemas sr ON tr.schema_id = sr.schema_id
+    WHERE ${schemaFilter(fkRequest, 'sp.name', schemas)}
+    ORDER BY fk.name, fkc.constraint_column_id
   `);
 
-  const fkMap = {};
-  for (const row of fkRes.recordset) {
-    fkMap[`${row.parent_table}.${row.parent_col}`] = {
-      foreign_table: row.ref_table,
-      foreign_col: row.ref_col,
-    };
-  }
+  const fkRows = fkRes.recordset.map((row) => ({
+    constraint_name: row.constraint_name,
+    table_name: twoPartName(row.parent_schema, row.parent_table),
+    column_name: row.parent_col,
+    position: row.position,
+    foreign_table: twoPartName(row.ref_schema, row.ref_table),
+    foreign_column: row.ref_col,
+  }));
 
-  return colRes.recordset.map((row) => {
-    const key = `${row.table_name}.${row.column_name}`;
-    const fk = fkMap[key];
+  const rows = colRes.recordset.map((row) => {
+    const tableName = twoPartName(row.table_schema, row.table_name);
+    const key = `${tableName}.${row.column_name}`;
     return {
-      table_name: row.table_name,
+      table_schema: row.table_schema,
+      table_name: tableName,
+      table_type: row.table_type,
       column_name: row.column_name,
       data_type: row.data_type,
       is_nullable: row.is_nullable,
       is_primary: pkSet.has(key),
-      is_foreign: !!fk,
-      foreign_table: fk ? fk.foreign_table : null,
-      foreign_column: fk ? fk.foreign_col : null,
+      table_comment: row.table_comment ?? null,
+      column_comment: row.column_comment ?? null,
+      // SQL Server has no enum types; allowed values live in check constraints
+      enum_values: null,
     };
   });
+  return attachForeignKeys(rows, fkRows);
 }
 
-async function getTables(pool) {
-  if (!pool) throw new Error('DB pool not available');
-
-  const res = await pool.request().query(`
-    SELECT TABLE_NAME AS table_name
-    FROM INFORMATION_SCHEMA.TABLES
-    WHERE TABLE_TYPE = 'BASE TABLE'
-      AND TABLE_CATALOG = DB_NAME()
-      AND TABLE_SCHEMA = 'dbo'
-    ORDER BY TABLE_NAME
+/**
+ * Tables and views as { schema, table, name, type }, `name` being the introspected two-part
+ * name and `type` BASE TABLE | VIEW | INDEXED VIEW.
+ */
+async function listTables(pool, schemas) {
+  const request = pool.request();
+  const res = await request.query(`
+    SELECT t.TABLE_SCHEMA AS table_schema, t.TABLE_NAME AS table_name, ${TABLE_TYPE_SQL} AS table_type
+    FROM INFORMATION_SCHEMA.TABLES t
+    WHERE t.TABLE_TYPE IN ('BASE TABLE', 'VIEW')
+      AND t.TABLE_CATALOG = DB_NAME()
+      AND ${schemaFilter(request, 't.TABLE_SCHEMA', schemas)}
+    ORDER BY t.TABLE_SCHEMA, t.TABLE_NAME
   `);
 
-  return res.recordset.map((row) => row.table_name);
+  return res.recordset.map((row) => ({
+    schema: row.table_schema,
+    table: row.table_name,
+    name: twoPartName(row.table_schema, row.table_name),
+    type: row.table_type,
+  }));
+}
+
+async function getTables(pool, schemas = null) {
+  if (!pool) throw new Error('DB pool not available');
+
+  return (await listTables(pool, schemas)).map((entry) => entry.name);
 }
 
-async function getSampleRows(pool, table) {
+async function getSampleRows(pool, table, schemas = null) {
   if (!pool) throw new Error('DB pool not available');
 
-  const allowedTables = await getTables(pool);
-  if (!allowedTables.includes(table)) {
+  const entry = (await listTables(pool, schemas)).find((candidate) => candidate.name === table);
+  if (!entry) {
     throw new Error('Invalid table name');
   }
 
-  const tableIdentifier = quoteIdentifier(table);
-  const res = await pool.request().query(`SELECT TOP 10 * FROM [dbo].${tableIdentifier}`);
+  const res = await pool.request().query(`SELECT TOP 10 * FROM ${quoteIdentifier(entry.schema)}.${quoteIdentifier(entry.table)}`);
   return res.recordset;
 }
 
-async function getRowCounts(pool) {
+async function getRowCounts(pool, schemas = null) {
   if (!pool) throw new Error('DB pool not available');
 
-  const res = await pool.request().query(`
+  const request = pool.request();
+  // Indexed views have partitions of their own; plain views have none and get no count
+  const res = await request.query(`
     SELECT
+      s.name AS table_schema,
       t.name AS table_name,
       SUM(p.rows) AS row_count
-    FROM sys.tables t
+    FROM sys.objects t
     INNER JOIN sys.partitions p ON t.object_id = p.object_id
     INNER JOIN sys.schemas s ON t.schema_id = s.schema_id
     WHERE p.index_id IN (0, 1)
-      AND s.name = 'dbo'
-    GROUP BY t.name
-    ORDER BY t.name
+      AND t.type IN ('U', 'V')
+      AND ${schemaFilter(request, 's.name', schemas)}
+    GROUP BY s.name, t.name
+    ORDER BY s.name, t.name
   `);
 
   return res.recordset.reduce((acc, row) => {
-    acc[row.table_name] = Number(row.row_count);
+    acc[twoPartName(row.table_schema, row.table_name)] = Number(row.row_count);
     return acc;
   }, {});
 }
 
-export { getSchema, getTables, getSampleRows, getRowCounts };
+// SELECT text of every view, keyed by two-part name
+async function getViewDefinitions(pool, schemas = null) {
+  if (!pool) throw new Error('DB pool not available');
+
+  const request = pool.request();
+  const res = await request.query(`
+    SELECT s.name AS table_schema, v.name AS table_name, m.definition
+    FROM sys.views v
+    INNER JOIN sys.sql_modules m ON v.object_id = m.object_id
+    INNER JOIN sys.schemas s ON v.schema_id = s.schema_id
+    WHERE ${schemaFilter(request, 's.name', schemas)}
+  `);
+
+  // definition is NULL for views created WITH ENCRYPTION
+  return Object.fromEntries(res.recordset
+    .filter((row) => row.definition)
+    .map((row) => [twoPartName(row.table_schema, row.table_name), row.definition.trim()]));
+}
+
+/**
+ * Indexes, unique constraints and check constraints by two-part table name, in the shape
+ * postgres.js returns. Index type is sys.indexes type_desc (CLUSTERED, NONCLUSTERED, ...);
+ * `predicate` is a filtered index's filter. Unique constraints are the indexes that back them.
+ */
+async function getTableConstraints(pool, schemas = null) {
+  if (!pool) throw new Error('DB pool not available');
+
+  // One row per key column in key order; heaps (type 0) have no name and no columns
+  const indexRequest = pool.request();
+  const indexRes = await indexRequest.query(`
+    SELECT
+      s.name AS table_schema,
+      o.name AS table_name,
+      i.name AS index_name,
+      i.is_unique,
+      i.is_primary_key AS is_primary,
+      i.is_unique_constraint,
+      i.type_desc AS index_type,
+      i.filter_definition AS predicate,
+      c.name AS column_name
+    FROM sys.indexes i
+    INNER JOIN sys.objects o ON i.object_id = o.object_id
+    INNER JOIN sys.schemas s ON o.schema_id = s.schema_id
+    INNER JOIN sys.index_columns ic
+      ON i.object_id = ic.object_id
+      AND i.index_id = ic.index_id
+      AND ic.is_included_column = 0
+    INNER JOIN sys.columns c
+      ON ic.object_id = c.object_id
+      AND ic.column_id = c.column_id
+    WHERE o.type IN ('U', 'V')
+      AND i.type > 0
+      AND ${schemaFilter(indexRequest, 's.name', schemas)}
+    ORDER BY s.name, o.name, i.name, ic.key_ordinal
+  `);
+
+  // parent_column_id is 0 for table-level checks
+  const checkRequest = pool.request();
+  const checkRes = await checkRequest.query(`
+    SELECT
+      s.name AS table_schema,
+      t.name AS table_name,
+      cc.name AS constraint_name,
+      cc.definition,
+      COL_NAME(cc.parent_object_id, cc.parent_column_id) AS column_name
+    FROM sys.check_constraints cc
+    INNER JOIN sys.tables t ON cc.parent_object_id = t.object_id
+    INNER JOIN sys.schemas s ON t.schema_id = s.schema_id
+    WHERE ${schemaFilter(checkRequest, 's.name', schemas)}
+    ORDER BY s.name, t.name, cc.name
+  `);
+
+  const byTable = {};
+  const entryFor = (row) => (byTable[twoPartName(row.table_schema, row.table_name)] ??= {
+    indexes: [],
+    uniqueConstraints: [],
+    checkConstraints: [],
+  });
+
+  const indexes = new Map();
+  for (const row of indexRes.recordset) {
+    const key = `${twoPartName(row.table_schema, row.table_name)}\0${row.index_name}`;
+    if (!indexes.has(key)) {
+      const index = {
+        name: row.index_name,
+        columns: [],
+        unique: row.is_unique,
+        primary: row.is_primary,
+        type: row.index_type,
+        predicate: row.predicate,
+      };
+      indexes.set(key, index);
+      entryFor(row).indexes.push(index);
+      if (row.is_unique_constraint) {
+        entryFor(row).uniqueConstraints.push({ name: row.index_name, columns: index.columns });
+      }
+    }
+    indexes.get(key).columns.push(row.column_name);
+  }
+  for (const row of checkRes.recordset) {
+    entryFor(row).checkConstraints.push({
+      name: row.constraint_name,
+      columns: row.column_name ? [row.column_name] : [],
+      definition: row.definition,
+    });
+  }
+  return byTable;
+}
+
+// sys.objects type → routine type, in the names postgres.js uses
+const ROUTINE_TYPES = {
+  P: 'PROCEDURE',
+  FN: 'FUNCTION',
+  IF: 'TABLE FUNCTION',
+  TF: 'TABLE FUNCTION',
+};
+
+/**
+ * Stored procedures, scalar functions and table-valued functions by two-part name, in the shape
+ * postgres.js returns. `parameters` lists "@name type" pairs (OUTPUT marked); `definition` is NULL
+ * for routines created WITH ENCRYPTION.
+ */
+async function getRoutines(pool, schemas = null) {
+  if (!pool) throw new Error('DB pool not available');
+
+  const request = pool.request();
+  const res = await request.query(`
+    SELECT
+      s.name AS routine_schema,
+      o.name AS routine_name,
+      RTRIM(o.type) AS object_type,
+      (
+        SELECT STRING_AGG(p.name + ' ' + TYPE_NAME(p.user_type_id) + CASE WHEN p.is_output = 1 THEN ' OUTPUT' ELSE '' END, ', ')
+          WITHIN GROUP (ORDER BY p.parameter_id)
+        FROM sys.parameters p
+        WHERE p.object_id = o.object_id AND p.parameter_id > 0
+      ) AS parameters,
+      CASE
+        WHEN o.type IN ('IF', 'TF') THEN 'TABLE'
+        ELSE (SELECT TYPE_NAME(p.user_type_id) FROM sys.parameters p WHERE p.object_id = o.object_id AND p.parameter_id = 0)
+      END AS return_type,
+      m.definition
+    FROM sys.objects o
+    INNER JOIN sys.schemas s ON o.schema_id = s.schema_id
+    LEFT JOIN sys.sql_modules m ON o.object_id = m.object_id
+    WHERE o.type IN ('P', 'FN', 'IF', 'TF')
+      AND o.is_ms_shipped = 0
+      AND ${schemaFilter(request, 's.name', schemas)}
+    ORDER BY s.name, o.name
+  `);
+
+  return res.recordset.map((row) => ({
+    name: twoPartName(row.routine_schema, row.routine_name),
+    type: ROUTINE_TYPES[row.object_type],
+    parameters: row.parameters ?? '',
+    returnType: row.return_type ?? null,
+    language: 'tsql',
+    definition: row.definition ? row.definition.trim() : null,
+  }));
+}
+
+// Schemas from `schemas` that exist in the database
+async function getExistingSchemas(pool, schemas) {
+  const request = pool.request();
+  const res = await request.query(`SELECT name FROM sys.schemas WHERE ${schemaFilter(request, 'name', schemas)}`);
+  return res.recordset.map((row) => row.name);
+}
+
+// ALLOW_SNAPSHOT_ISOLATION of the connected database; it ships OFF
+async function isSnapshotIsolationOn(pool) {
+  const res = await pool.request().query('SELECT snapshot_isolation_state FROM sys.databases WHERE name = DB_NAME()');
+  return res.recordset[0]?.snapshot_isolation_state === 1;
+}
+
+// Runs inside a transaction that is always rolled back. SET ROWCOUNT makes the server stop
+// after maxRows + 1 rows (works with CTEs and ORDER BY, unlike wrapping in TOP); the extra
+// row signals truncation. The time limit is the pool's requestTimeout (see mssql.driver.js).
+async function executeQuery(pool, sqlText, { maxRows, isolationLevel }) {
+  if (!pool) throw new Error('DB pool not available');
+
+  const transaction = pool.transaction();
+  await transaction.begin(isolationLevel);
+  try {
+    const request = transaction.request();
+    request.arrayRowMode = true;
+    const res = await request.query(`SET ROWCOUNT ${Number(maxRows) + 1};\n${sqlText}\n;`);
+
+    const columns = (res.columns?.[0] ?? []).map((column) => ({
+      name: column.name,
+      type: column.type?.declaration ?? 'unknown',
+    }));
+    const allRows = res.recordset ?? [];
+    const truncated = allRows.length > maxRows;
+    const rows = truncated ? allRows.slice(0, maxRows) : allRows;
+    return { columns, rows, rowCount: rows.length, truncated };
+  } finally {
+    // ROWCOUNT is session state, not transactional — reset it before the connection returns to the pool
+    try {
+      await transaction.request().query('SET ROWCOUNT 0');
+    } catch {
+      /* ignore */
+    }
+    try {
+      await transaction.rollback();
+    } catch {
+      /* ignore */
+    }
+  }
+}
+
+// Dry run: with NOEXEC ON the statement is compiled (names resolved, plan built) but not run.
+// NOEXEC is session state, so it is set in its own batch on the transaction's connection
+// and switched off again before the connection returns to the pool.
+async function validateQuery(pool, sqlText, { isolationLevel }) {
+  if (!pool) throw new Error('DB pool not available');
+
+  const transaction = pool.transaction();
+  await transaction.begin(isolationLevel);
+  try {
+    await transaction.request().batch('SET NOEXEC ON');
+    await transaction.request().batch(sqlText);
+  } finally {
+    try {
+      await transaction.request().batch('SET NOEXEC OFF');
+    } catch {
+      /* ignore */
+    }
+    try {
+      await transaction.rollback();
+    } catch {
+      /* ignore */
+    }
+  }
+}
+
+// Estimated plan only — with SHOWPLAN_XML ON the server returns the plan instead of running
+// the statement. Like NOEXEC it must be set in its own batch. Returns the showplan XML string.
+async function explainQuery(pool, sqlText, { isolationLevel }) {
+  if (!pool) throw new Error('DB pool not available');
+
+  const transaction = pool.transaction();
+  await transaction.begin(isolationLevel);
+  try {
+    await transaction.request().batch('SET SHOWPLAN_XML ON');
+    const request = transaction.request();
+    request.arrayRowMode = true;
+    const res = await request.batch(sqlText);
+    return res.recordset?.[0]?.[0] ?? null;
+  } finally {
+    try {
+      await transaction.request().batch('SET SHOWPLAN_XML OFF');
+    } catch {
+      /* ignore */
+    }
+    try {
+      await transaction.rollback();
+    } catch {
+      /* ignore */
+    }
+  }
+}
+
+// Streams a result set for export: rows arrive through the driver's streaming events and the
+// request is paused whenever batchSize rows are waiting, so memory stays bounded. Yields
+// { columns } once, then { rows } batches; SET ROWCOUNT stops the server after maxRows rows.
+// The pool's requestTimeout covers the wait for the first rows only: tedious stops the clock
+// once the response starts.
+async function* streamQuery(pool, sqlText, { maxRows, isolationLevel, batchSize = 500 }) {
+  if (!pool) throw new Error('DB pool not available');
+
+  const transaction = pool.transaction();
+  await transaction.begin(isolationLevel);
+
+  const request = transaction.request();
+  request.stream = true;
+  request.arrayRowMode = true;
+
+  let columns = null;
+  let buffer = [];
+  let done = false;
+  let failure = null;
+  let wake = null;
+  let closing = false;
+  const notify = () => {
+    if (wake) {
+      wake();
+      wake = null;
+    }
+  };
+
+  request.on('recordset', (recordsetColumns) => {
+    if (!columns) {
+      columns = recordsetColumns.map((column) => ({
+        name: column.name,
+        type: column.type?.declaration ?? 'unknown',
+      }));
+    }
+    notify();
+  });
+  request.on('row', (row) => {
+    if (closing) return;
+    buffer.push(row);
+    if (buffer.length >= batchSize) request.pause();
+    notify();
+  });
+  request.on('error', (err) => {
+    failure = failure ?? err;
+    notify();
+  });
+  request.on('done', () => {
+    done = true;
+    notify();
+  });
+
+  request.query(`SET ROWCOUNT ${Number(maxRows)};\n${sqlText}\n;`);
+
+  try {
+    let sentColumns = false;
+    while (true) {
+      if (failure) throw failure;
+      if (!sentColumns && (columns || done)) {
+        sentColumns = true;
+        yield { columns: columns ?? [] };
+        continue;
+      }
+      if (buffer.length > 0) {
+        const rows = buffer;
+        buffer = [];
+        request.resume();
+        yield { rows };
+        continue;
+      }
+      if (done) break;
+      await new Promise((resolve) => {
+        wake = resolve;
+      });
+    }
+  } finally {
+    // Stopped early (consumer closed or failed): cancel and let the request finish before
+    // the connection is reused for cleanup
+    if (!done) {
+      closing = true;
+      request.cancel();
+      request.resume();
+      while (!done) {
+        await new Promise((resolve) => {
+          wake = resolve;
+        });
+      }
+    }
+    try {
+      await transaction.request().query('SET ROWCOUNT 0');
+    } catch {
+      /* ignore */
+    }
+    try {
+      await transaction.rollback();
+    } catch {
+      /* ignore */
+    }
+  }
+}
+
+export { getSchema, getTables, getSampleRows, getRowCounts, getViewDefinitions, getTableConstraints, getRoutines, getExistingSchemas, isSnapshotIsolationOn, quoteIdentifier, executeQuery, validateQuery, explainQuery, streamQuery };
@@ -0,0 +1,262 @@
+// server/db/mysql.js
+// MySQL / MariaDB introspection queries — returns same row shapes as postgres.js.
+// Everything is scoped to the connection's default database (DATABASE()).
+
+import { attachForeignKeys } from './foreignKeys.js';
+
+function quoteIdentifier(identifier) {
+  return `\`${String(identifier).replace(/`/g, '``')}\``;
+}
+
+async function getSchema(pool) {
+  if (!pool) throw new Error('DB pool not available');
+
+  const [columns] = await pool.query(`
+    SELECT
+      c.TABLE_NAME AS table_name,
+      c.COLUMN_NAME AS column_name,
+      c.DATA_TYPE AS data_type,
+      c.IS_NULLABLE AS is_nullable,
+      c.COLUMN_KEY = 'PRI' AS is_primary
+    FROM information_schema.COLUMNS c
+    INNER JOIN information_schema.TABLES t
+      ON c.TABLE_SCHEMA = t.TABLE_SCHEMA
+      AND c.TABLE_NAME = t.TABLE_NAME
+    WHERE t.TABLE_TYPE = 'BASE TABLE'
+      AND c.TABLE_SCHEMA = DATABASE()
+    ORDER BY c.TABLE_NAME, c.ORDINAL_POSITION
+  `);
+
+  // REFERENCED_* is only filled in for foreign key columns
+  const [foreignKeys] = await pool.query(`
+    SELECT
+      k.CONSTRAINT_NAME AS constraint_name,
+      k.TABLE_NAME AS table_name,
+      k.COLUMN_NAME AS column_name,
+      k.ORDINAL_POSITION AS position,
+      k.REFERENCED_TABLE_NAME AS foreign_table,
+      k.REFERENCED_COLUMN_NAME AS foreign_column
+    FROM information_schema.KEY_COLUMN_USAGE k
+    WHERE k.TABLE_SCHEMA = DATABASE()
+      AND k.REFERENCED_TABLE_NAME IS NOT NULL
+    ORDER BY k.TABLE_NAME, k.CONSTRAINT_NAME, k.ORDINAL_POSITION
+  `);
+
+  const rows = columns.map((row) => ({
+    table_name: row.table_name,
+    column_name: row.column_name,
+    data_type: row.data_type,
+    is_nullable: row.is_nullable,
+    is_primary: Boolean(Number(row.is_primary)),
+  }));
+  return attachForeignKeys(rows, foreignKeys);
+}
+
+async function getTables(pool) {
+  if (!pool) throw new Error('DB pool not available');
+
+  const [rows] = await pool.query(`
+    SELECT TABLE_NAME AS table_name
+    FROM information_schema.TABLES
+    WHERE TABLE_TYPE = 'BASE TABLE'
+      AND TABLE_SCHEMA = DATABASE()
+    ORDER BY TABLE_NAME
+  `);
+
+  return rows.map((row) => row.table_name);
+}
+
+async function getSampleRows(pool, table) {
+  if (!pool) throw new Error('DB pool not available');
+
+  const allowedTables = await getTables(pool);
+  if (!allowedTables.includes(table)) {
+    throw new Error('Invalid table name');
+  }
+
+  const [rows] = await pool.query(`SELECT * FROM ${quoteIdentifier(table)} LIMIT 10`);
+  return rows;
+}
+
+// TABLE_ROWS is InnoDB's estimate, not an exact count — good enough for the sidebar and prompts
+async function getRowCounts(pool) {
+  if (!pool) throw new Error('DB pool not available');
+
+  const [rows] = await pool.query(`
+    SELECT TABLE_NAME AS table_name, TABLE_ROWS AS row_count
+    FROM information_schema.TABLES
+    WHERE TABLE_TYPE = 'BASE TABLE'
+      AND TABLE_SCHEMA = DATABASE()
+    ORDER BY TABLE_NAME
+  `);
+
+  return rows.reduce((acc, row) => {
+    acc[row.table_name] = Number(row.row_count ?? 0);
+    return acc;
+  }, {});
+}
+
+// mysql2 column type codes → readable names for result-set column metadata
+const MYSQL_TYPE_NAMES = {
+  0: 'decimal',
+  1: 'tinyint',
+  2: 'smallint',
+  3: 'integer',
+  4: 'float',
+  5: 'double precision',
+  7: 'timestamp',
+  8: 'bigint',
+  9: 'mediumint',
+  10: 'date',
+  11: 'time',
+  12: 'datetime',
+  13: 'year',
+  15: 'varchar',
+  16: 'bit',
+  245: 'json',
+  246: 'decimal',
+  247: 'enum',
+  248: 'set',
+  253: 'varchar',
+  254: 'char',
+};
+
+// Character set 63 is "binary"
+const BINARY_CHARSET = 63;
+
+function columnType(field) {
+  if (MYSQL_TYPE_NAMES[field.columnType]) return MYSQL_TYPE_NAMES[field.columnType];
+  // TEXT columns share the four BLOB type codes; only real blobs use the binary charset
+  if (field.columnType >= 249 && field.columnType <= 252) {
+    return field.characterSet === BINARY_CHARSET ? 'blob' : 'text';
+  }
+  return 'unknown';
+}
+
+function toColumns(fields) {
+  return (fields ?? []).map((field) => ({ name: field.name, type: columnType(field) }));
+}
+
+function stripTrailingSemicolons(sqlText) {
+  return sqlText.trim().replace(/;+\s*$/, '');
+}
+
+// Takes a pooled connection into a READ ONLY transaction with a server-side statement time
+// limit and, when maxRows is given, sql_select_limit (the MySQL counterpart of SET ROWCOUNT,
+// so CTEs, ORDER BY and duplicate column names work unchanged). MySQL names the time limit
+// max_execution_time (ms); MariaDB calls it max_statement_time (seconds).
+async function openReadOnlySession(pool, { timeoutMs, maxRows }) {
+  const connection = await pool.getConnection();
+  try {
+    const [[{ version }]] = await connection.query('SELECT VERSION() AS version');
+    const mariadb = /mariadb/i.test(version);
+    const timeoutVariable = mariadb ? 'max_statement_time' : 'max_execution_time';
+    await connection.query(`SET SESSION ${timeoutVariable} = ?`, [mariadb ? Number(timeoutMs) / 1000 : Number(timeoutMs)]);
+    if (maxRows) await connection.query('SET SESSION sql_select_limit = ?', [Number(maxRows)]);
+    await connection.query('START TRANSACTION READ ONLY');
+    return { connection, reset: `SET SESSION ${timeoutVariable} = DEFAULT, sql_select_limit = DEFAULT` };
+  } catch (err) {
+    connection.destroy();
+    throw err;
+  }
+}
+
+// Session variables outlive the transaction — reset them before the connection returns to the pool
+async function closeSession({ connection, reset }) {
+  try {
+    await connection.query('ROLLBACK');
+    await connection.query(reset);
+    connection.release();
+  } catch {
+    connection.destroy();
+  }
+}
+
+// The server stops after maxRows + 1 rows; the extra row signals truncation. The mysql2
+// `timeout` is a client-side backstop in case the server ignores its own limit.
+async function executeQuery(pool, sqlText, { timeoutMs, maxRows }) {
+  if (!pool) throw new Error('DB pool not available');
+
+  const session = await openReadOnlySession(pool, { timeoutMs, maxRows: Number(maxRows) + 1 });
+  try {
+    const [allRows, fields] = await session.connection.query({
+      sql: stripTrailingSemicolons(sqlText),
+      rowsAsArray: true,
+      timeout: Number(timeoutMs) + 1000,
+    });
+    const truncated = allRows.length > maxRows;
+    const rows = truncated ? allRows.slice(0, maxRows) : allRows;
+    return { columns: toColumns(fields), rows, rowCount: rows.length, truncated };
+  } finally {
+    await closeSession(session);
+  }
+}
+
+// Dry run: plain EXPLAIN resolves names and plans the statement without running it
+async function validateQuery(pool, sqlText, { timeoutMs }) {
+  if (!pool) throw new Error('DB pool not available');
+
+  const session = await openReadOnlySession(pool, { timeoutMs });
+  try {
+    await session.connection.query(`EXPLAIN ${stripTrailingSemicolons(sqlText)}`);
+  } finally {
+    await closeSession(session);
+  }
+}
+
+// Estimated plan only. Returns the parsed EXPLAIN FORMAT=JSON document ({ query_block }).
+async function explainQuery(pool, sqlText, { timeoutMs }) {
+  if (!pool) throw new Error('DB pool not available');
+
+  const session = await openReadOnlySession(pool, { timeoutMs });
+  try {
+    const [rows] = await session.connection.query({
+      sql: `EXPLAIN FORMAT=JSON ${stripTrailingSemicolons(sqlText)}`,
+      rowsAsArray: true,
+    });
+    const output = rows?.[0]?.[0];
+    return typeof output === 'string' ? JSON.parse(output) : output ?? null;
+  } finally {
+    await closeSession(session);
+  }
+}
+
+// Streams a result set for export through mysql2's row stream. Yields { columns } once, then
+// { rows } batches; sql_select_limit stops the server after maxRows rows. A stream that is
+// closed early can't be cancelled in the protocol, so its connection is destroyed instead.
+async function* streamQuery(pool, sqlText, { timeoutMs, maxRows, batchSize = 500 }) {
+  if (!pool) throw new Error('DB pool not available');
+
+  const session = await openReadOnlySession(pool, { timeoutMs, maxRows });
+  let finished = false;
+  try {
+    // The callback API underneath the promise wrapper is the one that can stream
+    const query = session.connection.connection.query({ sql: stripTrailingSemicolons(sqlText), rowsAsArray: true });
+    let columns = null;
+    query.on('fields', (fields) => {
+      columns = toColumns(fields);
+    });
+
+    let batch = [];
+    let sentColumns = false;
+    for await (const row of query.stream({ highWaterMark: batchSize })) {
+      if (!sentColumns) {
+        sentColumns = true;
+        yield { columns: columns ?? [] };
+      }
+      batch.push(row);
+      if (batch.length >= batchSize) {
+        yield { rows: batch };
+        batch = [];
+      }
+    }
+    finished = true;
+    if (!sentColumns) yield { columns: columns ?? [] };
+    if (batch.length > 0) yield { rows: batch };
+  } finally {
+    if (finished) await closeSession(session);
+    else session.connection.destroy();
+  }
+}
+
+export { getSchema, getTables, getSampleRows, getRowCounts, quoteIdentifier, executeQuery, validateQuery, explainQuery, streamQuery };
@@ -1,20 +1,45 @@
 // server/db/postgres.js
-async function getSchema(pool) {
+
+import { attachForeignKeys } from './foreignKeys.js';
+
+// Introspection reads these schemas unless the connection was given an allow-list
+const DEFAULT_SCHEMAS = ['public'];
+
+// With only `public` selected, table names stay bare as they always have; any other
+// allow-list names every table `schema.table` so tables in different schemas can't collide.
+function tableNamer(schemas) {
+  const qualify = !(schemas.length === 1 && schemas[0] === 'public');
+  return (schema, table) => (qualify ? `${schema}.${table}` : table);
+}
+
+// Labels of the enum type with OID `typeOid`, in declaration order; NULL for any other type
+function enumLabelsSql(typeOid) {
+  return `(SELECT array_agg(e.enumlabel::text ORDER BY e.enumsortorder) FROM pg_enum e WHERE e.enumtypid = ${typeOid})`;
+}
+
+async function getSchema(pool, schemas = DEFAULT_SCHEMAS) {
   if (!pool || typeof pool.query !== 'function') {
     throw new Error('DB pool not available');
   }
 
+  // Key columns are joined for primary keys only; foreign keys are read per constraint below.
+  // Enum columns (and domains over enums) report USER-DEFINED, so they are named by their type.
   const res = await pool.query(`
     SELECT
+      c.table_schema,
       c.table_name,
+      t.table_type,
       c.column_name,
-      c.data_type,
+      CASE WHEN c.data_type = 'USER-DEFINED' THEN c.udt_name ELSE c.data_type END AS data_type,
       c.is_nullable,
-      BOOL_OR(tc.constraint_type = 'PRIMARY KEY') AS is_primary,
-      BOOL_OR(tc.constraint_type = 'FOREIGN KEY') AS is_foreign,
-      MAX(CASE WHEN tc.constraint_type = 'FOREIGN KEY' THEN ccu.table_name END) AS foreign_table,
-      MAX(CASE WHEN tc.constraint_type = 'FOREIGN KEY' THEN ccu.column_name END) AS foreign_column
+      COALESCE(BOOL_OR(tc.constraint_type = 'PRIMARY KEY'), false) AS is_primary,
+      obj_description(format('%I.%I', c.table_schema, c.table_name)::regclass, 'pg_class') AS table_comment,
+      col_description(format('%I.%I', c.table_schema, c.table_name)::regclass, c.ordinal_position::int) AS column_comment,
+      ${enumLabelsSql("format('%I.%I', c.udt_schema, c.udt_name)::regtype")} AS enum_values
     FROM information_schema.columns c
+    JOIN information_schema.tables t
+      ON c.table_schema = t.table_schema
+      AND c.table_name = t.table_name
     LEFT JOIN information_schema.key_column_usage kcu
       ON c.table_name = kcu.table_name
       AND c.column_name = kcu.column_name
@@ -22,66 +47,459 @@ async function getSchema(pool) {
     LEFT JOIN information_schema.table_constraints tc
       ON kcu.constraint_name = tc.constraint_name
       AND kcu.table_schema = tc.table_schema
-    LEFT JOIN information_schema.constraint_column_usage ccu
-      ON tc.constraint_name = ccu.constraint_name
-      AND tc.table_schema = ccu.table_schema
-    WHERE c.table_schema = 'public'
-    GROUP BY c.table_name, c.column_name, c.data_type, c.is_nullable, c.ordinal_position
-    ORDER BY c.table_name, c.ordinal_position;
-  `);
-  return res.rows;
+    WHERE c.table_schema = ANY($1)
+    GROUP BY c.table_schema, c.table_name, t.table_type, c.column_name, c.data_type, c.udt_schema, c.udt_name, c.is_nullable, c.ordinal_position
+    ORDER BY c.table_schema, c.table_name, c.ordinal_position;
+  `, [schemas]);
+
+  // information_schema leaves materialized views out; read their columns from the catalog
+  const matviewRes = await pool.query(`
+    SELECT
+      n.nspname AS table_schema,
+      c.relname AS table_name,
+      'MATERIALIZED VIEW' AS table_type,
+      a.attname AS column_name,
+      format_type(a.atttypid, a.atttypmod) AS data_type,
+      CASE WHEN a.attnotnull THEN 'NO' ELSE 'YES' END AS is_nullable,
+      false AS is_primary,
+      obj_description(c.oid, 'pg_class') AS table_comment,
+      col_description(c.oid, a.attnum) AS column_comment,
+      ${enumLabelsSql('a.atttypid')} AS enum_values
+    FROM pg_attribute a
+    JOIN pg_class c ON c.oid = a.attrelid
+    JOIN pg_namespace n ON n.oid = c.relnamespace
+    WHERE c.relkind = 'm'
+      AND a.attnum > 0
+      AND NOT a.attisdropped
+      AND n.nspname = ANY($1)
+      AND has_table_privilege(c.oid, 'SELECT')
+    ORDER BY n.nspname, c.relname, a.attnum;
+  `, [schemas]);
+
+  const nameOf = tableNamer(schemas);
+  const rows = [...res.rows, ...matviewRes.rows].map((row) => ({
+    ...row,
+    table_name: nameOf(row.table_schema, row.table_name),
+  }));
+  return attachForeignKeys(rows, await getForeignKeyColumns(pool, schemas));
 }
 
-async function getTables(pool) {
-  if (!pool || typeof pool.query !== 'function') {
-    throw new Error('DB pool not available');
-  }
+/**
+ * One row per foreign key column, in constraint order. conkey / confkey are unnested together
+ * so multi-column keys keep their column pairs; the referenced table may sit in another schema.
+ */
+async function getForeignKeyColumns(pool, schemas) {
+  const res = await pool.query(`
+    SELECT
+      con.conname AS constraint_name,
+      ns.nspname AS table_schema,
+      cl.relname AS table_name,
+      a.attname AS column_name,
+      k.position,
+      fns.nspname AS foreign_schema,
+      fcl.relname AS foreign_table,
+      fa.attname AS foreign_column
+    FROM pg_constraint con
+    JOIN pg_class cl ON cl.oid = con.conrelid
+    JOIN pg_namespace ns ON ns.oid = cl.relnamespace
+    JOIN pg_class fcl ON fcl.oid = con.confrelid
+    JOIN pg_namespace fns ON fns.oid = fcl.relnamespace
+    CROSS JOIN LATERAL unnest(con.conkey, con.confkey) WITH ORDINALITY AS k(attnum, foreign_attnum, position)
+    JOIN pg_attribute a ON a.attrelid = con.conrelid AND a.attnum = k.attnum
+    JOIN pg_attribute fa ON fa.attrelid = con.confrelid AND fa.attnum = k.foreign_attnum
+    WHERE con.contype = 'f'
+      AND ns.nspname = ANY($1)
+    ORDER BY ns.nspname, cl.relname, con.conname, k.position;
+  `, [schemas]);
 
+  const nameOf = tableNamer(schemas);
+  return res.rows.map((row) => ({
+    constraint_name: row.constraint_name,
+    table_name: nameOf(row.table_schema, row.table_name),
+    column_name: row.column_name,
+    position: row.position,
+    foreign_table: nameOf(row.foreign_schema, row.foreign_table),
+    foreign_column: row.foreign_column,
+  }));
+}
+
+/**
+ * Tables, views and materialized views in `schemas` as { schema, table, name, type },
+ * `name` being the introspected name and `type` BASE TABLE | VIEW | MATERIALIZED VIEW.
+ */
+async function listTables(pool, schemas) {
   const res = await pool.query(`
-    SELECT table_name
+    SELECT table_schema, table_name, table_type
     FROM information_schema.tables
-    WHERE table_schema = 'public'
-      AND table_type = 'BASE TABLE'
-    ORDER BY table_name;
-  `);
+    WHERE table_schema = ANY($1)
+      AND table_type IN ('BASE TABLE', 'VIEW')
+    UNION ALL
+    SELECT schemaname, matviewname, 'MATERIALIZED VIEW'
+    FROM pg_matviews
+    WHERE schemaname = ANY($1)
+      AND has_table_privilege(format('%I.%I', schemaname, matviewname), 'SELECT')
+    ORDER BY 1, 2;
+  `, [schemas]);
 
-  return res.rows.map((row) => row.table_name);
+  const nameOf = tableNamer(schemas);
+  return res.rows.map((row) => ({
+    schema: row.table_schema,
+    table: row.table_name,
+    name: nameOf(row.table_schema, row.table_name),
+    type: row.table_type,
+  }));
+}
+
+async function getTables(pool, schemas = DEFAULT_SCHEMAS) {
+  if (!pool || typeof pool.query !== 'function') {
+    throw new Error('DB pool not available');
+  }
+
+  return (await listTables(pool, schemas)).map((entry) => entry.name);
 }
 
 function quoteIdentifier(identifier) {
   return `"${String(identifier).replace(/"/g, '""')}"`;
 }
 
-async function getSampleRows(pool, table) {
+async function getSampleRows(pool, table, schemas = DEFAULT_SCHEMAS) {
   if (!pool || typeof pool.query !== 'function') {
     throw new Error('DB pool not available');
   }
 
-  const allowedTables = await getTables(pool);
+  const entry = (await listTables(pool, schemas)).find((candidate) => candidate.name === table);
 
-  if (!allowedTables.includes(table)) {
+  if (!entry) {
     throw new Error('Invalid table name');
   }
 
-  const tableIdentifier = quoteIdentifier(table);
-  const res = await pool.query(`SELECT * FROM public.${tableIdentifier} LIMIT 10`);
+  const res = await pool.query(`SELECT * FROM ${quoteIdentifier(entry.schema)}.${quoteIdentifier(entry.table)} LIMIT 10`);
   return res.rows;
 }
 
-async function getRowCounts(pool) {
+async function getRowCounts(pool, schemas = DEFAULT_SCHEMAS) {
   if (!pool || typeof pool.query !== 'function') {
     throw new Error('DB pool not available');
   }
   const res = await pool.query(`
-    SELECT relname AS table_name, n_live_tup AS row_count
+    SELECT schemaname AS table_schema, relname AS table_name, n_live_tup AS row_count
     FROM pg_stat_user_tables
-    WHERE schemaname = 'public'
-    ORDER BY relname
-  `);
+    WHERE schemaname = ANY($1)
+    ORDER BY schemaname, relname
+  `, [schemas]);
+
+  const nameOf = tableNamer(schemas);
   return res.rows.reduce((acc, row) => {
-    acc[row.table_name] = Number(row.row_count);
+    acc[nameOf(row.table_schema, row.table_name)] = Number(row.row_count);
     return acc;
   }, {});
 }
 
-export { getSchema, getSampleRows, getTables, getRowCounts };
+// SELECT text of every view and materialized view, keyed by introspected name
+async function getViewDefinitions(pool, schemas = DEFAULT_SCHEMAS) {
+  if (!pool || typeof pool.query !== 'function') {
+    throw new Error('DB pool not available');
+  }
+
+  const res = await pool.query(`
+    SELECT schemaname AS table_schema, viewname AS table_name, definition
+    FROM pg_views
+    WHERE schemaname = ANY($1)
+    UNION ALL
+    SELECT schemaname, matviewname, definition
+    FROM pg_matviews
+    WHERE schemaname = ANY($1);
+  `, [schemas]);
+
+  const nameOf = tableNamer(schemas);
+  return Object.fromEntries(res.rows.map((row) => [nameOf(row.table_schema, row.table_name), row.definition.trim()]));
+}
+
+/**
+ * Indexes, unique constraints and check constraints by table name:
+ * { indexes: [{ name, columns, unique, primary, type, predicate }], uniqueConstraints: [{ name, columns }],
+ *   checkConstraints: [{ name, columns, definition }] }. Index columns are key columns only, as written
+ * (expressions included); `predicate` is the WHERE clause of a partial index.
+ */
+async function getTableConstraints(pool, schemas = DEFAULT_SCHEMAS) {
+  if (!pool || typeof pool.query !== 'function') {
+    throw new Error('DB pool not available');
+  }
+
+  const indexRes = await pool.query(`
+    SELECT
+      n.nspname AS table_schema,
+      t.relname AS table_name,
+      i.relname AS index_name,
+      ix.indisunique AS is_unique,
+      ix.indisprimary AS is_primary,
+      am.amname AS index_type,
+      pg_get_expr(ix.indpred, ix.indrelid) AS predicate,
+      ARRAY(
+        SELECT pg_get_indexdef(ix.indexrelid, k, true)
+        FROM generate_series(1, ix.indnkeyatts) AS k
+        ORDER BY k
+      ) AS columns
+    FROM pg_index ix
+    JOIN pg_class i ON i.oid = ix.indexrelid
+    JOIN pg_class t ON t.oid = ix.indrelid
+    JOIN pg_namespace n ON n.oid = t.relnamespace
+    JOIN pg_am am ON am.oid = i.relam
+    WHERE n.nspname = ANY($1)
+    ORDER BY n.nspname, t.relname, i.relname;
+  `, [schemas]);
+
+  const constraintRes = await pool.query(`
+    SELECT
+      n.nspname AS table_schema,
+      cl.relname AS table_name,
+      con.conname AS constraint_name,
+      con.contype AS constraint_type,
+      pg_get_constraintdef(con.oid, true) AS definition,
+      ARRAY(
+        SELECT a.attname::text
+        FROM unnest(con.conkey) WITH ORDINALITY AS k(attnum, position)
+        JOIN pg_attribute a ON a.attrelid = con.conrelid AND a.attnum = k.attnum
+        ORDER BY k.position
+      ) AS columns
+    FROM pg_constraint con
+    JOIN pg_class cl ON cl.oid = con.conrelid
+    JOIN pg_namespace n ON n.oid = cl.relnamespace
+    WHERE con.contype IN ('u', 'c')
+      AND n.nspname = ANY($1)
+    ORDER BY n.nspname, cl.relname, con.conname;
+  `, [schemas]);
+
+  const nameOf = tableNamer(schemas);
+  const byTable = {};
+  const entryFor = (row) => (byTable[nameOf(row.table_schema, row.table_name)] ??= {
+    indexes: [],
+    uniqueConstraints: [],
+    checkConstraints: [],
+  });
+
+  for (const row of indexRes.rows) {
+    entryFor(row).indexes.push({
+      name: row.index_name,
+      columns: row.columns,
+      unique: row.is_unique,
+      primary: row.is_primary,
+      type: row.index_type,
+      predicate: row.predicate,
+    });
+  }
+  for (const row of constraintRes.rows) {
+    if (row.constraint_type === 'u') {
+      entryFor(row).uniqueConstraints.push({ name: row.constraint_name, columns: row.columns });
+    } else {
+      entryFor(row).checkConstraints.push({ name: row.constraint_name, columns: row.columns, definition: row.definition });
+    }
+  }
+  return byTable;
+}
+
+/**
+ * Functions and procedures in `schemas` as { name, type, parameters, returnType, language, definition }.
+ * `type` is FUNCTION, TABLE FUNCTION (set-returning) or PROCEDURE; `parameters` is the argument list
+ * as Postgres prints it. Aggregates, trigger functions and extension members are left out, and
+ * `definition` is only kept for SQL and PL/pgSQL bodies (C functions store a symbol name there).
+ */
+async function getRoutines(pool, schemas = DEFAULT_SCHEMAS) {
+  if (!pool || typeof pool.query !== 'function') {
+    throw new Error('DB pool not available');
+  }
+
+  const res = await pool.query(`
+    SELECT
+      n.nspname AS routine_schema,
+      p.proname AS routine_name,
+      CASE
+        WHEN p.prokind = 'p' THEN 'PROCEDURE'
+        WHEN p.proretset THEN 'TABLE FUNCTION'
+        ELSE 'FUNCTION'
+      END AS routine_type,
+      pg_get_function_arguments(p.oid) AS parameters,
+      CASE WHEN p.prokind = 'p' THEN NULL ELSE pg_get_function_result(p.oid) END AS return_type,
+      l.lanname AS language,
+      CASE WHEN l.lanname IN ('sql', 'plpgsql') THEN p.prosrc END AS definition
+    FROM pg_proc p
+    JOIN pg_namespace n ON n.oid = p.pronamespace
+    JOIN pg_language l ON l.oid = p.prolang
+    WHERE n.nspname = ANY($1)
+      AND p.prokind IN ('f', 'p')
+      AND p.prorettype <> 'trigger'::regtype
+      AND has_function_privilege(p.oid, 'EXECUTE')
+      AND NOT EXISTS (
+        SELECT 1 FROM pg_depend d
+        WHERE d.classid = 'pg_proc'::regclass AND d.objid = p.oid AND d.deptype = 'e'
+      )
+    ORDER BY n.nspname, p.proname, p.oid;
+  `, [schemas]);
+
+  const nameOf = tableNamer(schemas);
+  return res.rows.map((row) => ({
+    name: nameOf(row.routine_schema, row.routine_name),
+    type: row.routine_type,
+    parameters: row.parameters,
+    returnType: row.return_type,
+    language: row.language,
+    definition: row.definition ? row.definition.trim() : null,
+  }));
+}
+
+// Schemas from `schemas` that exist in the database
+async function getExistingSchemas(pool, schemas) {
+  const res = await pool.query('SELECT nspname FROM pg_namespace WHERE nspname = ANY($1)', [schemas]);
+  return res.rows.map((row) => row.nspname);
+}
+
+// Common type OIDs → readable names for result-set column metadata
+const PG_TYPE_NAMES = {
+  16: 'boolean',
+  20: 'bigint',
+  21: 'smallint',
+  23: 'integer',
+  25: 'text',
+  114: 'json',
+  700: 'real',
+  701: 'double precision',
+  1042: 'character',
+  1043: 'character varying',
+  1082: 'date',
+  1083: 'time',
+  1114: 'timestamp',
+  1184: 'timestamptz',
+  1700: 'numeric',
+  2950: 'uuid',
+  3802: 'jsonb',
+};
+
+function stripTrailingSemicolons(sqlText) {
+  return sqlText.trim().replace(/;+\s*$/, '');
+}
+
+// Runs inside a READ ONLY transaction that is always rolled back. The statement is
+// wrapped so the server stops after maxRows + 1 rows; the extra row signals truncation.
+async function executeQuery(pool, sqlText, { timeoutMs, maxRows }) {
+  if (!pool || typeof pool.connect !== 'function') {
+    throw new Error('DB pool not available');
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN READ ONLY');
+    await client.query(`SET LOCAL statement_timeout = ${Number(timeoutMs)}`);
+    const res = await client.query({
+      text: `SELECT * FROM (\n${stripTrailingSemicolons(sqlText)}\n) AS querify_result LIMIT ${Number(maxRows) + 1}`,
+      rowMode: 'array',
+    });
+
+    const columns = (res.fields ?? []).map((field) => ({
+      name: field.name,
+      type: PG_TYPE_NAMES[field.dataTypeID] ?? 'unknown',
+    }));
+    const allRows = res.rows ?? [];
+    const truncated = allRows.length > maxRows;
+    const rows = truncated ? allRows.slice(0, maxRows) : allRows;
+    return { columns, rows, rowCount: rows.length, truncated };
+  } finally {
+    try {
+      await client.query('ROLLBACK');
+      client.release();
+    } catch (err) {
+      client.release(err);
+    }
+  }
+}
+
+// Dry run: EXPLAIN (without ANALYZE) parses, resolves names and plans the statement but
+// never executes it, so missing columns and type errors surface without touching data.
+async function validateQuery(pool, sqlText, { timeoutMs }) {
+  if (!pool || typeof pool.connect !== 'function') {
+    throw new Error('DB pool not available');
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN READ ONLY');
+    await client.query(`SET LOCAL statement_timeout = ${Number(timeoutMs)}`);
+    await client.query(`EXPLAIN ${stripTrailingSemicolons(sqlText)}`);
+  } finally {
+    try {
+      await client.query('ROLLBACK');
+      client.release();
+    } catch (err) {
+      client.release(err);
+    }
+  }
+}
+
+// Estimated plan only — EXPLAIN without ANALYZE never runs the statement.
+// Returns the root "Plan" node of EXPLAIN (FORMAT JSON).
+async function explainQuery(pool, sqlText, { timeoutMs }) {
+  if (!pool || typeof pool.connect !== 'function') {
+    throw new Error('DB pool not available');
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN READ ONLY');
+    await client.query(`SET LOCAL statement_timeout = ${Number(timeoutMs)}`);
+    const res = await client.query(`EXPLAIN (FORMAT JSON) ${stripTrailingSemicolons(sqlText)}`);
+    let output = res.rows?.[0]?.['QUERY PLAN'];
+    if (typeof output === 'string') output = JSON.parse(output);
+    return output?.[0]?.Plan ?? null;
+  } finally {
+    try {
+      await client.query('ROLLBACK');
+      client.release();
+    } catch (err) {
+      client.release(err);
+    }
+  }
+}
+
+// Streams a result set for export without holding it in memory: a server-side cursor is
+// fetched batchSize rows at a time inside a READ ONLY transaction. Yields { columns } once,
+// then { rows } batches, and stops after maxRows rows. Closing the generator early rolls back.
+async function* streamQuery(pool, sqlText, { timeoutMs, maxRows, batchSize = 500 }) {
+  if (!pool || typeof pool.connect !== 'function') {
+    throw new Error('DB pool not available');
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN READ ONLY');
+    await client.query(`SET LOCAL statement_timeout = ${Number(timeoutMs)}`);
+    await client.query(`DECLARE querify_export NO SCROLL CURSOR FOR\n${stripTrailingSemicolons(sqlText)}`);
+
+    let remaining = Number(maxRows);
+    let first = true;
+    while (remaining > 0) {
+      const count = Math.min(batchSize, remaining);
+      const res = await client.query({ text: `FETCH FORWARD ${count} FROM querify_export`, rowMode: 'array' });
+      if (first) {
+        first = false;
+        yield {
+          columns: (res.fields ?? []).map((field) => ({
+            name: field.name,
+            type: PG_TYPE_NAMES[field.dataTypeID] ?? 'unknown',
+          })),
+        };
+      }
+      const rows = res.rows ?? [];
+      if (rows.length > 0) yield { rows };
+      if (rows.length < count) break;
+      remaining -= rows.length;
+    }
+  } finally {
+    try {
+      await client.query('ROLLBACK');
+      client.release();
+    } catch (err) {
+      client.release(err);
+    }
+  }
+}
+
+export { DEFAULT_SCHEMAS, getSchema, getSampleRows, getTables, getRowCounts, getViewDefinitions, getTableConstraints, getRoutines, getExistingSchemas, quoteIdentifier, executeQuery, validateQuery, explainQuery, streamQuery };
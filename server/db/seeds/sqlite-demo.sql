@@ -0,0 +1,65 @@
+-- Demo dataset for "Use Demo DB" on the SQLite tab.
+-- Loaded into an in-memory database, so nothing is written to disk.
+
+CREATE TABLE customers (
+  id INTEGER PRIMARY KEY,
+  full_name TEXT NOT NULL,
+  email TEXT NOT NULL UNIQUE,
+  city TEXT,
+  signed_up_at TEXT NOT NULL
+);
+
+CREATE TABLE products (
+  id INTEGER PRIMARY KEY,
+  name TEXT NOT NULL,
+  category TEXT NOT NULL,
+  price NUMERIC NOT NULL
+);
+
+CREATE TABLE orders (
+  id INTEGER PRIMARY KEY,
+  customer_id INTEGER NOT NULL REFERENCES customers,
+  status TEXT NOT NULL,
+  ordered_at TEXT NOT NULL
+);
+
+CREATE TABLE order_items (
+  id INTEGER PRIMARY KEY,
+  order_id INTEGER NOT NULL REFERENCES orders (id),
+  product_id INTEGER NOT NULL REFERENCES products (id),
+  quantity INTEGER NOT NULL
+);
+
+INSERT INTO customers (id, full_name, email, city, signed_up_at) VALUES
+  (1, 'Ada Lovelace', 'ada@example.org', 'London', '2025-01-14'),
+  (2, 'Alan Turing', 'alan@example.org', 'Manchester', '2025-02-03'),
+  (3, 'Grace Hopper', 'grace@example.org', 'New York', '2025-02-21'),
+  (4, 'Edsger Dijkstra', 'edsger@example.org', 'Eindhoven', '2025-03-09'),
+  (5, 'Barbara Liskov', 'barbara@example.org', 'Boston', '2025-04-17');
+
+INSERT INTO products (id, name, category, price) VALUES
+  (1, 'Mechanical keyboard', 'Peripherals', 129.00),
+  (2, 'Ergonomic mouse', 'Peripherals', 59.50),
+  (3, '27" monitor', 'Displays', 289.99),
+  (4, 'USB-C dock', 'Accessories', 179.00),
+  (5, 'Laptop stand', 'Accessories', 39.90);
+
+INSERT INTO orders (id, customer_id, status, ordered_at) VALUES
+  (1, 1, 'shipped', '2025-05-02'),
+  (2, 2, 'shipped', '2025-05-11'),
+  (3, 1, 'delivered', '2025-06-20'),
+  (4, 3, 'pending', '2025-07-04'),
+  (5, 4, 'cancelled', '2025-07-15'),
+  (6, 5, 'delivered', '2025-08-01'),
+  (7, 3, 'shipped', '2025-08-19');
+
+INSERT INTO order_items (id, order_id, product_id, quantity) VALUES
+  (1, 1, 1, 1),
+  (2, 1, 2, 1),
+  (3, 2, 3, 2),
+  (4, 3, 5, 1),
+  (5, 4, 4, 1),
+  (6, 5, 2, 3),
+  (7, 6, 1, 1),
+  (8, 6, 3, 1),
+  (9, 7, 5, 2);
@@ -0,0 +1,227 @@
+// server/db/sqlite.js
+// SQLite introspection queries — returns same row shapes as postgres.js.
+// `pool` is a better-sqlite3 Database; its calls are synchronous but exposed as async
+// so services can treat every engine alike. User queries (execute / stream) run in a child
+// process, so the time limit can stop them.
+
+import { fork } from 'child_process';
+import { fileURLToPath } from 'url';
+import { attachForeignKeys } from './foreignKeys.js';
+
+function quoteIdentifier(identifier) {
+  return `"${String(identifier).replace(/"/g, '""')}"`;
+}
+
+async function getTables(pool) {
+  if (!pool) throw new Error('DB pool not available');
+
+  return pool
+    .prepare(`
+      SELECT name
+      FROM sqlite_master
+      WHERE type = 'table'
+        AND name NOT LIKE 'sqlite_%'
+      ORDER BY name
+    `)
+    .all()
+    .map((row) => row.name);
+}
+
+async function getSchema(pool) {
+  if (!pool) throw new Error('DB pool not available');
+
+  const tables = await getTables(pool);
+  const columnsOf = pool.prepare('SELECT name, type, "notnull", pk FROM pragma_table_info(?) ORDER BY cid');
+  const foreignKeysOf = pool.prepare('SELECT id, seq, "table", "from", "to" FROM pragma_foreign_key_list(?) ORDER BY id, seq');
+
+  const rows = [];
+  const fkRows = [];
+  for (const table of tables) {
+    for (const fk of foreignKeysOf.all(table)) {
+      // REFERENCES parent without a column list points at the parent's primary key, in key order
+      const referencedColumn = fk.to ?? columnsOf.all(fk.table).filter((column) => column.pk > 0)
+        .sort((a, b) => a.pk - b.pk)[fk.seq]?.name ?? null;
+      // SQLite constraints are usually unnamed; number them per table like pragma does
+      fkRows.push({
+        constraint_name: `${table}_fk${fk.id}`,
+        table_name: table,
+        column_name: fk.from,
+        position: fk.seq + 1,
+        foreign_table: fk.table,
+        foreign_column: referencedColumn,
+      });
+    }
+
+    for (const column of columnsOf.all(table)) {
+      rows.push({
+        table_name: table,
+        column_name: column.name,
+        // Declared type as written; columns declared without one have BLOB affinity
+        data_type: column.type ? column.type.toLowerCase() : 'blob',
+        is_nullable: column.notnull ? 'NO' : 'YES',
+        is_primary: column.pk > 0,
+      });
+    }
+  }
+  return attachForeignKeys(rows, fkRows);
+}
+
+async function getSampleRows(pool, table) {
+  if (!pool) throw new Error('DB pool not available');
+
+  const allowedTables = await getTables(pool);
+  if (!allowedTables.includes(table)) {
+    throw new Error('Invalid table name');
+  }
+
+  return pool.prepare(`SELECT * FROM ${quoteIdentifier(table)} LIMIT 10`).all();
+}
+
+// Exact counts — SQLite keeps no statistics to estimate from, and files are local
+async function getRowCounts(pool) {
+  if (!pool) throw new Error('DB pool not available');
+
+  const tables = await getTables(pool);
+  return tables.reduce((acc, table) => {
+    acc[table] = Number(pool.prepare(`SELECT COUNT(*) AS row_count FROM ${quoteIdentifier(table)}`).get().row_count);
+    return acc;
+  }, {});
+}
+
+function stripTrailingSemicolons(sqlText) {
+  return sqlText.trim().replace(/;+\s*$/, '');
+}
+
+// better-sqlite3 can't interrupt a running step, so user queries run in a child process
+// (db/sqlite.worker.js) that is killed when the time limit passes. The error code matches
+// SQLite's own interrupt code so callers can treat it as a timeout.
+function timeLimitExceeded(timeoutMs) {
+  const err = new Error(`Query exceeded the ${timeoutMs} ms time limit`);
+  err.code = 'SQLITE_INTERRUPT';
+  return err;
+}
+
+function toColumns(columns) {
+  return columns.map((column) => ({
+    name: column.name,
+    // Declared type of the source column; expressions have none
+    type: column.type ? column.type.toLowerCase() : 'unknown',
+  }));
+}
+
+// Compiling is enough to catch unknown tables/columns and syntax errors.
+// prepare() also refuses strings holding more than one statement.
+function prepareRows(pool, sqlText) {
+  return pool.prepare(stripTrailingSemicolons(sqlText)).raw(true);
+}
+
+const WORKER_PATH = fileURLToPath(new URL('./sqlite.worker.js', import.meta.url));
+
+// The worker opens its own read-only handle on the file, or a copy of an in-memory database.
+// 'advanced' serialization keeps BigInts and BLOBs intact across IPC.
+function startQueryWorker(pool, sqlText, options) {
+  const worker = fork(WORKER_PATH, [], { serialization: 'advanced', stdio: ['ignore', 'inherit', 'inherit', 'ipc'] });
+  const source = pool.memory ? { buffer: pool.serialize() } : { file: pool.name };
+  worker.send({ source, sql: stripTrailingSemicolons(sqlText), ...options });
+  return worker;
+}
+
+function stopWorker(worker) {
+  if (worker.exitCode === null && worker.signalCode === null) worker.kill('SIGKILL');
+}
+
+// BLOBs cross the process boundary as Uint8Array; callers expect Buffers like better-sqlite3 returns
+function fromWorkerRows(rows) {
+  return rows.map((row) => row.map((value) =>
+    value instanceof Uint8Array && !Buffer.isBuffer(value) ? Buffer.from(value.buffer, value.byteOffset, value.byteLength) : value));
+}
+
+// Next message from the worker. When `timeoutMs` passes first the worker is killed —
+// wherever SQLite is in the statement — and the time limit error is thrown.
+function nextMessage(worker, timeoutMs) {
+  return new Promise((resolve, reject) => {
+    const cleanup = () => {
+      clearTimeout(timer);
+      worker.off('message', onMessage);
+      worker.off('error', onError);
+      worker.off('exit', onExit);
+    };
+    const timer = setTimeout(() => {
+      cleanup();
+      stopWorker(worker);
+      reject(timeLimitExceeded(timeoutMs));
+    }, Number(timeoutMs));
+    const onMessage = (message) => {
+      cleanup();
+      if (!message.error) {
+        resolve(message);
+        return;
+      }
+      const err = new Error(message.error.message);
+      err.code = message.error.code;
+      reject(err);
+    };
+    const onError = (err) => {
+      cleanup();
+      reject(err);
+    };
+    const onExit = (code, signal) => {
+      cleanup();
+      reject(new Error(`SQLite query worker exited (${signal ?? `code ${code}`})`));
+    };
+    worker.on('message', onMessage);
+    worker.on('error', onError);
+    worker.on('exit', onExit);
+  });
+}
+
+// The connection is already query_only; reads stop after maxRows + 1 rows, the extra row signalling truncation
+async function executeQuery(pool, sqlText, { timeoutMs, maxRows }) {
+  if (!pool) throw new Error('DB pool not available');
+
+  const worker = startQueryWorker(pool, sqlText, { mode: 'execute', maxRows: Number(maxRows) });
+  try {
+    const { columns, rows, truncated } = await nextMessage(worker, timeoutMs);
+    return { columns: toColumns(columns), rows: fromWorkerRows(rows), rowCount: rows.length, truncated };
+  } finally {
+    stopWorker(worker);
+  }
+}
+
+async function validateQuery(pool, sqlText) {
+  if (!pool) throw new Error('DB pool not available');
+
+  prepareRows(pool, sqlText);
+}
+
+// EXPLAIN QUERY PLAN rows: { id, parent, detail } — a flat list the plan normaliser turns into a tree
+async function explainQuery(pool, sqlText) {
+  if (!pool) throw new Error('DB pool not available');
+
+  return pool.prepare(`EXPLAIN QUERY PLAN ${stripTrailingSemicolons(sqlText)}`).all();
+}
+
+// Yields { columns } once, then { rows } batches, and stops after maxRows rows. The worker reads
+// one batch per request, so the time limit applies per batch, like a statement timeout on each
+// FETCH — time the consumer takes doesn't count.
+async function* streamQuery(pool, sqlText, { timeoutMs, maxRows, batchSize = 500 }) {
+  if (!pool) throw new Error('DB pool not available');
+
+  const worker = startQueryWorker(pool, sqlText, { mode: 'stream', maxRows: Number(maxRows), batchSize });
+  try {
+    const { columns } = await nextMessage(worker, timeoutMs);
+    yield { columns: toColumns(columns) };
+
+    for (;;) {
+      const reply = nextMessage(worker, timeoutMs);
+      worker.send('next');
+      const { rows } = await reply;
+      if (!rows) break;
+      yield { rows: fromWorkerRows(rows) };
+    }
+  } finally {
+    stopWorker(worker);
+  }
+}
+
+export { getSchema, getTables, getSampleRows, getRowCounts, quoteIdentifier, executeQuery, validateQuery, explainQuery, streamQuery };
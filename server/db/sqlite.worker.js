@@ -0,0 +1,82 @@
+// server/db/sqlite.worker.js
+// Runs one user query for db/sqlite.js in a child process. better-sqlite3 steps synchronously
+// and has no interrupt: a runaway statement would block the whole server, and a worker thread
+// can't be stopped while it is inside SQLite. A process can — db/sqlite.js kills it when the
+// time limit passes.
+//
+// First message: { source: { file } | { buffer }, sql, mode: 'execute' | 'stream', maxRows, batchSize }
+// execute → one { columns, rows, truncated } reply
+// stream  → { columns }, then one { rows } or { done } reply per later 'next' message
+
+import Database from 'better-sqlite3';
+
+function toMessageError(err) {
+  return { error: { message: err.message, code: err.code } };
+}
+
+function openConnection(source) {
+  const db = source.file
+    ? new Database(source.file, { readonly: true, fileMustExist: true })
+    : new Database(Buffer.from(source.buffer));
+  db.pragma('query_only = ON');
+  return db;
+}
+
+function columnsOf(statement) {
+  return statement.columns().map((column) => ({ name: column.name, type: column.type }));
+}
+
+function runExecute(statement, { maxRows }) {
+  const rows = [];
+  let truncated = false;
+  for (const row of statement.iterate()) {
+    if (rows.length >= maxRows) {
+      truncated = true;
+      break;
+    }
+    rows.push(row);
+  }
+  process.send({ columns: columnsOf(statement), rows, truncated });
+}
+
+// Returns the handler for 'next' messages
+function runStream(statement, { maxRows, batchSize }) {
+  const iterator = statement.iterate();
+  let remaining = maxRows;
+  process.send({ columns: columnsOf(statement) });
+
+  return () => {
+    const rows = [];
+    while (remaining > 0 && rows.length < batchSize) {
+      const next = iterator.next();
+      if (next.done) {
+        remaining = 0;
+        break;
+      }
+      rows.push(next.value);
+      remaining -= 1;
+    }
+    if (rows.length > 0) {
+      process.send({ rows });
+      return;
+    }
+    iterator.return();
+    process.send({ done: true });
+  };
+}
+
+let nextBatch = null;
+
+process.on('message', (message) => {
+  try {
+    if (nextBatch) {
+      nextBatch();
+      return;
+    }
+    const statement = openConnection(message.source).prepare(message.sql).raw(true);
+    if (message.mode === 'stream') nextBatch = runStream(statement, message);
+    else runExecute(statement, message);
+  } catch (err) {
+    process.send(toMessageError(err));
+  }
+});
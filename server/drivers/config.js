@@ -0,0 +1,37 @@
+// data access code
+// Helpers shared by the driver adapters' connect and demoConfig
+
+import z from 'zod';
+
+/** Error whose status connect() callers send as HTTP 400. */
+export function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+/** Comma-separated env value → trimmed non-empty names, or undefined when there are none. */
+export function parseSchemaList(value) {
+  const schemas = String(value ?? '').split(',').map((schema) => schema.trim()).filter(Boolean);
+  return schemas.length > 0 ? schemas : undefined;
+}
+
+// CA bundles from managed providers run to a few hundred KB
+const MAX_PEM_CHARS = 512 * 1024;
+// A Postgres connect body carries up to four: sslCa, sslCert, sslKey and ssh.privateKey
+const MAX_PEMS_PER_CONNECT = 4;
+
+/**
+ * Body size limit (bytes) for the connect routes in server.js: four PEMs at the cap, JSON-escaped
+ * (every line break becomes \n), plus room for the other fields. Other routes keep 1 MB.
+ */
+export const CONNECT_BODY_LIMIT = Math.ceil(MAX_PEMS_PER_CONNECT * MAX_PEM_CHARS * 1.05) + 64 * 1024;
+
+/** Optional PEM text uploaded with a connection (certificate, CA bundle or private key). */
+export function pemSchema(label) {
+  return z
+    .string()
+    .max(MAX_PEM_CHARS, `${label} is too large`)
+    .regex(/-----BEGIN [A-Z0-9 ]+-----/, `${label} must be PEM-encoded`)
+    .optional();
+}
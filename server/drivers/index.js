@@ -0,0 +1,15 @@
+// data access code
+// Built-in driver adapters. A new engine is one adapter file registered here.
+
+import { driverRegistry } from './registry.js';
+import { postgresDriver } from './postgres.driver.js';
+import { mssqlDriver } from './mssql.driver.js';
+import { mysqlDriver } from './mysql.driver.js';
+import { sqliteDriver } from './sqlite.driver.js';
+
+driverRegistry.register(postgresDriver);
+driverRegistry.register(mssqlDriver);
+driverRegistry.register(mysqlDriver);
+driverRegistry.register(sqliteDriver);
+
+export { driverRegistry };
@@ -0,0 +1,164 @@
+// data access code
+// SQL Server driver adapter (mssql)
+
+import sql from 'mssql';
+import z from 'zod';
+import { badRequest, parseSchemaList } from './config.js';
+import { sshTunnelSchema, openSshTunnel, rememberTunnel, closePoolTunnel } from './sshTunnel.js';
+import { getExecutionLimits } from '../services/executionLimits.js';
+import {
+  getSchema,
+  getTables,
+  getSampleRows,
+  getRowCounts,
+  getViewDefinitions,
+  getTableConstraints,
+  getRoutines,
+  getExistingSchemas,
+  isSnapshotIsolationOn,
+  quoteIdentifier,
+  executeQuery,
+  validateQuery,
+  explainQuery,
+  streamQuery,
+} from '../db/mssql.js';
+
+// Schema allow-list of each open pool; null reads every user schema
+const poolSchemas = new WeakMap();
+
+function schemasOf(pool) {
+  return poolSchemas.get(pool) ?? null;
+}
+
+// Schema names as the database spells them; identifiers usually compare case-insensitively
+async function resolveSchemas(pool, requested) {
+  const existing = await getExistingSchemas(pool, requested);
+  const byLowerName = new Map(existing.map((name) => [name.toLowerCase(), name]));
+  const missing = requested.filter((schema) => !byLowerName.has(schema.toLowerCase()));
+  if (missing.length > 0) {
+    throw badRequest(`Schema not found: ${missing.join(', ')}`);
+  }
+  return [...new Set(requested.map((schema) => byLowerName.get(schema.toLowerCase())))];
+}
+
+function createMssqlClient(config, tunnel = null) {
+  return new sql.ConnectionPool({
+    server: tunnel ? tunnel.host : config.server,
+    port: tunnel ? tunnel.port : config.port ? Number(config.port) : 1433,
+    user: config.user,
+    password: config.password || '',
+    database: config.database,
+    options: {
+      instanceName: config.instanceName || undefined,
+      // Through a tunnel the certificate is still checked against the real server name
+      ...(tunnel && { serverName: config.server }),
+      trustServerCertificate: config.trustServerCertificate !== false,
+      encrypt: config.encrypt !== false,
+    },
+    connectionTimeout: 15000,
+    // QUERY_TIMEOUT_MS for every request of the pool, user queries and introspection alike: tedious
+    // cancels the request and fails it with ETIMEOUT. Its clock stops once the response starts;
+    // after that SET ROWCOUNT bounds the work
+    requestTimeout: getExecutionLimits().timeoutMs,
+  });
+}
+
+// Whether each open pool's database allows snapshot isolation, read on connect
+const poolSnapshotIsolation = new WeakMap();
+
+/**
+ * Reads ALLOW_SNAPSHOT_ISOLATION for the pool's database. A login that can't see sys.databases
+ * counts as OFF: READ COMMITTED works everywhere.
+ */
+export async function rememberIsolationLevel(pool) {
+  let snapshot = false;
+  try {
+    snapshot = await isSnapshotIsolationOn(pool);
+  } catch (err) {
+    console.warn('[sqlserver] could not read snapshot_isolation_state, using READ COMMITTED:', err.message);
+  }
+  poolSnapshotIsolation.set(pool, snapshot);
+}
+
+// User queries run in SNAPSHOT where the database allows it (no shared locks on busy tables) and
+// READ COMMITTED elsewhere. MSSQL_QUERY_ISOLATION=snapshot | read_committed overrides the choice.
+function withIsolationLevel(pool, limits) {
+  const setting = process.env.MSSQL_QUERY_ISOLATION;
+  const snapshot = setting ? setting === 'snapshot' : poolSnapshotIsolation.get(pool) === true;
+  const isolationLevel = snapshot ? sql.ISOLATION_LEVEL.SNAPSHOT : sql.ISOLATION_LEVEL.READ_COMMITTED;
+  return { ...limits, isolationLevel };
+}
+
+export const mssqlDriver = {
+  name: 'sqlserver',
+  aliases: ['mssql'],
+  label: 'SQL Server',
+  dialect: 'sqlserver',
+  configSchema: z.object({
+    server: z.string().trim().min(1, 'Server is required'),
+    user: z.string().trim().min(1, 'User is required'),
+    database: z.string().trim().min(1, 'Database is required'),
+    port: z.union([z.string(), z.number()]).optional(),
+    password: z.string().optional(),
+    instanceName: z.string().optional(),
+    trustServerCertificate: z.boolean().optional(),
+    encrypt: z.boolean().optional(),
+    // Bastion to tunnel through: { host, port, user, password | privateKey, passphrase, hostFingerprint | skipHostKeyCheck }
+    ssh: sshTunnelSchema,
+    // Allow-list of schemas to introspect; every user schema when omitted
+    schemas: z.array(z.string().trim().min(1).max(128)).min(1).max(64).optional(),
+  }),
+  demoConfig() {
+    const config = {
+      server: process.env.DEMO_DB_HOST_SQL,
+      user: process.env.DEMO_DB_USER_SQL,
+      password: process.env.DEMO_DB_PASSWORD_SQL,
+      database: process.env.DEMO_DB_NAME_SQL,
+      schemas: parseSchemaList(process.env.DEMO_DB_SCHEMAS_SQL),
+    };
+    return config.server && config.user && config.database ? config : null;
+  },
+  async connect(config) {
+    // Named instances are found over UDP (SQL Browser), which an SSH tunnel doesn't carry
+    if (config.ssh && config.instanceName) {
+      throw badRequest('Connect to the instance by port instead of by name when using an SSH tunnel');
+    }
+    const tunnel = config.ssh ? await openSshTunnel(config.ssh, { host: config.server, port: config.port || 1433 }) : null;
+    const pool = createMssqlClient(config, tunnel);
+    if (tunnel) rememberTunnel(pool, tunnel);
+    try {
+      await pool.connect();
+      await pool.request().query('SELECT 1 AS test');
+      if (config.schemas) poolSchemas.set(pool, await resolveSchemas(pool, config.schemas));
+      await rememberIsolationLevel(pool);
+      return pool;
+    } catch (err) {
+      await pool.close().catch(() => {});
+      await closePoolTunnel(pool);
+      throw err;
+    }
+  },
+  async close(pool) {
+    try {
+      await pool.close();
+    } finally {
+      await closePoolTunnel(pool);
+    }
+  },
+  async now(pool) {
+    const result = await pool.request().query('SELECT GETDATE() AS now');
+    return result.recordset[0].now;
+  },
+  getSchema: (pool) => getSchema(pool, schemasOf(pool)),
+  getTables: (pool) => getTables(pool, schemasOf(pool)),
+  getSampleRows: (pool, table) => getSampleRows(pool, table, schemasOf(pool)),
+  getRowCounts: (pool) => getRowCounts(pool, schemasOf(pool)),
+  getViewDefinitions: (pool) => getViewDefinitions(pool, schemasOf(pool)),
+  getTableConstraints: (pool) => getTableConstraints(pool, schemasOf(pool)),
+  getRoutines: (pool) => getRoutines(pool, schemasOf(pool)),
+  execute: (pool, sqlText, limits) => executeQuery(pool, sqlText, withIsolationLevel(pool, limits)),
+  validate: (pool, sqlText, limits) => validateQuery(pool, sqlText, withIsolationLevel(pool, limits)),
+  explain: (pool, sqlText, limits) => explainQuery(pool, sqlText, withIsolationLevel(pool, limits)),
+  stream: (pool, sqlText, limits) => streamQuery(pool, sqlText, withIsolationLevel(pool, limits)),
+  quoteIdentifier,
+};
@@ -0,0 +1,85 @@
+// data access code
+// MySQL / MariaDB driver adapter (mysql2)
+
+import mysql from 'mysql2/promise';
+import z from 'zod';
+import {
+  getSchema,
+  getTables,
+  getSampleRows,
+  getRowCounts,
+  quoteIdentifier,
+  executeQuery,
+  validateQuery,
+  explainQuery,
+  streamQuery,
+} from '../db/mysql.js';
+
+function createMysqlClient(config) {
+  const rejectUnauthorized = process.env.MYSQL_SSL_REJECT_UNAUTHORIZED !== 'false';
+  return mysql.createPool({
+    host: config.host,
+    port: config.port ? Number(config.port) : 3306,
+    user: config.user,
+    password: config.password || '',
+    database: config.database,
+    ssl: config.ssl ? { rejectUnauthorized } : undefined,
+    connectTimeout: 15000,
+    connectionLimit: 10,
+    // BIGINT / DECIMAL come back as strings, like pg, instead of losing precision
+    supportBigNumbers: true,
+    bigNumberStrings: true,
+  });
+}
+
+export const mysqlDriver = {
+  name: 'mysql',
+  aliases: ['mariadb'],
+  label: 'MySQL',
+  dialect: 'mysql',
+  configSchema: z.object({
+    host: z.string().trim().min(1, 'Host is required'),
+    user: z.string().trim().min(1, 'User is required'),
+    database: z.string().trim().min(1, 'Database is required'),
+    port: z.union([z.string(), z.number()]).optional(),
+    password: z.string().optional(),
+    ssl: z.boolean().optional(),
+  }),
+  demoConfig() {
+    const config = {
+      host: process.env.DEMO_DB_HOST_MYSQL,
+      port: process.env.DEMO_DB_PORT_MYSQL,
+      user: process.env.DEMO_DB_USER_MYSQL,
+      password: process.env.DEMO_DB_PASSWORD_MYSQL,
+      database: process.env.DEMO_DB_NAME_MYSQL,
+      ssl: process.env.DEMO_DB_SSL_MYSQL === 'true',
+    };
+    return config.host && config.user && config.database ? config : null;
+  },
+  async connect(config) {
+    const pool = createMysqlClient(config);
+    try {
+      await pool.query('SELECT 1 AS test');
+      return pool;
+    } catch (err) {
+      await pool.end().catch(() => {});
+      throw err;
+    }
+  },
+  async close(pool) {
+    await pool.end();
+  },
+  async now(pool) {
+    const [rows] = await pool.query('SELECT NOW() AS now');
+    return rows[0].now;
+  },
+  getSchema,
+  getTables,
+  getSampleRows,
+  getRowCounts,
+  execute: executeQuery,
+  validate: validateQuery,
+  explain: explainQuery,
+  stream: streamQuery,
+  quoteIdentifier,
+};
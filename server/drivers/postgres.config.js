@@ -0,0 +1,98 @@
+// data access code
+// PostgreSQL connection strings and per-connection TLS settings, resolved into pg Pool fields
+
+import { badRequest } from './config.js';
+
+// libpq sslmode values pg can honour; allow / prefer need a plaintext fallback pg doesn't do
+export const SSL_MODES = ['disable', 'require', 'verify-ca', 'verify-full'];
+
+// Query parameters a connection string may carry. libpq's file parameters (sslrootcert, sslcert,
+// sslkey) are refused: they name files on this server — certificates are uploaded instead.
+const URI_PARAMS = {
+  sslmode: 'sslMode',
+  options: 'options',
+  application_name: 'applicationName',
+};
+
+/** postgres:// or postgresql:// URI → the config fields it sets. */
+export function parseConnectionString(uri) {
+  let url;
+  try {
+    url = new URL(uri);
+  } catch {
+    throw badRequest('Connection string is not a valid URI');
+  }
+  if (url.protocol !== 'postgres:' && url.protocol !== 'postgresql:') {
+    throw badRequest('Connection string must start with postgres:// or postgresql://');
+  }
+
+  const fields = {
+    host: url.hostname.replace(/^\[(.*)\]$/, '$1'),
+    port: url.port,
+    user: decodeURIComponent(url.username),
+    password: decodeURIComponent(url.password),
+    database: decodeURIComponent(url.pathname.replace(/^\//, '')),
+  };
+  for (const [param, value] of url.searchParams) {
+    const field = URI_PARAMS[param];
+    if (!field) {
+      throw badRequest(`Connection string parameter "${param}" is not supported`);
+    }
+    fields[field] = value;
+  }
+  if (fields.sslMode !== undefined && !SSL_MODES.includes(fields.sslMode)) {
+    throw badRequest(`sslmode must be one of: ${SSL_MODES.join(', ')}`);
+  }
+
+  return Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== ''));
+}
+
+/**
+ * Merges `connectionString` with the discrete fields — fields that are set win, so a password
+ * can be sent on its own — and checks that host, user and database ended up set.
+ */
+export function resolvePostgresConfig({ connectionString, ...config }) {
+  const fields = Object.fromEntries(Object.entries(config).filter(([, value]) => value !== undefined && value !== ''));
+  const resolved = { ...(connectionString ? parseConnectionString(connectionString) : {}), ...fields };
+
+  for (const [field, label] of [['host', 'Host'], ['user', 'User'], ['database', 'Database']]) {
+    if (!resolved[field]) throw badRequest(`${label} is required`);
+  }
+  if (Boolean(resolved.sslCert) !== Boolean(resolved.sslKey)) {
+    throw badRequest('Upload the client certificate and its key together');
+  }
+  return resolved;
+}
+
+/**
+ * pg `ssl` option for a resolved config. An sslmode (or uploaded certificates, which imply
+ * verify-full) decides verification per connection; the legacy `ssl: true` flag keeps using
+ * `legacyRejectUnauthorized`, the server-wide default.
+ */
+export function postgresSslOptions(config, legacyRejectUnauthorized) {
+  const certificates = {
+    ...(config.sslCa && { ca: config.sslCa }),
+    ...(config.sslCert && { cert: config.sslCert, key: config.sslKey }),
+  };
+  const uploaded = Object.keys(certificates).length > 0;
+
+  let mode = config.sslMode;
+  if (!mode && config.ssl && !uploaded) {
+    return { rejectUnauthorized: legacyRejectUnauthorized };
+  }
+  if (!mode) mode = uploaded ? 'verify-full' : 'disable';
+  // As in libpq, require with a root certificate verifies the chain like verify-ca
+  if (mode === 'require' && certificates.ca) mode = 'verify-ca';
+
+  switch (mode) {
+    case 'disable':
+      return false;
+    case 'require':
+      return { ...certificates, rejectUnauthorized: false };
+    case 'verify-ca':
+      // Chain is checked against the CA; the host name is not
+      return { ...certificates, rejectUnauthorized: true, checkServerIdentity: () => undefined };
+    default:
+      return { ...certificates, rejectUnauthorized: true };
+  }
+}
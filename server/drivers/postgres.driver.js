@@ -0,0 +1,137 @@
+// data access code
+// PostgreSQL driver adapter (pg)
+
+import net from 'net';
+import { Pool } from 'pg';
+import z from 'zod';
+import { badRequest, parseSchemaList, pemSchema } from './config.js';
+import { SSL_MODES, resolvePostgresConfig, postgresSslOptions } from './postgres.config.js';
+import { sshTunnelSchema, openSshTunnel, rememberTunnel, closePoolTunnel } from './sshTunnel.js';
+import {
+  DEFAULT_SCHEMAS,
+  getSchema,
+  getTables,
+  getSampleRows,
+  getRowCounts,
+  getViewDefinitions,
+  getTableConstraints,
+  getRoutines,
+  getExistingSchemas,
+  quoteIdentifier,
+  executeQuery,
+  validateQuery,
+  explainQuery,
+  streamQuery,
+} from '../db/postgres.js';
+
+// Schema allow-list of each open pool; introspection only reads these schemas
+const poolSchemas = new WeakMap();
+
+function schemasOf(pool) {
+  return poolSchemas.get(pool) ?? DEFAULT_SCHEMAS;
+}
+
+// Through a tunnel pg connects to 127.0.0.1, so TLS is told the database's real host name
+function tlsForHost(ssl, host) {
+  return ssl && !net.isIP(host) ? { ...ssl, servername: host } : ssl;
+}
+
+function createPostgresClient(config, tunnel = null) {
+  // Only the legacy `ssl: true` flag uses this; an sslmode or uploaded CA decides per connection
+  const rejectUnauthorized = process.env.POSTGRES_SSL_REJECT_UNAUTHORIZED !== 'false';
+  const ssl = postgresSslOptions(config, rejectUnauthorized);
+  return new Pool({
+    host: tunnel ? tunnel.host : config.host,
+    port: tunnel ? tunnel.port : config.port,
+    user: config.user,
+    password: config.password,
+    database: config.database,
+    ssl: tunnel ? tlsForHost(ssl, config.host) : ssl,
+    statement_timeout: 30000, // backstop for every statement; user queries get a tighter SET LOCAL limit
+    ...(config.options && { options: config.options }),
+    ...(config.applicationName && { application_name: config.applicationName }),
+  });
+}
+
+export const postgresDriver = {
+  name: 'postgres',
+  aliases: ['postgresql'],
+  label: 'PostgreSQL',
+  dialect: 'postgres',
+  // host, user and database may come from `connectionString` instead; connect() checks them
+  configSchema: z.object({
+    connectionString: z.string().trim().max(2048).optional(),
+    host: z.string().trim().optional(),
+    user: z.string().trim().optional(),
+    database: z.string().trim().optional(),
+    port: z.union([z.string(), z.number()]).optional(),
+    password: z.string().optional(),
+    ssl: z.boolean().optional(),
+    sslMode: z.enum(SSL_MODES).optional(),
+    sslCa: pemSchema('CA certificate'),
+    sslCert: pemSchema('Client certificate'),
+    sslKey: pemSchema('Client key'),
+    options: z.string().optional(),
+    // Bastion to tunnel through: { host, port, user, password | privateKey, passphrase, hostFingerprint | skipHostKeyCheck }
+    ssh: sshTunnelSchema,
+    // Allow-list of schemas to introspect; defaults to ["public"]
+    schemas: z.array(z.string().trim().min(1).max(63)).min(1).max(64).optional(),
+  }),
+  demoConfig() {
+    const config = {
+      connectionString: process.env.DEMO_DB_URL,
+      host: process.env.DEMO_DB_HOST,
+      port: process.env.DEMO_DB_PORT,
+      user: process.env.DEMO_DB_USER,
+      password: process.env.DEMO_DB_PASSWORD,
+      database: process.env.DEMO_DB_NAME,
+      ssl: process.env.DEMO_DB_SSL === 'true' || false,
+      options: process.env.DEMO_DB_OPTIONS,
+      schemas: parseSchemaList(process.env.DEMO_DB_SCHEMAS),
+    };
+    return config.connectionString || (config.host && config.user && config.database) ? config : null;
+  },
+  async connect(rawConfig) {
+    const config = resolvePostgresConfig(rawConfig);
+    const tunnel = config.ssh ? await openSshTunnel(config.ssh, { host: config.host, port: config.port || 5432 }) : null;
+    const pool = createPostgresClient(config, tunnel);
+    if (tunnel) rememberTunnel(pool, tunnel);
+    const schemas = [...new Set(config.schemas ?? DEFAULT_SCHEMAS)];
+    try {
+      const existing = await getExistingSchemas(pool, schemas);
+      const missing = schemas.filter((schema) => !existing.includes(schema));
+      if (missing.length > 0) {
+        throw badRequest(`Schema not found: ${missing.join(', ')}`);
+      }
+      poolSchemas.set(pool, schemas);
+      return pool;
+    } catch (err) {
+      await pool.end().catch(() => {});
+      await closePoolTunnel(pool);
+      throw err;
+    }
+  },
+  async close(pool) {
+    try {
+      await pool.end();
+    } finally {
+      await closePoolTunnel(pool);
+    }
+  },
+  async now(pool) {
+    const result = await pool.query('SELECT NOW() AS now');
+    return result.rows[0].now;
+  },
+  getSchema: (pool) => getSchema(pool, schemasOf(pool)),
+  getTables: (pool) => getTables(pool, schemasOf(pool)),
+  getSampleRows: (pool, table) => getSampleRows(pool, table, schemasOf(pool)),
+  getRowCounts: (pool) => getRowCounts(pool, schemasOf(pool)),
+  getViewDefinitions: (pool) => getViewDefinitions(pool, schemasOf(pool)),
+  getTableConstraints: (pool) => getTableConstraints(pool, schemasOf(pool)),
+  getRoutines: (pool) => getRoutines(pool, schemasOf(pool)),
+  execute: executeQuery,
+  validate: validateQuery,
+  explain: explainQuery,
+  stream: streamQuery,
+  quoteIdentifier,
+};
@@ -0,0 +1,91 @@
+// data access code
+// Registry of database driver adapters. Each engine is one adapter object; the generic
+// connection service, controller and /db/:driver routes work from this contract alone.
+
+/**
+ * @typedef {object} DriverAdapter
+ * @property {string} name            route key: /db/<name>/...
+ * @property {string[]} [aliases]     other keys accepted in routes and the `dialect` field
+ * @property {string} label           engine name used in messages ("PostgreSQL")
+ * @property {string} dialect         key understood by sqlGuard and queryPlan
+ * @property {import('zod').ZodObject} configSchema  body of POST /db/<name>/connect
+ * @property {() => object | null} demoConfig        config for connect-demo; null when not configured
+ * @property {(config: object) => Promise<unknown>} connect  open and test a pool; throws on failure
+ *   (an `err.status` is used as the HTTP status, 500 otherwise)
+ * @property {(pool: unknown) => Promise<void>} close
+ * @property {(pool: unknown) => Promise<unknown>} now   server time, for the health check
+ * @property {(pool: unknown) => Promise<object[]>} getSchema      rows shaped like db/postgres.js;
+ *   `table_type` (BASE TABLE | VIEW | MATERIALIZED VIEW | INDEXED VIEW) defaults to BASE TABLE
+ * @property {(pool: unknown) => Promise<string[]>} getTables
+ * @property {(pool: unknown, table: string) => Promise<object[]>} getSampleRows
+ * @property {(pool: unknown) => Promise<Record<string, number>>} getRowCounts
+ * @property {(pool: unknown) => Promise<Record<string, string>>} [getViewDefinitions]
+ *   SELECT text of each view, keyed by table name (engines that introspect views)
+ * @property {(pool: unknown) => Promise<Record<string, object>>} [getTableConstraints]
+ *   { indexes, uniqueConstraints, checkConstraints } keyed by table name (see db/postgres.js)
+ * @property {(pool: unknown) => Promise<object[]>} [getRoutines]
+ *   functions / procedures as { name, type, parameters, returnType, language, definition }
+ * @property {(pool: unknown, sql: string, limits: object) => Promise<object>} execute
+ *   read-only run: { columns, rows, rowCount, truncated }
+ * @property {(pool: unknown, sql: string, limits: object) => Promise<void>} validate  compile only
+ * @property {(pool: unknown, sql: string, limits: object) => Promise<unknown>} explain
+ *   raw estimated plan for queryPlan.normalize(dialect, ...)
+ * @property {(pool: unknown, sql: string, limits: object) => AsyncGenerator<object>} stream
+ *   yields { columns } once, then { rows } batches
+ * @property {(identifier: string) => string} quoteIdentifier
+ * @property {(file: Buffer) => Promise<object>} [upload]  store an uploaded database file and
+ *   return the config that connects to it (file-based engines only)
+ */
+
+const REQUIRED_METHODS = [
+  'connect',
+  'close',
+  'now',
+  'demoConfig',
+  'getSchema',
+  'getTables',
+  'getSampleRows',
+  'getRowCounts',
+  'execute',
+  'validate',
+  'explain',
+  'stream',
+  'quoteIdentifier',
+];
+
+const drivers = new Map();
+const keys = new Map(); // name or alias → adapter
+
+// Public interface
+export const driverRegistry = {
+  /** Add an adapter; throws when it is incomplete or its name / an alias is taken. */
+  register(adapter) {
+    if (!adapter?.name || !adapter.dialect || !adapter.label) {
+      throw new Error('A driver adapter needs a name, label and dialect');
+    }
+    const missing = REQUIRED_METHODS.filter((method) => typeof adapter[method] !== 'function');
+    if (missing.length > 0) {
+      throw new Error(`Driver "${adapter.name}" is missing: ${missing.join(', ')}`);
+    }
+    if (!adapter.configSchema?.safeParse) {
+      throw new Error(`Driver "${adapter.name}" needs a zod configSchema`);
+    }
+
+    const adapterKeys = [adapter.name, ...(adapter.aliases ?? [])];
+    const taken = adapterKeys.find((key) => keys.has(key));
+    if (taken) throw new Error(`Driver key "${taken}" is already registered`);
+
+    drivers.set(adapter.name, adapter);
+    for (const key of adapterKeys) keys.set(key, adapter);
+    return adapter;
+  },
+
+  /** Adapter for a name or alias (case-insensitive), or null. */
+  get(key) {
+    return keys.get(String(key ?? '').toLowerCase()) ?? null;
+  },
+
+  list() {
+    return [...drivers.values()];
+  },
+};
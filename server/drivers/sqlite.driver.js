@@ -0,0 +1,139 @@
+// data access code
+// SQLite driver adapter (better-sqlite3). Databases are opened read-only and query-only.
+
+import Database from 'better-sqlite3';
+import { randomUUID } from 'crypto';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import z from 'zod';
+import { badRequest } from './config.js';
+import {
+  getSchema,
+  getTables,
+  getSampleRows,
+  getRowCounts,
+  quoteIdentifier,
+  executeQuery,
+  validateQuery,
+  explainQuery,
+  streamQuery,
+} from '../db/sqlite.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const demoSeedPath = path.resolve(__dirname, '../db/seeds/sqlite-demo.sql');
+const uploadDir = path.join(os.tmpdir(), 'querify-sqlite');
+
+// Every SQLite 3 database file starts with this header
+const SQLITE_HEADER = Buffer.from('SQLite format 3\0', 'latin1');
+
+// Uploaded files are copies in the temp dir, deleted once their connection is closed
+const uploadedFiles = new WeakMap();
+
+// Files users may point at by path must live here, so the endpoint can't read arbitrary server files
+function getDataDir() {
+  return path.resolve(process.env.SQLITE_DATA_DIR || path.resolve(__dirname, '../data/sqlite'));
+}
+
+// Resolves `requested` inside the data dir (symlinks included); null when it escapes or doesn't exist
+async function resolveDataFile(requested) {
+  try {
+    const dataDir = await fs.realpath(getDataDir());
+    const file = await fs.realpath(path.resolve(dataDir, requested));
+    return file.startsWith(dataDir + path.sep) ? file : null;
+  } catch {
+    return null;
+  }
+}
+
+// The sqlite_master read fails fast on files that aren't databases
+function openReadOnly(file) {
+  const db = file === ':memory:' ? new Database(file) : new Database(file, { readonly: true, fileMustExist: true });
+  try {
+    db.prepare('SELECT COUNT(*) FROM sqlite_master').get();
+    return db;
+  } catch (err) {
+    db.close();
+    throw err;
+  }
+}
+
+async function openDatabase(config) {
+  if (config.seed) {
+    const db = openReadOnly(':memory:');
+    db.exec(await fs.readFile(config.seed, 'utf8'));
+    return db;
+  }
+  if (config.file) return openReadOnly(config.file);
+
+  const file = await resolveDataFile(config.path);
+  if (!file) throw badRequest(`SQLite file not found in the server's data directory: ${config.path}`);
+  try {
+    return openReadOnly(file);
+  } catch (err) {
+    throw badRequest(err.message);
+  }
+}
+
+/**
+ * Connect configs: `{ path }` relative to SQLITE_DATA_DIR (the only form the connect endpoint
+ * accepts), `{ file, temporary }` from upload() or DEMO_DB_SQLITE_PATH, `{ seed }` for the
+ * bundled demo loaded into memory.
+ */
+export const sqliteDriver = {
+  name: 'sqlite',
+  label: 'SQLite',
+  dialect: 'sqlite',
+  configSchema: z.object({
+    path: z.string().trim().min(1, 'Path is required'),
+  }),
+  demoConfig() {
+    const demoPath = process.env.DEMO_DB_SQLITE_PATH;
+    return demoPath ? { file: demoPath } : { seed: demoSeedPath };
+  },
+  async connect(config) {
+    let db;
+    try {
+      db = await openDatabase(config);
+      db.pragma('query_only = ON');
+    } catch (err) {
+      db?.close();
+      if (config.temporary) await fs.unlink(config.file).catch(() => {});
+      throw config.temporary ? badRequest(err.message) : err;
+    }
+    if (config.temporary) uploadedFiles.set(db, config.file);
+    return db;
+  },
+  async close(pool) {
+    pool.close();
+    const uploadedFile = uploadedFiles.get(pool);
+    if (uploadedFile) {
+      uploadedFiles.delete(pool);
+      await fs.unlink(uploadedFile).catch(() => {});
+    }
+  },
+  async now(pool) {
+    return pool.prepare("SELECT strftime('%Y-%m-%dT%H:%M:%fZ', 'now') AS now").get().now;
+  },
+  // Stores the uploaded bytes in the temp dir for the life of the connection
+  async upload(file) {
+    if (!Buffer.isBuffer(file) || !file.subarray(0, SQLITE_HEADER.length).equals(SQLITE_HEADER)) {
+      throw badRequest('The uploaded file is not a SQLite 3 database');
+    }
+    const uploadPath = path.join(uploadDir, `${randomUUID()}.sqlite`);
+    await fs.mkdir(uploadDir, { recursive: true });
+    await fs.writeFile(uploadPath, file);
+    return { file: uploadPath, temporary: true };
+  },
+  getSchema,
+  getTables,
+  getSampleRows,
+  getRowCounts,
+  execute: executeQuery,
+  validate: validateQuery,
+  explain: explainQuery,
+  stream: streamQuery,
+  quoteIdentifier,
+};
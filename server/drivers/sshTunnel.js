@@ -0,0 +1,162 @@
+// data access code
+// SSH tunnels to databases that are only reachable through a bastion host (ssh2). A tunnel
+// listens on a random 127.0.0.1 port and forwards every connection through the bastion.
+
+import net from 'net';
+import { createHash } from 'crypto';
+import { Client } from 'ssh2';
+import z from 'zod';
+import { pemSchema } from './config.js';
+
+const READY_TIMEOUT_MS = 15000;
+
+// Tunnel of each pool opened through one, closed together with the pool
+const poolTunnels = new WeakMap();
+
+/** `ssh` field of the Postgres and SQL Server connect bodies. */
+export const sshTunnelSchema = z
+  .object({
+    host: z.string().trim().min(1, 'SSH host is required'),
+    port: z.union([z.string(), z.number()]).optional(),
+    user: z.string().trim().min(1, 'SSH user is required'),
+    password: z.string().optional(),
+    privateKey: pemSchema('SSH private key'),
+    passphrase: z.string().optional(),
+    // "SHA256:…" as printed by `ssh-keygen -lf`. Without it the tunnel is refused (and the error
+    // names the key the bastion offered) unless skipHostKeyCheck opts out of checking it at all
+    hostFingerprint: z.string().trim().optional(),
+    skipHostKeyCheck: z.boolean().optional(),
+  })
+  .refine((ssh) => ssh.password || ssh.privateKey, { message: 'SSH password or private key is required' })
+  .optional();
+
+/** Error for a tunnel that could not be opened; connect() callers send `status`. */
+function tunnelError(message, status = 502) {
+  const err = new Error(`SSH tunnel: ${message}`);
+  err.status = status;
+  err.code = 'SSH_TUNNEL';
+  return err;
+}
+
+function fingerprintOf(hostKey) {
+  return `SHA256:${createHash('sha256').update(hostKey).digest('base64').replace(/=+$/, '')}`;
+}
+
+// ssh2 client errors → messages that say which hop failed
+function describeClientError(err, ssh, bastion) {
+  if (err.level === 'client-authentication') {
+    return tunnelError(`authentication failed for ${ssh.user}@${bastion}`, 400);
+  }
+  if (err.level === 'client-timeout') return tunnelError(`timed out connecting to ${bastion}`);
+  if (err.code === 'ENOTFOUND' || err.code === 'EAI_AGAIN') return tunnelError(`could not resolve ${ssh.host}`);
+  if (err.level === 'client-socket') return tunnelError(`could not reach ${bastion}: ${err.message}`);
+  return tunnelError(`${bastion}: ${err.message}`);
+}
+
+/**
+ * Connects to the bastion in `ssh`, checks that it can reach `target` ({ host, port }) and starts
+ * forwarding. Resolves to { host, port, close() } — the local end to give the database driver.
+ */
+export function openSshTunnel(ssh, target) {
+  const bastion = `${ssh.host}:${ssh.port || 22}`;
+  const destination = `${target.host}:${target.port}`;
+  const sockets = new Set();
+  const client = new Client();
+  let server = null;
+  let hostKeyRefusal = null;
+  let closing = false;
+
+  const close = () => new Promise((resolve) => {
+    closing = true;
+    for (const socket of sockets) socket.destroy();
+    client.end();
+    if (server) server.close(() => resolve());
+    else resolve();
+  });
+
+  const forward = (socket) => {
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+    socket.on('error', () => socket.destroy());
+    client.forwardOut('127.0.0.1', socket.remotePort ?? 0, target.host, Number(target.port), (err, stream) => {
+      if (err) {
+        console.warn(`[ssh] ${bastion} could not forward to ${destination}:`, err.message);
+        socket.destroy();
+        return;
+      }
+      stream.on('error', () => socket.destroy());
+      socket.pipe(stream).pipe(socket);
+    });
+  };
+
+  return new Promise((resolve, reject) => {
+    let settled = false;
+    const fail = (err) => {
+      if (settled) return;
+      settled = true;
+      close().then(() => reject(err));
+    };
+
+    client.on('error', (err) => {
+      fail(hostKeyRefusal ?? describeClientError(err, ssh, bastion));
+    });
+    client.on('close', () => {
+      if (!settled) fail(tunnelError(`${bastion} closed the connection`));
+      else if (!closing) console.warn(`[ssh] tunnel through ${bastion} closed; its pool can no longer connect`);
+    });
+
+    client.on('ready', () => {
+      // One forward up front, so a database the bastion can't reach fails here and not in the driver
+      client.forwardOut('127.0.0.1', 0, target.host, Number(target.port), (err, probe) => {
+        if (err) {
+          fail(tunnelError(`${bastion} could not open a connection to ${destination}: ${err.message}`));
+          return;
+        }
+        probe.close();
+
+        server = net.createServer(forward);
+        server.on('error', (serverErr) => fail(tunnelError(`could not listen on a local port: ${serverErr.message}`)));
+        server.listen(0, '127.0.0.1', () => {
+          settled = true;
+          resolve({ host: '127.0.0.1', port: server.address().port, close });
+        });
+      });
+    });
+
+    try {
+      client.connect({
+        host: ssh.host,
+        port: Number(ssh.port || 22),
+        username: ssh.user,
+        password: ssh.password || undefined,
+        privateKey: ssh.privateKey || undefined,
+        passphrase: ssh.passphrase || undefined,
+        readyTimeout: READY_TIMEOUT_MS,
+        hostVerifier: (hostKey) => {
+          if (ssh.skipHostKeyCheck) return true;
+          const fingerprint = fingerprintOf(hostKey);
+          if (fingerprint === ssh.hostFingerprint) return true;
+          hostKeyRefusal = ssh.hostFingerprint
+            ? tunnelError(`host key of ${bastion} is ${fingerprint}, not the expected ${ssh.hostFingerprint}`)
+            : tunnelError(`host key of ${bastion} is ${fingerprint} and no fingerprint was given to check it; enter it as the host fingerprint if it is the bastion's`, 400);
+          return false;
+        },
+      });
+    } catch (err) {
+      // ssh2 throws synchronously for keys it can't parse (or a wrong passphrase)
+      fail(tunnelError(`could not use the private key: ${err.message}`, 400));
+    }
+  });
+}
+
+export function rememberTunnel(pool, tunnel) {
+  poolTunnels.set(pool, tunnel);
+}
+
+/** Closes the tunnel `pool` was opened through, if any. Call after the pool itself is closed. */
+export async function closePoolTunnel(pool) {
+  const tunnel = poolTunnels.get(pool);
+  if (!tunnel) return;
+  poolTunnels.delete(pool);
+  await tunnel.close();
+}
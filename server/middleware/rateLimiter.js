@@ -36,3 +36,13 @@ export const connectLimiter = rateLimit({
   message: 'Too many connection attempts. Please try again after 15 minutes.',
   handler: rateLimitHandler,
 });
+
+// 60 execute requests per IP per 15 minutes — runs user SQL against the connected DB
+export const executeLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  limit: 60,
+  standardHeaders: true,
+  legacyHeaders: true,
+  message: 'Too many query executions. Please try again after 15 minutes.',
+  handler: rateLimitHandler,
+});
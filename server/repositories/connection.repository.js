@@ -0,0 +1,113 @@
+// data access code
+// Data repository for the open connections of each session: one pool per session and driver
+
+// `${sessionId}\0${driverName}` → { sessionId, driver, pool, available, piiPolicy, allowRoutines, routines, lastUsedAt }
+const connections = new Map();
+
+function keyOf(sessionId, driver) {
+  return `${sessionId}\0${driver.name}`;
+}
+
+function stateOf(sessionId, driver) {
+  return connections.get(keyOf(sessionId, driver)) ?? {
+    sessionId,
+    driver,
+    pool: null,
+    available: false,
+    piiPolicy: 'mask',
+    allowRoutines: false,
+    routines: null,
+    lastUsedAt: 0,
+  };
+}
+
+function update(sessionId, driver, changes) {
+  connections.set(keyOf(sessionId, driver), { ...stateOf(sessionId, driver), ...changes });
+}
+
+async function closeQuietly(driver, pool) {
+  try {
+    await driver.close(pool);
+  } catch (err) {
+    /* ignore */
+  }
+}
+
+export const connectionRepository = {
+  getPool(sessionId, driver) {
+    return stateOf(sessionId, driver).pool;
+  },
+  isAvailable(sessionId, driver) {
+    return stateOf(sessionId, driver).available;
+  },
+  // Marks the session's pool as just used, which keeps it from being reaped
+  touch(sessionId, driver) {
+    const state = connections.get(keyOf(sessionId, driver));
+    if (state) state.lastUsedAt = Date.now();
+  },
+  // Closes the session's previous pool for the driver, if any
+  async replacePool(sessionId, driver, newPool) {
+    const current = stateOf(sessionId, driver);
+    if (current.pool && current.pool !== newPool) {
+      await closeQuietly(driver, current.pool);
+    }
+
+    update(sessionId, driver, { pool: newPool, available: true, lastUsedAt: Date.now() });
+  },
+  hasPool(sessionId, driver) {
+    return Boolean(stateOf(sessionId, driver).pool);
+  },
+  // Whether the session has a pool open for any driver
+  hasAnyPool(sessionId) {
+    for (const state of connections.values()) {
+      if (state.sessionId === sessionId && state.pool) return true;
+    }
+    return false;
+  },
+  // Open pools across all sessions and drivers
+  countPools() {
+    let count = 0;
+    for (const state of connections.values()) {
+      if (state.pool) count += 1;
+    }
+    return count;
+  },
+  // How PII in executed result sets is handled: mask | hash | show
+  getPiiPolicy(sessionId, driver) {
+    return stateOf(sessionId, driver).piiPolicy;
+  },
+  setPiiPolicy(sessionId, driver, policy) {
+    update(sessionId, driver, { piiPolicy: policy });
+  },
+  // Which catalogued routines user queries may call: false | true | routine names
+  getAllowRoutines(sessionId, driver) {
+    return stateOf(sessionId, driver).allowRoutines;
+  },
+  setAllowRoutines(sessionId, driver, allowRoutines) {
+    update(sessionId, driver, { allowRoutines });
+  },
+  // Routine catalog of the current pool; null until it has been read
+  getRoutines(sessionId, driver) {
+    return stateOf(sessionId, driver).routines;
+  },
+  setRoutines(sessionId, driver, routines) {
+    update(sessionId, driver, { routines });
+  },
+  async clear(sessionId, driver) {
+    const current = stateOf(sessionId, driver);
+    connections.delete(keyOf(sessionId, driver));
+    if (current.pool) await closeQuietly(driver, current.pool);
+  },
+  // Closes every pool last used before `cutoff` (ms timestamp); resolves to the { sessionId, driver } closed
+  async closeIdle(cutoff) {
+    const idle = [...connections.entries()].filter(([, state]) => state.pool && state.lastUsedAt < cutoff);
+    for (const [key] of idle) connections.delete(key);
+    await Promise.all(idle.map(([, state]) => closeQuietly(state.driver, state.pool)));
+    return idle.map(([, { sessionId, driver }]) => ({ sessionId, driver }));
+  },
+  async clearAll() {
+    const all = [...connections.values()];
+    connections.clear();
+    await Promise.all(all.filter((state) => state.pool).map((state) => closeQuietly(state.driver, state.pool)));
+  },
+};
@@ -1,44 +1,271 @@
 // data access code
-// Data repository for managing conversation message history
+// Data repository for chat conversations: their messages (the follow-up context sent to the model)
+// and the metadata behind GET /api/conversations. CONVERSATION_STORE picks where they live:
+// sqlite (default), which keeps conversations in CONVERSATION_STORE_PATH across restarts, or
+// memory (capped and lost on restart; what the tests use). Either way a conversation left
+// untouched for CONVERSATION_RETENTION_DAYS is pruned, and conversation.service.js prunes those
+// whose owning session is gone.
 
-// conversationId -> [{ role: 'user' | 'assistant', content: string }]
-const conversations = new Map();
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import Database from 'better-sqlite3';
 
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DEFAULT_STORE_PATH = path.resolve(__dirname, '../data/conversations.sqlite');
 const MAX_CONVERSATIONS = 200;
 const MAX_MESSAGES_PER_CONVERSATION = 20;
+const MAX_TITLE_LENGTH = 80;
+const DEFAULT_RETENTION_DAYS = 90;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PRUNE_INTERVAL_MS = 15 * 60 * 1000;
 
 // MEM-03 audit: All unbounded Maps are now capped.
 // - topicCache (chat.service.js): capped at 100 entries (FIFO)
-// - conversations (here): capped at 200 entries (FIFO) + 20 messages/conv
-// - postgres.repository.js: uses a single dbState object, not a Map — no cap needed
+// - conversations (here, memory store): capped at 200 conversations (FIFO) + 20 messages/conv
+// - connection.repository.js: one pool per session and driver, capped at MAX_CONNECTION_POOLS + idle reaping
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS conversations (
+    id TEXT PRIMARY KEY,
+    owner TEXT NOT NULL,
+    title TEXT NOT NULL,
+    connection TEXT,
+    created_at INTEGER NOT NULL,
+    updated_at INTEGER NOT NULL,
+    tokens_used INTEGER NOT NULL DEFAULT 0
+  );
+  CREATE INDEX IF NOT EXISTS conversations_by_owner ON conversations (owner, updated_at);
+  CREATE TABLE IF NOT EXISTS messages (
+    seq INTEGER PRIMARY KEY AUTOINCREMENT,
+    conversation_id TEXT NOT NULL REFERENCES conversations (id) ON DELETE CASCADE,
+    role TEXT NOT NULL,
+    content TEXT NOT NULL,
+    created_at INTEGER NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS messages_by_conversation ON messages (conversation_id, seq);
+`;
+
+const METADATA_COLUMNS = `id, title, connection, created_at, updated_at, tokens_used,
+  (SELECT COUNT(*) FROM messages WHERE conversation_id = conversations.id) AS message_count`;
+
+/** The first question, on one line and cut to MAX_TITLE_LENGTH. */
+function titleOf(prompt) {
+  const line = prompt.replace(/\s+/g, ' ').trim();
+  return line.length > MAX_TITLE_LENGTH ? `${line.slice(0, MAX_TITLE_LENGTH - 1)}…` : line;
+}
+
+function toMetadata(row) {
+  return {
+    id: row.id,
+    title: row.title,
+    connection: row.connection,
+    createdAt: new Date(row.created_at).toISOString(),
+    updatedAt: new Date(row.updated_at).toISOString(),
+    tokensUsed: row.tokens_used,
+    messageCount: row.message_count,
+  };
+}
 
-function getHistory(conversationId) {
-  if (!conversations.has(conversationId)) {
-    if (conversations.size >= MAX_CONVERSATIONS) {
-      conversations.delete(conversations.keys().next().value);
+/**
+ * Conversations in one SQLite database — a file, or ':memory:'. `maxConversations` (FIFO by
+ * creation) and `maxMessages` (oldest messages first) bound a store that lives in memory;
+ * conversations not updated for `retentionMs` are pruned periodically.
+ */
+export class ConversationStore {
+  constructor({ file = ':memory:', maxConversations = Infinity, maxMessages = Infinity, retentionMs = Infinity } = {}) {
+    if (file !== ':memory:') fs.mkdirSync(path.dirname(file), { recursive: true });
+    this.db = new Database(file);
+    if (file !== ':memory:') this.db.pragma('journal_mode = WAL');
+    this.db.pragma('foreign_keys = ON');
+    this.db.exec(SCHEMA);
+    this.maxConversations = maxConversations;
+    this.maxMessages = maxMessages;
+    this.retentionMs = retentionMs;
+    this.statements = {
+      ownerOf: this.db.prepare('SELECT owner FROM conversations WHERE id = ?'),
+      recent: this.db.prepare(`SELECT role, content FROM messages WHERE conversation_id = ?
+        AND EXISTS (SELECT 1 FROM conversations WHERE id = ? AND owner = ?) ORDER BY seq DESC LIMIT ?`),
+      create: this.db.prepare(`INSERT INTO conversations (id, owner, title, connection, created_at, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?)`),
+      record: this.db.prepare(`UPDATE conversations SET updated_at = ?, tokens_used = tokens_used + ?,
+        connection = COALESCE(?, connection) WHERE id = ?`),
+      addMessage: this.db.prepare('INSERT INTO messages (conversation_id, role, content, created_at) VALUES (?, ?, ?, ?)'),
+      trimMessages: this.db.prepare(`DELETE FROM messages WHERE conversation_id = ? AND seq NOT IN
+        (SELECT seq FROM messages WHERE conversation_id = ? ORDER BY seq DESC LIMIT ?)`),
+      evictOldest: this.db.prepare('DELETE FROM conversations WHERE rowid = (SELECT MIN(rowid) FROM conversations)'),
+      list: this.db.prepare(`SELECT ${METADATA_COLUMNS} FROM conversations WHERE owner = ? ORDER BY updated_at DESC, rowid DESC`),
+      get: this.db.prepare(`SELECT ${METADATA_COLUMNS} FROM conversations WHERE id = ? AND owner = ?`),
+      messages: this.db.prepare('SELECT role, content, created_at FROM messages WHERE conversation_id = ? ORDER BY seq'),
+      delete: this.db.prepare('DELETE FROM conversations WHERE id = ? AND owner = ?'),
+      deleteOwner: this.db.prepare('DELETE FROM conversations WHERE owner = ?'),
+      owners: this.db.prepare('SELECT DISTINCT owner FROM conversations WHERE substr(owner, 1, length(?)) = ?'),
+      expire: this.db.prepare('DELETE FROM conversations WHERE updated_at <= ?'),
+      count: this.db.prepare('SELECT COUNT(*) AS count FROM conversations'),
+      depth: this.db.prepare('SELECT COUNT(*) AS count FROM messages WHERE conversation_id = ?'),
+    };
+    this.appendTransaction = this.db.transaction((owner, id, exchange) => this.appendWithin(owner, id, exchange));
+    if (Number.isFinite(retentionMs)) {
+      this.pruneTimer = setInterval(() => {
+        try {
+          this.prune();
+        } catch (err) {
+          console.warn('[conversations] pruning old conversations failed:', err.message);
+        }
+      }, PRUNE_INTERVAL_MS);
+      this.pruneTimer.unref();
     }
-    conversations.set(conversationId, []);
   }
-  return conversations.get(conversationId);
+
+  recentMessages(owner, id, limit) {
+    return this.statements.recent.all(id, id, owner, limit).reverse();
+  }
+
+  appendWithin(owner, id, { connection = null, prompt, reply, tokens = 0 }) {
+    const now = Date.now();
+    const existing = this.statements.ownerOf.get(id);
+    if (existing && existing.owner !== owner) return false;
+    if (!existing) {
+      if (this.statements.count.get().count >= this.maxConversations) this.statements.evictOldest.run();
+      this.statements.create.run(id, owner, titleOf(prompt), connection, now, now);
+    }
+
+    this.statements.addMessage.run(id, 'user', prompt, now);
+    this.statements.addMessage.run(id, 'assistant', reply, now);
+    this.statements.record.run(now, tokens, connection, id);
+    if (Number.isFinite(this.maxMessages)) this.statements.trimMessages.run(id, id, this.maxMessages);
+    return true;
+  }
+
+  appendExchange(owner, id, exchange) {
+    return this.appendTransaction(owner, id, exchange);
+  }
+
+  list(owner) {
+    return this.statements.list.all(owner).map(toMetadata);
+  }
+
+  get(owner, id) {
+    const row = this.statements.get.get(id, owner);
+    if (!row) return null;
+    const messages = this.statements.messages.all(id).map((message) => ({
+      role: message.role,
+      content: message.content,
+      createdAt: new Date(message.created_at).toISOString(),
+    }));
+    return { ...toMetadata(row), messages };
+  }
+
+  delete(owner, id) {
+    return this.statements.delete.run(id, owner).changes > 0;
+  }
+
+  /** Deletes every conversation of `owner`; returns how many. */
+  deleteOwner(owner) {
+    return this.statements.deleteOwner.run(owner).changes;
+  }
+
+  /** Owners that start with `prefix`. */
+  owners(prefix) {
+    return this.statements.owners.all(prefix, prefix).map((row) => row.owner);
+  }
+
+  /** Deletes conversations not updated for `retentionMs` before `now`; returns how many. */
+  prune(now = Date.now()) {
+    if (!Number.isFinite(this.retentionMs)) return 0;
+    return this.statements.expire.run(now - this.retentionMs).changes;
+  }
+
+  count() {
+    return this.statements.count.get().count;
+  }
+
+  depth(id) {
+    return this.statements.depth.get(id).count;
+  }
+
+  close() {
+    clearInterval(this.pruneTimer);
+    this.db.close();
+  }
+}
+
+let store = null;
+
+// CONVERSATION_RETENTION_DAYS, default 90; 0 keeps conversations until they are deleted
+function retentionFromEnv() {
+  const raw = process.env.CONVERSATION_RETENTION_DAYS;
+  const days = raw === undefined || raw === '' ? DEFAULT_RETENTION_DAYS : Number(raw);
+  if (!Number.isFinite(days) || days < 0) {
+    console.warn(`[conversations] invalid CONVERSATION_RETENTION_DAYS "${raw}", using ${DEFAULT_RETENTION_DAYS}`);
+    return DEFAULT_RETENTION_DAYS * DAY_MS;
+  }
+  return days === 0 ? Infinity : days * DAY_MS;
+}
+
+function storeFromEnv() {
+  const kind = process.env.CONVERSATION_STORE || 'sqlite';
+  const retentionMs = retentionFromEnv();
+  if (kind === 'memory') {
+    return new ConversationStore({ maxConversations: MAX_CONVERSATIONS, maxMessages: MAX_MESSAGES_PER_CONVERSATION, retentionMs });
+  }
+  if (kind !== 'sqlite') {
+    console.warn(`[conversations] unknown CONVERSATION_STORE "${kind}", using sqlite`);
+  }
+  return new ConversationStore({ file: process.env.CONVERSATION_STORE_PATH || DEFAULT_STORE_PATH, retentionMs });
+}
+
+function currentStore() {
+  store ??= storeFromEnv();
+  return store;
 }
 
+/** Replaces the store for every later call; null goes back to the one CONVERSATION_STORE picks. */
+export function useConversationStore(next) {
+  store = next;
+}
+
+// Every conversation has one owner (see conversation.service.js); reads take the caller's owner
+// and never see anyone else's conversations
 export const conversationRepository = {
-  getRecentMessages(conversationId, limit = 10) {
-    const history = getHistory(conversationId);
-    return history.slice(-limit);
-  },
-  appendMessage(conversationId, role, content) {
-    const history = getHistory(conversationId);
-    history.push({ role, content });
-    if (history.length > MAX_MESSAGES_PER_CONVERSATION) {
-      history.splice(0, history.length - MAX_MESSAGES_PER_CONVERSATION);
-    }
+  // Last `limit` messages, oldest first; [] for a new conversation or one owned by someone else
+  getRecentMessages(owner, conversationId, limit = 10) {
+    return currentStore().recentMessages(owner, conversationId, limit);
+  },
+  /**
+   * Stores one question and the model's reply, creating the conversation (titled after the
+   * question) on first use. `tokens` add to its tokensUsed; `connection` labels the database it
+   * was asked against. Returns false, storing nothing, when the ID belongs to another owner.
+   */
+  appendExchange(owner, conversationId, { connection, prompt, reply, tokens }) {
+    return currentStore().appendExchange(owner, conversationId, { connection, prompt, reply, tokens });
+  },
+  // Metadata of the owner's conversations, most recently updated first
+  list(owner) {
+    return currentStore().list(owner);
+  },
+  // Metadata plus every stored message, or null
+  get(owner, conversationId) {
+    return currentStore().get(owner, conversationId);
+  },
+  delete(owner, conversationId) {
+    return currentStore().delete(owner, conversationId);
+  },
+  // Every conversation of `owner`, for when the owner itself is gone; returns how many
+  deleteOwner(owner) {
+    return currentStore().deleteOwner(owner);
+  },
+  // Distinct owners starting with `prefix`
+  owners(prefix) {
+    return currentStore().owners(prefix);
   },
   // Test helpers — expose internal state for unit tests
   _getConversationsSize() {
-    return conversations.size;
+    return currentStore().count();
   },
   _getDepth(conversationId) {
-    return conversations.has(conversationId) ? conversations.get(conversationId).length : 0;
+    return currentStore().depth(conversationId);
   },
 };
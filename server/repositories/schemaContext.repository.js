@@ -0,0 +1,121 @@
+// data access code
+// Data repository for the schema context of each session's connections: the explorer snapshot the
+// prompts are built from and the introspected schema behind GET /api/schema. Contexts live in a
+// backend — in memory by default, or one JSON file per context with SCHEMA_CONTEXT_STORE=file.
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { createHash } from 'crypto';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DEFAULT_CONTEXT_DIR = path.resolve(__dirname, '../data/schema-context');
+const MAX_MEMORY_CONTEXTS = 200;
+
+/**
+ * @typedef {object} SchemaContext
+ * @property {string} markdown - full-schema prompt context ('' until a snapshot is taken)
+ * @property {object | null} metadata - per-table metadata for pass 1 routing, plus _piiColumns / _routines
+ * @property {{ tables: object[], descriptions: Record<string, string> } | null} introspection - TableSchema[] from POST /api/connect
+ */
+
+/**
+ * Storage for contexts by opaque key. Anything with these three methods can be plugged in with
+ * useSchemaContextBackend().
+ * @typedef {object} SchemaContextBackend
+ * @property {(key: string) => Promise<SchemaContext | null>} get
+ * @property {(key: string, context: SchemaContext) => Promise<void>} set
+ * @property {(key: string) => Promise<void>} delete
+ */
+
+const EMPTY_CONTEXT = { markdown: '', metadata: null, introspection: null };
+
+/** Process-local backend; FIFO-evicts the oldest context past MAX_MEMORY_CONTEXTS. */
+export function createMemoryBackend() {
+  const contexts = new Map();
+  return {
+    async get(key) {
+      return contexts.get(key) ?? null;
+    },
+    async set(key, context) {
+      contexts.delete(key);
+      if (contexts.size >= MAX_MEMORY_CONTEXTS) {
+        contexts.delete(contexts.keys().next().value);
+      }
+      contexts.set(key, context);
+    },
+    async delete(key) {
+      contexts.delete(key);
+    },
+  };
+}
+
+/**
+ * Keeps each context in `dir` as <sha256 of key>.json, so contexts survive a restart. Keys hold
+ * session IDs, which is why file names are hashes.
+ */
+export function createFileBackend(dir) {
+  const fileOf = (key) => path.join(dir, `${createHash('sha256').update(key).digest('hex')}.json`);
+  return {
+    async get(key) {
+      try {
+        return JSON.parse(await fs.readFile(fileOf(key), 'utf8'));
+      } catch (err) {
+        if (err.code === 'ENOENT') return null;
+        throw err;
+      }
+    },
+    async set(key, context) {
+      await fs.mkdir(dir, { recursive: true });
+      // Write then rename, so a reader never sees half a file
+      const file = fileOf(key);
+      const temp = `${file}.${process.pid}.tmp`;
+      await fs.writeFile(temp, JSON.stringify(context), 'utf8');
+      await fs.rename(temp, file);
+    },
+    async delete(key) {
+      await fs.rm(fileOf(key), { force: true });
+    },
+  };
+}
+
+let backend = null;
+
+function backendFromEnv() {
+  if (process.env.SCHEMA_CONTEXT_STORE === 'file') {
+    return createFileBackend(process.env.SCHEMA_CONTEXT_DIR || DEFAULT_CONTEXT_DIR);
+  }
+  return createMemoryBackend();
+}
+
+function currentBackend() {
+  backend ??= backendFromEnv();
+  return backend;
+}
+
+/** Replaces the backend for every later call; null goes back to the one SCHEMA_CONTEXT_STORE picks. */
+export function useSchemaContextBackend(next) {
+  backend = next;
+}
+
+function keyOf(sessionId, driver) {
+  return `${sessionId}\0${driver.name}`;
+}
+
+export const schemaContextRepository = {
+  // The context of the session's connection through `driver`, or null before its first snapshot
+  async get(sessionId, driver) {
+    return currentBackend().get(keyOf(sessionId, driver));
+  },
+  // Merges `changes` into the stored context
+  async update(sessionId, driver, changes) {
+    const key = keyOf(sessionId, driver);
+    const current = (await currentBackend().get(key)) ?? EMPTY_CONTEXT;
+    await currentBackend().set(key, { ...current, ...changes });
+  },
+  async clear(sessionId, driver) {
+    await currentBackend().delete(keyOf(sessionId, driver));
+  },
+};
@@ -0,0 +1,120 @@
+// data access code
+// Data repository for express-session data. SESSION_STORE picks the backend: memory (default,
+// lost on restart) or sqlite, which keeps sessions in SESSION_STORE_PATH so a deploy or restart
+// doesn't log everyone out. Database pools are never in a session — see POST /db/:driver/reconnect.
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import session from 'express-session';
+import Database from 'better-sqlite3';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DEFAULT_STORE_PATH = path.resolve(__dirname, '../data/sessions.sqlite');
+// Sessions without a cookie expiry (none today: server.js sets maxAge) are kept this long
+const DEFAULT_TTL_MS = 24 * 60 * 60 * 1000;
+const PRUNE_INTERVAL_MS = 15 * 60 * 1000;
+
+function expiryOf(sess) {
+  const expires = sess?.cookie?.expires;
+  return expires ? new Date(expires).getTime() : Date.now() + DEFAULT_TTL_MS;
+}
+
+/** express-session store over one SQLite table; expired rows are skipped on read and pruned periodically. */
+export class SqliteSessionStore extends session.Store {
+  constructor({ file = DEFAULT_STORE_PATH } = {}) {
+    super();
+    if (file !== ':memory:') fs.mkdirSync(path.dirname(file), { recursive: true });
+    this.db = new Database(file);
+    this.db.pragma('journal_mode = WAL');
+    this.db.exec('CREATE TABLE IF NOT EXISTS sessions (sid TEXT PRIMARY KEY, data TEXT NOT NULL, expires INTEGER NOT NULL)');
+    this.statements = {
+      get: this.db.prepare('SELECT data FROM sessions WHERE sid = ? AND expires > ?'),
+      set: this.db.prepare('INSERT OR REPLACE INTO sessions (sid, data, expires) VALUES (?, ?, ?)'),
+      touch: this.db.prepare('UPDATE sessions SET expires = ? WHERE sid = ?'),
+      destroy: this.db.prepare('DELETE FROM sessions WHERE sid = ?'),
+      prune: this.db.prepare('DELETE FROM sessions WHERE expires <= ?'),
+      length: this.db.prepare('SELECT COUNT(*) AS count FROM sessions WHERE expires > ?'),
+      clear: this.db.prepare('DELETE FROM sessions'),
+    };
+    this.pruneTimer = setInterval(() => {
+      try {
+        this.prune();
+      } catch (err) {
+        console.warn('[session] pruning expired sessions failed:', err.message);
+      }
+    }, PRUNE_INTERVAL_MS);
+    this.pruneTimer.unref();
+  }
+
+  // better-sqlite3 is synchronous; every method reports through express-session's callback
+  run(callback, work) {
+    let result;
+    try {
+      result = work();
+    } catch (err) {
+      callback?.(err);
+      return;
+    }
+    callback?.(null, result);
+  }
+
+  get(sid, callback) {
+    this.run(callback, () => {
+      const row = this.statements.get.get(sid, Date.now());
+      return row ? JSON.parse(row.data) : null;
+    });
+  }
+
+  set(sid, sess, callback) {
+    this.run(callback, () => {
+      this.statements.set.run(sid, JSON.stringify(sess), expiryOf(sess));
+    });
+  }
+
+  touch(sid, sess, callback) {
+    this.run(callback, () => {
+      this.statements.touch.run(expiryOf(sess), sid);
+    });
+  }
+
+  destroy(sid, callback) {
+    this.run(callback, () => {
+      this.statements.destroy.run(sid);
+    });
+  }
+
+  length(callback) {
+    this.run(callback, () => this.statements.length.get(Date.now()).count);
+  }
+
+  clear(callback) {
+    this.run(callback, () => {
+      this.statements.clear.run();
+    });
+  }
+
+  /** Deletes expired sessions; returns how many. */
+  prune() {
+    return this.statements.prune.run(Date.now()).changes;
+  }
+
+  close() {
+    clearInterval(this.pruneTimer);
+    this.db.close();
+  }
+}
+
+/** The store server.js hands to express-session, from SESSION_STORE / SESSION_STORE_PATH. */
+export function createSessionStore() {
+  const kind = process.env.SESSION_STORE || 'memory';
+  if (kind === 'sqlite') {
+    return new SqliteSessionStore({ file: process.env.SESSION_STORE_PATH || DEFAULT_STORE_PATH });
+  }
+  if (kind !== 'memory') {
+    console.warn(`[session] unknown SESSION_STORE "${kind}", using memory`);
+  }
+  return new session.MemoryStore();
+}
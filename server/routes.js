@@ -4,11 +4,16 @@ import express from 'express';
 import { chatController } from './controllers/chat.controller.js';
 import { queryController } from './controllers/query.controller.js';
 import { postgresController } from './controllers/postgres.controller.js';
-import { mssqlController } from './controllers/mssql.controller.js';
-import { chatLimiter, snapshotLimiter, connectLimiter } from './middleware/rateLimiter.js';
+import { connectionController } from './controllers/connection.controller.js';
+import { conversationController } from './controllers/conversation.controller.js';
+import { chatLimiter, snapshotLimiter, connectLimiter, executeLimiter } from './middleware/rateLimiter.js';
+import { requireSession } from './middleware/requireSession.js';
 
 const router = express.Router();
 
+// Uploads (SQLite) are the raw database file, not JSON
+const databaseUpload = express.raw({ type: 'application/octet-stream', limit: process.env.SQLITE_MAX_UPLOAD || '50mb' });
+
 router.get('/health', (req, res) => res.status(200).json({ status: 'ok' }));
 
 router.get('/api', (req, res) => {
@@ -17,24 +22,41 @@ router.get('/api', (req, res) => {
 
 router.post('/api/chat', chatLimiter, chatController.sendMessage);
 router.post('/api/query', chatLimiter, queryController.handleQuery);
+router.post('/api/query/execute', executeLimiter, requireSession, queryController.executeQuery);
+router.post('/api/query/explain', executeLimiter, requireSession, queryController.explainQuery);
+router.post('/api/query/export', executeLimiter, requireSession, queryController.createExport);
+router.get('/api/query/export/:token', requireSession, queryController.downloadExport);
+
+// History of the conversations the session's connections own (see services/conversation.service.js)
+router.get('/api/conversations', conversationController.list);
+router.get('/api/conversations/:id', conversationController.get);
+router.delete('/api/conversations/:id', conversationController.delete);
+
+// Original Postgres endpoints — same handlers, driver defaults to postgres
+router.post('/db/connect-demo', connectLimiter, connectionController.connectDemo);
+router.post('/db/connect', connectLimiter, connectionController.connect);
+router.get('/db/status', connectionController.getStatus);
+router.get('/health/db', connectionController.getHealth);
+router.get('/db/schema', connectionController.getSchema);
+router.post('/db/explorer-context/snapshot', snapshotLimiter, connectionController.buildExplorerSnapshot);
+router.post('/db/explorer-context/clear', connectionController.clearExplorerSnapshot);
 
-router.post('/db/connect-demo', connectLimiter, postgresController.connectDemo);
-router.post('/db/connect', connectLimiter, postgresController.connect);
 router.post('/api/connect', connectLimiter, postgresController.connectAndIntrospect);
-router.get('/db/status', postgresController.getStatus);
-router.get('/health/db', postgresController.getHealth);
-router.get('/db/schema', postgresController.getSchema);
 router.get('/api/schema', postgresController.getIntrospectedSchema);
 router.get('/api/table-descriptions', postgresController.getTableDescriptions);
-router.post('/db/explorer-context/snapshot', snapshotLimiter, postgresController.buildExplorerSnapshot);
-router.post('/db/explorer-context/clear', postgresController.clearExplorerSnapshot);
-
-router.post('/db/connect-demo-sqlserver', connectLimiter, mssqlController.connectDemo);
-router.post('/db/connect-sqlserver', connectLimiter, mssqlController.connect);
-router.get('/db/status-sqlserver', mssqlController.getStatus);
-router.get('/health/db-sqlserver', mssqlController.getHealth);
-router.get('/db/schema-sqlserver', mssqlController.getSchema);
-router.post('/db/explorer-context-sqlserver/snapshot', snapshotLimiter, mssqlController.buildExplorerSnapshot);
-router.post('/db/explorer-context-sqlserver/clear', mssqlController.clearExplorerSnapshot);
+
+// Any registered driver: postgres, sqlserver, mysql, sqlite (see drivers/index.js)
+router.post('/db/:driver/connect-demo', connectLimiter, connectionController.connectDemo);
+router.post('/db/:driver/connect', connectLimiter, connectionController.connect);
+router.post('/db/:driver/upload', connectLimiter, databaseUpload, connectionController.upload);
+router.post('/db/:driver/reconnect', connectLimiter, connectionController.reconnect);
+router.get('/db/:driver/status', connectionController.getStatus);
+router.get('/db/:driver/health', connectionController.getHealth);
+router.get('/db/:driver/schema', connectionController.getSchema);
+router.get('/db/:driver/constraints', connectionController.getTableConstraints);
+router.get('/db/:driver/routines', connectionController.getRoutines);
+router.get('/db/:driver/table-descriptions', connectionController.getTableDescriptions);
+router.post('/db/:driver/explorer-context/snapshot', snapshotLimiter, connectionController.buildExplorerSnapshot);
+router.post('/db/:driver/explorer-context/clear', connectionController.clearExplorerSnapshot);
 
 export default router;
@@ -4,6 +4,9 @@ import cors from 'cors';
 import helmet from 'helmet';
 import session from 'express-session';
 import router from './routes.js';
+import { createSessionStore } from './repositories/session.repository.js';
+import { conversationService } from './services/conversation.service.js';
+import { CONNECT_BODY_LIMIT } from './drivers/config.js';
 
 //.env config
 dotenv.config();
@@ -23,16 +26,20 @@ const corsOptions = {
 };
 
 const app = express();
+const sessionStore = createSessionStore();
 
 app.set('trust proxy', 1); // required for req.secure to be accurate behind Railway/Vercel proxy
 
 app.use(helmet()); // security headers: X-Content-Type-Options, X-Frame-Options, CSP, etc.
-app.use(express.json());
+// Connect bodies can carry uploaded PEM certificates and keys: parsed here first, with their own limit
+app.use(['/db/connect', '/db/:driver/connect', '/api/connect'], express.json({ limit: CONNECT_BODY_LIMIT }));
+app.use(express.json({ limit: '1mb' }));
 app.use(cors(corsOptions));
 
 app.use(
   session({
     secret: process.env.SESSION_SECRET || 'dev-secret-change-in-production',
+    store: sessionStore, // SESSION_STORE=sqlite keeps sessions across restarts
     resave: false,
     saveUninitialized: false,
     cookie: {
@@ -46,6 +53,9 @@ app.use(
 
 app.use(router);
 
+// Conversations owned by a session (clients without a history key) go when the session does
+conversationService.startPruning(sessionStore);
+
 const PORT = process.env.PORT || process.env.VITE_PORT || 5000;
 
 // Startup guard — warn loudly if SESSION_SECRET is weak in production
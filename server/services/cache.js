@@ -1,22 +1,36 @@
 import { createHash } from 'node:crypto';
 
 const MAX_ENTRIES = 200;
+// key → { scope, value }
 const store = new Map();
 
+/**
+ * Scope of one session's connection through a driver. Answers depend on the database behind
+ * it, so entries are keyed by it and dropped with it — never shared across sessions.
+ * @param {string} sessionId
+ * @param {string} driverName
+ * @returns {string}
+ */
+export function cacheScope(sessionId, driverName) {
+  return `${sessionId}\0${driverName}`;
+}
+
 export const queryCache = {
   /**
-   * Build a deterministic 16-char hex cache key from a question and a list of table names.
+   * Build a deterministic 16-char hex cache key from a question, a list of table names and
+   * the scope (see cacheScope) the answer belongs to.
    * @param {string} question
    * @param {string[]} tableNames
+   * @param {string} [scope]
    * @returns {string} 16-character hex string
    */
-  buildKey(question, tableNames = []) {
+  buildKey(question, tableNames = [], scope = '') {
     const normalizedQuestion = question.toLowerCase().trim();
     const tableFingerprint =
       tableNames.length === 0
         ? 'no-schema'
         : [...tableNames].sort().join(',');
-    const raw = `${normalizedQuestion}|${tableFingerprint}`;
+    const raw = `${scope}|${normalizedQuestion}|${tableFingerprint}`;
     return createHash('sha256').update(raw).digest('hex').slice(0, 16);
   },
 
@@ -26,20 +40,28 @@ export const queryCache = {
    * @returns {*} stored value, or null if not found
    */
   get(key) {
-    return store.has(key) ? store.get(key) : null;
+    return store.has(key) ? store.get(key).value : null;
   },
 
   /**
    * Store a value. FIFO-evicts the oldest entry when at capacity.
    * @param {string} key
    * @param {*} value
+   * @param {string} [scope] - what clearScope() drops it with; the one buildKey() was given
    */
-  set(key, value) {
+  set(key, value, scope = '') {
     if (store.size >= MAX_ENTRIES && !store.has(key)) {
       const firstKey = store.keys().next().value;
       store.delete(firstKey);
     }
-    store.set(key, value);
+    store.set(key, { scope, value });
+  },
+
+  /** Drop every entry of one scope, e.g. when its connection is replaced. */
+  clearScope(scope) {
+    for (const [key, entry] of store) {
+      if (entry.scope === scope) store.delete(key);
+    }
   },
 
   /** Empty the cache entirely. */
@@ -4,6 +4,7 @@ import { promises as fs } from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { conversationRepository } from '../repositories/conversation.repository.js';
+import { tableTypeSuffix, viewDefinitionLines, columnTableLines, constraintLines, routineLines } from './snapshot.service.js';
 import OpenAI from 'openai';
 import dotenv from 'dotenv';
 
@@ -24,8 +25,6 @@ function getClient() {
   return _client;
 }
 
-const tableMetadataPath = path.resolve(__dirname, '../prompts/table-metadata.json');
-
 // Per-conversation cache: conversationId -> { query: string, tables: string[] }
 const topicCache = new Map();
 const MAX_TOPIC_CACHE = 100;
@@ -36,22 +35,20 @@ const DIALECT_LABEL = {
   sqlserver: 'SQL Server',
   mssql: 'SQL Server',
   mysql: 'MySQL',
+  sqlite: 'SQLite',
 };
 
-async function buildInstructions(schemaOverride, dialect) {
+// `context` is the caller's schema context (see schemaContext.repository.js); its full-schema
+// markdown is used unless pass 1 produced a narrower schemaOverride
+async function buildInstructions(schemaOverride, dialect, context) {
   const template = await fs.readFile(path.resolve(__dirname, '../prompts/chatbot.txt'), 'utf8');
-  const dbSchema = schemaOverride ?? await fs.readFile(path.resolve(__dirname, '../prompts/db-explorer-context.md'), 'utf8');
+  const dbSchema = schemaOverride ?? context?.markdown ?? '';
   const dialectLabel = DIALECT_LABEL[dialect] ?? 'SQL';
   return template.replace('{{dbSchema}}', dbSchema).replace('{{dialect}}', dialectLabel);
 }
 
-async function loadTableMetadata() {
-  try {
-    const content = await fs.readFile(tableMetadataPath, 'utf8');
-    return JSON.parse(content);
-  } catch {
-    return null;
-  }
+function loadTableMetadata(context) {
+  return context?.metadata ?? null;
 }
 
 // Heuristic: detect if the current query is a follow-up to the previous one.
@@ -66,6 +63,14 @@ function isFollowUpQuery(query) {
   return false;
 }
 
+// Map a table name from pass 1 onto a known one. The router sometimes drops the schema from
+// a qualified name ("orders" for "sales.orders"); accept that only when it is unambiguous.
+function resolveTableName(name, knownTables) {
+  if (knownTables.includes(name)) return name;
+  const matches = knownTables.filter((known) => known.endsWith(`.${name}`));
+  return matches.length === 1 ? matches[0] : null;
+}
+
 // Pass 1: ask the model which tables are needed for the given query.
 // Returns a validated string[] on success, or null to signal fallback.
 async function selectRelevantTables(query, tableMetadata) {
@@ -73,23 +78,24 @@ async function selectRelevantTables(query, tableMetadata) {
 
   const tableList = knownTables
     .map((name) => {
-      const { description, columns } = tableMetadata[name];
+      const { type, description, columns } = tableMetadata[name];
       const colNames = columns.map((c) => c.column_name).join(', ');
       const descPart = description || 'No description.';
-      return `- ${name}: ${descPart} Columns: ${colNames}`;
+      return `- ${name}${tableTypeSuffix(type)}: ${descPart} Columns: ${colNames}`;
     })
     .join('\n');
 
   const prompt = `You are a database query router. Given a user query, return a JSON array of table names needed to answer it.
 
 Note: User queries may use everyday business terms (e.g. "tickets", "invoices", "customers") that differ from internal table names. Use the table descriptions and column names to find semantically matching tables.
+Entries marked as views are curated queries over other tables. When a view already provides what the query asks for, prefer it over the tables it is built from.
 
 Tables:
 ${tableList}
 
 Query: "${query}"
 
-Respond with ONLY a JSON array of relevant table names, e.g. ["table1", "table2"]. Return [] if no tables are clearly relevant.`;
+Respond with ONLY a JSON array of relevant table names exactly as listed above, including any schema prefix (e.g. "sales.orders"), e.g. ["table1", "table2"]. Return [] if no tables are clearly relevant.`;
 
   try {
     const response = await getClient().chat.completions.create({
@@ -108,12 +114,79 @@ Respond with ONLY a JSON array of relevant table names, e.g. ["table1", "table2"
     const jsonStr = content.replace(/```(?:json)?\n?|\n?```/g, '').trim();
     const parsed = JSON.parse(jsonStr);
     if (!Array.isArray(parsed)) return { tables: null, pass1Usage };
-    return { tables: parsed.filter((name) => knownTables.includes(name)), pass1Usage };
+    const tables = parsed.map((name) => resolveTableName(name, knownTables)).filter(Boolean);
+    return { tables: [...new Set(tables)], pass1Usage };
   } catch {
     return { tables: null, pass1Usage: { input: 0, output: 0, total: 0 } };
   }
 }
 
+// Number of times a failing query is sent back to the model for correction (0 disables repair)
+function getMaxRepairAttempts() {
+  const parsed = Number.parseInt(process.env.SQL_REPAIR_ATTEMPTS, 10);
+  return Number.isFinite(parsed) && parsed >= 0 ? parsed : 2;
+}
+
+function buildRepairPrompt(failedSql, error, dialect) {
+  const dialectLabel = DIALECT_LABEL[dialect] ?? 'SQL';
+  return `The ${dialectLabel} query you returned failed when it was run against the database.
+
+Query:
+\`\`\`sql
+${failedSql}
+\`\`\`
+
+Database error: ${error}
+
+Return a corrected query that fixes this error. Re-check every column name against the schema and follow the JOIN Type Safety rules. Keep the same response format.`;
+}
+
+function toUsage(response) {
+  return {
+    input: response.usage?.prompt_tokens ?? 0,
+    output: response.usage?.completion_tokens ?? 0,
+    total: response.usage?.total_tokens ?? 0,
+  };
+}
+
+// Pass 2 (and every repair turn): ask the model for { sql, explanation, tables_used }
+async function requestQueryCompletion(messages) {
+  const response = await getClient().chat.completions.create({
+    model: 'gpt-4o-mini',
+    messages,
+    temperature: 0.2,
+    max_tokens: 800,
+    response_format: {
+      type: 'json_schema',
+      json_schema: {
+        name: 'query_response',
+        strict: true,
+        schema: {
+          type: 'object',
+          properties: {
+            sql: { anyOf: [{ type: 'string' }, { type: 'null' }] },
+            explanation: { type: 'string' },
+            tables_used: { type: 'array', items: { type: 'string' } },
+          },
+          required: ['sql', 'explanation', 'tables_used'],
+          additionalProperties: false,
+        },
+      },
+    },
+  });
+
+  const rawContent = response.choices?.[0]?.message?.content ?? '';
+
+  let parsed;
+  try {
+    parsed = JSON.parse(rawContent);
+  } catch {
+    parsed = { sql: null, explanation: rawContent, tables_used: [] };
+  }
+
+  return { id: response.id, rawContent, parsed, usage: toUsage(response) };
+}
+
 function formatCell(v) {
   if (v === null || v === undefined) return '`null`';
   return `\`${String(v).replace(/\|/g, '\\|').replace(/\n/g, ' ')}\``;
@@ -127,26 +200,18 @@ function buildPartialSchemaContext(relevantTables, tableMetadata) {
     const meta = tableMetadata[tableName];
     if (!meta) continue;
 
-    lines.push(`### ${tableName}`, '');
+    lines.push(`### ${tableName}${tableTypeSuffix(meta.type)}`, '');
     if (meta.description) lines.push(meta.description, '');
+    lines.push(...viewDefinitionLines(meta.definition));
 
     lines.push('Columns:', '');
     if (meta.columns.length === 0) {
       lines.push('- No columns found.', '');
     } else {
-      lines.push('| Name | Type | Keys | References |');
-      lines.push('|---|---|---|---|');
-      for (const column of meta.columns) {
-        const keys = [column.is_primary ? 'PK' : '', column.is_foreign ? 'FK' : ''].filter(Boolean).join(', ') || '-';
-        const ref =
-          column.is_foreign && column.foreign_table && column.foreign_column
-            ? `${column.foreign_table}.${column.foreign_column}`
-            : '-';
-        lines.push(`| ${column.column_name} | ${column.data_type} | ${keys} | ${ref} |`);
-      }
+      lines.push(...columnTableLines(meta.columns, meta.foreignKeys));
     }
 
-    lines.push('', 'Top 10 records:', '');
+    lines.push('', ...constraintLines(meta), 'Top 10 records:', '');
     const rows = meta.sampleRows ?? [];
     if (rows.length === 0) {
       lines.push('_No rows found._', '');
@@ -162,13 +227,20 @@ function buildPartialSchemaContext(relevantTables, tableMetadata) {
     lines.push('');
   }
 
+  // Approved routines aren't tied to a table, so the partial context always carries them
+  lines.push(...routineLines(tableMetadata._routines));
+
   return lines.join('\n');
 }
 
+// Conversations of callers that pass no identity (see conversationIdentity in conversation.service.js)
+const ANONYMOUS = { owner: 'anonymous', connection: null };
+
 // Public interface
 export const chatService = {
-  async sendMessage(prompt, conversationId, dialect) {
-    const tableMetadata = await loadTableMetadata();
+  // `conversation` is the caller's identity: the owner the exchange is stored under and read back from
+  async sendMessage(prompt, conversationId, dialect, { verifySql, context, conversation = ANONYMOUS } = {}) {
+    const tableMetadata = loadTableMetadata(context);
     let schemaContext = null; // null means use full schema (fallback)
 
     let pass1Usage = { input: 0, output: 0, total: 0 };
@@ -199,61 +271,57 @@ export const chatService = {
         console.log('[chat] fallback → using full schema');
       }
     } else {
-      console.log('[chat] no table-metadata.json → using full schema');
+      console.log('[chat] no table metadata → using full schema');
     }
 
-    const instructions = await buildInstructions(schemaContext ?? undefined, dialect);
-    const recentMessages = conversationRepository.getRecentMessages(conversationId, 10);
+    const instructions = await buildInstructions(schemaContext ?? undefined, dialect, context);
+    const recentMessages = conversationRepository.getRecentMessages(conversation.owner, conversationId, 10);
     const messages = [
       { role: 'system', content: instructions },
       ...recentMessages,
       { role: 'user', content: prompt },
     ];
 
-    const response = await getClient().chat.completions.create({
-      model: 'gpt-4o-mini',
-      messages,
-      temperature: 0.2,
-      max_tokens: 800,
-      response_format: {
-        type: 'json_schema',
-        json_schema: {
-          name: 'query_response',
-          strict: true,
-          schema: {
-            type: 'object',
-            properties: {
-              sql: { anyOf: [{ type: 'string' }, { type: 'null' }] },
-              explanation: { type: 'string' },
-              tables_used: { type: 'array', items: { type: 'string' } },
-            },
-            required: ['sql', 'explanation', 'tables_used'],
-            additionalProperties: false,
-          },
-        },
-      },
-    });
+    let completion = await requestQueryCompletion(messages);
+    const pass2Usage = completion.usage;
+    const repairUsage = { input: 0, output: 0, total: 0 };
+
+    // Self-repair: run the SQL through the caller's verifier and feed any database error
+    // back to the model as another turn, up to SQL_REPAIR_ATTEMPTS corrections.
+    const attempts = [];
+    if (typeof verifySql === 'function') {
+      const maxRepairs = getMaxRepairAttempts();
+      while (completion.parsed.sql) {
+        const check = await verifySql(completion.parsed.sql);
+        attempts.push({ sql: completion.parsed.sql, error: check.ok ? null : check.error });
+        if (check.ok || check.repairable === false || attempts.length > maxRepairs) break;
+
+        console.log(`[chat] repair attempt ${attempts.length}:`, check.error);
+        messages.push(
+          { role: 'assistant', content: completion.rawContent },
+          { role: 'user', content: buildRepairPrompt(completion.parsed.sql, check.error, dialect) },
+        );
+        completion = await requestQueryCompletion(messages);
+        repairUsage.input += completion.usage.input;
+        repairUsage.output += completion.usage.output;
+        repairUsage.total += completion.usage.total;
+      }
+    }
 
-    const pass2Usage = {
-      input: response.usage?.prompt_tokens ?? 0,
-      output: response.usage?.completion_tokens ?? 0,
-      total: response.usage?.total_tokens ?? 0,
-    };
-    const rawContent = response.choices?.[0]?.message?.content ?? '';
+    const { parsed, rawContent } = completion;
 
-    let parsed;
-    try {
-      parsed = JSON.parse(rawContent);
-    } catch {
-      parsed = { sql: null, explanation: rawContent, tables_used: [] };
-    }
+    const tokenCount = pass1Usage.total + pass2Usage.total + repairUsage.total;
 
     // Store the raw JSON string so follow-up context is preserved
-    conversationRepository.appendMessage(conversationId, 'user', prompt);
-    conversationRepository.appendMessage(conversationId, 'assistant', rawContent);
+    conversationRepository.appendExchange(conversation.owner, conversationId, {
+      connection: conversation.connection,
+      prompt,
+      reply: rawContent,
+      tokens: tokenCount,
+    });
 
     return {
-      id: response.id,
+      id: completion.id,
       sql: parsed.sql ?? null,
       explanation: parsed.explanation ?? '',
       tables_used: Array.isArray(parsed.tables_used) ? parsed.tables_used : [],
@@ -269,14 +337,27 @@ export const chatService = {
         }
         return [...seen];
       })(),
+      attempts,
       tokens: {
         pass1: pass1Usage,
         pass2: pass2Usage,
-        input: pass1Usage.input + pass2Usage.input,
-        output: pass1Usage.output + pass2Usage.output,
-        total: pass1Usage.total + pass2Usage.total,
+        repair: repairUsage,
+        input: pass1Usage.input + pass2Usage.input + repairUsage.input,
+        output: pass1Usage.output + pass2Usage.output + repairUsage.output,
+        total: tokenCount,
       },
-      token_count: pass1Usage.total + pass2Usage.total,  // backwards compat
+      token_count: tokenCount,  // backwards compat
     };
   },
+
+  // Adds an answer served from the query cache to the conversation, as if the model had just
+  // given it (no tokens spent), so the history and follow-up context stay complete
+  recordCachedAnswer(prompt, conversationId, { sql, explanation, tablesUsed }, { conversation = ANONYMOUS } = {}) {
+    conversationRepository.appendExchange(conversation.owner, conversationId, {
+      connection: conversation.connection,
+      prompt,
+      reply: JSON.stringify({ sql, explanation, tables_used: tablesUsed }),
+      tokens: 0,
+    });
+  },
 };
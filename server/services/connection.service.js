@@ -0,0 +1,422 @@
+// application logic
+// Connection lifecycle, explorer snapshots and user-query execution for any registered driver.
+// Every method takes the caller's session ID (req.sessionID) and the driver adapter (see
+// drivers/registry.js) it should work through; each session only ever sees its own pools.
+
+import { connectionRepository } from '../repositories/connection.repository.js';
+import { introspectionService } from './introspection.js';
+import { schemaContextRepository } from '../repositories/schemaContext.repository.js';
+import { queryCache, cacheScope } from './cache.js';
+import { sqlGuard } from './sqlGuard.js';
+import { queryPlan } from './queryPlan.js';
+import { getExecutionLimits, getExportLimits, getPoolLimits, isTimeoutError } from './executionLimits.js';
+import { getDefaultPiiPolicy } from './piiPolicy.js';
+import { withCallableFlags } from './routinePolicy.js';
+import { connectionLabel } from './conversation.service.js';
+import { snapshotService, generateTableDescriptions, clearExplorerSnapshot, writeExplorerSnapshot, readTableConstraints, readRoutines } from './snapshot.service.js';
+
+function notAvailableError(driver) {
+  return `${driver.label} connection not available`;
+}
+
+const REAP_INTERVAL_MS = 60 * 1000;
+const POOL_LIMIT_ERROR = 'The server has too many open database connections. Try again in a few minutes.';
+
+let reaper = null;
+
+// Every use of a pool counts as activity for the idle timeout
+function getLivePool(sessionId, driver) {
+  const pool = connectionRepository.getPool(sessionId, driver);
+  if (!pool || !connectionRepository.isAvailable(sessionId, driver)) return null;
+  connectionRepository.touch(sessionId, driver);
+  return pool;
+}
+
+// A reaped pool takes its schema context with it
+async function reapIdlePools() {
+  const closed = await connectionRepository.closeIdle(Date.now() - getPoolLimits().idleTimeoutMs);
+  if (closed.length === 0) return;
+  await Promise.all(closed.map(({ sessionId, driver }) => clearExplorerSnapshot(sessionId, driver)));
+  console.log(`[pools] closed ${closed.length} idle connection pool(s)`);
+}
+
+// Started with the first pool; unref'd so it never keeps the process alive
+function startReaper() {
+  if (reaper) return;
+  reaper = setInterval(() => {
+    reapIdlePools().catch((err) => console.warn('[pools] idle reaping failed:', err.message));
+  }, Math.min(REAP_INTERVAL_MS, getPoolLimits().idleTimeoutMs));
+  reaper.unref();
+}
+
+// Replacing the session's own pool never counts against the cap
+function hasRoomForPool(sessionId, driver) {
+  return connectionRepository.hasPool(sessionId, driver) || connectionRepository.countPools() < getPoolLimits().maxPools;
+}
+
+// Opens a pool through the adapter and makes it the session's connection for the driver. A
+// failed attempt leaves the previous connection, and its schema context, in place.
+async function openConnection(sessionId, driver, config, { piiPolicy, allowRoutines } = {}) {
+  if (!hasRoomForPool(sessionId, driver)) await reapIdlePools();
+  if (!hasRoomForPool(sessionId, driver)) {
+    return { ok: false, error: POOL_LIMIT_ERROR, status: 503 };
+  }
+
+  let pool;
+  try {
+    pool = await driver.connect(config);
+  } catch (err) {
+    return { ok: false, error: err.message, status: err.status ?? 500 };
+  }
+
+  // Another session may have taken the last slot while this one was connecting
+  if (!hasRoomForPool(sessionId, driver)) {
+    try { await driver.close(pool); } catch { /* ignore */ }
+    return { ok: false, error: POOL_LIMIT_ERROR, status: 503 };
+  }
+
+  await connectionRepository.replacePool(sessionId, driver, pool);
+  try { await clearExplorerSnapshot(sessionId, driver); } catch { /* non-fatal */ }
+  connectionRepository.setPiiPolicy(sessionId, driver, piiPolicy ?? getDefaultPiiPolicy());
+  connectionRepository.setAllowRoutines(sessionId, driver, allowRoutines ?? false);
+  connectionRepository.setRoutines(sessionId, driver, null);
+  startReaper();
+  queryCache.clearScope(cacheScope(sessionId, driver.name));
+  try {
+    await routineCatalog(sessionId, driver);
+  } catch (err) {
+    console.warn(`[connect:${driver.name}] routine catalog non-fatal:`, err.message);
+  }
+  return { ok: true };
+}
+
+// The connection's routines with `callable` flags. Read once per pool and retried on the next
+// query if that failed; [] without a live pool (queries are refused then anyway).
+async function routineCatalog(sessionId, driver) {
+  const pool = getLivePool(sessionId, driver);
+  if (!pool) return [];
+
+  let routines = connectionRepository.getRoutines(sessionId, driver);
+  if (!routines) {
+    routines = await readRoutines(pool, driver);
+    connectionRepository.setRoutines(sessionId, driver, routines);
+  }
+  return withCallableFlags(routines, connectionRepository.getAllowRoutines(sessionId, driver));
+}
+
+// Routines the model may use in generated SQL
+async function callableRoutines(sessionId, driver) {
+  return (await routineCatalog(sessionId, driver)).filter((routine) => routine.callable);
+}
+
+// Shared checks for user-supplied SQL: safety gate (including the routine opt-in), then a live pool.
+// Returns { ok: true, pool } or an error result ready to send.
+async function prepareUserQuery(sessionId, driver, sqlText) {
+  let routines;
+  try {
+    routines = await routineCatalog(sessionId, driver);
+  } catch (err) {
+    return { ok: false, status: 500, body: { error: `Could not read the routine catalog: ${err.message}` } };
+  }
+
+  const safety = sqlGuard.check(sqlText, driver.dialect, { routines });
+  if (!safety.ok) {
+    return { ok: false, status: 422, body: { error: 'Query rejected by SQL safety check', reasons: safety.reasons } };
+  }
+
+  const pool = getLivePool(sessionId, driver);
+  if (!pool) {
+    return { ok: false, status: 503, body: { error: notAvailableError(driver) } };
+  }
+  return { ok: true, pool };
+}
+
+// A reopened pool starts without schema context (openConnection clears it, and reaping took it
+// before that): rebuild what the session had, so questions never run against an empty schema
+async function rebuildSchemaContext(sessionId, driver, record) {
+  const pool = connectionRepository.getPool(sessionId, driver);
+  await writeExplorerSnapshot(sessionId, pool, driver, { routines: await callableRoutines(sessionId, driver) });
+  if (record.introspected) await writeIntrospection(sessionId, pool, driver);
+}
+
+// Introspect into TableSchema[] with AI descriptions and store it with the session's schema context
+async function writeIntrospection(sessionId, pool, driver) {
+  const { tables } = await introspectionService.introspect(pool, driver);
+
+  const schemaRows = tables.flatMap((t) =>
+    t.columns.map((c) => ({ table_name: t.name, column_name: c.name, table_comment: t.comment, column_comment: c.comment }))
+  );
+
+  let descriptions = {};
+  try {
+    descriptions = await generateTableDescriptions(tables.map((t) => t.name), schemaRows);
+  } catch (err) {
+    console.warn('[connect] AI description generation failed:', err.message);
+  }
+
+  const tablesWithDescriptions = tables.map((t) => ({
+    ...t,
+    description: descriptions[t.name] ?? '',
+  }));
+
+  await schemaContextRepository.update(sessionId, driver, { introspection: { tables: tablesWithDescriptions, descriptions } });
+  return { tables: tablesWithDescriptions, descriptions };
+}
+
+// A successful connect result carries `reconnect`, the record the controller keeps in the session
+// so POST /db/:driver/reconnect can reopen the pool after a restart or idle reaping. Credentials
+// are never kept: demo connections replay the server's settings, and file-based engines (whose
+// config is only a path) their config; anything else has to be connected again by the user.
+// The record also carries the connection's label, which names it in the conversation list.
+function withReconnectRecord(result, driver, record, config) {
+  if (!result.ok) return result;
+  return { ...result, reconnect: { ...record, label: connectionLabel(driver, record.kind, config) } };
+}
+
+function queryErrorResult(err, label, limits) {
+  if (isTimeoutError(err)) {
+    return { ok: false, status: 408, body: { error: `${label} exceeded the ${limits.timeoutMs} ms time limit` } };
+  }
+  return { ok: false, status: 400, body: { error: err.message } };
+}
+
+// `run(pool, limits)` returns the response body; durationMs is added here.
+async function runUserQuery(sessionId, driver, sqlText, label, run) {
+  const prepared = await prepareUserQuery(sessionId, driver, sqlText);
+  if (!prepared.ok) return prepared;
+
+  const limits = getExecutionLimits();
+  const startedAt = performance.now();
+  try {
+    const body = await run(prepared.pool, limits);
+    return { ok: true, body: { ...body, durationMs: Math.round(performance.now() - startedAt) } };
+  } catch (err) {
+    return queryErrorResult(err, label, limits);
+  }
+}
+
+// Public interface
+export const connectionService = {
+  async connect(sessionId, driver, { piiPolicy, allowRoutines, ...config }) {
+    const options = { piiPolicy, allowRoutines };
+    const result = await openConnection(sessionId, driver, config, options);
+    const record = driver.upload ? { kind: 'config', config, options } : { kind: 'credentials', options };
+    return withReconnectRecord(result, driver, record, config);
+  },
+
+  async connectDemo(sessionId, driver) {
+    const config = driver.demoConfig();
+    if (!config) {
+      return { ok: false, error: `Demo ${driver.label} credentials are not configured on the server`, status: 400 };
+    }
+    return withReconnectRecord(await openConnection(sessionId, driver, config), driver, { kind: 'demo' });
+  },
+
+  // File-based engines only: the adapter stores the upload and returns the config that opens it
+  async connectUpload(sessionId, driver, file, options = {}) {
+    if (!driver.upload) {
+      return { ok: false, error: `${driver.label} connections can't be opened from an uploaded file`, status: 400 };
+    }
+
+    let config;
+    try {
+      config = await driver.upload(file);
+    } catch (err) {
+      return { ok: false, error: err.message, status: err.status ?? 500 };
+    }
+    return withReconnectRecord(await openConnection(sessionId, driver, config, options), driver, { kind: 'upload', options });
+  },
+
+  /**
+   * Reconnect handshake: { status: 'connected' } when the session's pool is still open,
+   * { status: 'reconnected' } after reopening it from `record` (see withReconnectRecord) and
+   * rebuilding its schema context, or an error — 401 when the session has nothing to restore, 409
+   * when the user has to connect again.
+   */
+  async reconnect(sessionId, driver, record) {
+    if (getLivePool(sessionId, driver)) {
+      return { ok: true, body: { status: 'connected' } };
+    }
+    if (!record) {
+      return { ok: false, status: 401, body: { status: 'disconnected', error: `No ${driver.label} connection to restore in this session. Please connect again.` } };
+    }
+
+    let result;
+    if (record.kind === 'demo') {
+      result = await connectionService.connectDemo(sessionId, driver);
+    } else if (record.kind === 'config') {
+      result = await openConnection(sessionId, driver, record.config, record.options);
+    } else {
+      const action = record.kind === 'upload' ? 'Upload the database file again' : 'Enter the credentials again';
+      return { ok: false, status: 409, body: { status: 'credentials-required', error: `The ${driver.label} connection was closed. ${action} to reconnect.` } };
+    }
+
+    if (!result.ok) {
+      return { ok: false, status: result.status || 500, body: { status: 'failed', error: result.error } };
+    }
+
+    try {
+      await rebuildSchemaContext(sessionId, driver, record);
+    } catch (err) {
+      // Without its schema the pool is no use; closing it lets the next request retry the handshake
+      await connectionRepository.clear(sessionId, driver);
+      return { ok: false, status: 500, body: { status: 'failed', error: `Could not rebuild the ${driver.label} schema context: ${err.message}` } };
+    }
+    return { ok: true, body: { status: 'reconnected' } };
+  },
+
+  getStatus(sessionId, driver) {
+    return { available: connectionRepository.isAvailable(sessionId, driver) };
+  },
+
+  // Whether any of the session's connections still has a pool, after a failed connect for example
+  hasOpenConnection(sessionId) {
+    return connectionRepository.hasAnyPool(sessionId);
+  },
+
+  getPiiPolicy(sessionId, driver) {
+    return connectionRepository.getPiiPolicy(sessionId, driver);
+  },
+
+  async getHealth(sessionId, driver) {
+    const pool = getLivePool(sessionId, driver);
+    if (!pool) {
+      return { ok: false, status: 503, body: { status: 'unavailable', error: notAvailableError(driver) } };
+    }
+
+    try {
+      return { ok: true, body: { status: 'ok', time: await driver.now(pool) } };
+    } catch (err) {
+      return { ok: false, status: 500, body: { error: err.message } };
+    }
+  },
+
+  async getSchema(sessionId, driver) {
+    const pool = getLivePool(sessionId, driver);
+    if (!pool) {
+      return { ok: false, status: 503, body: { error: notAvailableError(driver) } };
+    }
+
+    try {
+      return { ok: true, body: await driver.getSchema(pool) };
+    } catch (err) {
+      return { ok: false, status: 500, body: { error: err.message } };
+    }
+  },
+
+  async getTableConstraints(sessionId, driver) {
+    const pool = getLivePool(sessionId, driver);
+    if (!pool) {
+      return { ok: false, status: 503, body: { error: notAvailableError(driver) } };
+    }
+
+    try {
+      return { ok: true, body: await readTableConstraints(pool, driver) };
+    } catch (err) {
+      return { ok: false, status: 500, body: { error: err.message } };
+    }
+  },
+
+  // { allowRoutines, routines } — the catalog with `callable` flags
+  async getRoutines(sessionId, driver) {
+    if (!getLivePool(sessionId, driver)) {
+      return { ok: false, status: 503, body: { error: notAvailableError(driver) } };
+    }
+
+    try {
+      return { ok: true, body: { allowRoutines: connectionRepository.getAllowRoutines(sessionId, driver), routines: await routineCatalog(sessionId, driver) } };
+    } catch (err) {
+      return { ok: false, status: 500, body: { error: err.message } };
+    }
+  },
+
+  // { [table]: description } from the session's last snapshot through the driver
+  async getTableDescriptions(sessionId, driver) {
+    return snapshotService.getTableDescriptions(sessionId, driver);
+  },
+
+  async buildExplorerSnapshot(sessionId, driver) {
+    const pool = getLivePool(sessionId, driver);
+    if (!pool) {
+      return { ok: false, status: 503, body: { error: notAvailableError(driver) } };
+    }
+
+    try {
+      await writeExplorerSnapshot(sessionId, pool, driver, { routines: await callableRoutines(sessionId, driver) });
+      return { ok: true, body: { message: 'DB explorer context generated' } };
+    } catch (err) {
+      return { ok: false, status: 500, body: { error: err.message } };
+    }
+  },
+
+  async clearExplorerSnapshot(sessionId, driver) {
+    try {
+      await clearExplorerSnapshot(sessionId, driver);
+      return { ok: true, body: { message: 'DB explorer context cleared' } };
+    } catch (err) {
+      return { ok: false, status: 500, body: { error: err.message } };
+    }
+  },
+
+  // Connect, write the explorer snapshot, then introspect into TableSchema[] with AI descriptions
+  async connectAndIntrospect(sessionId, driver, config) {
+    const connectResult = await connectionService.connect(sessionId, driver, config);
+    if (!connectResult.ok) return connectResult;
+
+    const pool = connectionRepository.getPool(sessionId, driver);
+    try {
+      try {
+        await writeExplorerSnapshot(sessionId, pool, driver, { routines: await callableRoutines(sessionId, driver) });
+      } catch (err) {
+        console.warn('[connect] snapshot generation non-fatal:', err.message);
+      }
+      const { tables, descriptions } = await writeIntrospection(sessionId, pool, driver);
+      return { ok: true, tables, descriptions, reconnect: { ...connectResult.reconnect, introspected: true } };
+    } catch (err) {
+      return { ok: false, error: err.message, status: 500 };
+    }
+  },
+
+  // Snapshot and introspected schema of the session's connection (see schemaContext.repository.js),
+  // or null before the first snapshot
+  async getSchemaContext(sessionId, driver) {
+    return schemaContextRepository.get(sessionId, driver);
+  },
+
+  async executeQuery(sessionId, driver, sqlText) {
+    return runUserQuery(sessionId, driver, sqlText, 'Query', async (pool, limits) => ({
+      ...(await driver.execute(pool, sqlText, limits)),
+      maxRows: limits.maxRows,
+    }));
+  },
+
+  // Same gate and limits as executeQuery, but the database only compiles the statement
+  async validateQuery(sessionId, driver, sqlText) {
+    return runUserQuery(sessionId, driver, sqlText, 'Validation', async (pool, limits) => {
+      await driver.validate(pool, sqlText, limits);
+      return { valid: true };
+    });
+  },
+
+  // Estimated plan (never executed) as a tree: { plan, fullScans, durationMs }
+  async explainQuery(sessionId, driver, sqlText) {
+    return runUserQuery(sessionId, driver, sqlText, 'Explain', async (pool, limits) =>
+      queryPlan.normalize(driver.dialect, await driver.explain(pool, sqlText, limits)));
+  },
+
+  // Starts a streaming export. Errors before the first batch (bad SQL, timeouts) are returned
+  // like executeQuery's; on success `batches` is an async iterable of { rows } to pipe out.
+  async openExport(sessionId, driver, sqlText) {
+    const prepared = await prepareUserQuery(sessionId, driver, sqlText);
+    if (!prepared.ok) return prepared;
+
+    const limits = getExportLimits();
+    const stream = driver.stream(prepared.pool, sqlText, limits);
+    try {
+      const first = await stream.next();
+      return { ok: true, columns: first.value?.columns ?? [], batches: stream };
+    } catch (err) {
+      return queryErrorResult(err, 'Query', limits);
+    }
+  },
+};
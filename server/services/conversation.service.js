@@ -0,0 +1,163 @@
+// application logic
+// Conversation history behind /api/conversations, and who it belongs to. There are no user
+// accounts: the client keeps a random history key and sends it with every request
+// (HISTORY_KEY_HEADER), and conversations belong to that key. Entering the same key in another
+// browser brings the history along; nobody without it — not even a session connected with the
+// same database login — can see it. Requests without a key fall back to the session's own.
+// The database a question was asked against is only a label in the list.
+
+import crypto from 'crypto';
+import { promisify } from 'util';
+import { conversationRepository } from '../repositories/conversation.repository.js';
+
+export const HISTORY_KEY_HEADER = 'x-querify-history-key';
+const SESSION_OWNER_PREFIX = 'session:';
+const ORPHAN_PRUNE_INTERVAL_MS = 15 * 60 * 1000;
+// At least 192 bits of the client's randomness, base64url
+const HISTORY_KEY_PATTERN = /^[A-Za-z0-9_-]{32,128}$/;
+
+/**
+ * @typedef {object} ConversationIdentity
+ * @property {string} owner - opaque key conversations are stored under; never sent to the client
+ * @property {string | null} connection - label of the database, shown in the conversation list
+ */
+
+// host / port / user / database of a connect body; a postgres:// URI fills what the fields leave blank
+function loginOf(config) {
+  let fromUri = {};
+  if (config.connectionString) {
+    try {
+      const url = new URL(config.connectionString);
+      fromUri = {
+        host: url.hostname,
+        port: url.port,
+        user: decodeURIComponent(url.username),
+        database: decodeURIComponent(url.pathname.replace(/^\//, '')),
+      };
+    } catch { /* the driver refused it before this runs */ }
+  }
+  const field = (name) => String(config[name] || fromUri[name] || '');
+  const server = config.server ? `${config.server}${config.instanceName ? `\\${config.instanceName}` : ''}` : '';
+  return { host: (field('host') || server).toLowerCase(), port: field('port'), user: field('user'), database: field('database') };
+}
+
+/**
+ * Label of a connection that was just opened, from the reconnect record's `kind` and the config
+ * it was opened with. Passwords are never part of it.
+ * @returns {string}
+ */
+export function connectionLabel(driver, kind, config = {}) {
+  if (kind === 'demo') return `Demo ${driver.label}`;
+  if (kind === 'upload') return `Uploaded ${driver.label} database`;
+
+  const file = config.path ?? config.file;
+  if (kind === 'config' && file) return `${driver.label}: ${file}`;
+
+  const { host, port, user, database } = loginOf(config);
+  return `${driver.label}: ${user}@${host}${port ? `:${port}` : ''}/${database}`;
+}
+
+/** The request's history key: { ok: true, key } (undefined without one), or a 400 result when it is malformed. */
+export function historyKeyFrom(headers) {
+  const key = headers?.[HISTORY_KEY_HEADER];
+  if (key === undefined) return { ok: true, key: undefined };
+  if (typeof key !== 'string' || !HISTORY_KEY_PATTERN.test(key)) {
+    return { ok: false, status: 400, body: { error: 'Invalid history key' } };
+  }
+  return { ok: true, key };
+}
+
+/**
+ * The key conversations are stored under: a hash of the history key (the store never holds a key
+ * that would open them), or the session's own without one.
+ */
+export function conversationOwner(sessionId, historyKey) {
+  if (!historyKey) return `${SESSION_OWNER_PREFIX}${sessionId}`;
+  return `history:${crypto.createHash('sha256').update(historyKey).digest('hex')}`;
+}
+
+/**
+ * Identity questions asked through `driverName` are stored under, labelled with its open connection.
+ * Without a history key the owner is the session, so the session is marked to be saved: with
+ * saveUninitialized off, a visitor who never connected would otherwise get a new session ID (and
+ * lose the conversation) on the next request.
+ */
+export function conversationIdentity(sessionId, session, driverName, historyKey) {
+  if (!historyKey && session) session.conversations = true;
+  const label = session?.connected ? session.connections?.[driverName]?.label : undefined;
+  return { owner: conversationOwner(sessionId, historyKey), connection: label ?? null };
+}
+
+// Assistant messages are stored as the model's raw JSON (it reads them back as follow-up context)
+function toTranscriptMessage({ role, content, createdAt }) {
+  if (role !== 'assistant') return { role, content, createdAt };
+
+  let parsed;
+  try {
+    parsed = JSON.parse(content);
+  } catch {
+    parsed = { sql: null, explanation: content, tables_used: [] };
+  }
+  return {
+    role,
+    sql: parsed.sql ?? null,
+    explanation: parsed.explanation ?? '',
+    tablesUsed: Array.isArray(parsed.tables_used) ? parsed.tables_used : [],
+    createdAt,
+  };
+}
+
+function notFound() {
+  return { ok: false, status: 404, body: { error: 'Conversation not found' } };
+}
+
+// Public interface
+export const conversationService = {
+  // { conversations: [{ id, title, connection, createdAt, updatedAt, tokensUsed, messageCount }] }
+  list(owner) {
+    return { ok: true, body: { conversations: conversationRepository.list(owner) } };
+  },
+
+  // Metadata plus the transcript; 404 for unknown IDs and other sessions' conversations alike
+  get(owner, conversationId) {
+    const conversation = conversationRepository.get(owner, conversationId);
+    if (!conversation) return notFound();
+    return { ok: true, body: { ...conversation, messages: conversation.messages.map(toTranscriptMessage) } };
+  },
+
+  delete(owner, conversationId) {
+    if (!conversationRepository.delete(owner, conversationId)) return notFound();
+    return { ok: true, body: { message: 'Conversation deleted' } };
+  },
+
+  /**
+   * Deletes the conversations of sessions `sessionStore` no longer has (expired, destroyed, or
+   * lost with a memory store's restart); nobody could open them again. Resolves to how many
+   * conversations went. A session the store fails to read is kept.
+   */
+  async pruneOrphans(sessionStore) {
+    const getSession = promisify(sessionStore.get.bind(sessionStore));
+    let pruned = 0;
+    for (const owner of conversationRepository.owners(SESSION_OWNER_PREFIX)) {
+      let session;
+      try {
+        session = await getSession(owner.slice(SESSION_OWNER_PREFIX.length));
+      } catch {
+        continue;
+      }
+      if (!session) pruned += conversationRepository.deleteOwner(owner);
+    }
+    return pruned;
+  },
+
+  // Runs pruneOrphans every 15 minutes without keeping the process alive
+  startPruning(sessionStore) {
+    const timer = setInterval(() => {
+      this.pruneOrphans(sessionStore).catch((err) => {
+        console.warn('[conversations] pruning orphaned conversations failed:', err.message);
+      });
+    }, ORPHAN_PRUNE_INTERVAL_MS);
+    timer.unref();
+    return timer;
+  },
+};
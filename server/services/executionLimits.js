@@ -0,0 +1,54 @@
+// application logic
+// Per-deployment limits for user-facing query execution and connection pools — read from env on every call
+
+const DEFAULT_TIMEOUT_MS = 15000;
+const DEFAULT_MAX_ROWS = 1000;
+const DEFAULT_EXPORT_MAX_ROWS = 100000;
+const DEFAULT_POOL_IDLE_TIMEOUT_MS = 30 * 60 * 1000;
+const DEFAULT_MAX_POOLS = 50;
+
+function readPositiveInt(value, fallback) {
+  const parsed = Number.parseInt(value, 10);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+}
+
+export function getExecutionLimits() {
+  return {
+    timeoutMs: readPositiveInt(process.env.QUERY_TIMEOUT_MS, DEFAULT_TIMEOUT_MS),
+    maxRows: readPositiveInt(process.env.QUERY_MAX_ROWS, DEFAULT_MAX_ROWS),
+  };
+}
+
+// Exports stream to the client, so they get a much higher row cap than the inline grid
+export function getExportLimits() {
+  return {
+    timeoutMs: readPositiveInt(process.env.QUERY_TIMEOUT_MS, DEFAULT_TIMEOUT_MS),
+    maxRows: readPositiveInt(process.env.QUERY_EXPORT_MAX_ROWS, DEFAULT_EXPORT_MAX_ROWS),
+  };
+}
+
+// Each session gets its own pool per driver: closed after idleTimeoutMs without use, and no
+// more than maxPools open across the deployment
+export function getPoolLimits() {
+  return {
+    idleTimeoutMs: readPositiveInt(process.env.POOL_IDLE_TIMEOUT_MS, DEFAULT_POOL_IDLE_TIMEOUT_MS),
+    maxPools: readPositiveInt(process.env.MAX_CONNECTION_POOLS, DEFAULT_MAX_POOLS),
+  };
+}
+
+// Postgres reports statement_timeout as SQLSTATE 57014; mssql reports its requestTimeout as ETIMEOUT
+// (ECANCEL for a request cancelled some other way).
+// MySQL / MariaDB have their own server codes plus mysql2's client-side timeout; SQLite uses its interrupt code.
+const TIMEOUT_CODES = new Set([
+  '57014',
+  'ECANCEL',
+  'ETIMEOUT',
+  'ER_QUERY_TIMEOUT',
+  'ER_STATEMENT_TIMEOUT',
+  'PROTOCOL_SEQUENCE_TIMEOUT',
+  'SQLITE_INTERRUPT',
+]);
+
+export function isTimeoutError(err) {
+  return TIMEOUT_CODES.has(err?.code);
+}
@@ -1,5 +1,5 @@
-import { getSchema, getTables, getSampleRows, getRowCounts } from '../db/postgres.js';
-import { sanitizeSamples } from './postgres.service.js';
+import { postgresDriver } from '../drivers/postgres.driver.js';
+import { sanitizeSamples, readViewDefinitions, readTableConstraints, groupForeignKeys } from './snapshot.service.js';
 
 function groupSchemaByTable(schemaRows) {
   return schemaRows.reduce((acc, row) => {
@@ -22,43 +22,45 @@ function buildColumns(tableRows, tableSamples) {
       nullable: row.is_nullable === 'YES',
       isPrimaryKey: row.is_primary === true,
       isForeignKey: row.is_foreign === true,
+      comment: row.column_comment ?? null,
+      enumValues: row.enum_values ?? null,
       sampleValues,
     };
   });
 }
 
-function buildForeignKeys(tableRows) {
-  return tableRows
-    .filter((row) => row.is_foreign && row.foreign_table && row.foreign_column)
-    .map((row) => ({
-      column: row.column_name,
-      referencedTable: row.foreign_table,
-      referencedColumn: row.foreign_column,
-    }));
-}
-
 export const introspectionService = {
-  async introspect(pool) {
-    const [schemaRows, tableNames, rowCountMap] = await Promise.all([
-      getSchema(pool),
-      getTables(pool),
-      getRowCounts(pool),
+  // `driver` is the adapter that owns `pool` (see drivers/registry.js)
+  async introspect(pool, driver = postgresDriver) {
+    const [schemaRows, tableNames, rowCountMap, viewDefinitions, tableConstraints] = await Promise.all([
+      driver.getSchema(pool),
+      driver.getTables(pool),
+      driver.getRowCounts(pool),
+      readViewDefinitions(pool, driver),
+      readTableConstraints(pool, driver),
     ]);
 
     const rawSamples = {};
     for (const tableName of tableNames) {
-      rawSamples[tableName] = await getSampleRows(pool, tableName);
+      rawSamples[tableName] = await driver.getSampleRows(pool, tableName);
     }
 
-    const sanitized = sanitizeSamples(schemaRows, rawSamples);
+    const { sanitized } = sanitizeSamples(schemaRows, rawSamples);
     const grouped = groupSchemaByTable(schemaRows);
+    const foreignKeys = groupForeignKeys(schemaRows);
 
     const tables = tableNames.map((name) => ({
       name,
+      type: grouped[name]?.[0]?.table_type ?? 'BASE TABLE',
+      definition: viewDefinitions[name] ?? null,
+      comment: grouped[name]?.[0]?.table_comment ?? null,
       description: '',
       columns: buildColumns(grouped[name] ?? [], sanitized[name] ?? []),
       primaryKey: (grouped[name] ?? []).find((r) => r.is_primary)?.column_name ?? null,
-      foreignKeys: buildForeignKeys(grouped[name] ?? []),
+      foreignKeys: foreignKeys[name] ?? [],
+      indexes: tableConstraints[name]?.indexes ?? [],
+      uniqueConstraints: tableConstraints[name]?.uniqueConstraints ?? [],
+      checkConstraints: tableConstraints[name]?.checkConstraints ?? [],
       rowCount: rowCountMap[name] ?? 0,
     }));
 
@@ -0,0 +1,10 @@
+// application logic
+// Per-connection handling of PII in executed result sets — see resultMasking.js
+
+export const PII_POLICIES = ['mask', 'hash', 'show'];
+
+// Used when a connection doesn't choose a policy (demo connections, older clients)
+export function getDefaultPiiPolicy() {
+  const policy = String(process.env.PII_RESULT_POLICY || '').toLowerCase();
+  return PII_POLICIES.includes(policy) ? policy : 'mask';
+}
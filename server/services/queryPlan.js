@@ -0,0 +1,232 @@
+// application logic
+// Turns Postgres EXPLAIN JSON, SQL Server showplan XML, MySQL EXPLAIN FORMAT=JSON and SQLite
+// EXPLAIN QUERY PLAN rows into one plan tree shape for the client
+
+// Operators that read every row of a table — what analysts look for on large tables
+const FULL_SCAN_OPERATIONS = {
+  postgres: new Set(['Seq Scan']),
+  sqlserver: new Set(['Table Scan', 'Clustered Index Scan', 'Index Scan']),
+  mysql: new Set(['ALL', 'index']),
+  sqlite: new Set(['SCAN']),
+};
+
+// MySQL access_type → the wording of EXPLAIN's documentation
+const MYSQL_ACCESS_LABELS = {
+  ALL: 'Full Table Scan',
+  index: 'Full Index Scan',
+  range: 'Index Range Scan',
+  ref: 'Index Lookup',
+  eq_ref: 'Unique Key Lookup',
+  ref_or_null: 'Index Lookup (or NULL)',
+  const: 'Constant Lookup',
+  system: 'System Table',
+  fulltext: 'Fulltext Search',
+  index_merge: 'Index Merge',
+  unique_subquery: 'Unique Subquery',
+  index_subquery: 'Index Subquery',
+};
+
+// Wrapper blocks around a MySQL query block's tables, and the step they stand for
+const MYSQL_WRAPPERS = {
+  ordering_operation: 'Sort',
+  grouping_operation: 'Group',
+  duplicates_removal: 'Distinct',
+  windowing: 'Window',
+};
+
+function toNumber(value) {
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? parsed : null;
+}
+
+function stripBrackets(name) {
+  return name ? name.replace(/^\[|\]$/g, '') : null;
+}
+
+function decodeEntities(text) {
+  return text
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&');
+}
+
+function parseAttributes(source) {
+  const attributes = {};
+  for (const match of source.matchAll(/([\w:]+)="([^"]*)"/g)) {
+    attributes[match[1]] = decodeEntities(match[2]);
+  }
+  return attributes;
+}
+
+/** Normalise one node of EXPLAIN (FORMAT JSON) output, recursing into "Plans". */
+function fromPostgresNode(node) {
+  const nodeType = node['Node Type'];
+  // Label like EXPLAIN's text format: "Parallel Seq Scan", "Hash Left Join"
+  let operation = nodeType;
+  const joinType = node['Join Type'];
+  if (joinType && joinType !== 'Inner' && nodeType.endsWith('Join')) {
+    operation = nodeType.replace(/Join$/, `${joinType} Join`);
+  }
+  if (node['Parallel Aware']) operation = `Parallel ${operation}`;
+  const relation = node['Relation Name']
+    ? [node.Schema, node['Relation Name']].filter(Boolean).join('.')
+    : null;
+
+  return {
+    operation,
+    relation,
+    index: node['Index Name'] ?? null,
+    cost: toNumber(node['Total Cost']),
+    startupCost: toNumber(node['Startup Cost']),
+    rows: toNumber(node['Plan Rows']),
+    fullScan: FULL_SCAN_OPERATIONS.postgres.has(nodeType),
+    children: (node.Plans ?? []).map(fromPostgresNode),
+  };
+}
+
+/**
+ * Walk showplan XML tag by tag. Every <RelOp> becomes a node; nested RelOps are its
+ * children and the first <Object> inside a RelOp names the table/index it reads.
+ */
+function fromShowplanXml(xml) {
+  const roots = [];
+  const stack = [];
+
+  for (const match of xml.matchAll(/<(\/?)([\w:]+)([^>]*?)(\/?)>/g)) {
+    const [, closing, tag, attributeSource, selfClosing] = match;
+    const name = tag.includes(':') ? tag.split(':').pop() : tag;
+
+    if (name === 'RelOp') {
+      if (closing) {
+        stack.pop();
+        continue;
+      }
+      const attributes = parseAttributes(attributeSource);
+      const node = {
+        operation: attributes.PhysicalOp ?? attributes.LogicalOp ?? 'Unknown',
+        relation: null,
+        index: null,
+        cost: toNumber(attributes.EstimatedTotalSubtreeCost),
+        startupCost: null,
+        rows: toNumber(attributes.EstimateRows),
+        fullScan: FULL_SCAN_OPERATIONS.sqlserver.has(attributes.PhysicalOp),
+        children: [],
+      };
+      (stack.length > 0 ? stack[stack.length - 1].children : roots).push(node);
+      if (!selfClosing) stack.push(node);
+      continue;
+    }
+
+    if (name === 'Object' && !closing && stack.length > 0) {
+      const current = stack[stack.length - 1];
+      if (current.relation) continue;
+      const attributes = parseAttributes(attributeSource);
+      const table = stripBrackets(attributes.Table);
+      if (!table) continue;
+      current.relation = [stripBrackets(attributes.Schema), table].filter(Boolean).join('.');
+      current.index = stripBrackets(attributes.Index);
+    }
+  }
+
+  return roots[0] ?? null;
+}
+
+/** A plan node that only groups its children: joins, sorts, unions without their own estimates. */
+function planStep(operation, children) {
+  return { operation, relation: null, index: null, cost: null, startupCost: null, rows: null, fullScan: false, children };
+}
+
+function fromMysqlTable(table) {
+  const accessType = table.access_type;
+  return {
+    operation: MYSQL_ACCESS_LABELS[accessType] ?? accessType ?? 'Table',
+    relation: table.table_name ?? null,
+    index: table.key ?? null,
+    // MariaDB has no cost_info; its estimates are plain "rows"
+    cost: toNumber(table.cost_info?.prefix_cost),
+    startupCost: null,
+    rows: toNumber(table.rows_examined_per_scan ?? table.rows),
+    fullScan: FULL_SCAN_OPERATIONS.mysql.has(accessType),
+    children: table.materialized_from_subquery ? [fromMysqlBlock(table.materialized_from_subquery.query_block)] : [],
+  };
+}
+
+/** Children of a MySQL query block (or of one of its wrappers): tables, joins, sorts, unions. */
+function mysqlChildren(block) {
+  if (!block) return [];
+  const children = [];
+  if (block.table) children.push(fromMysqlTable(block.table));
+  if (block.nested_loop) {
+    children.push(planStep('Nested Loop', block.nested_loop.map((entry) => fromMysqlTable(entry.table))));
+  }
+  for (const [key, operation] of Object.entries(MYSQL_WRAPPERS)) {
+    if (!block[key]) continue;
+    children.push(planStep(operation, mysqlChildren(block[key])));
+  }
+  if (block.union_result) {
+    const specs = block.union_result.query_specifications ?? [];
+    children.push(planStep('Union', specs.map((spec) => fromMysqlBlock(spec.query_block))));
+  }
+  return children;
+}
+
+function fromMysqlBlock(block) {
+  return { ...planStep('Select', mysqlChildren(block)), cost: toNumber(block?.cost_info?.query_cost) };
+}
+
+/**
+ * SQLite plan rows are flat ({ id, parent, detail }), e.g. "SCAN orders" or
+ * "SEARCH customers USING INTEGER PRIMARY KEY (rowid=?)". Rebuild the tree from parent ids.
+ */
+function fromSqliteRows(rows) {
+  const root = planStep('Query', []);
+  const nodes = new Map([[0, root]]);
+
+  for (const row of rows) {
+    const detail = String(row.detail ?? '');
+    // Older SQLite versions write "SCAN TABLE orders"
+    const match = detail.match(/^(SCAN|SEARCH) (?:TABLE )?(\S+)(?: AS \S+)?(?: USING (?:COVERING )?INDEX (\S+))?/);
+    const isTable = match && !match[2].startsWith('(') && match[2] !== 'CONSTANT';
+    const node = planStep(isTable ? match[1] : detail, []);
+    if (isTable) {
+      node.relation = match[2];
+      node.index = match[3] ?? (detail.includes('USING INTEGER PRIMARY KEY') ? 'rowid' : null);
+      node.fullScan = FULL_SCAN_OPERATIONS.sqlite.has(match[1]);
+    }
+    nodes.set(row.id, node);
+    (nodes.get(row.parent) ?? root).children.push(node);
+  }
+
+  return root;
+}
+
+function collectFullScans(node, found) {
+  if (!node) return found;
+  if (node.fullScan && node.relation && !found.includes(node.relation)) found.push(node.relation);
+  for (const child of node.children) collectFullScans(child, found);
+  return found;
+}
+
+const NORMALIZERS = {
+  postgres: fromPostgresNode,
+  sqlserver: fromShowplanXml,
+  mysql: (document) => fromMysqlBlock(document.query_block),
+  sqlite: fromSqliteRows,
+};
+
+// Public interface
+export const queryPlan = {
+  /**
+   * @param {'postgres' | 'sqlserver' | 'mysql' | 'sqlite'} dialect
+   * @param {object | string | object[] | null} rawPlan root "Plan" object (Postgres), showplan XML
+   *   (SQL Server), EXPLAIN FORMAT=JSON document (MySQL) or EXPLAIN QUERY PLAN rows (SQLite)
+   * @returns {{ plan: object | null, fullScans: string[] }}
+   */
+  normalize(dialect, rawPlan) {
+    if (!rawPlan) return { plan: null, fullScans: [] };
+    const plan = NORMALIZERS[dialect](rawPlan);
+    return { plan, fullScans: collectFullScans(plan, []) };
+  },
+};
@@ -0,0 +1,142 @@
+// application logic
+// Writes streamed result sets as CSV, newline-delimited JSON or XLSX straight to the response
+
+import { randomUUID } from 'crypto';
+import ExcelJS from 'exceljs';
+
+export const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' },
+};
+
+// Spreadsheet apps treat cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+function toPlainValue(value) {
+  if (value === null || value === undefined) return null;
+  if (value instanceof Date) return value.toISOString();
+  if (Buffer.isBuffer(value)) return `0x${value.toString('hex')}`;
+  if (typeof value === 'bigint') return value.toString();
+  if (typeof value === 'object') return JSON.stringify(value);
+  return value;
+}
+
+function toCsvCell(value) {
+  const plain = toPlainValue(value);
+  if (plain === null) return '';
+  let text = String(plain);
+  if (typeof plain === 'string' && FORMULA_PREFIX.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Duplicate column names (e.g. two "id" columns from a join) would collide as JSON keys
+function uniqueColumnNames(columns) {
+  const seen = new Map();
+  return columns.map(({ name }) => {
+    const count = seen.get(name) ?? 0;
+    seen.set(name, count + 1);
+    return count === 0 ? name : `${name}_${count + 1}`;
+  });
+}
+
+// Respect backpressure; stop (and let the query generator clean up) if the client went away
+async function write(out, chunk) {
+  if (out.destroyed) throw new Error('Export download was closed by the client');
+  if (out.write(chunk)) return;
+  await new Promise((resolve) => {
+    const settle = () => {
+      out.off('drain', settle);
+      out.off('close', settle);
+      resolve();
+    };
+    out.on('drain', settle);
+    out.on('close', settle);
+  });
+  if (out.destroyed) throw new Error('Export download was closed by the client');
+}
+
+async function writeCsv(out, columns, batches) {
+  // BOM so Excel opens the file as UTF-8
+  await write(out, `\uFEFF${columns.map((column) => toCsvCell(column.name)).join(',')}\r\n`);
+  for await (const { rows } of batches) {
+    await write(out, rows.map((row) => `${row.map(toCsvCell).join(',')}\r\n`).join(''));
+  }
+}
+
+async function writeNdjson(out, columns, batches) {
+  const names = uniqueColumnNames(columns);
+  for await (const { rows } of batches) {
+    const lines = rows.map((row) =>
+      `${JSON.stringify(Object.fromEntries(names.map((name, i) => [name, toPlainValue(row[i])])))}\n`);
+    await write(out, lines.join(''));
+  }
+}
+
+async function writeXlsx(out, columns, batches) {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: out, useStyles: false, useSharedStrings: false });
+  const sheet = workbook.addWorksheet('Results');
+  sheet.addRow(columns.map((column) => column.name)).commit();
+  for await (const { rows } of batches) {
+    if (out.destroyed) throw new Error('Export download was closed by the client');
+    for (const row of rows) {
+      sheet.addRow(row.map((value) => (value instanceof Date ? value : toPlainValue(value)))).commit();
+    }
+  }
+  sheet.commit();
+  await workbook.commit();
+}
+
+const WRITERS = { csv: writeCsv, ndjson: writeNdjson, xlsx: writeXlsx };
+
+// Downloads are plain browser downloads — the client clicks a link to the file, so it streams to
+// disk — and a link can't carry a JSON body. The client first registers the export and gets a
+// one-time ticket for the GET.
+const TICKET_TTL_MS = 60 * 1000;
+const MAX_TICKETS = 100;
+const tickets = new Map();
+
+function pruneTickets(now) {
+  for (const [token, ticket] of tickets) {
+    if (ticket.expiresAt <= now) tickets.delete(token);
+  }
+}
+
+// Public interface
+export const resultExport = {
+  /** File name for a download, e.g. querify-export-20261018-142501.csv */
+  fileName(format, now = new Date()) {
+    const stamp = now.toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+    return `querify-export-${stamp}.${EXPORT_FORMATS[format].extension}`;
+  },
+
+  /** Register an export for this session; returns the token for GET /api/query/export/:token. */
+  createTicket({ sql, dialect, format, sessionId }) {
+    const now = Date.now();
+    pruneTickets(now);
+    if (tickets.size >= MAX_TICKETS) {
+      tickets.delete(tickets.keys().next().value);
+    }
+    const token = randomUUID();
+    tickets.set(token, { sql, dialect, format, sessionId, expiresAt: now + TICKET_TTL_MS });
+    return token;
+  },
+
+  /** One-time lookup; returns null when the token is unknown, expired or from another session. */
+  redeemTicket(token, sessionId) {
+    const ticket = tickets.get(token);
+    if (!ticket) return null;
+    tickets.delete(token);
+    if (ticket.expiresAt <= Date.now() || ticket.sessionId !== sessionId) return null;
+    return { sql: ticket.sql, dialect: ticket.dialect, format: ticket.format };
+  },
+
+  /**
+   * Stream `batches` (async iterable of { rows }) to `out` in the given format, then end `out`.
+   * The XLSX writer ends the stream itself when the workbook is committed.
+   */
+  async write(format, out, columns, batches) {
+    await WRITERS[format](out, columns, batches);
+    if (!out.writableEnded) out.end();
+  },
+};
@@ -0,0 +1,108 @@
+// application logic
+// Applies the prompt-sample PII detectors to executed result sets, per the connection's policy:
+//   mask — replace values with the same dummy values the LLM sees
+//   hash — replace values with a stable keyed hash (equal inputs stay equal, so grouping still reads)
+//   show — return values untouched and write an audit log line
+
+import { createHmac, randomBytes } from 'crypto';
+import { isLikelyPiiColumn, buildDummyValue } from './snapshot.service.js';
+
+// Values inspected per column when deciding whether it holds emails / phone numbers
+const DETECTION_SAMPLE_SIZE = 20;
+
+// Falls back to a per-process key, so hashes are only comparable within one server run
+const hashKey = process.env.PII_HASH_SECRET || process.env.SESSION_SECRET || randomBytes(32).toString('hex');
+
+// Result columns are aliases like "Client Email"; the detectors expect snake_case names
+function toDetectorName(columnName) {
+  return String(columnName || '').trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+}
+
+function hashValue(value) {
+  if (value === null || value === undefined) return value;
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return `#${createHmac('sha256', hashKey).update(text).digest('hex').slice(0, 12)}`;
+}
+
+/** Indexes of result columns whose name or sampled values look like PII. */
+function detectPiiColumns(columns, rows) {
+  const detected = [];
+  columns.forEach((column, index) => {
+    const name = toDetectorName(column.name);
+    const meta = { data_type: column.type };
+    const samples = [];
+    for (const row of rows) {
+      if (row[index] !== null && row[index] !== undefined) samples.push(row[index]);
+      if (samples.length >= DETECTION_SAMPLE_SIZE) break;
+    }
+    const values = samples.length > 0 ? samples : [undefined];
+    if (values.some((value) => isLikelyPiiColumn(meta, name, value))) detected.push(index);
+  });
+  return detected;
+}
+
+function audit({ sessionId, dialect, sql, columns, rowCount }) {
+  console.warn('[pii-audit]', JSON.stringify({
+    at: new Date().toISOString(),
+    sessionId: sessionId ?? null,
+    dialect,
+    columns,
+    rowCount,
+    sql: sql.length > 500 ? `${sql.slice(0, 500)}…` : sql,
+  }));
+}
+
+// Public interface
+export const resultMasking = {
+  /**
+   * Build a masker for one result set. Detection runs on the first non-empty batch, so the
+   * same columns are treated the same way across every batch of a streamed export.
+   * @param {{ name: string, type?: string }[]} columns
+   * @param {{ policy: string, sessionId?: string, dialect: string, sql: string }} context
+   */
+  createMasker(columns, { policy, sessionId, dialect, sql }) {
+    let piiIndexes = null;
+    let rowOffset = 0;
+    let shownRows = 0;
+
+    const masker = {
+      policy,
+      /** Names of detected columns (empty until the first batch has been seen). */
+      get piiColumns() {
+        return (piiIndexes ?? []).map((index) => columns[index].name);
+      },
+      /** Columns whose values were replaced — mirrors the chat pipeline's piiColumnsMasked. */
+      get maskedColumns() {
+        return policy === 'show' ? [] : masker.piiColumns;
+      },
+      maskRows(rows) {
+        if (piiIndexes === null && rows.length > 0) piiIndexes = detectPiiColumns(columns, rows);
+        if (!piiIndexes || piiIndexes.length === 0) return rows;
+
+        if (policy === 'show') {
+          shownRows += rows.length;
+          return rows;
+        }
+
+        const masked = rows.map((row, i) => {
+          const next = [...row];
+          for (const index of piiIndexes) {
+            next[index] = policy === 'hash'
+              ? hashValue(row[index])
+              : buildDummyValue(toDetectorName(columns[index].name), row[index], rowOffset + i);
+          }
+          return next;
+        });
+        rowOffset += rows.length;
+        return masked;
+      },
+      /** Call once the result set has been delivered; writes the audit line for 'show'. */
+      finish() {
+        if (policy === 'show' && shownRows > 0) {
+          audit({ sessionId, dialect, sql, columns: masker.piiColumns, rowCount: shownRows });
+        }
+      },
+    };
+    return masker;
+  },
+};
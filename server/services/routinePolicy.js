@@ -0,0 +1,25 @@
+// application logic
+// Per-connection opt-in for calling catalogued database routines from user queries.
+// `allowRoutines` is false (the default: none), true (all) or a list of routine names.
+
+// Routine names compare case-insensitively, and an unqualified name matches the routine of
+// that name in any schema — both Postgres (search_path) and SQL Server resolve it that way
+export function sameRoutineName(a, b) {
+  const left = a.toLowerCase();
+  const right = b.toLowerCase();
+  if (left === right) return true;
+  const bare = (name) => name.split('.').pop();
+  return bare(left) === bare(right) && (!left.includes('.') || !right.includes('.'));
+}
+
+// Procedures are never callable: EXEC / CALL statements are rejected by the SQL guard anyway
+export function isRoutineCallable(routine, allowRoutines) {
+  if (routine.type === 'PROCEDURE' || !allowRoutines) return false;
+  if (allowRoutines === true) return true;
+  return allowRoutines.some((name) => sameRoutineName(name, routine.name));
+}
+
+/** The catalog with a `callable` flag on each routine, as the guard and the client consume it. */
+export function withCallableFlags(routines, allowRoutines) {
+  return routines.map((routine) => ({ ...routine, callable: isRoutineCallable(routine, allowRoutines) }));
+}
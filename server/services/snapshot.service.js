@@ -0,0 +1,568 @@
+// application logic
+// Explorer snapshot, PII sanitisation and table description helpers shared by every driver
+
+import { postgresDriver } from '../drivers/postgres.driver.js';
+import { schemaContextRepository } from '../repositories/schemaContext.repository.js';
+import OpenAI from 'openai';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// View SQL can be long; prompts only need enough of it to show what the view selects
+const MAX_VIEW_DEFINITION_CHARS = 1500;
+// Routine bodies only need to hint at what the routine computes
+const MAX_ROUTINE_DEFINITION_CHARS = 600;
+
+/** " (view)", " (materialized view)", ... for anything that is not a base table. */
+function tableTypeSuffix(tableType) {
+  return tableType && tableType !== 'BASE TABLE' ? ` (${tableType.toLowerCase()})` : '';
+}
+
+function truncateDefinition(definition, maxChars) {
+  return definition.length > maxChars ? `${definition.slice(0, maxChars)}\n-- … truncated` : definition;
+}
+
+/** Markdown lines showing a view's definition, or none. */
+function viewDefinitionLines(definition) {
+  if (!definition) return [];
+  return ['Definition:', '', '```sql', truncateDefinition(definition, MAX_VIEW_DEFINITION_CHARS), '```', ''];
+}
+
+// View definitions from adapters that introspect views; {} when the engine has none
+async function readViewDefinitions(pool, driver) {
+  return driver.getViewDefinitions ? driver.getViewDefinitions(pool) : {};
+}
+
+// Index and constraint details from adapters that introspect them; {} otherwise
+async function readTableConstraints(pool, driver) {
+  return driver.getTableConstraints ? driver.getTableConstraints(pool) : {};
+}
+
+// Functions and procedures from adapters that catalogue them; [] otherwise
+async function readRoutines(pool, driver) {
+  return driver.getRoutines ? driver.getRoutines(pool) : [];
+}
+
+/** "name(params) → returns", as a routine would be written in a call. */
+function routineSignature(routine) {
+  const returns = routine.returnType ? ` → ${routine.returnType}` : '';
+  return `${routine.name}(${routine.parameters ?? ''})${returns}`;
+}
+
+/**
+ * Markdown section listing the routines the model may call, each with a snippet of its body so
+ * the model can tell when one already computes what the user asked for. None when `routines` is empty.
+ */
+function routineLines(routines = []) {
+  if (routines.length === 0) return [];
+  const lines = ['## Routines', '', 'These routines are approved for use in queries on this connection:', ''];
+  for (const routine of routines) {
+    lines.push(`### ${routineSignature(routine)} (${routine.type.toLowerCase()})`, '');
+    if (routine.definition) {
+      lines.push('```sql', truncateDefinition(routine.definition, MAX_ROUTINE_DEFINITION_CHARS), '```', '');
+    }
+  }
+  return lines;
+}
+
+/**
+ * Markdown lines listing a table's indexes, unique constraints and check constraints — what the
+ * model needs to tell cheap filters from full scans and which values a column accepts.
+ */
+function constraintLines({ indexes = [], uniqueConstraints = [], checkConstraints = [] } = {}) {
+  const lines = [];
+  if (indexes.length > 0) {
+    lines.push('Indexes:', '');
+    for (const index of indexes) {
+      const flags = [index.type, index.primary ? 'primary' : index.unique ? 'unique' : ''].filter(Boolean).join(', ');
+      const predicate = index.predicate ? ` WHERE ${index.predicate}` : '';
+      lines.push(`- ${index.name}${flags ? ` (${flags})` : ''}: ${index.columns.join(', ')}${predicate}`);
+    }
+    lines.push('');
+  }
+  if (uniqueConstraints.length > 0) {
+    lines.push('Unique constraints:', '');
+    for (const constraint of uniqueConstraints) {
+      lines.push(`- ${constraint.name}: ${constraint.columns.join(', ')}`);
+    }
+    lines.push('');
+  }
+  if (checkConstraints.length > 0) {
+    lines.push('Check constraints:', '');
+    for (const constraint of checkConstraints) {
+      lines.push(`- ${constraint.name}: ${constraint.definition}`);
+    }
+    lines.push('');
+  }
+  return lines;
+}
+
+// Foreign keys of a schema row; rows written before constraints were modelled only carry
+// the single-column fields
+function columnForeignKeys(column) {
+  if (Array.isArray(column.foreign_keys)) return column.foreign_keys;
+  return column.is_foreign && column.foreign_table
+    ? [{ constraint_name: null, position: 1, foreign_table: column.foreign_table, foreign_column: column.foreign_column }]
+    : [];
+}
+
+/**
+ * Foreign key constraints by table name as { name, columns, referencedTable, referencedColumns },
+ * the two column lists paired by position.
+ */
+function groupForeignKeys(schemaRows) {
+  const constraints = new Map();
+  for (const row of schemaRows) {
+    for (const fk of columnForeignKeys(row)) {
+      const key = `${row.table_name}\0${fk.constraint_name ?? `${row.column_name}\0${fk.foreign_table}`}`;
+      if (!constraints.has(key)) {
+        constraints.set(key, { table: row.table_name, name: fk.constraint_name, referencedTable: fk.foreign_table, pairs: [] });
+      }
+      constraints.get(key).pairs.push({ position: fk.position, column: row.column_name, referencedColumn: fk.foreign_column });
+    }
+  }
+
+  const byTable = {};
+  for (const { table, name, referencedTable, pairs } of constraints.values()) {
+    pairs.sort((a, b) => a.position - b.position);
+    (byTable[table] ??= []).push({
+      name,
+      columns: pairs.map((pair) => pair.column),
+      referencedTable,
+      referencedColumns: pairs.map((pair) => pair.referencedColumn),
+    });
+  }
+  return byTable;
+}
+
+/** "orders.customer_id -> customers.id", or "a(x, y) -> b(x, y)" for a composite key. */
+function formatForeignKey(table, fk) {
+  return fk.columns.length === 1
+    ? `${table}.${fk.columns[0]} -> ${fk.referencedTable}.${fk.referencedColumns[0]}`
+    : `${table}(${fk.columns.join(', ')}) -> ${fk.referencedTable}(${fk.referencedColumns.join(', ')})`;
+}
+
+/** References cell for a column: every column it points at, with the whole pairing of composite keys. */
+function foreignKeyReferences(column, tableForeignKeys = []) {
+  const refs = columnForeignKeys(column).map((fk) => {
+    const ref = `${fk.foreign_table}.${fk.foreign_column}`;
+    const constraint = tableForeignKeys.find((candidate) => candidate.name === fk.constraint_name);
+    return constraint && constraint.columns.length > 1
+      ? `${ref} (${constraint.name}: ${constraint.columns.join(', ')} → ${constraint.referencedColumns.join(', ')})`
+      : ref;
+  });
+  return refs.length > 0 ? refs.join('; ') : '-';
+}
+
+function escapeCell(text) {
+  return String(text).replace(/\|/g, '\\|').replace(/\n/g, ' ');
+}
+
+/** " (enum: 'open', 'closed')" for enum columns, so the model uses the exact labels. */
+function enumValuesSuffix(values) {
+  return Array.isArray(values) && values.length > 0
+    ? ` (enum: ${values.map((value) => `'${value}'`).join(', ')})`
+    : '';
+}
+
+/**
+ * Markdown table of a table's columns: name, type (with enum labels), keys and references,
+ * plus a Description column when any column carries a database comment.
+ */
+function columnTableLines(columns, tableForeignKeys) {
+  const withComments = columns.some((column) => column.column_comment);
+  const lines = withComments
+    ? ['| Name | Type | Keys | References | Description |', '|---|---|---|---|---|']
+    : ['| Name | Type | Keys | References |', '|---|---|---|---|'];
+  for (const column of columns) {
+    const keys = [column.is_primary ? 'PK' : '', column.is_foreign ? 'FK' : ''].filter(Boolean).join(', ') || '-';
+    const cells = [
+      column.column_name,
+      escapeCell(`${column.data_type}${enumValuesSuffix(column.enum_values)}`),
+      keys,
+      foreignKeyReferences(column, tableForeignKeys),
+    ];
+    if (withComments) cells.push(column.column_comment ? escapeCell(column.column_comment) : '-');
+    lines.push(`| ${cells.join(' | ')} |`);
+  }
+  return lines;
+}
+
+function formatScalar(value) {
+  if (value === null || value === undefined) return '`null`';
+  if (typeof value === 'boolean' || typeof value === 'number' || typeof value === 'bigint') return `\`${String(value)}\``;
+  if (value instanceof Date) return `\`${value.toISOString()}\``;
+  return `\`${String(value).replace(/\|/g, '\\|').replace(/\n/g, ' ')}\``;
+}
+
+function isDateType(columnMeta) {
+  const dataType = String(columnMeta?.data_type || '').toLowerCase();
+  return dataType.includes('date') || dataType.includes('time');
+}
+
+function looksLikeEmail(value) {
+  if (typeof value !== 'string') return false;
+  return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value);
+}
+
+function looksLikePhone(value) {
+  if (typeof value !== 'string') return false;
+  const digits = value.replace(/\D/g, '');
+  return digits.length >= 10 && digits.length <= 15;
+}
+
+function isLikelyPiiColumn(columnMeta, columnName, value) {
+  const name = String(columnName || '').toLowerCase();
+
+  if (columnMeta?.is_primary) return false;
+
+  const piiNamePatterns = [
+    'name',
+    'email',
+    'phone',
+    'mobile',
+    'ssn',
+    'social_security',
+    'passport',
+    'first_name',
+    'lastname',
+    'last_name',
+    'fullname',
+    'full_name',
+    'middle_name',
+    'dob',
+    'birth',
+    'address',
+    'street',
+    'city',
+    'state',
+    'zip',
+    'postal',
+    'country',
+    'username',
+    'user_name',
+    'password',
+    'passcode',
+    'token',
+    'secret',
+    'api_key',
+  ];
+
+  // PII name check runs BEFORE isDateType so that date-typed columns
+  // with PII names (e.g. dob, birth_date) are still masked.
+  if (piiNamePatterns.some((pattern) => name.includes(pattern))) {
+    return true;
+  }
+
+  // Suppress non-PII-named date/time columns (created_at, updated_at, etc.)
+  if (isDateType(columnMeta)) return false;
+
+  if (looksLikeEmail(value) || looksLikePhone(value)) {
+    return true;
+  }
+
+  return false;
+}
+
+function buildDummyValue(columnName, value, rowIndex) {
+  const name = String(columnName || '').toLowerCase();
+  const n = rowIndex + 1;
+
+  if (value === null || value === undefined) return value;
+
+  if (name.includes('email')) return `user${n}@example.com`;
+  if (name.includes('phone') || name.includes('mobile')) return `555010${String(n).padStart(3, '0')}`;
+  if (name.includes('first_name')) return `FirstName${n}`;
+  if (name.includes('last_name') || name.includes('lastname')) return `LastName${n}`;
+  if (name.includes('full_name') || name.includes('fullname')) return `Person ${n}`;
+  // username / user_name must be checked before the generic _name branch
+  if (name.includes('username') || name.includes('user_name')) return `user_${n}`;
+  if (name === 'name' || name.endsWith('_name')) return `Name${n}`;
+  if (name.includes('address') || name.includes('street')) return `${100 + n} Example St`;
+  if (name.includes('city')) return `City${n}`;
+  if (name.includes('state')) return `State${n}`;
+  if (name.includes('zip') || name.includes('postal')) return `000${String(n).padStart(2, '0')}`;
+  if (name.includes('country')) return `Country${n}`;
+  if (name.includes('password') || name.includes('passcode') || name.includes('token') || name.includes('secret')) {
+    return `redacted_${n}`;
+  }
+
+  if (name.includes('ssn') || name.includes('social_security')) return '***-**-****';
+  if (name.includes('dob') || name.includes('birth')) return '1900-01-01';
+  if (name.includes('passport')) return 'redacted';
+
+  if (typeof value === 'string') return `redacted_${n}`;
+  if (typeof value === 'number') return n;
+  if (typeof value === 'bigint') return BigInt(n);
+  if (typeof value === 'boolean') return false;
+
+  return value;
+}
+
+function sanitizeSamples(schemaRows, tableSamples) {
+  const columnMetaMap = schemaRows.reduce((acc, row) => {
+    if (!acc[row.table_name]) {
+      acc[row.table_name] = {};
+    }
+    acc[row.table_name][row.column_name] = row;
+    return acc;
+  }, {});
+
+  const sanitized = {};
+  const maskedColumns = new Set();
+
+  for (const [tableName, rows] of Object.entries(tableSamples)) {
+    const tableColumnMeta = columnMetaMap[tableName] || {};
+
+    sanitized[tableName] = rows.map((row, rowIndex) => {
+      const nextRow = { ...row };
+
+      for (const [columnName, value] of Object.entries(nextRow)) {
+        const columnMeta = tableColumnMeta[columnName];
+        if (isLikelyPiiColumn(columnMeta, columnName, value)) {
+          maskedColumns.add(columnName);
+          nextRow[columnName] = buildDummyValue(columnName, value, rowIndex);
+        }
+      }
+
+      return nextRow;
+    });
+  }
+
+  return { sanitized, maskedColumns: [...maskedColumns] };
+}
+
+function buildSnapshotMarkdown({ generatedAt, tables, schemaRows, tableSamples, viewDefinitions = {}, tableConstraints = {}, routines = [] }) {
+  const groupedColumns = schemaRows.reduce((acc, row) => {
+    if (!acc[row.table_name]) {
+      acc[row.table_name] = [];
+    }
+    acc[row.table_name].push(row);
+    return acc;
+  }, {});
+
+  const foreignKeys = groupForeignKeys(schemaRows);
+  const relationshipRows = Object.entries(foreignKeys)
+    .flatMap(([tableName, constraints]) => constraints.map((fk) => formatForeignKey(tableName, fk)));
+
+  const uniqueRelationships = [...new Set(relationshipRows)].sort((a, b) => a.localeCompare(b));
+
+  const lines = [
+    '# Database Explorer Context',
+    '',
+    `Generated: ${generatedAt.toISOString()}`,
+    '',
+    '## Tables',
+    '',
+  ];
+
+  if (tables.length === 0) {
+    lines.push('No tables found in the selected schemas.');
+  } else {
+    for (const tableName of tables) {
+      lines.push(`- ${tableName}${tableTypeSuffix(groupedColumns[tableName]?.[0]?.table_type)}`);
+    }
+  }
+
+  lines.push('', '## Relationships', '');
+
+  if (uniqueRelationships.length === 0) {
+    lines.push('No foreign key relationships found.');
+  } else {
+    for (const relation of uniqueRelationships) {
+      lines.push(`- ${relation}`);
+    }
+  }
+
+  lines.push('');
+  if (routines.length > 0) lines.push(...routineLines(routines));
+  lines.push('## Table Details', '');
+
+  for (const tableName of tables) {
+    const columns = groupedColumns[tableName] || [];
+    const sampleRows = tableSamples[tableName] || [];
+
+    const comment = columns[0]?.table_comment;
+    lines.push(`### ${tableName}${tableTypeSuffix(columns[0]?.table_type)}`, '');
+    if (comment) lines.push(comment, '');
+    lines.push(...viewDefinitionLines(viewDefinitions[tableName]), 'Columns:', '');
+    if (columns.length === 0) {
+      lines.push('- No columns found.');
+    } else {
+      lines.push(...columnTableLines(columns, foreignKeys[tableName]));
+    }
+
+    lines.push('', ...constraintLines(tableConstraints[tableName]), 'Top 10 records:', '');
+    if (sampleRows.length === 0) {
+      lines.push('_No rows found._');
+      lines.push('');
+      continue;
+    }
+
+    const headerColumns = Object.keys(sampleRows[0]);
+    lines.push(`| ${headerColumns.join(' | ')} |`);
+    lines.push(`| ${headerColumns.map(() => '---').join(' | ')} |`);
+    for (const row of sampleRows) {
+      const values = headerColumns.map((col) => formatScalar(row[col]));
+      lines.push(`| ${values.join(' | ')} |`);
+    }
+    lines.push('');
+  }
+
+  lines.push('', '_This file is auto-generated and cleared when DB Explorer is exited._', '');
+  return lines.join('\n');
+}
+
+// Table comments (COMMENT ON TABLE, MS_Description) by table name, for tables that have one
+function tableComments(tables, schemaRows) {
+  const comments = {};
+  for (const tableName of tables) {
+    const comment = schemaRows.find((row) => row.table_name === tableName && row.table_comment)?.table_comment;
+    if (comment) comments[tableName] = comment;
+  }
+  return comments;
+}
+
+/**
+ * One-sentence description per table. The database's own table comments win; the model is only
+ * asked about tables without one. If that call fails, commented tables still get their comment.
+ */
+async function generateTableDescriptions(tables, schemaRows) {
+  const comments = tableComments(tables, schemaRows);
+  const uncommented = tables.filter((tableName) => !comments[tableName]);
+  if (uncommented.length === 0) return comments;
+
+  try {
+    return { ...(await generateAiDescriptions(uncommented, schemaRows)), ...comments };
+  } catch (err) {
+    if (Object.keys(comments).length === 0) throw err;
+    console.warn('[snapshot] description generation failed, using table comments only:', err.message);
+    return comments;
+  }
+}
+
+async function generateAiDescriptions(tables, schemaRows) {
+  const openai = new OpenAI({
+    baseURL: 'https://openrouter.ai/api/v1',
+    apiKey: process.env.OPENROUTER_API_KEY,
+  });
+
+  console.log('[snapshot] generating descriptions for tables:', tables);
+
+  const tableList = tables
+    .map((tableName) => {
+      const tableRows = schemaRows.filter((r) => r.table_name === tableName);
+      const cols = tableRows.map((r) => (r.column_comment ? `${r.column_name} (${r.column_comment})` : r.column_name)).join(', ');
+      return `- ${tableName}${tableTypeSuffix(tableRows[0]?.table_type)}: columns are ${cols}`;
+    })
+    .join('\n');
+
+  const prompt = `For each database table below, write one concise sentence describing what it stores. Where applicable, include common business synonyms users might use to refer to this data in parentheses (e.g. "Stores fault records (also referred to as tickets or issues)..."). Respond with ONLY a JSON object mapping table names to descriptions, e.g. {"table1": "Stores ...", "table2": "Tracks ..."}.
+
+Tables:
+${tableList}`;
+
+  const response = await openai.chat.completions.create(
+    {
+      model: 'gpt-4o-mini',
+      messages: [{ role: 'user', content: prompt }],
+      temperature: 0.2,
+      max_tokens: 600,
+    },
+    { timeout: 30_000 },
+  );
+
+  const content = response.choices?.[0]?.message?.content ?? '{}';
+  const jsonStr = content.replace(/```(?:json)?\n?|\n?```/g, '').trim();
+  let descriptions;
+  try {
+    descriptions = JSON.parse(jsonStr);
+  } catch (parseErr) {
+    console.warn('[snapshot] failed to parse table descriptions JSON, using empty object:', parseErr.message);
+    return {};
+  }
+  console.log('[snapshot] descriptions received:', descriptions);
+  return descriptions;
+}
+
+function buildTableMetadata({ tables, schemaRows, tableSamples, descriptions, maskedColumns = [], viewDefinitions = {}, tableConstraints = {}, routines = [] }) {
+  const metadata = {};
+  for (const tableName of tables) {
+    const columns = schemaRows.filter((r) => r.table_name === tableName);
+    metadata[tableName] = {
+      type: columns[0]?.table_type ?? 'BASE TABLE',
+      description: descriptions[tableName] ?? '',
+      comment: columns[0]?.table_comment ?? null,
+      definition: viewDefinitions[tableName] ?? null,
+      columns,
+      foreignKeys: groupForeignKeys(columns)[tableName] ?? [],
+      indexes: tableConstraints[tableName]?.indexes ?? [],
+      uniqueConstraints: tableConstraints[tableName]?.uniqueConstraints ?? [],
+      checkConstraints: tableConstraints[tableName]?.checkConstraints ?? [],
+      sampleRows: tableSamples[tableName] ?? [],
+    };
+  }
+  metadata._piiColumns = maskedColumns;
+  metadata._routines = routines;
+  return metadata;
+}
+
+// Snapshot of the session's connection through `driver`, the adapter that owns `pool` (see
+// drivers/registry.js); `routines` are the ones this connection allows queries to call
+async function writeExplorerSnapshot(sessionId, pool, driver = postgresDriver, { routines = [] } = {}) {
+  const schemaRows = await driver.getSchema(pool);
+  const tables = await driver.getTables(pool);
+  console.log(`[snapshot:${driver.name}] tables found:`, tables);
+  const rawTableSamples = {};
+
+  for (const tableName of tables) {
+    rawTableSamples[tableName] = await driver.getSampleRows(pool, tableName);
+  }
+
+  const { sanitized: tableSamples, maskedColumns } = sanitizeSamples(schemaRows, rawTableSamples);
+  const viewDefinitions = await readViewDefinitions(pool, driver);
+  const tableConstraints = await readTableConstraints(pool, driver);
+
+  const markdown = buildSnapshotMarkdown({
+    generatedAt: new Date(),
+    tables,
+    schemaRows,
+    tableSamples,
+    viewDefinitions,
+    tableConstraints,
+    routines,
+  });
+
+  let descriptions = {};
+  try {
+    descriptions = await generateTableDescriptions(tables, schemaRows);
+  } catch (err) {
+    console.warn('[snapshot] description generation failed, storing metadata without descriptions:', err.message);
+  }
+  const metadata = buildTableMetadata({ tables, schemaRows, tableSamples, descriptions, maskedColumns, viewDefinitions, tableConstraints, routines });
+
+  await schemaContextRepository.update(sessionId, driver, { markdown, metadata });
+  console.log(`[snapshot:${driver.name}] explorer context stored (${tables.length} tables)`);
+}
+
+// Drops the session's snapshot and introspected schema for `driver`
+async function clearExplorerSnapshot(sessionId, driver = postgresDriver) {
+  await schemaContextRepository.clear(sessionId, driver);
+}
+
+export { sanitizeSamples, buildSnapshotMarkdown, tableTypeSuffix, viewDefinitionLines, readViewDefinitions, readTableConstraints, readRoutines, routineSignature, routineLines, constraintLines, groupForeignKeys, formatForeignKey, columnTableLines, generateTableDescriptions, buildTableMetadata, clearExplorerSnapshot, writeExplorerSnapshot, isLikelyPiiColumn, buildDummyValue };
+
+// Public interface
+export const snapshotService = {
+  // AI descriptions from the session's last snapshot; {} before one is taken
+  async getTableDescriptions(sessionId, driver = postgresDriver) {
+    try {
+      const context = await schemaContextRepository.get(sessionId, driver);
+      const tables = Object.entries(context?.metadata ?? {}).filter(([name]) => !name.startsWith('_'));
+      const descriptions = Object.fromEntries(tables.map(([name, val]) => [name, val.description ?? '']));
+      return { ok: true, body: descriptions };
+    } catch {
+      return { ok: true, body: {} };
+    }
+  },
+};
@@ -0,0 +1,287 @@
+// application logic
+// AST-level safety gate for user-facing SQL — only a single read-only SELECT/WITH may reach the database
+
+import sqlParser from 'node-sql-parser';
+import { sameRoutineName } from './routinePolicy.js';
+
+const { Parser } = sqlParser;
+const parser = new Parser();
+
+// Dialect key (as sent by the client) → node-sql-parser database option
+const PARSER_DIALECT = {
+  postgres: 'PostgresQL',
+  postgresql: 'PostgresQL',
+  sqlserver: 'TransactSQL',
+  mssql: 'TransactSQL',
+  mysql: 'MySQL',
+  mariadb: 'MariaDB',
+  sqlite: 'Sqlite',
+};
+
+// Functions that sleep, touch the file system, reach other servers or change server state. Every
+// other call must be a known built-in (below) or a catalogued routine the connection allows; these
+// only get a clearer rejection.
+const DANGEROUS_FUNCTIONS = new Set([
+  // PostgreSQL
+  'pg_sleep',
+  'pg_sleep_for',
+  'pg_sleep_until',
+  'pg_terminate_backend',
+  'pg_cancel_backend',
+  'pg_reload_conf',
+  'pg_rotate_logfile',
+  'pg_read_file',
+  'pg_read_binary_file',
+  'pg_ls_dir',
+  'pg_stat_file',
+  'pg_advisory_lock',
+  'pg_advisory_xact_lock',
+  'lo_import',
+  'lo_export',
+  'dblink',
+  'dblink_exec',
+  'set_config',
+  'copy',
+  // SQL Server
+  'xp_cmdshell',
+  'xp_regread',
+  'xp_regwrite',
+  'xp_dirtree',
+  'xp_fileexist',
+  'sp_executesql',
+  'sp_oacreate',
+  'sp_configure',
+  'openrowset',
+  'opendatasource',
+  'openquery',
+  'bulk',
+  // MySQL / MariaDB
+  'sleep',
+  'benchmark',
+  'load_file',
+  'get_lock',
+  'release_lock',
+  'sys_exec',
+  'sys_eval',
+  // SQLite
+  'load_extension',
+  'readfile',
+  'writefile',
+]);
+
+// Built-in functions a read-only query may call, by parser dialect: pure computations over their
+// arguments (no sequences, settings, sessions, files or other servers). Anything else — nextval,
+// current_setting, query_to_xml, extension functions — is rejected unless it is a catalogued
+// routine the connection allows.
+const STANDARD_FUNCTIONS = [
+  // aggregates and window functions
+  'count', 'sum', 'avg', 'min', 'max', 'row_number', 'rank', 'dense_rank', 'ntile', 'percent_rank',
+  'cume_dist', 'lag', 'lead', 'first_value', 'last_value', 'nth_value',
+  // conditionals; the parser reads EXISTS (subquery) as a call
+  'coalesce', 'nullif', 'greatest', 'least', 'exists',
+  // strings
+  'lower', 'upper', 'trim', 'ltrim', 'rtrim', 'length', 'char_length', 'substring', 'replace',
+  'concat', 'left', 'right', 'reverse', 'lpad', 'rpad', 'position', 'ascii',
+  // numbers
+  'abs', 'round', 'ceil', 'ceiling', 'floor', 'power', 'sqrt', 'mod', 'sign', 'exp', 'ln', 'log', 'log10',
+  // dates; the parser reads these keywords as calls
+  'current_date', 'current_time', 'current_timestamp',
+];
+
+const BUILT_IN_FUNCTIONS = {
+  PostgresQL: [
+    'now', 'date_trunc', 'date_part', 'age', 'to_char', 'to_date', 'to_timestamp', 'to_number',
+    'make_date', 'make_interval', 'justify_days', 'justify_hours', 'localtime', 'localtimestamp', 'isfinite',
+    'string_agg', 'array_agg', 'json_agg', 'jsonb_agg', 'json_object_agg', 'jsonb_object_agg',
+    'json_build_object', 'jsonb_build_object', 'json_build_array', 'jsonb_build_array', 'to_json', 'to_jsonb',
+    'json_array_elements', 'jsonb_array_elements', 'json_array_length', 'jsonb_array_length',
+    'json_extract_path_text', 'jsonb_extract_path_text', 'jsonb_each', 'jsonb_each_text',
+    'array_length', 'array_to_string', 'string_to_array', 'cardinality', 'unnest', 'generate_series',
+    'split_part', 'regexp_replace', 'regexp_match', 'regexp_matches', 'initcap', 'btrim', 'strpos',
+    'starts_with', 'translate', 'repeat', 'chr', 'octet_length', 'md5', 'format',
+    'percentile_cont', 'percentile_disc', 'mode', 'bool_and', 'bool_or', 'every', 'variance', 'var_pop',
+    'var_samp', 'stddev', 'stddev_pop', 'stddev_samp', 'corr', 'covar_pop', 'covar_samp', 'regr_slope',
+    'regr_intercept', 'trunc', 'div', 'width_bucket', 'random',
+  ],
+  TransactSQL: [
+    'getdate', 'getutcdate', 'sysdatetime', 'sysutcdatetime', 'sysdatetimeoffset', 'dateadd', 'datediff',
+    'datediff_big', 'datepart', 'datename', 'datefromparts', 'datetimefromparts', 'eomonth', 'year', 'month',
+    'day', 'isnull', 'iif', 'choose', 'convert', 'try_convert', 'parse', 'try_parse', 'isnumeric', 'isdate',
+    'format', 'len', 'datalength', 'charindex', 'patindex', 'stuff', 'replicate', 'space', 'str',
+    'concat_ws', 'translate', 'string_agg', 'string_split', 'count_big', 'stdev', 'stdevp', 'var', 'varp',
+    'square', 'pi', 'json_value', 'json_query', 'openjson',
+    // CONVERT's target type parses as a call: CONVERT(varchar(10), created_at, 120)
+    'varchar', 'nvarchar', 'char', 'nchar', 'decimal', 'numeric', 'float', 'datetime2', 'datetimeoffset',
+    'time', 'binary', 'varbinary',
+  ],
+  MySQL: [
+    'now', 'curdate', 'curtime', 'date', 'date_format', 'date_add', 'date_sub', 'adddate', 'subdate',
+    'datediff', 'timestampdiff', 'timestampadd', 'year', 'month', 'day', 'dayofmonth', 'dayofweek',
+    'dayofyear', 'week', 'weekday', 'quarter', 'hour', 'minute', 'second', 'last_day', 'str_to_date',
+    'from_unixtime', 'unix_timestamp', 'makedate', 'ifnull', 'if', 'group_concat', 'concat_ws', 'convert',
+    'locate', 'instr', 'substring_index', 'format', 'truncate', 'rand', 'std', 'stddev', 'variance',
+    'json_extract', 'json_unquote', 'json_object', 'json_array', 'json_arrayagg', 'json_objectagg',
+  ],
+  Sqlite: [
+    'date', 'time', 'datetime', 'julianday', 'strftime', 'unixepoch', 'ifnull', 'iif', 'group_concat',
+    'substr', 'instr', 'printf', 'format', 'total', 'typeof', 'random', 'char', 'unicode', 'hex',
+    'json_extract', 'json_array_length', 'json_object', 'json_array', 'json_group_array', 'json_group_object',
+  ],
+};
+BUILT_IN_FUNCTIONS.MariaDB = BUILT_IN_FUNCTIONS.MySQL;
+
+const builtInsByDialect = Object.fromEntries(
+  Object.entries(BUILT_IN_FUNCTIONS).map(([database, names]) => [database, new Set([...STANDARD_FUNCTIONS, ...names])])
+);
+
+// Statement keywords we can name in a rejection even when the parser cannot read the statement
+const WRITE_KEYWORDS = new Set([
+  'INSERT', 'UPDATE', 'DELETE', 'MERGE', 'UPSERT', 'REPLACE', 'TRUNCATE',
+  'CREATE', 'ALTER', 'DROP', 'RENAME', 'COMMENT', 'GRANT', 'REVOKE',
+  'COPY', 'EXEC', 'EXECUTE', 'CALL', 'DO', 'WAITFOR', 'SET', 'DECLARE',
+  'BEGIN', 'COMMIT', 'ROLLBACK', 'VACUUM', 'ANALYZE', 'REINDEX', 'CLUSTER',
+  'LOCK', 'USE', 'BACKUP', 'RESTORE', 'SHUTDOWN', 'KILL', 'DBCC',
+]);
+
+// AST node types for statements that write, change session state or run procedures
+const WRITE_STATEMENT_TYPES = new Set([
+  'insert', 'update', 'delete', 'replace', 'create', 'drop', 'alter', 'truncate', 'rename',
+  'grant', 'use', 'lock', 'unlock', 'exec', 'call', 'set', 'declare', 'transaction', 'load_data',
+]);
+
+function isStatementNode(node) {
+  return WRITE_STATEMENT_TYPES.has(node.type);
+}
+
+function notReadOnly(keyword) {
+  return {
+    code: 'NOT_READ_ONLY',
+    message: `${keyword} statements are not allowed — only SELECT queries can be run.`,
+  };
+}
+
+function stripComments(sqlText) {
+  return sqlText.replace(/\/\*[\s\S]*?\*\//g, ' ').replace(/--[^\n]*/g, ' ');
+}
+
+function leadingKeyword(sqlText) {
+  const match = stripComments(sqlText).trim().match(/^[A-Za-z_]+/);
+  return match ? match[0].toUpperCase() : null;
+}
+
+function functionName(node) {
+  if (typeof node.name === 'string') return node.name;
+  const parts = node.name?.name;
+  if (!Array.isArray(parts)) return '';
+  const name = parts.map((part) => part.value).join('.');
+  return node.name.schema?.value ? `${node.name.schema.value}.${name}` : name;
+}
+
+// Why a call to `name` is not allowed, or null. Catalogued routines follow the connection's
+// opt-in; anything else must be an unqualified built-in of the dialect.
+function functionViolation(name, { builtIns, routines }) {
+  const bareName = name.split('.').pop().toLowerCase();
+  if (DANGEROUS_FUNCTIONS.has(bareName)) {
+    return { code: 'DANGEROUS_FUNCTION', message: `Calls to ${name} are not allowed.` };
+  }
+
+  const routine = routines.find((candidate) => sameRoutineName(name, candidate.name));
+  if (routine) {
+    if (routine.callable) return null;
+    return {
+      code: 'ROUTINE_NOT_ALLOWED',
+      message: `${name} is a database routine, and routine calls are not enabled for this connection.`,
+    };
+  }
+
+  if (!name.includes('.') && builtIns.has(bareName)) return null;
+  return {
+    code: 'FUNCTION_NOT_ALLOWED',
+    message: `${name} is not a built-in function this check knows to be read-only, and it is not a routine enabled for this connection.`,
+  };
+}
+
+// Walk every node of the AST, collecting anything that is not part of a plain read.
+// `policy` holds the dialect's built-in functions and the connection's routine catalog.
+function collectViolations(node, reasons, seenFunctions, policy) {
+  if (!node || typeof node !== 'object') return;
+
+  if (Array.isArray(node)) {
+    for (const child of node) collectViolations(child, reasons, seenFunctions, policy);
+    return;
+  }
+
+  if (isStatementNode(node)) {
+    reasons.push(notReadOnly(node.type.toUpperCase()));
+  }
+
+  if (node.type === 'select' && node.into && (node.into.expr || node.into.position)) {
+    reasons.push({
+      code: 'SELECT_INTO',
+      message: 'SELECT ... INTO creates a table and is not allowed.',
+    });
+  }
+
+  if (node.type === 'function' || node.type === 'aggr_func' || node.type === 'window_func') {
+    const name = functionName(node);
+    const seenKey = name.toLowerCase();
+    const violation = seenFunctions.has(seenKey) ? null : functionViolation(name, policy);
+    if (violation) {
+      seenFunctions.add(seenKey);
+      reasons.push(violation);
+    }
+  }
+
+  for (const value of Object.values(node)) {
+    if (value && typeof value === 'object') collectViolations(value, reasons, seenFunctions, policy);
+  }
+}
+
+// Public interface
+export const sqlGuard = {
+  /**
+   * Check that `sqlText` is a single read-only SELECT/WITH statement for the given dialect.
+   * @param {string} sqlText
+   * @param {string} dialect client dialect key ('postgres' | 'sqlserver' | ...)
+   * @param {{ routines?: { name: string, callable: boolean }[] }} [options]
+   *   the connection's routine catalog; besides the dialect's built-ins, only callable routines may be called
+   * @returns {{ ok: true } | { ok: false, reasons: { code: string, message: string }[] }}
+   */
+  check(sqlText, dialect = 'postgres', { routines = [] } = {}) {
+    const database = PARSER_DIALECT[dialect];
+    if (!database) {
+      return { ok: false, reasons: [{ code: 'UNSUPPORTED_DIALECT', message: `No SQL safety rules for dialect: ${dialect}` }] };
+    }
+
+    let ast;
+    try {
+      ast = parser.astify(sqlText, { database });
+    } catch (err) {
+      const keyword = leadingKeyword(sqlText);
+      if (keyword && WRITE_KEYWORDS.has(keyword)) {
+        return { ok: false, reasons: [notReadOnly(keyword)] };
+      }
+      return { ok: false, reasons: [{ code: 'PARSE_ERROR', message: `Could not parse the query: ${err.message}` }] };
+    }
+
+    const statements = (Array.isArray(ast) ? ast : [ast]).filter(Boolean);
+    const reasons = [];
+
+    if (statements.length !== 1) {
+      reasons.push({
+        code: 'MULTIPLE_STATEMENTS',
+        message: `Expected a single statement but found ${statements.length}.`,
+      });
+    }
+
+    for (const statement of statements) {
+      if (statement.type !== 'select' && !isStatementNode(statement)) {
+        reasons.push(notReadOnly(String(statement.type).toUpperCase()));
+      }
+    }
+
+    collectViolations(statements, reasons, new Set(), { builtIns: builtInsByDialect[database], routines });
+
+    return reasons.length === 0 ? { ok: true } : { ok: false, reasons };
+  },
+};
@@ -1,6 +1,6 @@
 import { describe, it, beforeEach } from 'node:test';
 import assert from 'node:assert/strict';
-import { queryCache } from '../services/cache.js';
+import { queryCache, cacheScope } from '../services/cache.js';
 
 describe('queryCache', () => {
   beforeEach(() => {
@@ -65,4 +65,26 @@ describe('queryCache', () => {
     assert.equal(key1, key2);
     assert.equal(key1.length, 16);
   });
+
+  it('buildKey() never gives two sessions, or two drivers of one session, the same key', () => {
+    const tables = ['users'];
+    const alice = queryCache.buildKey('How many users?', tables, cacheScope('alice', 'postgres'));
+    const bob = queryCache.buildKey('How many users?', tables, cacheScope('bob', 'postgres'));
+    const aliceMysql = queryCache.buildKey('How many users?', tables, cacheScope('alice', 'mysql'));
+    assert.equal(new Set([alice, bob, aliceMysql]).size, 3);
+  });
+
+  it('clearScope() drops only that scope\'s entries', () => {
+    const alice = cacheScope('alice', 'postgres');
+    const bob = cacheScope('bob', 'postgres');
+    queryCache.set('a1', 1, alice);
+    queryCache.set('a2', 2, alice);
+    queryCache.set('b1', 3, bob);
+
+    queryCache.clearScope(alice);
+    assert.equal(queryCache.get('a1'), null);
+    assert.equal(queryCache.get('a2'), null);
+    assert.equal(queryCache.get('b1'), 3);
+    assert.equal(queryCache.size, 1);
+  });
 });
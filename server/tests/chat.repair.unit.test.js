@@ -0,0 +1,99 @@
+// Unit tests for the self-repair loop in chatService.sendMessage.
+// The OpenAI client is stubbed and the schema context is passed in, so no network or snapshot is needed.
+
+import { describe, it, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { randomUUID } from 'crypto';
+import OpenAI from 'openai';
+import { chatService } from '../services/chat.service.js';
+
+process.env.OPENROUTER_API_KEY ??= 'test-key';
+
+// No table metadata → single pass with the full schema markdown
+const context = { markdown: '## users\n| id | name |', metadata: null, introspection: null };
+
+/** Queue chat completion replies; each entry is the { sql, explanation, tables_used } the model returns. */
+function queueCompletions(replies) {
+  const calls = [];
+  mock.method(OpenAI.Chat.Completions.prototype, 'create', async (params) => {
+    calls.push(structuredClone(params.messages));
+    const reply = replies[calls.length - 1];
+    return {
+      id: `resp-${calls.length}`,
+      choices: [{ message: { content: JSON.stringify({ explanation: '', tables_used: [], ...reply }) } }],
+      usage: { prompt_tokens: 10, completion_tokens: 5, total_tokens: 15 },
+    };
+  });
+  return calls;
+}
+
+describe('chatService.sendMessage() self-repair', () => {
+  const savedAttempts = process.env.SQL_REPAIR_ATTEMPTS;
+
+  afterEach(() => {
+    mock.restoreAll();
+    if (savedAttempts === undefined) delete process.env.SQL_REPAIR_ATTEMPTS;
+    else process.env.SQL_REPAIR_ATTEMPTS = savedAttempts;
+  });
+
+  it('returns no attempts when no verifier is supplied', async () => {
+    queueCompletions([{ sql: 'SELECT nme FROM users' }]);
+    const result = await chatService.sendMessage('names', randomUUID(), 'postgres', { context });
+    assert.equal(result.sql, 'SELECT nme FROM users');
+    assert.deepEqual(result.attempts, []);
+  });
+
+  it('feeds the database error back and returns the corrected query with its history', async () => {
+    const calls = queueCompletions([{ sql: 'SELECT nme FROM users' }, { sql: 'SELECT name FROM users' }]);
+    const verifySql = async (sql) => (sql.includes('nme')
+      ? { ok: false, error: 'column "nme" does not exist', repairable: true }
+      : { ok: true });
+
+    const result = await chatService.sendMessage('names', randomUUID(), 'postgres', { verifySql, context });
+
+    assert.equal(result.sql, 'SELECT name FROM users');
+    assert.deepEqual(result.attempts, [
+      { sql: 'SELECT nme FROM users', error: 'column "nme" does not exist' },
+      { sql: 'SELECT name FROM users', error: null },
+    ]);
+    const repairTurn = calls[1].at(-1);
+    assert.equal(repairTurn.role, 'user');
+    assert.match(repairTurn.content, /column "nme" does not exist/);
+    assert.match(repairTurn.content, /SELECT nme FROM users/);
+    assert.equal(result.tokens.repair.total, 15);
+    assert.equal(result.token_count, 30);
+  });
+
+  it('stops after SQL_REPAIR_ATTEMPTS corrections', async () => {
+    process.env.SQL_REPAIR_ATTEMPTS = '1';
+    const calls = queueCompletions([{ sql: 'SELECT a' }, { sql: 'SELECT b' }, { sql: 'SELECT c' }]);
+    const verifySql = async () => ({ ok: false, error: 'nope', repairable: true });
+
+    const result = await chatService.sendMessage('q', randomUUID(), 'postgres', { verifySql, context });
+
+    assert.equal(calls.length, 2);
+    assert.equal(result.sql, 'SELECT b');
+    assert.deepEqual(result.attempts.map((a) => a.sql), ['SELECT a', 'SELECT b']);
+  });
+
+  it('does not retry errors marked as not repairable', async () => {
+    const calls = queueCompletions([{ sql: 'SELECT pg_sleep(1)' }]);
+    const verifySql = async () => ({ ok: false, error: 'Query exceeded the 15000 ms time limit', repairable: false });
+
+    const result = await chatService.sendMessage('q', randomUUID(), 'postgres', { verifySql, context });
+
+    assert.equal(calls.length, 1);
+    assert.equal(result.attempts.length, 1);
+  });
+
+  it('skips verification when the model returns no SQL', async () => {
+    queueCompletions([{ sql: null, explanation: 'Not a data question' }]);
+    let verified = false;
+    const verifySql = async () => { verified = true; return { ok: true }; };
+
+    const result = await chatService.sendMessage('hi', randomUUID(), 'postgres', { verifySql, context });
+
+    assert.equal(verified, false);
+    assert.deepEqual(result.attempts, []);
+  });
+});
@@ -0,0 +1,59 @@
+// Unit tests for pass 1 table routing in chatService.sendMessage with schema-qualified tables.
+// The OpenAI client is stubbed and the table metadata is passed in, so no network or snapshot is needed.
+
+import { describe, it, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { randomUUID } from 'crypto';
+import OpenAI from 'openai';
+import { chatService } from '../services/chat.service.js';
+
+process.env.OPENROUTER_API_KEY ??= 'test-key';
+
+const column = (name) => ({ column_name: name, data_type: 'integer', is_primary: name === 'id', is_foreign: false });
+
+const METADATA = {
+  'sales.orders': { description: 'Orders', columns: [column('id'), column('total')], sampleRows: [] },
+  'ops.orders': { description: 'Work orders', columns: [column('id')], sampleRows: [] },
+  'sales.customers': { description: 'Customers', columns: [column('id')], sampleRows: [] },
+  _piiColumns: [],
+};
+const context = { markdown: '', metadata: METADATA, introspection: null };
+
+/** Pass 1 answers with `routed`; pass 2 with a fixed query. Returns the messages of each call. */
+function queueCompletions(routed) {
+  const calls = [];
+  mock.method(OpenAI.Chat.Completions.prototype, 'create', async (params) => {
+    calls.push(params.messages);
+    const content = calls.length === 1
+      ? JSON.stringify(routed)
+      : JSON.stringify({ sql: 'SELECT 1', explanation: '', tables_used: [] });
+    return { id: 'resp', choices: [{ message: { content } }], usage: { prompt_tokens: 1, completion_tokens: 1, total_tokens: 2 } };
+  });
+  return calls;
+}
+
+/** Table headings of the partial schema handed to pass 2. */
+function routedTables(calls) {
+  const system = calls[1][0].content;
+  return [...system.matchAll(/^### (.+)$/gm)].map((match) => match[1]);
+}
+
+describe('chatService.sendMessage() table routing', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('asks the router for names with their schema prefix', async () => {
+    const calls = queueCompletions(['sales.orders']);
+    await chatService.sendMessage('total sales', randomUUID(), 'postgres', { context });
+    assert.match(calls[0][0].content, /including any schema prefix/);
+    assert.match(calls[0][0].content, /- sales\.orders: Orders/);
+    assert.deepEqual(routedTables(calls), ['sales.orders']);
+  });
+
+  it('restores a dropped schema prefix only when it is unambiguous', async () => {
+    const calls = queueCompletions(['customers', 'orders', 'nope']);
+    await chatService.sendMessage('customers and their orders', randomUUID(), 'postgres', { context });
+    assert.deepEqual(routedTables(calls), ['sales.customers']);
+  });
+});
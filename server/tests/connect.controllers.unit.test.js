@@ -1,14 +1,12 @@
 // Unit tests for Phase 3: session flag set in all connect handlers
-// Covers AUTH-01 (connectDemo) and AUTH-02 (connect, connectAndIntrospect) for Postgres and MSSQL
+// Covers AUTH-01 (connectDemo) and AUTH-02 (connect, connectAndIntrospect) for every registered driver
 
 import { describe, it, beforeEach, afterEach } from 'node:test';
 import assert from 'node:assert/strict';
 
 import { postgresController } from '../controllers/postgres.controller.js';
-import { postgresService } from '../services/postgres.service.js';
-
-import { mssqlController } from '../controllers/mssql.controller.js';
-import { mssqlService } from '../services/mssql.service.js';
+import { connectionController } from '../controllers/connection.controller.js';
+import { connectionService } from '../services/connection.service.js';
 
 // ---------------------------------------------------------------------------
 // Helpers
@@ -42,36 +40,38 @@ function makeMockRes() {
   return res;
 }
 
-/** Minimal mock request with a plain session object. */
-function makeMockReq(body = {}) {
+/** Minimal mock request with a plain session object; `driver` fills the :driver route param. */
+function makeMockReq(body = {}, driver) {
   return {
     session: {},
+    sessionID: 'session-1',
     body,
+    params: driver ? { driver } : {},
   };
 }
 
 // ---------------------------------------------------------------------------
-// postgresController — connectDemo (T1, AUTH-01)
+// connectionController — connectDemo (T1, T4, AUTH-01)
 // ---------------------------------------------------------------------------
 
-describe('postgresController.connectDemo', () => {
+describe('connectionController.connectDemo', () => {
   let originalConnectDemo;
 
   beforeEach(() => {
-    originalConnectDemo = postgresService.connectDemo;
+    originalConnectDemo = connectionService.connectDemo;
   });
 
   afterEach(() => {
-    postgresService.connectDemo = originalConnectDemo;
+    connectionService.connectDemo = originalConnectDemo;
   });
 
   it('sets req.session.connected = true on success', async () => {
-    postgresService.connectDemo = async () => ({ ok: true });
+    connectionService.connectDemo = async () => ({ ok: true });
 
     const req = makeMockReq();
     const res = makeMockRes();
 
-    await postgresController.connectDemo(req, res);
+    await connectionController.connectDemo(req, res);
 
     assert.equal(
       req.session.connected,
@@ -81,7 +81,7 @@ describe('postgresController.connectDemo', () => {
   });
 
   it('sets req.session.connected = false on failure', async () => {
-    postgresService.connectDemo = async () => ({
+    connectionService.connectDemo = async () => ({
       ok: false,
       status: 503,
       error: 'demo DB unreachable',
@@ -90,7 +90,7 @@ describe('postgresController.connectDemo', () => {
     const req = makeMockReq();
     const res = makeMockRes();
 
-    await postgresController.connectDemo(req, res);
+    await connectionController.connectDemo(req, res);
 
     assert.equal(
       req.session.connected,
@@ -98,197 +98,292 @@ describe('postgresController.connectDemo', () => {
       'session.connected must be false after a failed connectDemo'
     );
   });
-});
 
-// ---------------------------------------------------------------------------
-// postgresController — connect (T2, AUTH-02)
-// ---------------------------------------------------------------------------
+  it('keeps req.session.connected when the session still has a pool open', async () => {
+    const { hasOpenConnection } = connectionService;
+    connectionService.connectDemo = async () => ({ ok: false, status: 503, error: 'demo DB unreachable' });
+    connectionService.hasOpenConnection = (sessionId) => sessionId === 'session-1';
 
-describe('postgresController.connect', () => {
-  let originalConnect;
+    const req = makeMockReq();
+    req.session.connected = true;
+    try {
+      await connectionController.connectDemo(req, makeMockRes());
+    } finally {
+      connectionService.hasOpenConnection = hasOpenConnection;
+    }
+
+    assert.equal(req.session.connected, true, 'the earlier connection is still usable');
+  });
 
-  // Valid body that satisfies the Zod connectSchema
-  const validBody = { host: 'localhost', user: 'admin', database: 'mydb' };
+  it('uses the postgres driver for the original /db/connect-demo route', async () => {
+    let received = null;
+    connectionService.connectDemo = async (sessionId, driver) => {
+      received = driver;
+      return { ok: true };
+    };
 
-  beforeEach(() => {
-    originalConnect = postgresService.connect;
-  });
+    await connectionController.connectDemo(makeMockReq(), makeMockRes());
 
-  afterEach(() => {
-    postgresService.connect = originalConnect;
+    assert.equal(received.name, 'postgres');
   });
 
-  it('sets req.session.connected = true on success', async () => {
-    postgresService.connect = async () => ({ ok: true });
-
-    const req = makeMockReq(validBody);
-    const res = makeMockRes();
+  it('resolves the :driver param, including aliases', async () => {
+    const received = [];
+    connectionService.connectDemo = async (sessionId, driver) => {
+      received.push(driver.name);
+      return { ok: true };
+    };
 
-    await postgresController.connect(req, res);
+    for (const key of ['sqlserver', 'mssql', 'mysql', 'sqlite']) {
+      await connectionController.connectDemo(makeMockReq({}, key), makeMockRes());
+    }
 
-    assert.equal(
-      req.session.connected,
-      true,
-      'session.connected must be true after a successful connect'
-    );
+    assert.deepEqual(received, ['sqlserver', 'sqlserver', 'mysql', 'sqlite']);
   });
 
-  it('sets req.session.connected = false on failure', async () => {
-    postgresService.connect = async () => ({
+  it('passes the status through on failure', async () => {
+    connectionService.connectDemo = async () => ({
       ok: false,
-      status: 500,
-      error: 'connection refused',
+      status: 400,
+      error: 'Demo MySQL credentials are not configured on the server',
     });
 
-    const req = makeMockReq(validBody);
+    const req = makeMockReq({}, 'mysql');
     const res = makeMockRes();
 
-    await postgresController.connect(req, res);
+    await connectionController.connectDemo(req, res);
 
-    assert.equal(
-      req.session.connected,
-      false,
-      'session.connected must be false after a failed connect'
-    );
+    assert.equal(req.session.connected, false);
+    assert.equal(res._status, 400);
+  });
+
+  it('returns 404 for an unknown driver without calling the service', async () => {
+    let called = false;
+    connectionService.connectDemo = async () => {
+      called = true;
+      return { ok: true };
+    };
+
+    const res = makeMockRes();
+    await connectionController.connectDemo(makeMockReq({}, 'oracle'), res);
+
+    assert.equal(res._status, 404);
+    assert.equal(called, false);
   });
 });
 
 // ---------------------------------------------------------------------------
-// postgresController — connectAndIntrospect failure path (T3, AUTH-02)
+// connectionController — connect (T2, T5, AUTH-02)
 // ---------------------------------------------------------------------------
 
-describe('postgresController.connectAndIntrospect', () => {
-  let originalConnectAndIntrospect;
+describe('connectionController.connect', () => {
+  let originalConnect;
 
-  const validBody = { host: 'localhost', user: 'admin', database: 'mydb' };
+  // Valid bodies for each driver's configSchema
+  const validBodies = {
+    postgres: { host: 'localhost', user: 'admin', database: 'mydb' },
+    sqlserver: { server: 'localhost', user: 'sa', database: 'mydb' },
+    mysql: { host: 'localhost', user: 'root', database: 'shop' },
+    sqlite: { path: 'shop.sqlite' },
+  };
 
   beforeEach(() => {
-    originalConnectAndIntrospect = postgresService.connectAndIntrospect;
+    originalConnect = connectionService.connect;
   });
 
   afterEach(() => {
-    postgresService.connectAndIntrospect = originalConnectAndIntrospect;
+    connectionService.connect = originalConnect;
   });
 
-  it('sets req.session.connected = false on failure', async () => {
-    postgresService.connectAndIntrospect = async () => ({
-      ok: false,
-      status: 500,
-      error: 'introspection failed',
+  for (const [driverName, validBody] of Object.entries(validBodies)) {
+    it(`sets req.session.connected = true on success (${driverName})`, async () => {
+      connectionService.connect = async () => ({ ok: true });
+
+      const req = makeMockReq(validBody, driverName);
+      const res = makeMockRes();
+
+      await connectionController.connect(req, res);
+
+      assert.equal(
+        req.session.connected,
+        true,
+        'session.connected must be true after a successful connect'
+      );
     });
 
-    const req = makeMockReq(validBody);
+    it(`sets req.session.connected = false on failure (${driverName})`, async () => {
+      connectionService.connect = async () => ({
+        ok: false,
+        status: 500,
+        error: 'connection refused',
+      });
+
+      const req = makeMockReq(validBody, driverName);
+      const res = makeMockRes();
+
+      await connectionController.connect(req, res);
+
+      assert.equal(
+        req.session.connected,
+        false,
+        'session.connected must be false after a failed connect'
+      );
+    });
+  }
+
+  it('validates the body against the driver\'s schema and passes piiPolicy through', async () => {
+    let received = null;
+    connectionService.connect = async (sessionId, driver, config) => {
+      received = { sessionId, driver, config };
+      return { ok: true };
+    };
+
+    const req = makeMockReq({ ...validBodies.mysql, port: '3307', piiPolicy: 'hash' }, 'mysql');
     const res = makeMockRes();
 
-    await postgresController.connectAndIntrospect(req, res);
+    await connectionController.connect(req, res);
 
-    assert.equal(
-      req.session.connected,
-      false,
-      'session.connected must be false when connectAndIntrospect fails'
-    );
+    assert.equal(req.session.connected, true);
+    assert.equal(received.sessionId, 'session-1', 'the pool belongs to the caller\'s session');
+    assert.equal(received.driver.name, 'mysql');
+    assert.equal(received.config.port, '3307');
+    assert.equal(received.config.piiPolicy, 'hash');
+  });
+
+  it('remembers how the connection was opened for the reconnect handshake', async () => {
+    connectionService.connect = async () => ({ ok: true, reconnect: { kind: 'credentials', options: {} } });
+
+    const req = makeMockReq(validBodies.mysql, 'mysql');
+    await connectionController.connect(req, makeMockRes());
+
+    assert.deepEqual(req.session.connections, { mysql: { kind: 'credentials', options: {} } });
+  });
+
+  it('passes the routine allow-list through and rejects malformed ones', async () => {
+    let received = null;
+    connectionService.connect = async (sessionId, driver, config) => {
+      received = config;
+      return { ok: true };
+    };
+
+    await connectionController.connect(makeMockReq({ ...validBodies.postgres, allowRoutines: ['fiscal_quarter'] }, 'postgres'), makeMockRes());
+    assert.deepEqual(received.allowRoutines, ['fiscal_quarter']);
+
+    received = null;
+    const res = makeMockRes();
+    await connectionController.connect(makeMockReq({ ...validBodies.postgres, allowRoutines: 'yes' }, 'postgres'), res);
+    assert.equal(res._status, 400);
+    assert.equal(received, null);
+  });
+
+  it('returns 400 without calling the service when a required field is missing', async () => {
+    let called = false;
+    connectionService.connect = async () => {
+      called = true;
+      return { ok: true };
+    };
+
+    for (const [driverName, body] of [['mysql', { user: 'root', database: 'shop' }], ['sqlite', {}]]) {
+      const res = makeMockRes();
+      await connectionController.connect(makeMockReq(body, driverName), res);
+      assert.equal(res._status, 400);
+    }
+    assert.equal(called, false);
   });
 });
 
 // ---------------------------------------------------------------------------
-// mssqlController — connectDemo (T4, AUTH-01)
+// connectionController — upload
 // ---------------------------------------------------------------------------
 
-describe('mssqlController.connectDemo', () => {
-  let originalConnectDemo;
+describe('connectionController.upload', () => {
+  let originalUpload;
 
   beforeEach(() => {
-    originalConnectDemo = mssqlService.connectDemo;
+    originalUpload = connectionService.connectUpload;
   });
 
   afterEach(() => {
-    mssqlService.connectDemo = originalConnectDemo;
+    connectionService.connectUpload = originalUpload;
   });
 
-  it('sets req.session.connected = true on success', async () => {
-    mssqlService.connectDemo = async () => ({ ok: true });
+  it('passes the raw body and piiPolicy from the query string to the service', async () => {
+    let received = null;
+    connectionService.connectUpload = async (sessionId, driver, buffer, options) => {
+      received = { driver, buffer, options };
+      return { ok: true };
+    };
 
-    const req = makeMockReq();
+    const req = { ...makeMockReq(Buffer.from('SQLite format 3\0'), 'sqlite'), query: { piiPolicy: 'hash' } };
     const res = makeMockRes();
 
-    await mssqlController.connectDemo(req, res);
+    await connectionController.upload(req, res);
 
-    assert.equal(
-      req.session.connected,
-      true,
-      'session.connected must be true after a successful mssql connectDemo'
-    );
+    assert.equal(req.session.connected, true);
+    assert.equal(received.driver.name, 'sqlite');
+    assert.ok(Buffer.isBuffer(received.buffer));
+    assert.equal(received.options.piiPolicy, 'hash');
   });
 
-  it('sets req.session.connected = false on failure', async () => {
-    mssqlService.connectDemo = async () => ({
-      ok: false,
-      status: 503,
-      error: 'SQL Server demo unreachable',
-    });
-
-    const req = makeMockReq();
+  it('returns 400 without a file body', async () => {
+    const req = { ...makeMockReq({}, 'sqlite'), query: {} };
     const res = makeMockRes();
 
-    await mssqlController.connectDemo(req, res);
+    await connectionController.upload(req, res);
 
-    assert.equal(
-      req.session.connected,
-      false,
-      'session.connected must be false after a failed mssql connectDemo'
-    );
+    assert.equal(res._status, 400);
   });
 });
 
 // ---------------------------------------------------------------------------
-// mssqlController — connect (T5, AUTH-02)
+// postgresController — connectAndIntrospect failure path (T3, AUTH-02)
 // ---------------------------------------------------------------------------
 
-describe('mssqlController.connect', () => {
-  let originalConnect;
+describe('postgresController.connectAndIntrospect', () => {
+  let originalConnectAndIntrospect;
 
-  // Valid body that satisfies the Zod mssql connectSchema
-  const validBody = { server: 'localhost', user: 'sa', database: 'mydb' };
+  const validBody = { host: 'localhost', user: 'admin', database: 'mydb' };
 
   beforeEach(() => {
-    originalConnect = mssqlService.connect;
+    originalConnectAndIntrospect = connectionService.connectAndIntrospect;
   });
 
   afterEach(() => {
-    mssqlService.connect = originalConnect;
-  });
-
-  it('sets req.session.connected = true on success', async () => {
-    mssqlService.connect = async () => ({ ok: true });
-
-    const req = makeMockReq(validBody);
-    const res = makeMockRes();
-
-    await mssqlController.connect(req, res);
-
-    assert.equal(
-      req.session.connected,
-      true,
-      'session.connected must be true after a successful mssql connect'
-    );
+    connectionService.connectAndIntrospect = originalConnectAndIntrospect;
   });
 
   it('sets req.session.connected = false on failure', async () => {
-    mssqlService.connect = async () => ({
+    connectionService.connectAndIntrospect = async () => ({
       ok: false,
       status: 500,
-      error: 'TCP connection refused',
+      error: 'introspection failed',
     });
 
     const req = makeMockReq(validBody);
     const res = makeMockRes();
 
-    await mssqlController.connect(req, res);
+    await postgresController.connectAndIntrospect(req, res);
 
     assert.equal(
       req.session.connected,
       false,
-      'session.connected must be false after a failed mssql connect'
+      'session.connected must be false when connectAndIntrospect fails'
     );
   });
+
+  it('keeps req.session.connected when another pool is still open', async () => {
+    const { hasOpenConnection } = connectionService;
+    connectionService.connectAndIntrospect = async () => ({ ok: false, status: 500, error: 'introspection failed' });
+    connectionService.hasOpenConnection = () => true;
+
+    const req = makeMockReq(validBody);
+    req.session.connected = true;
+    try {
+      await postgresController.connectAndIntrospect(req, makeMockRes());
+    } finally {
+      connectionService.hasOpenConnection = hasOpenConnection;
+    }
+
+    assert.equal(req.session.connected, true);
+  });
 });
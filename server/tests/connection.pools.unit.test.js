@@ -0,0 +1,207 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setTimeout as sleep } from 'timers/promises';
+import { connectionService } from '../services/connection.service.js';
+import { connectionRepository } from '../repositories/connection.repository.js';
+import { schemaContextRepository } from '../repositories/schemaContext.repository.js';
+
+// Adapter whose pools are plain objects that remember which connect opened them
+function fakeDriver() {
+  const closed = [];
+  return {
+    name: 'fake',
+    label: 'Fake',
+    dialect: 'postgres',
+    closed,
+    async connect(config) {
+      return { database: config.database };
+    },
+    async close(pool) {
+      closed.push(pool.database);
+    },
+    async now(pool) {
+      return pool.database;
+    },
+    // One commented table, so snapshots never ask the model for descriptions
+    async getSchema() {
+      return [{ table_name: 'orders', column_name: 'id', data_type: 'integer', table_comment: 'Customer orders' }];
+    },
+    async getTables() {
+      return ['orders'];
+    },
+    async getSampleRows() {
+      return [{ id: 1 }];
+    },
+  };
+}
+
+describe('connection pools per session', () => {
+  const savedEnv = {};
+  let driver;
+
+  beforeEach(() => {
+    for (const key of ['MAX_CONNECTION_POOLS', 'POOL_IDLE_TIMEOUT_MS']) savedEnv[key] = process.env[key];
+    driver = fakeDriver();
+  });
+
+  afterEach(async () => {
+    await connectionRepository.clearAll();
+    for (const [key, value] of Object.entries(savedEnv)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+  });
+
+  it('gives each session its own pool', async () => {
+    assert.equal((await connectionService.connect('alice', driver, { database: 'a' })).ok, true);
+    assert.equal((await connectionService.connect('bob', driver, { database: 'b' })).ok, true);
+
+    assert.equal((await connectionService.getHealth('alice', driver)).body.time, 'a');
+    assert.equal((await connectionService.getHealth('bob', driver)).body.time, 'b');
+    assert.deepEqual(connectionService.getStatus('carol', driver), { available: false });
+    assert.equal((await connectionService.getHealth('carol', driver)).status, 503);
+    assert.deepEqual(driver.closed, [], 'connecting one session leaves the others open');
+  });
+
+  it('closes only the session\'s previous pool on reconnect', async () => {
+    await connectionService.connect('alice', driver, { database: 'a1' });
+    await connectionService.connect('bob', driver, { database: 'b' });
+    await connectionService.connect('alice', driver, { database: 'a2' });
+
+    assert.deepEqual(driver.closed, ['a1']);
+    assert.equal((await connectionService.getHealth('alice', driver)).body.time, 'a2');
+    assert.equal((await connectionService.getHealth('bob', driver)).body.time, 'b');
+  });
+
+  it('keeps the session\'s pool open through a failed connect', async () => {
+    await connectionService.connect('alice', driver, { database: 'a' });
+    driver.connect = async () => {
+      throw Object.assign(new Error('password authentication failed'), { status: 400 });
+    };
+
+    assert.equal((await connectionService.connect('alice', driver, { database: 'typo' })).ok, false);
+    assert.equal(connectionService.hasOpenConnection('alice'), true);
+    assert.equal(connectionService.hasOpenConnection('bob'), false);
+    assert.equal((await connectionService.getHealth('alice', driver)).body.time, 'a');
+  });
+
+  it('refuses a new pool at the cap, but lets a session replace its own', async () => {
+    process.env.MAX_CONNECTION_POOLS = '2';
+    await connectionService.connect('alice', driver, { database: 'a' });
+    await connectionService.connect('bob', driver, { database: 'b' });
+
+    const refused = await connectionService.connect('carol', driver, { database: 'c' });
+    assert.equal(refused.ok, false);
+    assert.equal(refused.status, 503);
+    assert.match(refused.error, /too many open database connections/);
+
+    assert.equal((await connectionService.connect('bob', driver, { database: 'b2' })).ok, true);
+    assert.equal(connectionRepository.countPools(), 2);
+  });
+
+  it('reaps idle pools, and their schema context, to make room', async () => {
+    process.env.MAX_CONNECTION_POOLS = '1';
+    process.env.POOL_IDLE_TIMEOUT_MS = '20';
+    await connectionService.connect('alice', driver, { database: 'a' });
+    await schemaContextRepository.update('alice', driver, { markdown: '## a' });
+    await sleep(40);
+
+    assert.equal((await connectionService.connect('bob', driver, { database: 'b' })).ok, true);
+    assert.deepEqual(driver.closed, ['a']);
+    assert.deepEqual(connectionService.getStatus('alice', driver), { available: false });
+    assert.equal(await connectionService.getSchemaContext('alice', driver), null);
+  });
+
+  it('keeps pools that are still being used', async () => {
+    await connectionService.connect('alice', driver, { database: 'a' });
+    await connectionService.connect('bob', driver, { database: 'b' });
+    await sleep(30);
+    await connectionService.getHealth('bob', driver);
+
+    const cutoff = Date.now() - 10;
+    assert.deepEqual((await connectionRepository.closeIdle(cutoff)).map(({ sessionId }) => sessionId), ['alice']);
+    assert.deepEqual(driver.closed, ['a']);
+    assert.equal(connectionService.getStatus('bob', driver).available, true);
+  });
+});
+
+describe('reconnect handshake', () => {
+  let driver;
+
+  beforeEach(() => {
+    driver = { ...fakeDriver(), demoConfig: () => ({ database: 'demo' }) };
+  });
+
+  afterEach(async () => {
+    await connectionRepository.clearAll();
+  });
+
+  it('reports a pool that is still open', async () => {
+    const connected = await connectionService.connectDemo('alice', driver);
+    const result = await connectionService.reconnect('alice', driver, connected.reconnect);
+    assert.deepEqual(result, { ok: true, body: { status: 'connected' } });
+  });
+
+  it('reopens demo connections and file-based configs the session remembers', async () => {
+    const demo = await connectionService.connectDemo('alice', driver);
+    assert.deepEqual(demo.reconnect, { kind: 'demo', label: 'Demo Fake' });
+
+    const fileDriver = { ...fakeDriver(), name: 'fakefile', upload: async () => ({ database: 'upload' }) };
+    const byPath = await connectionService.connect('alice', fileDriver, { database: 'data.db', piiPolicy: 'hash' });
+    assert.deepEqual(byPath.reconnect.config, { database: 'data.db' });
+    assert.deepEqual(byPath.reconnect.options, { piiPolicy: 'hash', allowRoutines: undefined });
+
+    await connectionRepository.clearAll(); // as after a restart
+
+    assert.deepEqual((await connectionService.reconnect('alice', driver, demo.reconnect)).body, { status: 'reconnected' });
+    assert.equal((await connectionService.getHealth('alice', driver)).body.time, 'demo');
+    assert.deepEqual((await connectionService.reconnect('alice', fileDriver, byPath.reconnect)).body, { status: 'reconnected' });
+    assert.equal(connectionService.getPiiPolicy('alice', fileDriver), 'hash');
+  });
+
+  it('rebuilds the schema context a reaped pool took with it', async () => {
+    const demo = await connectionService.connectDemo('alice', driver);
+    await connectionService.buildExplorerSnapshot('alice', driver);
+    // What idle reaping does
+    await connectionRepository.closeIdle(Date.now() + 1);
+    await connectionService.clearExplorerSnapshot('alice', driver);
+    assert.equal(await connectionService.getSchemaContext('alice', driver), null);
+
+    assert.deepEqual((await connectionService.reconnect('alice', driver, demo.reconnect)).body, { status: 'reconnected' });
+    const context = await connectionService.getSchemaContext('alice', driver);
+    assert.match(context.markdown, /orders/);
+    assert.equal(context.metadata.orders.description, 'Customer orders');
+  });
+
+  it('closes the reopened pool when its schema context can\'t be rebuilt', async () => {
+    const demo = await connectionService.connectDemo('alice', driver);
+    await connectionRepository.clearAll();
+    driver.getTables = async () => {
+      throw new Error('permission denied for schema public');
+    };
+
+    const result = await connectionService.reconnect('alice', driver, demo.reconnect);
+    assert.equal(result.status, 500);
+    assert.equal(result.body.status, 'failed');
+    assert.match(result.body.error, /permission denied/);
+    assert.deepEqual(connectionService.getStatus('alice', driver), { available: false });
+  });
+
+  it('never keeps credentials: those connections ask the user again', async () => {
+    const connected = await connectionService.connect('alice', driver, { host: 'DB.internal', user: 'app', database: 'prod', password: 'hunter2' });
+    assert.equal(JSON.stringify(connected.reconnect).includes('hunter2'), false);
+    assert.equal(connected.reconnect.label, 'Fake: app@db.internal/prod');
+    await connectionRepository.clearAll();
+
+    const result = await connectionService.reconnect('alice', driver, connected.reconnect);
+    assert.equal(result.status, 409);
+    assert.equal(result.body.status, 'credentials-required');
+    assert.match(result.body.error, /Enter the credentials again/);
+  });
+
+  it('has nothing to restore for a session without a record', async () => {
+    const result = await connectionService.reconnect('carol', driver, undefined);
+    assert.equal(result.status, 401);
+    assert.equal(result.body.status, 'disconnected');
+  });
+});
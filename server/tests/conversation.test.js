@@ -1,10 +1,29 @@
-// Unit tests for MEM-02: conversation repository Map cap + per-conversation depth cap
+// Unit tests for MEM-02 (memory store caps: conversation count + per-conversation depth) and
+// the persistent SQLite conversation store
 
-import { describe, it } from 'node:test';
+import { describe, it, before, after } from 'node:test';
 import assert from 'node:assert/strict';
-import { conversationRepository } from '../repositories/conversation.repository.js';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  conversationRepository,
+  ConversationStore,
+  useConversationStore,
+} from '../repositories/conversation.repository.js';
 
-describe('conversationRepository (MEM-02)', () => {
+const OWNER = 'session:test';
+
+// One question and its reply; the reply doubles as the message content under test
+function ask(id, text, owner = OWNER) {
+  return conversationRepository.appendExchange(owner, id, { prompt: `Q: ${text}`, reply: text });
+}
+
+function replies(messages) {
+  return messages.filter((message) => message.role === 'assistant').map((message) => message.content);
+}
+
+describe('conversationRepository — memory store (MEM-02)', () => {
   // Use unique IDs per test to avoid state bleed (module singleton)
 
   it('_getConversationsSize() helper exists', () => {
@@ -14,75 +33,184 @@ describe('conversationRepository (MEM-02)', () => {
 
   it('_getConversationsSize() returns at most 200 after 201 unique insertions', () => {
     for (let i = 0; i < 201; i++) {
-      const id = crypto.randomUUID();
-      conversationRepository.appendMessage(id, 'user', `msg ${i}`);
+      ask(crypto.randomUUID(), `msg ${i}`);
     }
     const size = conversationRepository._getConversationsSize();
     assert.ok(
       size <= 200,
-      `Map size should be at most 200, got ${size}`
+      `Store size should be at most 200, got ${size}`
     );
   });
 
   it('oldest conversation is evicted when 201st unique id is added', () => {
-    // Fresh sequence of IDs to track eviction specifically
     const firstId = crypto.randomUUID();
-    conversationRepository.appendMessage(firstId, 'user', 'first conversation');
+    ask(firstId, 'first conversation');
 
-    // Fill up to the cap minus the firstId entry (accounting for earlier test runs)
-    const sizeBefore = conversationRepository._getConversationsSize();
-    const needed = 200 - sizeBefore; // how many more to reach cap
+    // Fill up to the cap (accounting for earlier tests), then add one more to trigger eviction
+    const needed = 200 - conversationRepository._getConversationsSize();
     for (let i = 0; i < needed; i++) {
-      conversationRepository.appendMessage(crypto.randomUUID(), 'user', `filler ${i}`);
+      ask(crypto.randomUUID(), `filler ${i}`);
     }
-    // Now at exactly 200 — add one more to trigger eviction
-    conversationRepository.appendMessage(crypto.randomUUID(), 'user', 'overflow');
+    const lastId = crypto.randomUUID();
+    ask(lastId, 'overflow');
 
     const sizeAfter = conversationRepository._getConversationsSize();
-    assert.equal(sizeAfter, 200, `Map size should stay at 200 after overflow, got ${sizeAfter}`);
+    assert.equal(sizeAfter, 200, `Store size should stay at 200 after overflow, got ${sizeAfter}`);
+    assert.equal(conversationRepository._getDepth(lastId), 2);
   });
 
-  it('per-conversation depth: after 21 appendMessage calls, _getDepth() returns 20', () => {
+  it('per-conversation depth: after 11 exchanges (22 messages), _getDepth() returns 20', () => {
     const id = crypto.randomUUID();
-    for (let i = 0; i < 21; i++) {
-      conversationRepository.appendMessage(id, 'user', `message ${i}`);
+    for (let i = 0; i < 11; i++) {
+      ask(id, `message ${i}`);
     }
     const depth = conversationRepository._getDepth(id);
     assert.equal(depth, 20, `Depth should be capped at 20, got ${depth}`);
   });
 
-  it('per-conversation depth cap: oldest message trimmed after 21 inserts', () => {
+  it('per-conversation depth cap: oldest exchange trimmed', () => {
     const id = crypto.randomUUID();
-    for (let i = 0; i < 21; i++) {
-      conversationRepository.appendMessage(id, 'user', `message ${i}`);
+    for (let i = 0; i < 11; i++) {
+      ask(id, `message ${i}`);
     }
-    const history = conversationRepository.getRecentMessages(id, 20);
+    const history = conversationRepository.getRecentMessages(OWNER, id, 20);
     assert.equal(history.length, 20, 'history should be capped at 20 messages');
-    assert.equal(history[0].content, 'message 1', 'oldest message (message 0) should be trimmed');
-    assert.equal(history[history.length - 1].content, 'message 20', 'newest message should be present');
+    assert.equal(history[0].content, 'Q: message 1', 'oldest exchange (message 0) should be trimmed');
+    assert.equal(history[history.length - 1].content, 'message 10', 'newest message should be present');
   });
 
-  it('getRecentMessages(id, 5) returns last 5 messages in correct order', () => {
+  it('getRecentMessages(owner, id, 5) returns last 5 messages in correct order', () => {
     const id = crypto.randomUUID();
-    for (let i = 0; i < 21; i++) {
-      conversationRepository.appendMessage(id, 'user', `msg ${i}`);
+    for (let i = 0; i < 11; i++) {
+      ask(id, `msg ${i}`);
     }
-    const recent = conversationRepository.getRecentMessages(id, 5);
+    const recent = conversationRepository.getRecentMessages(OWNER, id, 5);
     assert.equal(recent.length, 5, 'should return exactly 5 messages');
-    // After cap: messages 1-20. Last 5 = 16, 17, 18, 19, 20
-    assert.equal(recent[0].content, 'msg 16');
-    assert.equal(recent[4].content, 'msg 20');
+    // Last 5 = reply 8, Q 9, reply 9, Q 10, reply 10
+    assert.deepEqual(recent.map((message) => message.content), ['msg 8', 'Q: msg 9', 'msg 9', 'Q: msg 10', 'msg 10']);
+    assert.deepEqual(recent.map((message) => message.role), ['assistant', 'user', 'assistant', 'user', 'assistant']);
   });
 
   it('messages within cap are stored in insertion order', () => {
     const id = crypto.randomUUID();
-    conversationRepository.appendMessage(id, 'user', 'first');
-    conversationRepository.appendMessage(id, 'assistant', 'second');
-    conversationRepository.appendMessage(id, 'user', 'third');
-    const history = conversationRepository.getRecentMessages(id, 10);
-    assert.equal(history.length, 3);
-    assert.equal(history[0].content, 'first');
-    assert.equal(history[1].content, 'second');
-    assert.equal(history[2].content, 'third');
+    ask(id, 'first');
+    ask(id, 'second');
+    const history = conversationRepository.getRecentMessages(OWNER, id, 10);
+    assert.deepEqual(history.map((message) => message.content), ['Q: first', 'first', 'Q: second', 'second']);
+  });
+
+  it('never mixes in, or appends to, another owner\'s conversation', () => {
+    const id = crypto.randomUUID();
+    ask(id, 'mine');
+
+    assert.deepEqual(conversationRepository.getRecentMessages('session:other', id), []);
+    assert.equal(ask(id, 'intruder', 'session:other'), false);
+    assert.deepEqual(replies(conversationRepository.getRecentMessages(OWNER, id)), ['mine']);
+  });
+});
+
+describe('ConversationStore — SQLite file', () => {
+  let dir;
+  let file;
+
+  before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'querify-conversations-'));
+    file = path.join(dir, 'conversations.sqlite');
+  });
+
+  after(async () => {
+    useConversationStore(null);
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('keeps conversations and their metadata across store instances, as across a restart', () => {
+    const first = new ConversationStore({ file });
+    useConversationStore(first);
+    const id = crypto.randomUUID();
+    conversationRepository.appendExchange(OWNER, id, {
+      connection: 'PostgreSQL: app@db/sales',
+      prompt: '  Which customers\n spent the most   last quarter? '.repeat(4),
+      reply: JSON.stringify({ sql: 'SELECT 1', explanation: 'Top customers', tables_used: ['orders'] }),
+      tokens: 120,
+    });
+    conversationRepository.appendExchange(OWNER, id, { prompt: 'Only in Europe', reply: '{}', tokens: 80 });
+    first.close();
+
+    useConversationStore(new ConversationStore({ file }));
+    const [listed] = conversationRepository.list(OWNER);
+    assert.equal(listed.id, id);
+    assert.equal(listed.title.length, 80);
+    assert.match(listed.title, /^Which customers spent the most last quarter\? Which/);
+    assert.equal(listed.connection, 'PostgreSQL: app@db/sales');
+    assert.equal(listed.tokensUsed, 200);
+    assert.equal(listed.messageCount, 4);
+    assert.ok(Date.parse(listed.updatedAt) >= Date.parse(listed.createdAt));
+
+    const conversation = conversationRepository.get(OWNER, id);
+    assert.deepEqual(conversation.messages.map((message) => message.role), ['user', 'assistant', 'user', 'assistant']);
+    assert.equal(conversationRepository.get('session:someone-else', id), null);
+  });
+
+  it('keeps every message, lists newest first, and deletes only for the owner', () => {
+    useConversationStore(new ConversationStore({ file }));
+    const owner = 'session:analyst';
+    const older = crypto.randomUUID();
+    const newer = crypto.randomUUID();
+    for (let i = 0; i < 15; i++) ask(older, `turn ${i}`, owner);
+    ask(newer, 'latest', owner);
+
+    assert.equal(conversationRepository._getDepth(older), 30);
+    assert.deepEqual(conversationRepository.list(owner).map((conversation) => conversation.id), [newer, older]);
+
+    assert.equal(conversationRepository.delete('session:someone-else', older), false);
+    assert.equal(conversationRepository.delete(owner, older), true);
+    assert.equal(conversationRepository._getDepth(older), 0, 'messages go with their conversation');
+    assert.deepEqual(conversationRepository.list(owner).map((conversation) => conversation.id), [newer]);
+  });
+
+  it('prunes conversations left untouched past their retention', () => {
+    const store = new ConversationStore({ retentionMs: 60 * 1000 });
+    const forever = new ConversationStore();
+    try {
+      const stale = crypto.randomUUID();
+      const fresh = crypto.randomUUID();
+      for (const target of [store, forever]) {
+        target.appendExchange(OWNER, stale, { prompt: 'Old question', reply: '{}' });
+        target.appendExchange(OWNER, fresh, { prompt: 'New question', reply: '{}' });
+      }
+      const now = Date.now();
+      const touchedAt = store.db.prepare('UPDATE conversations SET updated_at = ? WHERE id = ?');
+      touchedAt.run(now - 60 * 1000, stale);
+      touchedAt.run(now - 1000, fresh);
+
+      assert.equal(store.prune(now), 1);
+      assert.deepEqual(store.list(OWNER).map((conversation) => conversation.id), [fresh]);
+      assert.equal(store.depth(stale), 0, 'messages go with their conversation');
+      assert.equal(forever.prune(now + 365 * 24 * 60 * 60 * 1000), 0, 'no retention, no pruning');
+    } finally {
+      store.close();
+      forever.close();
+    }
+  });
+
+  it('is the store CONVERSATION_STORE picks by default', () => {
+    const saved = { store: process.env.CONVERSATION_STORE, path: process.env.CONVERSATION_STORE_PATH };
+    const defaultFile = path.join(dir, 'default.sqlite');
+    try {
+      delete process.env.CONVERSATION_STORE;
+      process.env.CONVERSATION_STORE_PATH = defaultFile;
+      useConversationStore(null);
+      const id = crypto.randomUUID();
+      ask(id, 'kept');
+
+      const reopened = new ConversationStore({ file: defaultFile });
+      assert.deepEqual(reopened.list(OWNER).map((conversation) => conversation.id), [id]);
+      reopened.close();
+    } finally {
+      for (const [key, value] of [['CONVERSATION_STORE', saved.store], ['CONVERSATION_STORE_PATH', saved.path]]) {
+        if (value === undefined) delete process.env[key];
+        else process.env[key] = value;
+      }
+    }
   });
 });
@@ -0,0 +1,384 @@
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'events';
+import { executeQuery as executePostgres, validateQuery as validatePostgres, explainQuery as explainPostgres, streamQuery as streamPostgres } from '../db/postgres.js';
+import { executeQuery as executeMssql, validateQuery as validateMssql, explainQuery as explainMssql, streamQuery as streamMssql } from '../db/mssql.js';
+import { getExecutionLimits, isTimeoutError } from '../services/executionLimits.js';
+
+const LIMITS = { timeoutMs: 5000, maxRows: 2 };
+
+/** Fake pg pool whose client records every statement and answers the wrapped query with `result`. */
+function makePgPool(result, { failOn } = {}) {
+  const statements = [];
+  const client = {
+    released: false,
+    releaseError: null,
+    async query(config) {
+      const text = typeof config === 'string' ? config : config.text;
+      statements.push(typeof config === 'string' ? { text } : config);
+      if (failOn && text.includes(failOn)) throw Object.assign(new Error('boom'), { code: '57014' });
+      return text.startsWith('SELECT * FROM (') ? result : {};
+    },
+    release(err) {
+      client.released = true;
+      client.releaseError = err ?? null;
+    },
+  };
+  return { pool: { connect: async () => client }, client, statements };
+}
+
+describe('postgres executeQuery()', () => {
+  it('runs inside a rolled-back READ ONLY transaction with a statement timeout', async () => {
+    const { pool, client, statements } = makePgPool({ fields: [], rows: [] });
+
+    await executePostgres(pool, 'SELECT 1', LIMITS);
+    assert.deepEqual(
+      statements.map((s) => s.text.split('\n')[0]),
+      ['BEGIN READ ONLY', 'SET LOCAL statement_timeout = 5000', 'SELECT * FROM (', 'ROLLBACK'],
+    );
+    assert.equal(client.released, true);
+  });
+
+  it('wraps the query with LIMIT maxRows + 1, stripping trailing semicolons', async () => {
+    const { pool, statements } = makePgPool({ fields: [], rows: [] });
+
+    await executePostgres(pool, 'SELECT * FROM users ORDER BY id;  ', LIMITS);
+    const wrapped = statements[2];
+    assert.equal(wrapped.rowMode, 'array');
+    assert.equal(wrapped.text, 'SELECT * FROM (\nSELECT * FROM users ORDER BY id\n) AS querify_result LIMIT 3');
+  });
+
+  it('maps field OIDs to type names', async () => {
+    const { pool } = makePgPool({
+      fields: [{ name: 'id', dataTypeID: 23 }, { name: 'Client Name', dataTypeID: 1043 }, { name: 'x', dataTypeID: 99999 }],
+      rows: [[1, 'Acme', null]],
+    });
+
+    const result = await executePostgres(pool, 'SELECT 1', LIMITS);
+    assert.deepEqual(result.columns, [
+      { name: 'id', type: 'integer' },
+      { name: 'Client Name', type: 'character varying' },
+      { name: 'x', type: 'unknown' },
+    ]);
+    assert.equal(result.truncated, false);
+  });
+
+  it('flags truncation when the extra row comes back', async () => {
+    const { pool } = makePgPool({ fields: [{ name: 'n', dataTypeID: 23 }], rows: [[1], [2], [3]] });
+
+    const result = await executePostgres(pool, 'SELECT n FROM t', LIMITS);
+    assert.equal(result.truncated, true);
+    assert.equal(result.rowCount, 2);
+    assert.deepEqual(result.rows, [[1], [2]]);
+  });
+
+  it('still rolls back and releases the client when the query fails', async () => {
+    const { pool, client, statements } = makePgPool({}, { failOn: 'querify_result' });
+
+    await assert.rejects(() => executePostgres(pool, 'SELECT pg_sleep(60)', LIMITS), /boom/);
+    assert.equal(statements.at(-1).text, 'ROLLBACK');
+    assert.equal(client.released, true);
+  });
+
+  it('throws when pool is missing', async () => {
+    await assert.rejects(() => executePostgres(null, 'SELECT 1', LIMITS), /DB pool not available/);
+  });
+});
+
+describe('postgres validateQuery()', () => {
+  it('runs EXPLAIN without ANALYZE inside a rolled-back transaction', async () => {
+    const { pool, client, statements } = makePgPool({});
+
+    await validatePostgres(pool, 'SELECT * FROM users;', LIMITS);
+    assert.deepEqual(
+      statements.map((s) => s.text),
+      ['BEGIN READ ONLY', 'SET LOCAL statement_timeout = 5000', 'EXPLAIN SELECT * FROM users', 'ROLLBACK'],
+    );
+    assert.equal(client.released, true);
+  });
+
+  it('surfaces the database error and still rolls back', async () => {
+    const { pool, statements } = makePgPool({}, { failOn: 'EXPLAIN' });
+
+    await assert.rejects(() => validatePostgres(pool, 'SELECT nme FROM users', LIMITS), /boom/);
+    assert.equal(statements.at(-1).text, 'ROLLBACK');
+  });
+});
+
+describe('postgres explainQuery()', () => {
+  it('returns the root Plan of EXPLAIN (FORMAT JSON) and rolls back', async () => {
+    const plan = { 'Node Type': 'Seq Scan', 'Relation Name': 'users' };
+    const { pool, client, statements } = makePgPool({});
+    client.query = async (text) => {
+      statements.push({ text });
+      return text.startsWith('EXPLAIN') ? { rows: [{ 'QUERY PLAN': [{ Plan: plan }] }] } : {};
+    };
+
+    const result = await explainPostgres(pool, 'SELECT * FROM users;', LIMITS);
+    assert.deepEqual(result, plan);
+    assert.equal(statements[2].text, 'EXPLAIN (FORMAT JSON) SELECT * FROM users');
+    assert.equal(statements.at(-1).text, 'ROLLBACK');
+  });
+});
+
+describe('postgres streamQuery()', () => {
+  /** Fake pool whose cursor hands out `rows` in FETCH-sized slices. */
+  function makeCursorPool(rows) {
+    const statements = [];
+    let offset = 0;
+    const client = {
+      released: false,
+      async query(config) {
+        const text = typeof config === 'string' ? config : config.text;
+        statements.push(text);
+        const fetch = text.match(/^FETCH FORWARD (\d+)/);
+        if (!fetch) return {};
+        const batch = rows.slice(offset, offset + Number(fetch[1]));
+        offset += batch.length;
+        return { fields: [{ name: 'n', dataTypeID: 23 }], rows: batch };
+      },
+      release() { client.released = true; },
+    };
+    return { pool: { connect: async () => client }, client, statements };
+  }
+
+  async function collect(stream) {
+    const items = [];
+    for await (const item of stream) items.push(item);
+    return items;
+  }
+
+  it('declares a cursor and yields columns, then row batches until exhausted', async () => {
+    const { pool, client, statements } = makeCursorPool([[1], [2], [3]]);
+
+    const items = await collect(streamPostgres(pool, 'SELECT n FROM t;', { timeoutMs: 5000, maxRows: 100, batchSize: 2 }));
+    assert.deepEqual(items, [{ columns: [{ name: 'n', type: 'integer' }] }, { rows: [[1], [2]] }, { rows: [[3]] }]);
+    assert.equal(statements[2], 'DECLARE querify_export NO SCROLL CURSOR FOR\nSELECT n FROM t');
+    assert.equal(statements.at(-1), 'ROLLBACK');
+    assert.equal(client.released, true);
+  });
+
+  it('stops fetching at maxRows', async () => {
+    const { pool, statements } = makeCursorPool([[1], [2], [3], [4], [5]]);
+
+    const items = await collect(streamPostgres(pool, 'SELECT n FROM t', { timeoutMs: 5000, maxRows: 3, batchSize: 2 }));
+    assert.deepEqual(items.slice(1), [{ rows: [[1], [2]] }, { rows: [[3]] }]);
+    assert.deepEqual(statements.filter((text) => text.startsWith('FETCH')), ['FETCH FORWARD 2 FROM querify_export', 'FETCH FORWARD 1 FROM querify_export']);
+  });
+
+  it('rolls back when the consumer stops early', async () => {
+    const { pool, client, statements } = makeCursorPool([[1], [2], [3]]);
+
+    for await (const item of streamPostgres(pool, 'SELECT n FROM t', { timeoutMs: 5000, maxRows: 100, batchSize: 1 })) {
+      if (item.rows) break;
+    }
+    assert.equal(statements.at(-1), 'ROLLBACK');
+    assert.equal(client.released, true);
+  });
+});
+
+describe('mssql streamQuery()', () => {
+  /** Fake streaming request that emits a recordset, the given rows and done on the next tick. */
+  function makeStreamingPool(rows) {
+    const batches = [];
+    const transaction = {
+      rolledBack: false,
+      async begin() {},
+      async rollback() { transaction.rolledBack = true; },
+      request() {
+        const request = new EventEmitter();
+        Object.assign(request, {
+          paused: 0,
+          cancelled: false,
+          pause() { request.paused += 1; },
+          resume() {},
+          cancel() { request.cancelled = true; },
+          query(text) {
+            batches.push(text);
+            if (text === 'SET ROWCOUNT 0') return Promise.resolve({});
+            setImmediate(() => {
+              request.emit('recordset', [{ name: 'id', type: { declaration: 'int' } }]);
+              for (const row of rows) request.emit('row', row);
+              request.emit('done', {});
+            });
+            return request;
+          },
+        });
+        transaction.lastRequest ??= request;
+        return request;
+      },
+    };
+    return { pool: { transaction: () => transaction }, transaction, batches };
+  }
+
+  it('yields columns, then buffered rows, and resets ROWCOUNT', async () => {
+    const { pool, transaction, batches } = makeStreamingPool([[1], [2], [3]]);
+
+    const items = [];
+    for await (const item of streamMssql(pool, 'SELECT id FROM t', { timeoutMs: 5000, maxRows: 50, isolationLevel: 5, batchSize: 2 })) {
+      items.push(item);
+    }
+    assert.deepEqual(items[0], { columns: [{ name: 'id', type: 'int' }] });
+    assert.deepEqual(items.slice(1).flatMap((item) => item.rows), [[1], [2], [3]]);
+    assert.equal(batches[0], 'SET ROWCOUNT 50;\nSELECT id FROM t\n;');
+    assert.equal(batches.at(-1), 'SET ROWCOUNT 0');
+    assert.ok(transaction.lastRequest.paused >= 1, 'request should pause once batchSize rows are waiting');
+    assert.equal(transaction.rolledBack, true);
+  });
+});
+
+describe('mssql executeQuery()', () => {
+  /** Fake mssql pool: transaction().request().query(...) records batches and answers the first with `result`. */
+  function makeMssqlPool(result) {
+    const batches = [];
+    const requests = [];
+    const transaction = {
+      isolationLevel: null,
+      rolledBack: false,
+      async begin(level) { transaction.isolationLevel = level; },
+      async rollback() { transaction.rolledBack = true; },
+      request() {
+        const request = {
+          arrayRowMode: false,
+          cancelled: false,
+          cancel() { request.cancelled = true; },
+          async query(text) {
+            batches.push(text);
+            return batches.length === 1 ? result : {};
+          },
+        };
+        requests.push(request);
+        return request;
+      },
+    };
+    return { pool: { transaction: () => transaction }, transaction, batches, requests };
+  }
+
+  it('caps rows with SET ROWCOUNT, resets it and rolls back', async () => {
+    const { pool, transaction, batches, requests } = makeMssqlPool({
+      columns: [[{ name: 'id', type: { declaration: 'int' } }, { name: 'Total' }]],
+      recordset: [[1, 10.5], [2, 3], [3, 4]],
+    });
+
+    const result = await executeMssql(pool, 'SELECT id, Total FROM t', { ...LIMITS, isolationLevel: 5 });
+    assert.equal(transaction.isolationLevel, 5);
+    assert.equal(requests[0].arrayRowMode, true);
+    assert.equal(batches[0], 'SET ROWCOUNT 3;\nSELECT id, Total FROM t\n;');
+    assert.equal(batches[1], 'SET ROWCOUNT 0');
+    assert.equal(transaction.rolledBack, true);
+
+    assert.deepEqual(result.columns, [{ name: 'id', type: 'int' }, { name: 'Total', type: 'unknown' }]);
+    assert.deepEqual(result.rows, [[1, 10.5], [2, 3]]);
+    assert.equal(result.truncated, true);
+  });
+
+  it('reports the pool\'s request timeout as a timeout, and still rolls back', async () => {
+    const { pool, transaction, batches } = makeMssqlPool(null);
+    const request = transaction.request;
+    transaction.request = () => {
+      const fake = request();
+      fake.query = async (text) => {
+        batches.push(text);
+        if (text === 'SET ROWCOUNT 0') return {};
+        throw Object.assign(new Error('Timeout: Request failed to complete in 10ms'), { code: 'ETIMEOUT' });
+      };
+      return fake;
+    };
+
+    await assert.rejects(
+      () => executeMssql(pool, "WAITFOR DELAY '00:01'", { timeoutMs: 10, maxRows: 2, isolationLevel: 5 }),
+      (err) => isTimeoutError(err),
+    );
+    assert.equal(batches.at(-1), 'SET ROWCOUNT 0');
+    assert.equal(transaction.rolledBack, true);
+  });
+});
+
+describe('mssql validateQuery()', () => {
+  /** Fake mssql pool recording batches; `failOn` makes the matching batch reject. */
+  function makeBatchPool({ failOn } = {}) {
+    const batches = [];
+    const transaction = {
+      rolledBack: false,
+      async begin() {},
+      async rollback() { transaction.rolledBack = true; },
+      request() {
+        return {
+          cancel() {},
+          async batch(text) {
+            batches.push(text);
+            if (failOn && text === failOn) throw new Error("Invalid column name 'nme'.");
+            return {};
+          },
+        };
+      },
+    };
+    return { pool: { transaction: () => transaction }, transaction, batches };
+  }
+
+  it('compiles the query between SET NOEXEC ON and OFF, then rolls back', async () => {
+    const { pool, transaction, batches } = makeBatchPool();
+
+    await validateMssql(pool, 'SELECT id FROM t', { timeoutMs: 5000, isolationLevel: 5 });
+    assert.deepEqual(batches, ['SET NOEXEC ON', 'SELECT id FROM t', 'SET NOEXEC OFF']);
+    assert.equal(transaction.rolledBack, true);
+  });
+
+  it('resets NOEXEC even when compilation fails', async () => {
+    const { pool, batches } = makeBatchPool({ failOn: 'SELECT nme FROM t' });
+
+    await assert.rejects(
+      () => validateMssql(pool, 'SELECT nme FROM t', { timeoutMs: 5000, isolationLevel: 5 }),
+      /Invalid column name/,
+    );
+    assert.equal(batches.at(-1), 'SET NOEXEC OFF');
+  });
+});
+
+describe('mssql explainQuery()', () => {
+  it('returns the showplan XML between SHOWPLAN_XML ON and OFF', async () => {
+    const batches = [];
+    const transaction = {
+      rolledBack: false,
+      async begin() {},
+      async rollback() { transaction.rolledBack = true; },
+      request() {
+        return {
+          cancel() {},
+          async batch(text) {
+            batches.push(text);
+            return text.startsWith('SELECT') ? { recordset: [['<ShowPlanXML />']] } : {};
+          },
+        };
+      },
+    };
+
+    const xml = await explainMssql({ transaction: () => transaction }, 'SELECT 1', { timeoutMs: 5000, isolationLevel: 5 });
+    assert.equal(xml, '<ShowPlanXML />');
+    assert.deepEqual(batches, ['SET SHOWPLAN_XML ON', 'SELECT 1', 'SET SHOWPLAN_XML OFF']);
+    assert.equal(transaction.rolledBack, true);
+  });
+});
+
+describe('getExecutionLimits()', () => {
+  const saved = { timeout: process.env.QUERY_TIMEOUT_MS, rows: process.env.QUERY_MAX_ROWS };
+
+  afterEach(() => {
+    if (saved.timeout === undefined) delete process.env.QUERY_TIMEOUT_MS;
+    else process.env.QUERY_TIMEOUT_MS = saved.timeout;
+    if (saved.rows === undefined) delete process.env.QUERY_MAX_ROWS;
+    else process.env.QUERY_MAX_ROWS = saved.rows;
+  });
+
+  it('falls back to defaults when unset or invalid', () => {
+    delete process.env.QUERY_TIMEOUT_MS;
+    process.env.QUERY_MAX_ROWS = 'lots';
+    assert.deepEqual(getExecutionLimits(), { timeoutMs: 15000, maxRows: 1000 });
+  });
+
+  it('reads positive integers from env', () => {
+    process.env.QUERY_TIMEOUT_MS = '2500';
+    process.env.QUERY_MAX_ROWS = '50';
+    assert.deepEqual(getExecutionLimits(), { timeoutMs: 2500, maxRows: 50 });
+  });
+});
@@ -0,0 +1,300 @@
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { getSchema, getTables, getSampleRows, getRowCounts, getViewDefinitions, getTableConstraints, getRoutines } from '../db/mssql.js';
+import sql from 'mssql';
+import { mssqlDriver, rememberIsolationLevel } from '../drivers/mssql.driver.js';
+
+/** Fake mssql pool: each request answers with the recordset of the first `responses` key found in the SQL. */
+function makeMssqlPool(responses) {
+  const requests = [];
+  return {
+    requests,
+    request() {
+      const request = {
+        inputs: {},
+        text: null,
+        input(name, value) {
+          request.inputs[name] = value;
+          return request;
+        },
+        async query(text) {
+          request.text = text;
+          const match = Object.keys(responses).find((key) => text.includes(key));
+          if (!match) throw new Error(`Unexpected query: ${text}`);
+          return { recordset: responses[match] };
+        },
+      };
+      requests.push(request);
+      return request;
+    },
+  };
+}
+
+const TABLES = [
+  { table_schema: 'dbo', table_name: 'Orders' },
+  { table_schema: 'Sales', table_name: 'Customer' },
+];
+
+describe('mssql introspection schemas', () => {
+  it('reads every user schema by default and names tables schema.table', async () => {
+    const pool = makeMssqlPool({ 'INFORMATION_SCHEMA.TABLES': TABLES });
+
+    assert.deepEqual(await getTables(pool), ['dbo.Orders', 'Sales.Customer']);
+    assert.match(pool.requests[0].text, /TABLE_SCHEMA NOT IN \('sys', 'INFORMATION_SCHEMA'\)/);
+    assert.deepEqual(pool.requests[0].inputs, {});
+  });
+
+  it('binds a schema allow-list as parameters', async () => {
+    const pool = makeMssqlPool({ 'sys.partitions': [{ table_schema: 'Sales', table_name: 'Customer', row_count: 7 }] });
+
+    assert.deepEqual(await getRowCounts(pool, ['Sales', 'HR']), { 'Sales.Customer': 7 });
+    assert.match(pool.requests[0].text, /s\.name IN \(@schema0, @schema1\)/);
+    assert.deepEqual(pool.requests[0].inputs, { schema0: 'Sales', schema1: 'HR' });
+  });
+
+  it('keeps keys and cross-schema foreign keys with two-part names', async () => {
+    const pool = makeMssqlPool({
+      'INFORMATION_SCHEMA.COLUMNS': [
+        { table_schema: 'dbo', table_name: 'Orders', table_type: 'BASE TABLE', column_name: 'CustomerID', data_type: 'int', is_nullable: 'NO' },
+        { table_schema: 'Sales', table_name: 'Customer', table_type: 'BASE TABLE', column_name: 'CustomerID', data_type: 'int', is_nullable: 'NO' },
+      ],
+      "CONSTRAINT_TYPE = 'PRIMARY KEY'": [{ table_schema: 'Sales', table_name: 'Customer', column_name: 'CustomerID' }],
+      'sys.foreign_keys': [
+        { constraint_name: 'FK_Orders_Customer', position: 1, parent_schema: 'dbo', parent_table: 'Orders', parent_col: 'CustomerID', ref_schema: 'Sales', ref_table: 'Customer', ref_col: 'CustomerID' },
+      ],
+    });
+
+    const [order, customer] = await getSchema(pool);
+    assert.deepEqual(order, {
+      table_schema: 'dbo',
+      table_name: 'dbo.Orders',
+      table_type: 'BASE TABLE',
+      column_name: 'CustomerID',
+      data_type: 'int',
+      is_nullable: 'NO',
+      is_primary: false,
+      table_comment: null,
+      column_comment: null,
+      enum_values: null,
+      is_foreign: true,
+      foreign_table: 'Sales.Customer',
+      foreign_column: 'CustomerID',
+      foreign_keys: [
+        { constraint_name: 'FK_Orders_Customer', position: 1, foreign_table: 'Sales.Customer', foreign_column: 'CustomerID' },
+      ],
+    });
+    assert.equal(customer.table_name, 'Sales.Customer');
+    assert.equal(customer.is_primary, true, 'same column name in another schema is not confused');
+  });
+
+  it('reads MS_Description extended properties as table and column comments', async () => {
+    const pool = makeMssqlPool({
+      'INFORMATION_SCHEMA.COLUMNS': [
+        { table_schema: 'dbo', table_name: 'Orders', table_type: 'BASE TABLE', column_name: 'Status', data_type: 'char', is_nullable: 'NO', table_comment: 'One row per customer order', column_comment: 'O = open, C = closed' },
+      ],
+      "CONSTRAINT_TYPE = 'PRIMARY KEY'": [],
+      'sys.foreign_keys': [],
+    });
+
+    const [status] = await getSchema(pool);
+    assert.equal(status.table_comment, 'One row per customer order');
+    assert.equal(status.column_comment, 'O = open, C = closed');
+    assert.match(pool.requests[0].text, /tep\.name = 'MS_Description'/);
+  });
+
+  it('keeps every column pair of composite and overlapping foreign keys', async () => {
+    const pool = makeMssqlPool({
+      'INFORMATION_SCHEMA.COLUMNS': [
+        { table_schema: 'dbo', table_name: 'Shipments', table_type: 'BASE TABLE', column_name: 'OrderID', data_type: 'int', is_nullable: 'NO' },
+        { table_schema: 'dbo', table_name: 'Shipments', table_type: 'BASE TABLE', column_name: 'LineNo', data_type: 'int', is_nullable: 'NO' },
+      ],
+      "CONSTRAINT_TYPE = 'PRIMARY KEY'": [],
+      'sys.foreign_keys': [
+        { constraint_name: 'FK_Shipments_Orders', position: 1, parent_schema: 'dbo', parent_table: 'Shipments', parent_col: 'OrderID', ref_schema: 'dbo', ref_table: 'Orders', ref_col: 'OrderID' },
+        { constraint_name: 'FK_Shipments_OrderLines', position: 1, parent_schema: 'dbo', parent_table: 'Shipments', parent_col: 'OrderID', ref_schema: 'dbo', ref_table: 'OrderLines', ref_col: 'OrderID' },
+        { constraint_name: 'FK_Shipments_OrderLines', position: 2, parent_schema: 'dbo', parent_table: 'Shipments', parent_col: 'LineNo', ref_schema: 'dbo', ref_table: 'OrderLines', ref_col: 'LineNo' },
+      ],
+    });
+
+    const [orderId, lineNo] = await getSchema(pool);
+    assert.deepEqual(orderId.foreign_keys.map((fk) => [fk.constraint_name, fk.position, fk.foreign_table]), [
+      ['FK_Shipments_OrderLines', 1, 'dbo.OrderLines'],
+      ['FK_Shipments_Orders', 1, 'dbo.Orders'],
+    ]);
+    assert.equal(orderId.foreign_table, 'dbo.OrderLines', 'legacy fields describe the first constraint');
+    assert.deepEqual(lineNo.foreign_keys, [
+      { constraint_name: 'FK_Shipments_OrderLines', position: 2, foreign_table: 'dbo.OrderLines', foreign_column: 'LineNo' },
+    ]);
+    assert.match(pool.requests.at(-1).text, /ORDER BY fk\.name, fkc\.constraint_column_id/);
+  });
+
+  it('samples with a bracketed two-part name and rejects bare names', async () => {
+    const pool = makeMssqlPool({ 'INFORMATION_SCHEMA.TABLES': TABLES, 'TOP 10': [{ CustomerID: 1 }] });
+
+    assert.deepEqual(await getSampleRows(pool, 'Sales.Customer'), [{ CustomerID: 1 }]);
+    assert.equal(pool.requests.at(-1).text, 'SELECT TOP 10 * FROM [Sales].[Customer]');
+    await assert.rejects(() => getSampleRows(pool, 'Customer'), /Invalid table name/);
+  });
+});
+
+describe('mssql indexes and constraints', () => {
+  it('folds index key columns and lists unique and check constraints by two-part name', async () => {
+    const indexRow = (index_name, column_name, flags = {}) => ({
+      table_schema: 'Sales', table_name: 'Orders', index_name, column_name,
+      is_unique: false, is_primary: false, is_unique_constraint: false, index_type: 'NONCLUSTERED', predicate: null, ...flags,
+    });
+    const pool = makeMssqlPool({
+      'sys.indexes': [
+        indexRow('PK_Orders', 'OrderID', { is_unique: true, is_primary: true, index_type: 'CLUSTERED' }),
+        indexRow('IX_Orders_Customer_Date', 'CustomerID'),
+        indexRow('IX_Orders_Customer_Date', 'OrderDate'),
+        indexRow('UQ_Orders_Number', 'OrderNumber', { is_unique: true, is_unique_constraint: true }),
+      ],
+      'sys.check_constraints': [
+        { table_schema: 'Sales', table_name: 'Orders', constraint_name: 'CK_Orders_Total', definition: '([Total]>=(0))', column_name: 'Total' },
+        { table_schema: 'Sales', table_name: 'Orders', constraint_name: 'CK_Orders_Dates', definition: '([ShipDate]>=[OrderDate])', column_name: null },
+      ],
+    });
+
+    const { 'Sales.Orders': orders } = await getTableConstraints(pool, ['Sales']);
+    assert.deepEqual(orders.indexes.map((index) => [index.name, index.columns, index.unique, index.type]), [
+      ['PK_Orders', ['OrderID'], true, 'CLUSTERED'],
+      ['IX_Orders_Customer_Date', ['CustomerID', 'OrderDate'], false, 'NONCLUSTERED'],
+      ['UQ_Orders_Number', ['OrderNumber'], true, 'NONCLUSTERED'],
+    ]);
+    assert.deepEqual(orders.uniqueConstraints, [{ name: 'UQ_Orders_Number', columns: ['OrderNumber'] }]);
+    assert.deepEqual(orders.checkConstraints, [
+      { name: 'CK_Orders_Total', columns: ['Total'], definition: '([Total]>=(0))' },
+      { name: 'CK_Orders_Dates', columns: [], definition: '([ShipDate]>=[OrderDate])' },
+    ]);
+    assert.match(pool.requests[0].text, /ic\.is_included_column = 0/);
+    assert.deepEqual(pool.requests[1].inputs, { schema0: 'Sales' });
+  });
+});
+
+describe('mssql routines', () => {
+  it('lists procedures, scalar functions and table-valued functions by two-part name', async () => {
+    const pool = makeMssqlPool({
+      'sys.objects': [
+        { routine_schema: 'dbo', routine_name: 'fn_TaxRate', object_type: 'FN', parameters: '@Region nvarchar', return_type: 'decimal', definition: '\nCREATE FUNCTION dbo.fn_TaxRate(@Region nvarchar(10)) RETURNS decimal(5,2) AS BEGIN RETURN 0.2 END\n' },
+        { routine_schema: 'Sales', routine_name: 'fn_OrdersFor', object_type: 'IF', parameters: '@CustomerID int', return_type: 'TABLE', definition: 'CREATE FUNCTION Sales.fn_OrdersFor(@CustomerID int) RETURNS TABLE AS RETURN SELECT 1 AS x' },
+        { routine_schema: 'Sales', routine_name: 'usp_CloseMonth', object_type: 'P', parameters: null, return_type: null, definition: null },
+      ],
+    });
+
+    const routines = await getRoutines(pool, ['dbo', 'Sales']);
+    assert.deepEqual(routines.map((r) => [r.name, r.type, r.parameters, r.returnType]), [
+      ['dbo.fn_TaxRate', 'FUNCTION', '@Region nvarchar', 'decimal'],
+      ['Sales.fn_OrdersFor', 'TABLE FUNCTION', '@CustomerID int', 'TABLE'],
+      ['Sales.usp_CloseMonth', 'PROCEDURE', '', null],
+    ]);
+    assert.equal(routines[0].definition, 'CREATE FUNCTION dbo.fn_TaxRate(@Region nvarchar(10)) RETURNS decimal(5,2) AS BEGIN RETURN 0.2 END');
+    assert.equal(routines[2].definition, null, 'encrypted modules have no definition');
+    assert.match(pool.requests[0].text, /o\.is_ms_shipped = 0/);
+    assert.deepEqual(pool.requests[0].inputs, { schema0: 'dbo', schema1: 'Sales' });
+  });
+});
+
+describe('mssql views', () => {
+  it('lists views and indexed views next to base tables', async () => {
+    const pool = makeMssqlPool({
+      'INFORMATION_SCHEMA.TABLES': [
+        { table_schema: 'Sales', table_name: 'vSalesByMonth', table_type: 'INDEXED VIEW' },
+        { table_schema: 'Sales', table_name: 'vCustomer', table_type: 'VIEW' },
+      ],
+    });
+
+    assert.deepEqual(await getTables(pool), ['Sales.vSalesByMonth', 'Sales.vCustomer']);
+    assert.match(pool.requests[0].text, /TABLE_TYPE IN \('BASE TABLE', 'VIEW'\)/);
+    assert.match(pool.requests[0].text, /THEN 'INDEXED VIEW'/);
+  });
+
+  it('returns view definitions by two-part name, skipping encrypted views', async () => {
+    const pool = makeMssqlPool({
+      'sys.sql_modules': [
+        { table_schema: 'Sales', table_name: 'vCustomer', definition: '\nCREATE VIEW Sales.vCustomer AS SELECT 1 AS x\n' },
+        { table_schema: 'Sales', table_name: 'vSecret', definition: null },
+      ],
+    });
+
+    assert.deepEqual(await getViewDefinitions(pool), { 'Sales.vCustomer': 'CREATE VIEW Sales.vCustomer AS SELECT 1 AS x' });
+  });
+});
+
+describe('mssqlDriver schema allow-list', () => {
+  it('accepts a list of schemas on connect', () => {
+    const parsed = mssqlDriver.configSchema.safeParse({ server: 's', user: 'u', database: 'd', schemas: ['Sales', 'HR'] });
+    assert.equal(parsed.success, true);
+    assert.deepEqual(parsed.data.schemas, ['Sales', 'HR']);
+  });
+});
+
+describe('mssqlDriver isolation level', () => {
+  const savedSetting = process.env.MSSQL_QUERY_ISOLATION;
+
+  afterEach(() => {
+    if (savedSetting === undefined) delete process.env.MSSQL_QUERY_ISOLATION;
+    else process.env.MSSQL_QUERY_ISOLATION = savedSetting;
+  });
+
+  // Pool whose database reports `state` for snapshot_isolation_state; records the level each user query begins with
+  function isolationPool(state) {
+    const pool = makeMssqlPool({ snapshot_isolation_state: state === undefined ? [] : [{ snapshot_isolation_state: state }] });
+    pool.levels = [];
+    pool.transaction = () => ({
+      async begin(level) { pool.levels.push(level); },
+      async rollback() {},
+      request: () => ({ async batch() { return {}; }, cancel() {} }),
+    });
+    return pool;
+  }
+
+  it('uses SNAPSHOT only where the database allows it, and READ COMMITTED otherwise', async () => {
+    delete process.env.MSSQL_QUERY_ISOLATION;
+    const snapshotOn = isolationPool(1);
+    const snapshotOff = isolationPool(0);
+    await rememberIsolationLevel(snapshotOn);
+    await rememberIsolationLevel(snapshotOff);
+
+    await mssqlDriver.validate(snapshotOn, 'SELECT 1', { timeoutMs: 5000 });
+    await mssqlDriver.validate(snapshotOff, 'SELECT 1', { timeoutMs: 5000 });
+    assert.deepEqual(snapshotOn.levels, [sql.ISOLATION_LEVEL.SNAPSHOT]);
+    assert.deepEqual(snapshotOff.levels, [sql.ISOLATION_LEVEL.READ_COMMITTED]);
+  });
+
+  it('falls back to READ COMMITTED when the setting can\'t be read, unless MSSQL_QUERY_ISOLATION forces one', async () => {
+    const unreadable = isolationPool(1);
+    unreadable.request = () => ({ async query() { throw new Error('VIEW ANY DATABASE permission denied'); } });
+    await rememberIsolationLevel(unreadable);
+
+    delete process.env.MSSQL_QUERY_ISOLATION;
+    await mssqlDriver.validate(unreadable, 'SELECT 1', { timeoutMs: 5000 });
+    process.env.MSSQL_QUERY_ISOLATION = 'snapshot';
+    await mssqlDriver.validate(unreadable, 'SELECT 1', { timeoutMs: 5000 });
+    assert.deepEqual(unreadable.levels, [sql.ISOLATION_LEVEL.READ_COMMITTED, sql.ISOLATION_LEVEL.SNAPSHOT]);
+  });
+});
+
+describe('mssql pool time limit', () => {
+  const { ConnectionPool } = sql;
+  const saved = process.env.QUERY_TIMEOUT_MS;
+
+  afterEach(() => {
+    sql.ConnectionPool = ConnectionPool;
+    if (saved === undefined) delete process.env.QUERY_TIMEOUT_MS;
+    else process.env.QUERY_TIMEOUT_MS = saved;
+  });
+
+  it('gives every request of the pool QUERY_TIMEOUT_MS as the driver\'s requestTimeout', async () => {
+    const configs = [];
+    sql.ConnectionPool = class {
+      constructor(config) { configs.push(config); }
+      async connect() { throw new Error('no server here'); }
+      async close() {}
+    };
+    process.env.QUERY_TIMEOUT_MS = '4200';
+
+    await assert.rejects(mssqlDriver.connect({ server: 'db.internal', user: 'u', database: 'd' }), /no server here/);
+    assert.equal(configs[0].requestTimeout, 4200);
+  });
+});
@@ -0,0 +1,89 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { getSchema, getSampleRows, getRowCounts, quoteIdentifier } from '../db/mysql.js';
+
+/** Fake mysql2 pool: answers each query with the first `responses` entry whose key appears in the SQL. */
+function makeMysqlPool(responses) {
+  const statements = [];
+  return {
+    statements,
+    async query(sqlText) {
+      statements.push(sqlText);
+      const match = Object.keys(responses).find((key) => sqlText.includes(key));
+      if (!match) throw new Error(`Unexpected query: ${sqlText}`);
+      return [responses[match], []];
+    },
+  };
+}
+
+describe('mysql getSchema()', () => {
+  it('returns postgres-shaped rows with primary and foreign keys from information_schema', async () => {
+    const pool = makeMysqlPool({
+      'information_schema.COLUMNS': [
+        { table_name: 'customers', column_name: 'id', data_type: 'int', is_nullable: 'NO', is_primary: 1 },
+        { table_name: 'orders', column_name: 'id', data_type: 'int', is_nullable: 'NO', is_primary: 1 },
+        { table_name: 'orders', column_name: 'customer_id', data_type: 'int', is_nullable: 'YES', is_primary: 0 },
+      ],
+      'information_schema.KEY_COLUMN_USAGE': [
+        { constraint_name: 'orders_customer_fk', table_name: 'orders', column_name: 'customer_id', position: 1, foreign_table: 'customers', foreign_column: 'id' },
+      ],
+    });
+
+    const rows = await getSchema(pool);
+    assert.deepEqual(rows[0], {
+      table_name: 'customers',
+      column_name: 'id',
+      data_type: 'int',
+      is_nullable: 'NO',
+      is_primary: true,
+      is_foreign: false,
+      foreign_table: null,
+      foreign_column: null,
+      foreign_keys: [],
+    });
+    assert.equal(rows[1].is_primary, true);
+    assert.equal(rows[2].is_primary, false);
+    assert.equal(rows[2].is_foreign, true);
+    assert.equal(rows[2].foreign_table, 'customers');
+    assert.equal(rows[2].foreign_column, 'id');
+    assert.deepEqual(rows[2].foreign_keys, [
+      { constraint_name: 'orders_customer_fk', position: 1, foreign_table: 'customers', foreign_column: 'id' },
+    ]);
+    assert.ok(pool.statements.every((sqlText) => sqlText.includes('DATABASE()')), 'scoped to the connected database');
+  });
+
+  it('throws without a pool', async () => {
+    await assert.rejects(() => getSchema(null), /DB pool not available/);
+  });
+});
+
+describe('mysql getSampleRows()', () => {
+  it('quotes the table name and limits to 10 rows', async () => {
+    const pool = makeMysqlPool({
+      'information_schema.TABLES': [{ table_name: 'order`items' }],
+      'LIMIT 10': [{ id: 1 }],
+    });
+    assert.deepEqual(await getSampleRows(pool, 'order`items'), [{ id: 1 }]);
+    assert.equal(pool.statements[1], 'SELECT * FROM `order``items` LIMIT 10');
+  });
+
+  it('rejects tables that are not in the database', async () => {
+    const pool = makeMysqlPool({ 'information_schema.TABLES': [{ table_name: 'orders' }] });
+    await assert.rejects(() => getSampleRows(pool, 'mysql.user'), /Invalid table name/);
+  });
+});
+
+describe('mysql getRowCounts()', () => {
+  it('maps estimated TABLE_ROWS to numbers', async () => {
+    const pool = makeMysqlPool({
+      'information_schema.TABLES': [{ table_name: 'orders', row_count: '42' }, { table_name: 'empty', row_count: null }],
+    });
+    assert.deepEqual(await getRowCounts(pool), { orders: 42, empty: 0 });
+  });
+});
+
+describe('mysql quoteIdentifier()', () => {
+  it('doubles embedded backticks', () => {
+    assert.equal(quoteIdentifier('a`b'), '`a``b`');
+  });
+});
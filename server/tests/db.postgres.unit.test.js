@@ -0,0 +1,224 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { getSchema, getTables, getSampleRows, getRowCounts, getViewDefinitions, getTableConstraints, getRoutines } from '../db/postgres.js';
+import { postgresDriver } from '../drivers/postgres.driver.js';
+
+/** Fake pg pool: answers each query with the rows of the first `responses` key found in the SQL. */
+function makePgPool(responses) {
+  const statements = [];
+  return {
+    statements,
+    async query(text, values) {
+      statements.push({ text, values });
+      const match = Object.keys(responses).find((key) => text.includes(key));
+      if (!match) throw new Error(`Unexpected query: ${text}`);
+      return { rows: responses[match] };
+    },
+  };
+}
+
+const TABLES = [
+  { table_schema: 'public', table_name: 'customers' },
+  { table_schema: 'sales', table_name: 'orders' },
+];
+
+describe('postgres introspection schemas', () => {
+  it('reads only public, with bare table names, by default', async () => {
+    const pool = makePgPool({ 'information_schema.tables': [TABLES[0]] });
+
+    assert.deepEqual(await getTables(pool), ['customers']);
+    assert.deepEqual(pool.statements[0].values, [['public']]);
+  });
+
+  it('qualifies every table name once other schemas are selected', async () => {
+    const pool = makePgPool({
+      'information_schema.columns': [
+        { table_schema: 'public', table_name: 'customers', column_name: 'id', is_primary: true },
+        { table_schema: 'sales', table_name: 'orders', column_name: 'customer_id', is_primary: false },
+      ],
+      pg_constraint: [
+        { constraint_name: 'orders_customer_id_fkey', table_schema: 'sales', table_name: 'orders', column_name: 'customer_id', position: '1', foreign_schema: 'public', foreign_table: 'customers', foreign_column: 'id' },
+      ],
+      pg_attribute: [
+        { table_schema: 'sales', table_name: 'monthly_totals', table_type: 'MATERIALIZED VIEW', column_name: 'month', data_type: 'date', is_nullable: 'YES', is_primary: false },
+      ],
+      'information_schema.tables': TABLES,
+      pg_stat_user_tables: [
+        { table_schema: 'public', table_name: 'customers', row_count: '5' },
+        { table_schema: 'sales', table_name: 'orders', row_count: '12' },
+      ],
+    });
+    const schemas = ['public', 'sales'];
+
+    assert.deepEqual(await getTables(pool, schemas), ['public.customers', 'sales.orders']);
+    assert.deepEqual(await getRowCounts(pool, schemas), { 'public.customers': 5, 'sales.orders': 12 });
+
+    const rows = await getSchema(pool, schemas);
+    assert.deepEqual(rows.map((row) => row.table_name), ['public.customers', 'sales.orders', 'sales.monthly_totals']);
+    assert.equal(rows[2].table_type, 'MATERIALIZED VIEW', 'materialized view columns come from the catalog');
+    assert.equal(rows[1].foreign_table, 'public.customers', 'cross-schema references keep their own schema');
+    assert.equal(rows[1].table_schema, 'sales');
+    assert.equal(rows[1].is_foreign, true);
+    assert.equal(rows[2].is_foreign, false);
+    assert.deepEqual(pool.statements.at(-1).values, [schemas]);
+  });
+
+  it('samples a qualified table with both parts quoted and rejects unknown names', async () => {
+    const pool = makePgPool({ 'information_schema.tables': TABLES, 'LIMIT 10': [{ id: 1 }] });
+
+    assert.deepEqual(await getSampleRows(pool, 'sales.orders', ['public', 'sales']), [{ id: 1 }]);
+    assert.equal(pool.statements.at(-1).text, 'SELECT * FROM "sales"."orders" LIMIT 10');
+    await assert.rejects(() => getSampleRows(pool, 'orders', ['public', 'sales']), /Invalid table name/);
+  });
+});
+
+describe('postgres foreign keys', () => {
+  it('models composite and overlapping foreign keys per constraint', async () => {
+    const pool = makePgPool({
+      'information_schema.columns': [
+        { table_schema: 'public', table_name: 'shipments', column_name: 'order_id', is_primary: false },
+        { table_schema: 'public', table_name: 'shipments', column_name: 'line_no', is_primary: false },
+        { table_schema: 'public', table_name: 'shipments', column_name: 'note', is_primary: false },
+      ],
+      pg_constraint: [
+        { constraint_name: 'shipments_order_fkey', table_schema: 'public', table_name: 'shipments', column_name: 'order_id', position: '1', foreign_schema: 'public', foreign_table: 'orders', foreign_column: 'id' },
+        { constraint_name: 'shipments_line_fkey', table_schema: 'public', table_name: 'shipments', column_name: 'order_id', position: '1', foreign_schema: 'public', foreign_table: 'order_lines', foreign_column: 'order_id' },
+        { constraint_name: 'shipments_line_fkey', table_schema: 'public', table_name: 'shipments', column_name: 'line_no', position: '2', foreign_schema: 'public', foreign_table: 'order_lines', foreign_column: 'line_no' },
+      ],
+      pg_attribute: [],
+    });
+
+    const [orderId, lineNo, note] = await getSchema(pool);
+    assert.deepEqual(orderId.foreign_keys, [
+      { constraint_name: 'shipments_line_fkey', position: 1, foreign_table: 'order_lines', foreign_column: 'order_id' },
+      { constraint_name: 'shipments_order_fkey', position: 1, foreign_table: 'orders', foreign_column: 'id' },
+    ]);
+    assert.equal(orderId.foreign_table, 'order_lines');
+    assert.deepEqual(lineNo.foreign_keys, [
+      { constraint_name: 'shipments_line_fkey', position: 2, foreign_table: 'order_lines', foreign_column: 'line_no' },
+    ]);
+    assert.deepEqual(note.foreign_keys, []);
+    assert.match(pool.statements.at(-1).text, /unnest\(con\.conkey, con\.confkey\) WITH ORDINALITY/);
+  });
+});
+
+describe('postgres comments and enum types', () => {
+  it('reads table / column comments and enum labels with each column', async () => {
+    const pool = makePgPool({
+      'information_schema.columns': [
+        { table_schema: 'public', table_name: 'orders', column_name: 'status', data_type: 'order_status', is_primary: false, table_comment: 'Customer orders', column_comment: 'Lifecycle state', enum_values: ['open', 'closed'] },
+      ],
+      pg_constraint: [],
+      pg_attribute: [],
+    });
+
+    const [status] = await getSchema(pool);
+    assert.equal(status.table_comment, 'Customer orders');
+    assert.equal(status.column_comment, 'Lifecycle state');
+    assert.deepEqual(status.enum_values, ['open', 'closed']);
+    assert.match(pool.statements[0].text, /WHEN c\.data_type = 'USER-DEFINED' THEN c\.udt_name/, 'enums are named by their type');
+    assert.match(pool.statements[0].text, /FROM pg_enum e WHERE e\.enumtypid = format\('%I\.%I', c\.udt_schema, c\.udt_name\)::regtype/);
+    assert.match(pool.statements[1].text, /col_description\(c\.oid, a\.attnum\)/, 'materialized views keep their comments too');
+  });
+});
+
+describe('postgres indexes and constraints', () => {
+  it('groups indexes, unique constraints and check constraints by table', async () => {
+    const pool = makePgPool({
+      pg_index: [
+        { table_schema: 'sales', table_name: 'orders', index_name: 'orders_pkey', is_unique: true, is_primary: true, index_type: 'btree', predicate: null, columns: ['id'] },
+        { table_schema: 'sales', table_name: 'orders', index_name: 'orders_open_idx', is_unique: false, is_primary: false, index_type: 'btree', predicate: "status = 'open'::text", columns: ['customer_id', 'lower(note)'] },
+      ],
+      pg_constraint: [
+        { table_schema: 'sales', table_name: 'orders', constraint_name: 'orders_number_key', constraint_type: 'u', definition: 'UNIQUE (number)', columns: ['number'] },
+        { table_schema: 'sales', table_name: 'orders', constraint_name: 'orders_status_check', constraint_type: 'c', definition: "CHECK (status = ANY (ARRAY['open'::text, 'closed'::text]))", columns: ['status'] },
+      ],
+    });
+
+    assert.deepEqual(await getTableConstraints(pool, ['sales']), {
+      'sales.orders': {
+        indexes: [
+          { name: 'orders_pkey', columns: ['id'], unique: true, primary: true, type: 'btree', predicate: null },
+          { name: 'orders_open_idx', columns: ['customer_id', 'lower(note)'], unique: false, primary: false, type: 'btree', predicate: "status = 'open'::text" },
+        ],
+        uniqueConstraints: [{ name: 'orders_number_key', columns: ['number'] }],
+        checkConstraints: [
+          { name: 'orders_status_check', columns: ['status'], definition: "CHECK (status = ANY (ARRAY['open'::text, 'closed'::text]))" },
+        ],
+      },
+    });
+    assert.match(pool.statements[0].text, /generate_series\(1, ix\.indnkeyatts\)/, 'INCLUDE columns are not key columns');
+    assert.match(pool.statements[1].text, /con\.contype IN \('u', 'c'\)/);
+  });
+});
+
+describe('postgres routines', () => {
+  it('lists callable functions and procedures with their signatures', async () => {
+    const pool = makePgPool({
+      pg_proc: [
+        { routine_schema: 'public', routine_name: 'fiscal_quarter', routine_type: 'FUNCTION', parameters: 'd date', return_type: 'integer', language: 'sql', definition: '\n  SELECT EXTRACT(quarter FROM d + interval \'3 months\')::int\n' },
+        { routine_schema: 'sales', routine_name: 'top_customers', routine_type: 'TABLE FUNCTION', parameters: 'n integer', return_type: 'TABLE(id integer, total numeric)', language: 'plpgsql', definition: 'BEGIN RETURN QUERY SELECT 1, 2.0; END' },
+        { routine_schema: 'sales', routine_name: 'close_month', routine_type: 'PROCEDURE', parameters: '', return_type: null, language: 'c', definition: null },
+      ],
+    });
+
+    assert.deepEqual(await getRoutines(pool, ['public', 'sales']), [
+      { name: 'public.fiscal_quarter', type: 'FUNCTION', parameters: 'd date', returnType: 'integer', language: 'sql', definition: "SELECT EXTRACT(quarter FROM d + interval '3 months')::int" },
+      { name: 'sales.top_customers', type: 'TABLE FUNCTION', parameters: 'n integer', returnType: 'TABLE(id integer, total numeric)', language: 'plpgsql', definition: 'BEGIN RETURN QUERY SELECT 1, 2.0; END' },
+      { name: 'sales.close_month', type: 'PROCEDURE', parameters: '', returnType: null, language: 'c', definition: null },
+    ]);
+    assert.deepEqual(pool.statements[0].values, [['public', 'sales']]);
+    assert.match(pool.statements[0].text, /d\.deptype = 'e'/, 'extension members are left out');
+    assert.match(pool.statements[0].text, /has_function_privilege\(p\.oid, 'EXECUTE'\)/);
+  });
+});
+
+describe('postgres views', () => {
+  it('lists views and materialized views next to base tables', async () => {
+    const pool = makePgPool({
+      'information_schema.tables': [
+        { table_schema: 'public', table_name: 'customers', table_type: 'BASE TABLE' },
+        { table_schema: 'public', table_name: 'active_customers', table_type: 'VIEW' },
+        { table_schema: 'public', table_name: 'monthly_totals', table_type: 'MATERIALIZED VIEW' },
+      ],
+    });
+
+    assert.deepEqual(await getTables(pool), ['customers', 'active_customers', 'monthly_totals']);
+    assert.match(pool.statements[0].text, /table_type IN \('BASE TABLE', 'VIEW'\)/);
+    assert.match(pool.statements[0].text, /FROM pg_matviews/);
+  });
+
+  it('returns trimmed view definitions by table name', async () => {
+    const pool = makePgPool({
+      pg_views: [
+        { table_schema: 'sales', table_name: 'active_customers', definition: ' SELECT id FROM sales.customers;' },
+      ],
+    });
+
+    assert.deepEqual(await getViewDefinitions(pool, ['sales']), { 'sales.active_customers': 'SELECT id FROM sales.customers;' });
+  });
+});
+
+describe('postgresDriver schema allow-list', () => {
+  it('accepts a list of schemas on connect', () => {
+    const parsed = postgresDriver.configSchema.safeParse({ host: 'h', user: 'u', database: 'd', schemas: ['sales', ' ops '] });
+    assert.equal(parsed.success, true);
+    assert.deepEqual(parsed.data.schemas, ['sales', 'ops']);
+    assert.equal(postgresDriver.configSchema.safeParse({ host: 'h', user: 'u', database: 'd', schemas: [] }).success, false);
+  });
+
+  it('reads DEMO_DB_SCHEMAS as a comma-separated list', () => {
+    const saved = { ...process.env };
+    Object.assign(process.env, { DEMO_DB_HOST: 'h', DEMO_DB_USER: 'u', DEMO_DB_NAME: 'd', DEMO_DB_SCHEMAS: 'public, sales,' });
+    try {
+      assert.deepEqual(postgresDriver.demoConfig().schemas, ['public', 'sales']);
+      process.env.DEMO_DB_SCHEMAS = '';
+      assert.equal(postgresDriver.demoConfig().schemas, undefined);
+    } finally {
+      for (const key of ['DEMO_DB_HOST', 'DEMO_DB_USER', 'DEMO_DB_NAME', 'DEMO_DB_SCHEMAS']) {
+        if (key in saved) process.env[key] = saved[key];
+        else delete process.env[key];
+      }
+    }
+  });
+});
@@ -0,0 +1,163 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'fs';
+import Database from 'better-sqlite3';
+import {
+  getSchema, getTables, getSampleRows, getRowCounts, executeQuery, explainQuery, streamQuery,
+} from '../db/sqlite.js';
+import { sqliteDriver } from '../drivers/sqlite.driver.js';
+import { connectionService } from '../services/connection.service.js';
+
+const demoSeed = await fs.readFile(new URL('../db/seeds/sqlite-demo.sql', import.meta.url), 'utf8');
+
+describe('sqlite introspection (demo seed)', () => {
+  let db;
+
+  before(() => {
+    db = new Database(':memory:');
+    db.exec(demoSeed);
+  });
+
+  after(() => {
+    db.close();
+  });
+
+  it('lists user tables only', async () => {
+    assert.deepEqual(await getTables(db), ['customers', 'order_items', 'orders', 'products']);
+  });
+
+  it('returns postgres-shaped rows from pragma_table_info / pragma_foreign_key_list', async () => {
+    const rows = await getSchema(db);
+    const column = (table, name) => rows.find((row) => row.table_name === table && row.column_name === name);
+
+    assert.deepEqual(column('order_items', 'product_id'), {
+      table_name: 'order_items',
+      column_name: 'product_id',
+      data_type: 'integer',
+      is_nullable: 'NO',
+      is_primary: false,
+      is_foreign: true,
+      foreign_table: 'products',
+      foreign_column: 'id',
+      foreign_keys: [{ constraint_name: 'order_items_fk0', position: 1, foreign_table: 'products', foreign_column: 'id' }],
+    });
+    assert.equal(column('customers', 'id').is_primary, true);
+    assert.equal(column('customers', 'city').is_nullable, 'YES');
+    assert.deepEqual(rows.filter((row) => row.table_name === 'orders').map((row) => row.column_name),
+      ['id', 'customer_id', 'status', 'ordered_at'], 'columns keep declaration order');
+  });
+
+  it('resolves REFERENCES without a column list to the parent primary key', async () => {
+    const rows = await getSchema(db);
+    const fk = rows.find((row) => row.table_name === 'orders' && row.column_name === 'customer_id');
+    assert.equal(fk.foreign_table, 'customers');
+    assert.equal(fk.foreign_column, 'id');
+  });
+
+  it('pairs the columns of a composite foreign key in key order', async () => {
+    const composite = new Database(':memory:');
+    try {
+      composite.exec(`
+        CREATE TABLE order_lines (order_id INTEGER, line_no INTEGER, PRIMARY KEY (order_id, line_no));
+        CREATE TABLE shipments (
+          id INTEGER PRIMARY KEY,
+          line INTEGER,
+          ord INTEGER,
+          FOREIGN KEY (ord, line) REFERENCES order_lines
+        );
+      `);
+      const rows = await getSchema(composite);
+      const column = (name) => rows.find((row) => row.table_name === 'shipments' && row.column_name === name);
+
+      assert.deepEqual(column('ord').foreign_keys, [{ constraint_name: 'shipments_fk0', position: 1, foreign_table: 'order_lines', foreign_column: 'order_id' }]);
+      assert.deepEqual(column('line').foreign_keys, [{ constraint_name: 'shipments_fk0', position: 2, foreign_table: 'order_lines', foreign_column: 'line_no' }]);
+    } finally {
+      composite.close();
+    }
+  });
+
+  it('samples at most 10 rows and rejects unknown tables', async () => {
+    assert.equal((await getSampleRows(db, 'customers')).length, 5);
+    await assert.rejects(() => getSampleRows(db, 'sqlite_master'), /Invalid table name/);
+  });
+
+  it('counts rows exactly', async () => {
+    assert.deepEqual(await getRowCounts(db), { customers: 5, order_items: 9, orders: 7, products: 5 });
+  });
+});
+
+describe('sqlite query execution (demo seed)', () => {
+  let db;
+  const limits = { timeoutMs: 5000, maxRows: 3 };
+
+  before(() => {
+    db = new Database(':memory:');
+    db.exec(demoSeed);
+  });
+
+  after(() => {
+    db.close();
+  });
+
+  it('returns columns and array rows, capped at maxRows', async () => {
+    const result = await executeQuery(db, 'SELECT id, full_name FROM customers ORDER BY id;', limits);
+    assert.deepEqual(result.columns.map((column) => column.name), ['id', 'full_name']);
+    assert.equal(result.rows.length, 3);
+    assert.equal(result.rowCount, 3);
+    assert.equal(result.truncated, true);
+    assert.equal(typeof result.rows[0][0], 'number');
+  });
+
+  it('returns the EXPLAIN QUERY PLAN rows', async () => {
+    const rows = await explainQuery(db, 'SELECT * FROM orders WHERE customer_id = 1', limits);
+    assert.ok(rows.length > 0);
+    assert.ok(rows.every((row) => 'detail' in row));
+  });
+
+  it('streams rows in batches from a copy of the in-memory database', async () => {
+    const batches = [];
+    for await (const batch of streamQuery(db, 'SELECT * FROM order_items', { timeoutMs: 5000, maxRows: 8, batchSize: 4 })) {
+      batches.push(batch);
+    }
+    assert.ok(batches[0].columns.length > 0);
+    assert.deepEqual(batches.slice(1).map((batch) => batch.rows.length), [4, 4], 'stops after maxRows');
+  });
+
+  it('stops a runaway statement at the time limit without blocking the server', async () => {
+    const runaway = 'WITH RECURSIVE r(x) AS (SELECT 1 UNION ALL SELECT x + 1 FROM r) SELECT count(*) FROM r';
+    let ticks = 0;
+    const ticker = setInterval(() => { ticks += 1; }, 50);
+    const startedAt = Date.now();
+    try {
+      await assert.rejects(() => executeQuery(db, runaway, { timeoutMs: 500, maxRows: 3 }), { code: 'SQLITE_INTERRUPT' });
+      const elapsed = Date.now() - startedAt;
+      assert.ok(elapsed < 3000, `rejected after ${elapsed} ms`);
+      assert.ok(ticks >= 3, 'the event loop kept running while the query did');
+
+      await assert.rejects(async () => {
+        for await (const batch of streamQuery(db, runaway, { timeoutMs: 500, maxRows: 10 })) void batch;
+      }, { code: 'SQLITE_INTERRUPT' });
+    } finally {
+      clearInterval(ticker);
+    }
+  });
+
+  it('reports SQL errors from the worker with their SQLite code', async () => {
+    await assert.rejects(() => executeQuery(db, 'SELECT nope FROM customers', limits), { code: 'SQLITE_ERROR', message: /no such column: nope/ });
+  });
+});
+
+describe('sqlite driver connect guards', () => {
+  it('refuses paths outside the SQLite data directory', async () => {
+    const result = await connectionService.connect('sqlite-session', sqliteDriver, { path: '../../package.json' });
+    assert.equal(result.ok, false);
+    assert.equal(result.status, 400);
+  });
+
+  it('refuses uploads that are not SQLite databases', async () => {
+    const result = await connectionService.connectUpload('sqlite-session', sqliteDriver, Buffer.from('id,name\n1,Ada\n'));
+    assert.equal(result.ok, false);
+    assert.equal(result.status, 400);
+    assert.match(result.error, /not a SQLite 3 database/);
+  });
+});
@@ -0,0 +1,64 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import z from 'zod';
+import { driverRegistry } from '../drivers/index.js';
+import { postgresDriver } from '../drivers/postgres.driver.js';
+
+/** Complete adapter with no-op methods, overridable per test. */
+function fakeAdapter(overrides = {}) {
+  const noop = async () => {};
+  return {
+    name: 'fakedb',
+    label: 'FakeDB',
+    dialect: 'postgres',
+    configSchema: z.object({}),
+    demoConfig: () => null,
+    connect: noop,
+    close: noop,
+    now: noop,
+    getSchema: noop,
+    getTables: noop,
+    getSampleRows: noop,
+    getRowCounts: noop,
+    execute: noop,
+    validate: noop,
+    explain: noop,
+    stream: async function* () {},
+    quoteIdentifier: (identifier) => identifier,
+    ...overrides,
+  };
+}
+
+describe('driverRegistry', () => {
+  it('registers the built-in drivers', () => {
+    assert.deepEqual(
+      driverRegistry.list().map((driver) => driver.name).slice(0, 4),
+      ['postgres', 'sqlserver', 'mysql', 'sqlite'],
+    );
+  });
+
+  it('resolves names and aliases case-insensitively', () => {
+    assert.equal(driverRegistry.get('postgres'), postgresDriver);
+    assert.equal(driverRegistry.get('PostgreSQL'), postgresDriver);
+    assert.equal(driverRegistry.get('mssql').name, 'sqlserver');
+    assert.equal(driverRegistry.get('mariadb').name, 'mysql');
+    assert.equal(driverRegistry.get('oracle'), null);
+    assert.equal(driverRegistry.get(undefined), null);
+  });
+
+  it('rejects incomplete adapters', () => {
+    assert.throws(() => driverRegistry.register(fakeAdapter({ label: undefined })), /name, label and dialect/);
+    assert.throws(() => driverRegistry.register(fakeAdapter({ explain: undefined, stream: null })), /missing: explain, stream/);
+    assert.throws(() => driverRegistry.register(fakeAdapter({ configSchema: {} })), /zod configSchema/);
+  });
+
+  it('rejects names and aliases that are already taken', () => {
+    assert.throws(() => driverRegistry.register(fakeAdapter({ aliases: ['mssql'] })), /"mssql" is already registered/);
+    assert.equal(driverRegistry.get('fakedb'), null, 'a rejected adapter is not half-registered');
+  });
+
+  it('adds a new engine with a single register call', () => {
+    const adapter = driverRegistry.register(fakeAdapter({ name: 'fakedb2', aliases: ['fake'] }));
+    assert.equal(driverRegistry.get('fake'), adapter);
+  });
+});
@@ -0,0 +1,155 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import net from 'net';
+import { createHash } from 'crypto';
+import ssh2 from 'ssh2';
+import { openSshTunnel, rememberTunnel, closePoolTunnel } from '../drivers/sshTunnel.js';
+import { postgresDriver } from '../drivers/postgres.driver.js';
+import { mssqlDriver } from '../drivers/mssql.driver.js';
+
+const { Server, utils } = ssh2;
+
+function listen(server) {
+  return new Promise((resolve) => server.listen(0, '127.0.0.1', () => resolve(server.address().port)));
+}
+
+function closeServer(server) {
+  return new Promise((resolve) => server.close(() => resolve()));
+}
+
+// One round trip through `port`: what the echo server sends back for `text`
+function echoThrough(port, text) {
+  return new Promise((resolve, reject) => {
+    const socket = net.connect(port, '127.0.0.1', () => socket.write(text));
+    socket.once('data', (data) => {
+      socket.end();
+      resolve(data.toString());
+    });
+    socket.once('error', reject);
+  });
+}
+
+describe('openSshTunnel() — in-process bastion', () => {
+  const hostKey = utils.generateKeyPairSync('ed25519');
+  const fingerprint = `SHA256:${createHash('sha256').update(Buffer.from(hostKey.public.split(' ')[1], 'base64')).digest('base64').replace(/=+$/, '')}`;
+  const sshClients = new Set();
+  let echoServer;
+  let echoPort;
+  let bastion;
+  let bastionPort;
+
+  before(async () => {
+    echoServer = net.createServer((socket) => socket.pipe(socket));
+    echoPort = await listen(echoServer);
+
+    // Accepts tunnel / secret and only forwards to the echo server, like a bastion that reaches one database
+    bastion = new Server({ hostKeys: [hostKey.private] }, (client) => {
+      sshClients.add(client);
+      client.on('close', () => sshClients.delete(client));
+      client.on('error', () => {});
+      client.on('authentication', (ctx) => {
+        if (ctx.method === 'password' && ctx.username === 'tunnel' && ctx.password === 'secret') ctx.accept();
+        else ctx.reject(['password']);
+      });
+      client.on('tcpip', (accept, reject, info) => {
+        if (info.destPort !== echoPort) {
+          reject();
+          return;
+        }
+        const channel = accept();
+        const socket = net.connect(info.destPort, '127.0.0.1');
+        socket.on('error', () => channel.close());
+        channel.pipe(socket).pipe(channel);
+      });
+    });
+    bastionPort = await listen(bastion);
+  });
+
+  after(async () => {
+    for (const client of sshClients) client.end();
+    await closeServer(bastion);
+    await closeServer(echoServer);
+  });
+
+  const ssh = (overrides = {}) => ({ host: '127.0.0.1', port: bastionPort, user: 'tunnel', password: 'secret', hostFingerprint: fingerprint, ...overrides });
+
+  it('forwards local connections to the target through the bastion', async () => {
+    const tunnel = await openSshTunnel(ssh(), { host: '127.0.0.1', port: echoPort });
+    try {
+      assert.equal(tunnel.host, '127.0.0.1');
+      assert.notEqual(tunnel.port, echoPort);
+      assert.equal(await echoThrough(tunnel.port, 'ping'), 'ping');
+    } finally {
+      await tunnel.close();
+    }
+  });
+
+  it('refuses a bastion whose key it has no fingerprint for, unless told to skip the check', async () => {
+    await assert.rejects(openSshTunnel(ssh({ hostFingerprint: undefined }), { host: '127.0.0.1', port: echoPort }), {
+      code: 'SSH_TUNNEL',
+      status: 400,
+      message: new RegExp(`host key of 127\\.0\\.0\\.1:${bastionPort} is ${fingerprint.replace(/[+/]/g, '\\$&')} and no fingerprint was given`),
+    });
+
+    const tunnel = await openSshTunnel(ssh({ hostFingerprint: undefined, skipHostKeyCheck: true }), { host: '127.0.0.1', port: echoPort });
+    try {
+      assert.equal(await echoThrough(tunnel.port, 'ping'), 'ping');
+    } finally {
+      await tunnel.close();
+    }
+  });
+
+  it('stops listening once the pool it was remembered for is closed', async () => {
+    const tunnel = await openSshTunnel(ssh(), { host: '127.0.0.1', port: echoPort });
+    const pool = {};
+    rememberTunnel(pool, tunnel);
+
+    await closePoolTunnel(pool);
+    await assert.rejects(echoThrough(tunnel.port, 'ping'), { code: 'ECONNREFUSED' });
+    await closePoolTunnel(pool); // already closed: no-op
+  });
+
+  it('names each failing hop in its own error', async () => {
+    await assert.rejects(openSshTunnel(ssh({ password: 'wrong' }), { host: '127.0.0.1', port: echoPort }), {
+      code: 'SSH_TUNNEL',
+      status: 400,
+      message: `SSH tunnel: authentication failed for tunnel@127.0.0.1:${bastionPort}`,
+    });
+
+    await assert.rejects(openSshTunnel(ssh(), { host: '127.0.0.1', port: echoPort + 1 }), {
+      status: 502,
+      message: new RegExp(`could not open a connection to 127\\.0\\.0\\.1:${echoPort + 1}`),
+    });
+
+    await assert.rejects(openSshTunnel(ssh({ hostFingerprint: 'SHA256:not-the-key' }), { host: '127.0.0.1', port: echoPort }), {
+      message: new RegExp(`host key of 127\\.0\\.0\\.1:${bastionPort} is ${fingerprint.replace(/[+/]/g, '\\$&')}`),
+    });
+
+    const unused = net.createServer();
+    const closedPort = await listen(unused);
+    await closeServer(unused);
+    await assert.rejects(openSshTunnel(ssh({ port: closedPort }), { host: '127.0.0.1', port: echoPort }), {
+      message: new RegExp(`could not reach 127\\.0\\.0\\.1:${closedPort}`),
+    });
+  });
+
+  it('fails the driver connect with the tunnel error before any pool is opened', async () => {
+    await assert.rejects(
+      postgresDriver.connect({ host: 'db.internal', user: 'u', database: 'd', ssh: ssh({ password: 'wrong' }) }),
+      { code: 'SSH_TUNNEL', message: /authentication failed/ },
+    );
+    await assert.rejects(
+      mssqlDriver.connect({ server: 'db.internal', user: 'u', database: 'd', instanceName: 'SQLEXPRESS', ssh: ssh() }),
+      { status: 400, message: /by port instead of by name/ },
+    );
+  });
+});
+
+describe('ssh connect settings', () => {
+  it('need a password or a private key', () => {
+    const base = { host: 'h', user: 'u', database: 'd' };
+    assert.equal(postgresDriver.configSchema.safeParse({ ...base, ssh: { host: 'bastion', user: 'ops' } }).success, false);
+    assert.equal(postgresDriver.configSchema.safeParse({ ...base, ssh: { host: 'bastion', user: 'ops', password: 'x' } }).success, true);
+    assert.equal(mssqlDriver.configSchema.safeParse({ server: 's', user: 'u', database: 'd', ssh: { host: 'bastion', user: 'ops', privateKey: 'nope' } }).success, false);
+  });
+});
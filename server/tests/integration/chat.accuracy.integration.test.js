@@ -1,6 +1,10 @@
 import { describe, test, expect, beforeAll } from '@jest/globals';
 import { chatService } from '../services/chat.service.js';
-import { postgresService } from '../services/postgres.service.js';
+import { connectionService } from '../services/connection.service.js';
+import { postgresDriver } from '../drivers/postgres.driver.js';
+
+// Connections belong to a session; this suite acts as a single one
+const SESSION_ID = 'chat-accuracy';
 
 const PRICE_INPUT  = 0.15;
 const PRICE_OUTPUT = 0.60;
@@ -27,9 +31,9 @@ function printMetrics(label, result) {
 }
 
 beforeAll(async () => {
-  const conn = await postgresService.connectDemo();
+  const conn = await connectionService.connectDemo(SESSION_ID, postgresDriver);
   if (!conn.ok) throw new Error(`Demo DB connection failed: ${conn.error}`);
-  const snap = await postgresService.buildExplorerSnapshot();
+  const snap = await connectionService.buildExplorerSnapshot(SESSION_ID, postgresDriver);
   if (!snap.ok) throw new Error(`Snapshot failed: ${snap.error}`);
 }, 120_000);
 
@@ -64,7 +68,8 @@ const QUERIES = [
 describe('Chat accuracy — live integration', () => {
   for (const { name, prompt, expectTables } of QUERIES) {
     test(name, async () => {
-      const result = await chatService.sendMessage(prompt, crypto.randomUUID(), 'postgresql');
+      const context = await connectionService.getSchemaContext(SESSION_ID, postgresDriver);
+      const result = await chatService.sendMessage(prompt, crypto.randomUUID(), 'postgresql', { context });
       printMetrics(name, result);
 
       expect(result.sql).not.toBeNull();
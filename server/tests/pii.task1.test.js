@@ -1,7 +1,7 @@
 // TDD RED — Task 1: isLikelyPiiColumn guard order
 import { describe, it } from 'node:test';
 import assert from 'node:assert/strict';
-import { isLikelyPiiColumn } from '../services/postgres.service.js';
+import { isLikelyPiiColumn } from '../services/snapshot.service.js';
 
 describe('isLikelyPiiColumn — date-type guard ordering', () => {
   it('dob with data_type=date is flagged as PII (dob is PII even if stored as date)', () => {
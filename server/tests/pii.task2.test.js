@@ -1,7 +1,7 @@
 // TDD RED — Task 2: buildDummyValue ssn/dob/passport branches
 import { describe, it } from 'node:test';
 import assert from 'node:assert/strict';
-import { buildDummyValue } from '../services/postgres.service.js';
+import { buildDummyValue } from '../services/snapshot.service.js';
 
 describe('buildDummyValue — ssn, dob, and passport branches', () => {
   it('integer SSN returns ***-**-****', () => {
@@ -7,7 +7,7 @@ import {
   buildDummyValue,
   sanitizeSamples,
   generateTableDescriptions,
-} from '../services/postgres.service.js';
+} from '../services/snapshot.service.js';
 
 // ---------------------------------------------------------------------------
 // Shared schema fixture used by sanitizeSamples tests
@@ -349,7 +349,7 @@ describe('generateTableDescriptions — JSON parse failure (PII-04)', () => {
     const __filename = fileURLToPath(import.meta.url);
     const __dirname = path.dirname(__filename);
     const src = await fs.readFile(
-      path.resolve(__dirname, '../services/postgres.service.js'),
+      path.resolve(__dirname, '../services/snapshot.service.js'),
       'utf8',
     );
 
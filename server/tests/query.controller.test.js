@@ -1,6 +1,9 @@
-import { describe, it } from 'node:test';
+import { describe, it, beforeEach, afterEach } from 'node:test';
 import assert from 'node:assert/strict';
+import { PassThrough } from 'stream';
 import { queryController } from '../controllers/query.controller.js';
+import { chatService } from '../services/chat.service.js';
+import { connectionService } from '../services/connection.service.js';
 
 /** Minimal mock res that captures status + json calls. */
 function mockRes() {
@@ -51,3 +54,297 @@ describe('POST /api/query', () => {
     }
   });
 });
+
+describe('POST /api/query/execute', () => {
+  let originalExecute;
+
+  beforeEach(() => {
+    originalExecute = connectionService.executeQuery;
+  });
+
+  afterEach(() => {
+    connectionService.executeQuery = originalExecute;
+  });
+
+  it('missing sql returns 400', async () => {
+    const req = { body: { dialect: 'postgres' } };
+    const res = mockRes();
+    await queryController.executeQuery(req, res);
+    assert.equal(res._status, 400);
+    assert.ok(res._body?.error, 'response should contain an error field');
+  });
+
+  it('unknown dialect returns 400', async () => {
+    const req = { body: { sql: 'SELECT 1', dialect: 'oracle' } };
+    const res = mockRes();
+    await queryController.executeQuery(req, res);
+    assert.equal(res._status, 400);
+    assert.match(res._body.error, /Unsupported dialect/);
+  });
+
+  it('defaults to the Postgres driver and returns its result set', async () => {
+    const body = { columns: [{ name: 'n', type: 'integer' }], rows: [[1]], rowCount: 1, durationMs: 3 };
+    let received = null;
+    connectionService.executeQuery = async (sessionId, driver, sqlText) => {
+      received = { sessionId, driver: driver.name, sqlText };
+      return { ok: true, body };
+    };
+
+    const req = { body: { sql: 'SELECT 1 AS n' }, sessionID: 's1' };
+    const res = mockRes();
+    await queryController.executeQuery(req, res);
+    assert.equal(res._status, 200);
+    assert.deepEqual(received, { sessionId: 's1', driver: 'postgres', sqlText: 'SELECT 1 AS n' });
+    assert.deepEqual(res._body, { ...body, piiPolicy: 'mask', piiColumns: [], piiColumnsMasked: [] });
+  });
+
+  it('masks PII columns in the result set by default', async () => {
+    connectionService.executeQuery = async () => ({
+      ok: true,
+      body: {
+        columns: [{ name: 'Client Email', type: 'text' }, { name: 'total', type: 'numeric' }],
+        rows: [['ada@example.org', '12.50'], ['alan@example.org', '3.00']],
+        rowCount: 2,
+        durationMs: 4,
+      },
+    });
+
+    const res = mockRes();
+    await queryController.executeQuery({ body: { sql: 'SELECT email, total FROM t' }, sessionID: 's1' }, res);
+    assert.equal(res._status, 200);
+    assert.deepEqual(res._body.piiColumnsMasked, ['Client Email']);
+    assert.ok(!res._body.rows.some(([email]) => email.includes('ada') || email.includes('alan')));
+    assert.deepEqual(res._body.rows.map((row) => row[1]), ['12.50', '3.00']);
+  });
+
+  it('routes each dialect to its driver', async () => {
+    const received = [];
+    connectionService.executeQuery = async (sessionId, driver) => {
+      received.push(driver.name);
+      return { ok: true, body: { columns: [], rows: [], rowCount: 0, durationMs: 1 } };
+    };
+
+    for (const dialect of ['sqlserver', 'mysql', 'sqlite']) {
+      const res = mockRes();
+      await queryController.executeQuery({ body: { sql: 'SELECT 1', dialect } }, res);
+      assert.equal(res._status, 200);
+    }
+    assert.deepEqual(received, ['sqlserver', 'mysql', 'sqlite']);
+  });
+
+  it('returns 503 when no connection is available', async () => {
+    const req = { body: { sql: 'SELECT 1', dialect: 'postgres' } };
+    const res = mockRes();
+    await queryController.executeQuery(req, res);
+    assert.equal(res._status, 503);
+    assert.ok(res._body?.error);
+  });
+});
+
+describe('POST /api/query/explain', () => {
+  let originalExplain;
+
+  beforeEach(() => {
+    originalExplain = connectionService.explainQuery;
+  });
+
+  afterEach(() => {
+    connectionService.explainQuery = originalExplain;
+  });
+
+  it('returns the plan from the dialect\'s driver', async () => {
+    const body = { plan: { operation: 'Table Scan', children: [] }, fullScans: ['dbo.t'], durationMs: 2 };
+    let receivedDriver = null;
+    connectionService.explainQuery = async (sessionId, driver) => {
+      receivedDriver = driver.name;
+      return { ok: true, body };
+    };
+
+    const res = mockRes();
+    await queryController.explainQuery({ body: { sql: 'SELECT * FROM t', dialect: 'sqlserver' } }, res);
+    assert.equal(res._status, 200);
+    assert.equal(receivedDriver, 'sqlserver');
+    assert.deepEqual(res._body, body);
+  });
+
+  it('passes through service errors', async () => {
+    const res = mockRes();
+    await queryController.explainQuery({ body: { sql: 'DELETE FROM t', dialect: 'postgres' } }, res);
+    assert.equal(res._status, 422);
+    assert.ok(Array.isArray(res._body.reasons));
+  });
+});
+
+describe('POST /api/query/export', () => {
+  let originals;
+
+  beforeEach(() => {
+    originals = { validateQuery: connectionService.validateQuery, openExport: connectionService.openExport };
+  });
+
+  afterEach(() => {
+    connectionService.validateQuery = originals.validateQuery;
+    connectionService.openExport = originals.openExport;
+  });
+
+  it('rejects unknown formats', async () => {
+    const res = mockRes();
+    await queryController.createExport({ body: { sql: 'SELECT 1', format: 'pdf' }, sessionID: 's1' }, res);
+    assert.equal(res._status, 400);
+  });
+
+  it('returns the validation error instead of a download link', async () => {
+    connectionService.validateQuery = async () => ({ ok: false, status: 400, body: { error: 'column "nme" does not exist' } });
+    const res = mockRes();
+    await queryController.createExport({ body: { sql: 'SELECT nme FROM t', format: 'csv' }, sessionID: 's1' }, res);
+    assert.equal(res._status, 400);
+    assert.equal(res._body.error, 'column "nme" does not exist');
+  });
+
+  it('issues a one-time download link that streams the export', async () => {
+    connectionService.validateQuery = async () => ({ ok: true, body: { valid: true } });
+    connectionService.openExport = async () => ({
+      ok: true,
+      columns: [{ name: 'n' }],
+      batches: (async function* () { yield { rows: [[1], [2]] }; })(),
+    });
+
+    const created = mockRes();
+    await queryController.createExport({ body: { sql: 'SELECT n FROM t', format: 'csv' }, sessionID: 's1' }, created);
+    assert.equal(created._status, 201);
+    const token = created._body.downloadUrl.split('/').pop();
+
+    const out = new PassThrough();
+    const headers = {};
+    out.setHeader = (name, value) => { headers[name] = value; };
+    const chunks = [];
+    out.on('data', (chunk) => chunks.push(chunk));
+    await queryController.downloadExport({ params: { token }, sessionID: 's1' }, out);
+    assert.match(headers['Content-Disposition'], /attachment; filename="querify-export-.*\.csv"/);
+    assert.equal(Buffer.concat(chunks).toString('utf8').slice(1), 'n\r\n1\r\n2\r\n');
+
+    const again = mockRes();
+    await queryController.downloadExport({ params: { token }, sessionID: 's1' }, again);
+    assert.equal(again._status, 404);
+  });
+
+  it('applies the PII policy to exported rows', async () => {
+    connectionService.validateQuery = async () => ({ ok: true, body: { valid: true } });
+    connectionService.openExport = async () => ({
+      ok: true,
+      columns: [{ name: 'email' }],
+      batches: (async function* () { yield { rows: [['ada@example.org']] }; })(),
+    });
+
+    const created = mockRes();
+    await queryController.createExport({ body: { sql: 'SELECT email FROM t', format: 'ndjson' }, sessionID: 's1' }, created);
+    const token = created._body.downloadUrl.split('/').pop();
+
+    const out = new PassThrough();
+    out.setHeader = () => {};
+    const chunks = [];
+    out.on('data', (chunk) => chunks.push(chunk));
+    await queryController.downloadExport({ params: { token }, sessionID: 's1' }, out);
+    const [line] = Buffer.concat(chunks).toString('utf8').trim().split('\n');
+    assert.notEqual(JSON.parse(line).email, 'ada@example.org');
+  });
+});
+
+describe('POST /api/query self-repair verifier', () => {
+  let originals;
+
+  beforeEach(() => {
+    originals = {
+      sendMessage: chatService.sendMessage,
+      getStatus: connectionService.getStatus,
+      validateQuery: connectionService.validateQuery,
+    };
+  });
+
+  afterEach(() => {
+    chatService.sendMessage = originals.sendMessage;
+    connectionService.getStatus = originals.getStatus;
+    connectionService.validateQuery = originals.validateQuery;
+  });
+
+  /** Capture the verifySql option the controller hands to chatService. */
+  async function captureVerifier(question) {
+    let options = null;
+    chatService.sendMessage = async (_prompt, _id, _dialect, opts) => {
+      options = opts;
+      return { sql: 'SELECT 1', explanation: '', attempts: [{ sql: 'SELECT 1', error: null }] };
+    };
+    const res = mockRes();
+    await queryController.handleQuery(
+      { body: { question, conversationId: '123e4567-e89b-12d3-a456-426614174000', dialect: 'postgres' } },
+      res,
+    );
+    return { verifySql: options?.verifySql, res };
+  }
+
+  it('passes no verifier when the dialect has no open connection', async () => {
+    connectionService.getStatus = () => ({ available: false });
+    const { verifySql, res } = await captureVerifier('repair: offline');
+    assert.equal(verifySql, undefined);
+    assert.deepEqual(res._body.attempts, [{ sql: 'SELECT 1', error: null }]);
+    assert.deepEqual(res._body.validation, { status: 'skipped', error: null });
+  });
+
+  it('answers 503 without asking the model when the session\'s connection has closed', async () => {
+    connectionService.getStatus = () => ({ available: false });
+    let asked = false;
+    chatService.sendMessage = async () => {
+      asked = true;
+      return { sql: null, explanation: '' };
+    };
+
+    const res = mockRes();
+    await queryController.handleQuery({
+      body: { question: 'lost: reaped', conversationId: '123e4567-e89b-12d3-a456-426614174000', dialect: 'postgres' },
+      sessionID: 's1',
+      session: { connected: true, connections: { postgres: { kind: 'demo', label: 'Demo PostgreSQL' } } },
+    }, res);
+    assert.equal(res._status, 503);
+    assert.equal(asked, false);
+  });
+
+  it('reports the dry run of the final SQL as validation', async () => {
+    connectionService.getStatus = () => ({ available: true });
+    connectionService.validateQuery = async () => ({ ok: false, status: 400, body: { error: 'relation "nope" does not exist' } });
+    chatService.sendMessage = async (_prompt, _id, _dialect, { verifySql }) => {
+      const check = await verifySql('SELECT * FROM nope');
+      return { sql: 'SELECT * FROM nope', explanation: '', attempts: [{ sql: 'SELECT * FROM nope', error: check.error }] };
+    };
+
+    const res = mockRes();
+    await queryController.handleQuery(
+      { body: { question: 'validation: invalid', conversationId: '123e4567-e89b-12d3-a456-426614174000', dialect: 'postgres' } },
+      res,
+    );
+    assert.equal(res._status, 200);
+    assert.deepEqual(res._body.validation, { status: 'invalid', error: 'relation "nope" does not exist' });
+  });
+
+  it('maps database errors and safety rejections to repairable failures', async () => {
+    connectionService.getStatus = () => ({ available: true });
+    const { verifySql } = await captureVerifier('repair: errors');
+
+    connectionService.validateQuery = async () => ({ ok: false, status: 400, body: { error: 'column "nme" does not exist' } });
+    assert.deepEqual(await verifySql('SELECT nme'), { ok: false, error: 'column "nme" does not exist', repairable: true });
+
+    connectionService.validateQuery = async () => ({
+      ok: false,
+      status: 422,
+      body: { error: 'Query rejected by SQL safety check', reasons: [{ code: 'SELECT_INTO', message: 'SELECT ... INTO creates a table and is not allowed.' }] },
+    });
+    const rejected = await verifySql('SELECT * INTO t FROM u');
+    assert.equal(rejected.repairable, true);
+    assert.match(rejected.error, /SELECT \.\.\. INTO/);
+
+    connectionService.validateQuery = async () => ({ ok: false, status: 408, body: { error: 'Query exceeded the 15000 ms time limit' } });
+    assert.equal((await verifySql('SELECT 1')).repairable, false);
+
+    connectionService.validateQuery = async () => ({ ok: true, body: {} });
+    assert.deepEqual(await verifySql('SELECT 1'), { ok: true });
+  });
+});
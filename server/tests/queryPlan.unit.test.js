@@ -0,0 +1,168 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { queryPlan } from '../services/queryPlan.js';
+
+describe('queryPlan.normalize() — Postgres', () => {
+  const explainPlan = {
+    'Node Type': 'Hash Join',
+    'Join Type': 'Left',
+    'Startup Cost': 12.5,
+    'Total Cost': 480.25,
+    'Plan Rows': 1200,
+    Plans: [
+      {
+        'Node Type': 'Seq Scan',
+        'Parallel Aware': true,
+        'Relation Name': 'orders',
+        Schema: 'public',
+        'Startup Cost': 0,
+        'Total Cost': 310,
+        'Plan Rows': 1200,
+      },
+      {
+        'Node Type': 'Hash',
+        'Total Cost': 10,
+        'Plan Rows': 50,
+        Plans: [
+          { 'Node Type': 'Index Scan', 'Relation Name': 'users', 'Index Name': 'users_pkey', 'Total Cost': 8.3, 'Plan Rows': 50 },
+        ],
+      },
+    ],
+  };
+
+  it('builds a tree with labels, costs and row estimates', () => {
+    const { plan } = queryPlan.normalize('postgres', explainPlan);
+    assert.equal(plan.operation, 'Hash Left Join');
+    assert.equal(plan.cost, 480.25);
+    assert.equal(plan.startupCost, 12.5);
+    assert.equal(plan.rows, 1200);
+    assert.equal(plan.children[0].operation, 'Parallel Seq Scan');
+    assert.equal(plan.children[0].relation, 'public.orders');
+    assert.deepEqual(
+      { relation: plan.children[1].children[0].relation, index: plan.children[1].children[0].index },
+      { relation: 'users', index: 'users_pkey' },
+    );
+  });
+
+  it('flags sequential scans', () => {
+    const { plan, fullScans } = queryPlan.normalize('postgres', explainPlan);
+    assert.equal(plan.children[0].fullScan, true);
+    assert.equal(plan.children[1].children[0].fullScan, false);
+    assert.deepEqual(fullScans, ['public.orders']);
+  });
+
+  it('returns an empty plan for missing input', () => {
+    assert.deepEqual(queryPlan.normalize('postgres', null), { plan: null, fullScans: [] });
+  });
+});
+
+describe('queryPlan.normalize() — SQL Server showplan XML', () => {
+  const showplan = `<?xml version="1.0" encoding="utf-16"?>
+<ShowPlanXML xmlns="http://schemas.microsoft.com/sqlserver/2004/07/showplan" Version="1.564">
+  <BatchSequence><Batch><Statements>
+    <StmtSimple StatementText="SELECT u.name, o.total FROM dbo.users u JOIN dbo.orders o ON o.user_id = u.id">
+      <QueryPlan>
+        <RelOp NodeId="0" PhysicalOp="Hash Match" LogicalOp="Inner Join" EstimateRows="980" EstimatedTotalSubtreeCost="1.254">
+          <OutputList><ColumnReference Database="[shop]" Schema="[dbo]" Table="[users]" Column="name" /></OutputList>
+          <Hash>
+            <RelOp NodeId="1" PhysicalOp="Clustered Index Scan" LogicalOp="Clustered Index Scan" EstimateRows="50" EstimatedTotalSubtreeCost="0.0033">
+              <IndexScan Ordered="0">
+                <DefinedValues><DefinedValue><ColumnReference Table="[users]" Column="id" /></DefinedValue></DefinedValues>
+                <Object Database="[shop]" Schema="[dbo]" Table="[users]" Index="[PK_users]" />
+              </IndexScan>
+            </RelOp>
+            <RelOp NodeId="2" PhysicalOp="Index Seek" LogicalOp="Index Seek" EstimateRows="19.6" EstimatedTotalSubtreeCost="0.61">
+              <IndexScan Ordered="1">
+                <Object Database="[shop]" Schema="[dbo]" Table="[orders]" Index="[IX_orders_user_id]" />
+              </IndexScan>
+            </RelOp>
+          </Hash>
+        </RelOp>
+      </QueryPlan>
+    </StmtSimple>
+  </Statements></Batch></BatchSequence>
+</ShowPlanXML>`;
+
+  it('nests RelOp elements and reads table/index from Object', () => {
+    const { plan } = queryPlan.normalize('sqlserver', showplan);
+    assert.equal(plan.operation, 'Hash Match');
+    assert.equal(plan.cost, 1.254);
+    assert.equal(plan.rows, 980);
+    assert.equal(plan.relation, null);
+    assert.equal(plan.children.length, 2);
+    assert.deepEqual(
+      plan.children.map((child) => [child.operation, child.relation, child.index]),
+      [
+        ['Clustered Index Scan', 'dbo.users', 'PK_users'],
+        ['Index Seek', 'dbo.orders', 'IX_orders_user_id'],
+      ],
+    );
+  });
+
+  it('flags table and clustered index scans', () => {
+    const { fullScans } = queryPlan.normalize('sqlserver', showplan);
+    assert.deepEqual(fullScans, ['dbo.users']);
+  });
+});
+
+describe('queryPlan.normalize() — MySQL EXPLAIN FORMAT=JSON', () => {
+  const explain = {
+    query_block: {
+      select_id: 1,
+      cost_info: { query_cost: '12.75' },
+      ordering_operation: {
+        using_filesort: true,
+        nested_loop: [
+          { table: { table_name: 'o', access_type: 'ALL', rows_examined_per_scan: 40, cost_info: { prefix_cost: '4.25' } } },
+          { table: { table_name: 'c', access_type: 'eq_ref', key: 'PRIMARY', rows_examined_per_scan: 1, cost_info: { prefix_cost: '12.75' } } },
+        ],
+      },
+    },
+  };
+
+  it('nests wrappers and joins under the query block', () => {
+    const { plan } = queryPlan.normalize('mysql', explain);
+    assert.equal(plan.operation, 'Select');
+    assert.equal(plan.cost, 12.75);
+    const [sort] = plan.children;
+    assert.equal(sort.operation, 'Sort');
+    const [loop] = sort.children;
+    assert.equal(loop.operation, 'Nested Loop');
+    assert.deepEqual(
+      loop.children.map((child) => [child.operation, child.relation, child.index, child.rows]),
+      [
+        ['Full Table Scan', 'o', null, 40],
+        ['Unique Key Lookup', 'c', 'PRIMARY', 1],
+      ],
+    );
+  });
+
+  it('flags ALL access as a full scan', () => {
+    assert.deepEqual(queryPlan.normalize('mysql', explain).fullScans, ['o']);
+  });
+});
+
+describe('queryPlan.normalize() — SQLite EXPLAIN QUERY PLAN', () => {
+  const rows = [
+    { id: 2, parent: 0, notused: 0, detail: 'SCAN o' },
+    { id: 5, parent: 0, notused: 0, detail: 'SEARCH c USING INTEGER PRIMARY KEY (rowid=?)' },
+    { id: 9, parent: 0, notused: 0, detail: 'USE TEMP B-TREE FOR ORDER BY' },
+  ];
+
+  it('rebuilds the tree from parent ids', () => {
+    const { plan } = queryPlan.normalize('sqlite', rows);
+    assert.equal(plan.operation, 'Query');
+    assert.deepEqual(
+      plan.children.map((child) => [child.operation, child.relation, child.index]),
+      [
+        ['SCAN', 'o', null],
+        ['SEARCH', 'c', 'rowid'],
+        ['USE TEMP B-TREE FOR ORDER BY', null, null],
+      ],
+    );
+  });
+
+  it('flags SCAN steps as full scans', () => {
+    assert.deepEqual(queryPlan.normalize('sqlite', rows).fullScans, ['o']);
+  });
+});
@@ -0,0 +1,87 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { PassThrough } from 'stream';
+import ExcelJS from 'exceljs';
+import { resultExport } from '../services/resultExport.js';
+
+const COLUMNS = [{ name: 'id' }, { name: 'note' }, { name: 'id' }];
+
+async function* batchesOf(...batches) {
+  for (const rows of batches) yield { rows };
+}
+
+/** Run an export into a PassThrough and collect everything written. */
+async function exportToBuffer(format, columns, batches) {
+  const out = new PassThrough();
+  const chunks = [];
+  out.on('data', (chunk) => chunks.push(chunk));
+  const ended = new Promise((resolve) => out.on('end', resolve));
+  await resultExport.write(format, out, columns, batches);
+  await ended;
+  return Buffer.concat(chunks);
+}
+
+describe('resultExport.write() — csv', () => {
+  it('writes a BOM, header and escaped rows with CRLF line endings', async () => {
+    const buffer = await exportToBuffer('csv', COLUMNS, batchesOf(
+      [[1, 'plain', 10], [2, 'has, comma', 20]],
+      [[3, 'say "hi"\nthere', null]],
+    ));
+    const text = buffer.toString('utf8');
+    assert.equal(text.charCodeAt(0), 0xfeff);
+    assert.equal(
+      text.slice(1),
+      'id,note,id\r\n1,plain,10\r\n2,"has, comma",20\r\n3,"say ""hi""\nthere",\r\n',
+    );
+  });
+
+  it('neutralises values that spreadsheets would read as formulas', async () => {
+    const buffer = await exportToBuffer('csv', [{ name: 'v' }], batchesOf([['=SUM(A1:A2)'], ['@cmd'], [-5]]));
+    assert.equal(buffer.toString('utf8').slice(1), "v\r\n'=SUM(A1:A2)\r\n'@cmd\r\n-5\r\n");
+  });
+});
+
+describe('resultExport.write() — ndjson', () => {
+  it('writes one object per line and de-duplicates column names', async () => {
+    const when = new Date('2026-01-02T03:04:05.000Z');
+    const buffer = await exportToBuffer('ndjson', COLUMNS, batchesOf([[1, when, 7], [2, { a: 1 }, null]]));
+    const lines = buffer.toString('utf8').trim().split('\n').map((line) => JSON.parse(line));
+    assert.deepEqual(lines, [
+      { id: 1, note: '2026-01-02T03:04:05.000Z', id_2: 7 },
+      { id: 2, note: '{"a":1}', id_2: null },
+    ]);
+  });
+});
+
+describe('resultExport.write() — xlsx', () => {
+  it('produces a workbook with a header row and the data', async () => {
+    const buffer = await exportToBuffer('xlsx', [{ name: 'id' }, { name: 'name' }], batchesOf([[1, 'Acme'], [2, 'Globex']]));
+    assert.equal(buffer.subarray(0, 2).toString(), 'PK');
+
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(buffer);
+    const sheet = workbook.getWorksheet('Results');
+    assert.deepEqual(sheet.getRow(1).values.slice(1), ['id', 'name']);
+    assert.deepEqual(sheet.getRow(3).values.slice(1), [2, 'Globex']);
+  });
+});
+
+describe('resultExport tickets', () => {
+  it('redeems a ticket once for the session that created it', () => {
+    const token = resultExport.createTicket({ sql: 'SELECT 1', dialect: 'postgres', format: 'csv', sessionId: 's1' });
+    assert.deepEqual(resultExport.redeemTicket(token, 's1'), { sql: 'SELECT 1', dialect: 'postgres', format: 'csv' });
+    assert.equal(resultExport.redeemTicket(token, 's1'), null);
+  });
+
+  it('rejects tickets from another session', () => {
+    const token = resultExport.createTicket({ sql: 'SELECT 1', dialect: 'postgres', format: 'csv', sessionId: 's1' });
+    assert.equal(resultExport.redeemTicket(token, 's2'), null);
+  });
+
+  it('builds timestamped file names', () => {
+    assert.equal(
+      resultExport.fileName('xlsx', new Date('2026-10-18T14:25:01.123Z')),
+      'querify-export-20261018-142501.xlsx',
+    );
+  });
+});
@@ -0,0 +1,99 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { resultMasking } from '../services/resultMasking.js';
+import { getDefaultPiiPolicy } from '../services/piiPolicy.js';
+
+const COLUMNS = [{ name: 'id', type: 'integer' }, { name: 'Customer Email', type: 'text' }, { name: 'contact', type: 'text' }];
+const ROWS = [
+  [1, 'ada@example.org', 'ada@example.org'],
+  [2, 'alan@example.org', null],
+];
+const CONTEXT = { sessionId: 's1', dialect: 'postgres', sql: 'SELECT id, email, contact FROM customers' };
+
+describe('resultMasking.createMasker()', () => {
+  it('detects PII by alias name and by sampled values', () => {
+    const masker = resultMasking.createMasker(COLUMNS, { ...CONTEXT, policy: 'mask' });
+    masker.maskRows(ROWS);
+    assert.deepEqual(masker.piiColumns, ['Customer Email', 'contact']);
+    assert.deepEqual(masker.maskedColumns, ['Customer Email', 'contact']);
+  });
+
+  it('mask replaces values with dummies, keeps nulls and numbering across batches', () => {
+    const masker = resultMasking.createMasker(COLUMNS, { ...CONTEXT, policy: 'mask' });
+    const first = masker.maskRows(ROWS);
+    const second = masker.maskRows([[3, 'grace@example.org', null]]);
+    assert.deepEqual(first.map((row) => row[1]), ['user1@example.com', 'user2@example.com']);
+    assert.equal(first[1][2], null);
+    assert.equal(second[0][1], 'user3@example.com');
+    assert.deepEqual(first.map((row) => row[0]), [1, 2]);
+    assert.equal(ROWS[0][1], 'ada@example.org', 'input rows are not mutated');
+  });
+
+  it('hash gives equal inputs equal hashes', () => {
+    const masker = resultMasking.createMasker(COLUMNS, { ...CONTEXT, policy: 'hash' });
+    const [row] = masker.maskRows(ROWS);
+    assert.match(row[1], /^#[0-9a-f]{12}$/);
+    assert.equal(row[1], row[2]);
+    assert.notEqual(row[1], 'ada@example.org');
+  });
+
+  it('leaves result sets without PII untouched', () => {
+    const rows = [[1, 'open'], [2, 'closed']];
+    const masker = resultMasking.createMasker([{ name: 'id' }, { name: 'status' }], { ...CONTEXT, policy: 'mask' });
+    assert.equal(masker.maskRows(rows), rows);
+    assert.deepEqual(masker.piiColumns, []);
+  });
+
+  describe("'show' policy", () => {
+    let warn;
+
+    beforeEach(() => {
+      warn = mock.method(console, 'warn', () => {});
+    });
+
+    afterEach(() => {
+      warn.mock.restore();
+    });
+
+    it('returns raw values and writes one audit line on finish', () => {
+      const masker = resultMasking.createMasker(COLUMNS, { ...CONTEXT, policy: 'show' });
+      assert.deepEqual(masker.maskRows(ROWS), ROWS);
+      assert.deepEqual(masker.maskedColumns, []);
+      assert.equal(warn.mock.callCount(), 0);
+
+      masker.finish();
+      assert.equal(warn.mock.callCount(), 1);
+      const [prefix, line] = warn.mock.calls[0].arguments;
+      assert.equal(prefix, '[pii-audit]');
+      const entry = JSON.parse(line);
+      assert.equal(entry.sessionId, 's1');
+      assert.deepEqual(entry.columns, ['Customer Email', 'contact']);
+      assert.equal(entry.rowCount, 2);
+    });
+
+    it('does not audit when no PII was returned', () => {
+      const masker = resultMasking.createMasker([{ name: 'id' }], { ...CONTEXT, policy: 'show' });
+      masker.maskRows([[1]]);
+      masker.finish();
+      assert.equal(warn.mock.callCount(), 0);
+    });
+  });
+});
+
+describe('getDefaultPiiPolicy()', () => {
+  const original = process.env.PII_RESULT_POLICY;
+
+  afterEach(() => {
+    if (original === undefined) delete process.env.PII_RESULT_POLICY;
+    else process.env.PII_RESULT_POLICY = original;
+  });
+
+  it('reads PII_RESULT_POLICY and falls back to mask', () => {
+    process.env.PII_RESULT_POLICY = 'HASH';
+    assert.equal(getDefaultPiiPolicy(), 'hash');
+    process.env.PII_RESULT_POLICY = 'nonsense';
+    assert.equal(getDefaultPiiPolicy(), 'mask');
+    delete process.env.PII_RESULT_POLICY;
+    assert.equal(getDefaultPiiPolicy(), 'mask');
+  });
+});
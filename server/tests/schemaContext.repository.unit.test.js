@@ -0,0 +1,128 @@
+import { describe, it, before, after, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import OpenAI from 'openai';
+import {
+  schemaContextRepository,
+  useSchemaContextBackend,
+  createMemoryBackend,
+  createFileBackend,
+} from '../repositories/schemaContext.repository.js';
+import { writeExplorerSnapshot, clearExplorerSnapshot, snapshotService } from '../services/snapshot.service.js';
+
+process.env.OPENROUTER_API_KEY ??= 'test-key';
+
+const postgres = { name: 'postgres' };
+const sqlserver = { name: 'sqlserver' };
+
+// Adapter over a one-table database whose name is the pool's
+function snapshotDriver() {
+  return {
+    name: 'fake',
+    async getSchema(pool) {
+      return [{ table_name: pool.table, table_type: 'BASE TABLE', column_name: 'id', data_type: 'integer', is_primary: true }];
+    },
+    async getTables(pool) {
+      return [pool.table];
+    },
+    async getSampleRows() {
+      return [{ id: 1 }];
+    },
+  };
+}
+
+describe('schemaContextRepository — memory backend', () => {
+  afterEach(() => {
+    useSchemaContextBackend(null);
+  });
+
+  it('keeps one context per session and driver', async () => {
+    useSchemaContextBackend(createMemoryBackend());
+    await schemaContextRepository.update('alice', postgres, { markdown: '# alice' });
+    await schemaContextRepository.update('bob', postgres, { markdown: '# bob' });
+    await schemaContextRepository.update('alice', sqlserver, { metadata: { t: {} } });
+
+    assert.deepEqual(await schemaContextRepository.get('alice', postgres), { markdown: '# alice', metadata: null, introspection: null });
+    assert.equal((await schemaContextRepository.get('bob', postgres)).markdown, '# bob');
+    assert.deepEqual((await schemaContextRepository.get('alice', sqlserver)).metadata, { t: {} });
+    assert.equal(await schemaContextRepository.get('carol', postgres), null);
+  });
+
+  it('merges updates and forgets cleared contexts', async () => {
+    useSchemaContextBackend(createMemoryBackend());
+    await schemaContextRepository.update('alice', postgres, { markdown: '# alice' });
+    await schemaContextRepository.update('alice', postgres, { introspection: { tables: [], descriptions: {} } });
+    assert.equal((await schemaContextRepository.get('alice', postgres)).markdown, '# alice');
+
+    await schemaContextRepository.clear('alice', postgres);
+    assert.equal(await schemaContextRepository.get('alice', postgres), null);
+  });
+});
+
+describe('schemaContextRepository — file backend', () => {
+  let dir;
+
+  before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'querify-context-'));
+  });
+
+  after(async () => {
+    useSchemaContextBackend(null);
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('survives a new backend instance and names files by hash, not session ID', async () => {
+    useSchemaContextBackend(createFileBackend(dir));
+    await schemaContextRepository.update('secret-session-id', postgres, { markdown: '# persisted' });
+
+    useSchemaContextBackend(createFileBackend(dir));
+    assert.equal((await schemaContextRepository.get('secret-session-id', postgres)).markdown, '# persisted');
+
+    const files = await fs.readdir(dir);
+    assert.equal(files.length, 1);
+    assert.match(files[0], /^[0-9a-f]{64}\.json$/);
+
+    await schemaContextRepository.clear('secret-session-id', postgres);
+    assert.deepEqual(await fs.readdir(dir), []);
+    await schemaContextRepository.clear('secret-session-id', postgres); // already gone: no-op
+  });
+});
+
+describe('explorer snapshots per session', () => {
+  before(() => {
+    useSchemaContextBackend(createMemoryBackend());
+  });
+
+  after(() => {
+    useSchemaContextBackend(null);
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('stores each session\'s snapshot where only that session reads it', async () => {
+    mock.method(OpenAI.Chat.Completions.prototype, 'create', async (params) => {
+      const table = params.messages[0].content.includes('invoices') ? 'invoices' : 'tickets';
+      return { choices: [{ message: { content: JSON.stringify({ [table]: `All ${table}` }) } }] };
+    });
+    const driver = snapshotDriver();
+
+    await writeExplorerSnapshot('alice', { table: 'invoices' }, driver);
+    await writeExplorerSnapshot('bob', { table: 'tickets' }, driver);
+
+    const alice = await schemaContextRepository.get('alice', driver);
+    assert.match(alice.markdown, /invoices/);
+    assert.doesNotMatch(alice.markdown, /tickets/);
+    assert.deepEqual(Object.keys(alice.metadata).filter((name) => !name.startsWith('_')), ['invoices']);
+
+    assert.deepEqual((await snapshotService.getTableDescriptions('alice', driver)).body, { invoices: 'All invoices' });
+    assert.deepEqual((await snapshotService.getTableDescriptions('bob', driver)).body, { tickets: 'All tickets' });
+
+    await clearExplorerSnapshot('alice', driver);
+    assert.deepEqual((await snapshotService.getTableDescriptions('alice', driver)).body, {});
+    assert.match((await schemaContextRepository.get('bob', driver)).markdown, /tickets/);
+  });
+});
@@ -2,7 +2,7 @@
  * Security hardening unit tests — Phase 04
  *
  * GAP 1 (SEC-01 T1): connectLimiter is exported from rateLimiter.js and is callable as middleware
- * GAP 2 (SEC-01 T2): All 5 connect routes in routes.js have connectLimiter wired before the controller
+ * GAP 2 (SEC-01 T2): All 6 connect routes in routes.js have connectLimiter wired before the controller
  * GAP 3 (SEC-02 T1): POSTGRES_SSL_REJECT_UNAUTHORIZED env var expression evaluates correctly
  * GAP 4 (SEC-03 T1): server.js WEAK_SECRETS guard contains expected values and uses console.error before app.listen
  */
@@ -49,10 +49,10 @@ describe('SEC-01 T1 — connectLimiter is exported and is a middleware function'
 });
 
 // ---------------------------------------------------------------------------
-// GAP 2 — SEC-01 T2: All 5 connect routes have connectLimiter wired
+// GAP 2 — SEC-01 T2: All 6 connect routes have connectLimiter wired
 // ---------------------------------------------------------------------------
 
-describe('SEC-01 T2 — All 5 connect routes in routes.js have connectLimiter applied', () => {
+describe('SEC-01 T2 — All 6 connect routes in routes.js have connectLimiter applied', () => {
   const routesSource = readFileSync(
     path.join(serverRoot, 'routes.js'),
     'utf8'
@@ -62,8 +62,9 @@ describe('SEC-01 T2 — All 5 connect routes in routes.js have connectLimiter ap
     '/db/connect-demo',
     '/db/connect',
     '/api/connect',
-    '/db/connect-demo-sqlserver',
-    '/db/connect-sqlserver',
+    '/db/:driver/connect-demo',
+    '/db/:driver/connect',
+    '/db/:driver/upload',
   ];
 
   for (const routePath of CONNECT_ROUTES) {
@@ -126,25 +127,25 @@ describe('SEC-01 T2 — All 5 connect routes in routes.js have connectLimiter ap
 // ---------------------------------------------------------------------------
 
 describe('SEC-02 T1 — POSTGRES_SSL_REJECT_UNAUTHORIZED env var expression evaluates correctly', () => {
-  it('postgres.service.js contains the POSTGRES_SSL_REJECT_UNAUTHORIZED env var pattern', () => {
+  it('postgres.driver.js contains the POSTGRES_SSL_REJECT_UNAUTHORIZED env var pattern', () => {
     const serviceSource = readFileSync(
-      path.join(serverRoot, 'services', 'postgres.service.js'),
+      path.join(serverRoot, 'drivers', 'postgres.driver.js'),
       'utf8'
     );
 
     assert.ok(
       serviceSource.includes('POSTGRES_SSL_REJECT_UNAUTHORIZED'),
-      'postgres.service.js must reference POSTGRES_SSL_REJECT_UNAUTHORIZED'
+      'postgres.driver.js must reference POSTGRES_SSL_REJECT_UNAUTHORIZED'
     );
 
     assert.ok(
       serviceSource.includes("!== 'false'"),
-      "postgres.service.js must use !== 'false' pattern for secure-by-default behavior"
+      "postgres.driver.js must use !== 'false' pattern for secure-by-default behavior"
     );
   });
 
   it('env var absent (undefined) produces rejectUnauthorized: true (secure by default)', () => {
-    // Directly test the pure boolean logic from postgres.service.js line 27:
+    // Directly test the pure boolean logic from postgres.driver.js:
     //   const rejectUnauthorized = process.env.POSTGRES_SSL_REJECT_UNAUTHORIZED !== 'false';
     const envValue = undefined;
     const rejectUnauthorized = envValue !== 'false';
@@ -0,0 +1,87 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { promisify } from 'util';
+import session from 'express-session';
+import { SqliteSessionStore, createSessionStore } from '../repositories/session.repository.js';
+
+// express-session stores are callback-based
+function promised(store) {
+  return Object.fromEntries(['get', 'set', 'touch', 'destroy', 'length'].map((name) => [name, promisify(store[name].bind(store))]));
+}
+
+const inHours = (hours) => new Date(Date.now() + hours * 60 * 60 * 1000).toISOString();
+
+describe('SqliteSessionStore', () => {
+  let dir;
+  let file;
+
+  before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'querify-sessions-'));
+    file = path.join(dir, 'nested', 'sessions.sqlite');
+  });
+
+  after(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('keeps sessions across store instances, as across a restart', async () => {
+    const first = new SqliteSessionStore({ file });
+    await promised(first).set('sid-1', { cookie: { expires: inHours(8) }, connected: true, connections: { postgres: { kind: 'demo' } } });
+    first.close();
+
+    const second = new SqliteSessionStore({ file });
+    try {
+      const sess = await promised(second).get('sid-1');
+      assert.equal(sess.connected, true);
+      assert.deepEqual(sess.connections, { postgres: { kind: 'demo' } });
+      assert.equal(await promised(second).get('unknown'), null);
+    } finally {
+      second.close();
+    }
+  });
+
+  it('hides expired sessions, extends touched ones and prunes the rest', async () => {
+    const store = new SqliteSessionStore({ file: ':memory:' });
+    const api = promised(store);
+    try {
+      await api.set('old', { cookie: { expires: inHours(-1) } });
+      await api.set('live', { cookie: { expires: inHours(-1) } });
+      await api.touch('live', { cookie: { expires: inHours(1) } });
+
+      assert.equal(await api.get('old'), null);
+      assert.ok(await api.get('live'));
+      assert.equal(await api.length(), 1);
+      assert.equal(store.prune(), 1);
+
+      await api.destroy('live');
+      assert.equal(await api.get('live'), null);
+    } finally {
+      store.close();
+    }
+  });
+});
+
+describe('createSessionStore()', () => {
+  const saved = { store: process.env.SESSION_STORE, path: process.env.SESSION_STORE_PATH };
+
+  after(() => {
+    for (const [key, value] of [['SESSION_STORE', saved.store], ['SESSION_STORE_PATH', saved.path]]) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+  });
+
+  it('uses memory unless SESSION_STORE=sqlite', () => {
+    delete process.env.SESSION_STORE;
+    assert.ok(createSessionStore() instanceof session.MemoryStore);
+
+    process.env.SESSION_STORE = 'sqlite';
+    process.env.SESSION_STORE_PATH = ':memory:';
+    const store = createSessionStore();
+    assert.ok(store instanceof SqliteSessionStore);
+    store.close();
+  });
+});
@@ -0,0 +1,172 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  writeExplorerSnapshot,
+  buildSnapshotMarkdown,
+  groupForeignKeys,
+  constraintLines,
+  routineLines,
+  generateTableDescriptions,
+} from '../services/snapshot.service.js';
+
+describe('writeExplorerSnapshot()', () => {
+  it('throws when pool.query rejects (error propagates to caller)', async () => {
+    const badPool = {
+      query: async () => { throw new Error('connection refused'); },
+    };
+    await assert.rejects(() => writeExplorerSnapshot('session-1', badPool), /connection refused/);
+  });
+});
+
+describe('buildSnapshotMarkdown() views', () => {
+  const schemaRows = [
+    { table_name: 'customers', table_type: 'BASE TABLE', column_name: 'id', data_type: 'integer', is_primary: true },
+    { table_name: 'active_customers', table_type: 'VIEW', column_name: 'id', data_type: 'integer' },
+  ];
+
+  it('marks views in the table list and shows their definition', () => {
+    const markdown = buildSnapshotMarkdown({
+      generatedAt: new Date(0),
+      tables: ['active_customers', 'customers'],
+      schemaRows,
+      tableSamples: {},
+      viewDefinitions: { active_customers: 'SELECT id FROM customers WHERE active' },
+    });
+
+    assert.match(markdown, /^- active_customers \(view\)$/m);
+    assert.match(markdown, /^- customers$/m);
+    assert.match(markdown, /### active_customers \(view\)\n\nDefinition:\n\n```sql\nSELECT id FROM customers WHERE active\n```/);
+  });
+
+  it('truncates long definitions', () => {
+    const markdown = buildSnapshotMarkdown({
+      generatedAt: new Date(0),
+      tables: ['active_customers'],
+      schemaRows,
+      tableSamples: {},
+      viewDefinitions: { active_customers: `SELECT ${'x, '.repeat(1000)}1` },
+    });
+
+    assert.match(markdown, /-- … truncated\n```/);
+  });
+});
+
+describe('buildSnapshotMarkdown() foreign keys', () => {
+  const fk = (constraint_name, position, foreign_table, foreign_column) => ({ constraint_name, position, foreign_table, foreign_column });
+  const schemaRows = [
+    { table_name: 'shipments', column_name: 'order_id', data_type: 'integer', is_foreign: true, foreign_keys: [fk('shipments_line_fkey', 1, 'order_lines', 'order_id'), fk('shipments_order_fkey', 1, 'orders', 'id')] },
+    { table_name: 'shipments', column_name: 'line_no', data_type: 'integer', is_foreign: true, foreign_keys: [fk('shipments_line_fkey', 2, 'order_lines', 'line_no')] },
+  ];
+
+  it('lists one relationship per constraint with composite keys kept together', () => {
+    const markdown = buildSnapshotMarkdown({ generatedAt: new Date(0), tables: ['shipments'], schemaRows, tableSamples: {} });
+
+    assert.match(markdown, /^- shipments\(order_id, line_no\) -> order_lines\(order_id, line_no\)$/m);
+    assert.match(markdown, /^- shipments\.order_id -> orders\.id$/m);
+  });
+
+  it('shows every reference of a column in the References cell', () => {
+    const markdown = buildSnapshotMarkdown({ generatedAt: new Date(0), tables: ['shipments'], schemaRows, tableSamples: {} });
+
+    assert.match(markdown, /\| order_id \| integer \| FK \| order_lines\.order_id \(shipments_line_fkey: order_id, line_no → order_id, line_no\); orders\.id \|/);
+    assert.match(markdown, /\| line_no \| integer \| FK \| order_lines\.line_no \(shipments_line_fkey: order_id, line_no → order_id, line_no\) \|/);
+  });
+
+  it('groups constraints by table for table-metadata.json and /api/schema', () => {
+    assert.deepEqual(groupForeignKeys(schemaRows), {
+      shipments: [
+        { name: 'shipments_line_fkey', columns: ['order_id', 'line_no'], referencedTable: 'order_lines', referencedColumns: ['order_id', 'line_no'] },
+        { name: 'shipments_order_fkey', columns: ['order_id'], referencedTable: 'orders', referencedColumns: ['id'] },
+      ],
+    });
+  });
+});
+
+describe('constraintLines()', () => {
+  it('lists indexes with their type and predicate, then unique and check constraints', () => {
+    assert.deepEqual(constraintLines({
+      indexes: [
+        { name: 'orders_pkey', columns: ['id'], unique: true, primary: true, type: 'btree', predicate: null },
+        { name: 'orders_open_idx', columns: ['customer_id', 'created_at'], unique: false, primary: false, type: 'btree', predicate: "status = 'open'" },
+      ],
+      uniqueConstraints: [{ name: 'orders_number_key', columns: ['number'] }],
+      checkConstraints: [{ name: 'orders_status_check', columns: ['status'], definition: "CHECK (status IN ('open', 'closed'))" }],
+    }), [
+      'Indexes:',
+      '',
+      '- orders_pkey (btree, primary): id',
+      "- orders_open_idx (btree): customer_id, created_at WHERE status = 'open'",
+      '',
+      'Unique constraints:',
+      '',
+      '- orders_number_key: number',
+      '',
+      'Check constraints:',
+      '',
+      "- orders_status_check: CHECK (status IN ('open', 'closed'))",
+      '',
+    ]);
+  });
+
+  it('adds nothing for tables without them', () => {
+    assert.deepEqual(constraintLines(undefined), []);
+    assert.deepEqual(constraintLines({ indexes: [], uniqueConstraints: [], checkConstraints: [] }), []);
+  });
+});
+
+describe('routineLines()', () => {
+  const routines = [
+    { name: 'fiscal_quarter', type: 'FUNCTION', parameters: 'd date', returnType: 'integer', definition: 'SELECT EXTRACT(quarter FROM d)::int' },
+    { name: 'sales.top_customers', type: 'TABLE FUNCTION', parameters: 'n integer', returnType: 'TABLE(id integer)', definition: `SELECT ${'x, '.repeat(400)}1` },
+  ];
+
+  it('lists each routine by signature with a snippet of its body', () => {
+    const lines = routineLines(routines);
+    assert.deepEqual(lines.slice(0, 9), [
+      '## Routines',
+      '',
+      'These routines are approved for use in queries on this connection:',
+      '',
+      '### fiscal_quarter(d date) → integer (function)',
+      '',
+      '```sql',
+      'SELECT EXTRACT(quarter FROM d)::int',
+      '```',
+    ]);
+    assert.ok(lines.includes('### sales.top_customers(n integer) → TABLE(id integer) (table function)'));
+    assert.ok(lines.some((line) => line.endsWith('-- … truncated')), 'long bodies are cut short');
+  });
+
+  it('places the section before the table details, and leaves it out when nothing is approved', () => {
+    const args = { generatedAt: new Date(0), tables: [], schemaRows: [], tableSamples: {} };
+    assert.match(buildSnapshotMarkdown({ ...args, routines }), /## Relationships[\s\S]*## Routines[\s\S]*## Table Details/);
+    assert.doesNotMatch(buildSnapshotMarkdown(args), /## Routines/);
+  });
+});
+
+describe('database comments and enum types', () => {
+  const schemaRows = [
+    { table_name: 'orders', column_name: 'id', data_type: 'integer', is_primary: true, table_comment: 'One row per customer order', column_comment: null, enum_values: null },
+    { table_name: 'orders', column_name: 'status', data_type: 'order_status', table_comment: 'One row per customer order', column_comment: 'Lifecycle | state', enum_values: ['open', 'closed'] },
+  ];
+
+  it('shows the table comment, enum labels and a Description column', () => {
+    const markdown = buildSnapshotMarkdown({ generatedAt: new Date(0), tables: ['orders'], schemaRows, tableSamples: {} });
+
+    assert.match(markdown, /### orders\n\nOne row per customer order\n\nColumns:/);
+    assert.match(markdown, /^\| Name \| Type \| Keys \| References \| Description \|$/m);
+    assert.match(markdown, /^\| status \| order_status \(enum: 'open', 'closed'\) \| - \| - \| Lifecycle \\\| state \|$/m);
+    assert.match(markdown, /^\| id \| integer \| PK \| - \| - \|$/m);
+  });
+
+  it('leaves the Description column out when no column has a comment', () => {
+    const rows = schemaRows.map((row) => ({ ...row, column_comment: null }));
+    const markdown = buildSnapshotMarkdown({ generatedAt: new Date(0), tables: ['orders'], schemaRows: rows, tableSamples: {} });
+
+    assert.match(markdown, /^\| Name \| Type \| Keys \| References \|$/m);
+  });
+
+  it('uses table comments as descriptions without asking the model', async () => {
+    assert.deepEqual(await generateTableDescriptions(['orders'], schemaRows), { orders: 'One row per customer order' });
+  });
+});
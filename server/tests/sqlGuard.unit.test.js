@@ -0,0 +1,203 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { sqlGuard } from '../services/sqlGuard.js';
+import { withCallableFlags } from '../services/routinePolicy.js';
+import { connectionService } from '../services/connection.service.js';
+import { driverRegistry } from '../drivers/index.js';
+
+function codes(result) {
+  return result.ok ? [] : result.reasons.map((r) => r.code);
+}
+
+describe('sqlGuard.check() — PostgreSQL', () => {
+  const allowed = [
+    'SELECT id, name FROM users',
+    'WITH recent AS (SELECT * FROM orders) SELECT COUNT(*) AS "Total" FROM recent',
+    "SELECT date_trunc('month', created_at) AS \"Month\" FROM orders WHERE note ILIKE '%x%' GROUP BY 1",
+    'SELECT u.uid FROM users u JOIN actions a ON u.uid = CAST(a.who AS INTEGER) LIMIT 10',
+    'SELECT 1 UNION SELECT 2',
+    'SELECT 1;',
+  ];
+
+  for (const sqlText of allowed) {
+    it(`allows: ${sqlText}`, () => {
+      assert.deepEqual(sqlGuard.check(sqlText, 'postgres'), { ok: true });
+    });
+  }
+
+  it('rejects DML', () => {
+    assert.deepEqual(codes(sqlGuard.check('DELETE FROM users', 'postgres')), ['NOT_READ_ONLY']);
+    assert.deepEqual(codes(sqlGuard.check("UPDATE users SET name = 'x'", 'postgres')), ['NOT_READ_ONLY']);
+    assert.deepEqual(codes(sqlGuard.check("INSERT INTO users (id) VALUES (1)", 'postgres')), ['NOT_READ_ONLY']);
+  });
+
+  it('rejects DDL', () => {
+    assert.deepEqual(codes(sqlGuard.check('DROP TABLE users', 'postgres')), ['NOT_READ_ONLY']);
+    assert.deepEqual(codes(sqlGuard.check('CREATE TABLE x (id int)', 'postgres')), ['NOT_READ_ONLY']);
+  });
+
+  it('rejects multiple statements and names the smuggled one', () => {
+    const result = sqlGuard.check('SELECT 1; DROP TABLE users', 'postgres');
+    assert.deepEqual(codes(result), ['MULTIPLE_STATEMENTS', 'NOT_READ_ONLY']);
+    assert.match(result.reasons[1].message, /DROP/);
+  });
+
+  it('rejects SELECT ... INTO', () => {
+    assert.deepEqual(codes(sqlGuard.check('SELECT * INTO copy_of_users FROM users', 'postgres')), ['SELECT_INTO']);
+  });
+
+  it('rejects dangerous functions, including schema-qualified calls', () => {
+    const result = sqlGuard.check('SELECT pg_catalog.pg_sleep(10)', 'postgres');
+    assert.deepEqual(codes(result), ['DANGEROUS_FUNCTION']);
+    assert.match(result.reasons[0].message, /pg_sleep/);
+    assert.deepEqual(codes(sqlGuard.check("SELECT pg_read_file('/etc/passwd')", 'postgres')), ['DANGEROUS_FUNCTION']);
+  });
+
+  it('rejects functions that are not known read-only built-ins', () => {
+    for (const sqlText of [
+      "SELECT nextval('orders_id_seq')",
+      "SELECT setval('orders_id_seq', 1)",
+      "SELECT current_setting('app.secret')",
+      "SELECT query_to_xml('SELECT 1', true, true, '')",
+      "SELECT crypt(password, gen_salt('bf')) FROM users",
+    ]) {
+      const result = sqlGuard.check(sqlText, 'postgres');
+      assert.equal(result.ok, false, sqlText);
+      assert.ok(result.reasons.every((reason) => reason.code === 'FUNCTION_NOT_ALLOWED'), sqlText);
+    }
+    assert.match(sqlGuard.check("SELECT nextval('s')", 'postgres').reasons[0].message, /nextval/);
+  });
+
+  it('allows built-ins only unqualified, never from another schema', () => {
+    assert.deepEqual(codes(sqlGuard.check('SELECT evil.lower(name) FROM users', 'postgres')), ['FUNCTION_NOT_ALLOWED']);
+  });
+
+  it('allows everyday aggregates, window, string and date functions', () => {
+    const sqlText = `SELECT date_trunc('month', created_at), COUNT(*), COALESCE(SUM(total), 0), to_char(now(), 'YYYY'),
+      ROW_NUMBER() OVER (ORDER BY created_at), string_agg(name, ', '), EXTRACT(YEAR FROM created_at)
+      FROM orders WHERE EXISTS (SELECT 1 FROM users) GROUP BY 1, created_at, name`;
+    assert.deepEqual(sqlGuard.check(sqlText, 'postgres'), { ok: true });
+  });
+
+  it('rejects COPY even though the parser cannot read it', () => {
+    const result = sqlGuard.check("COPY users TO '/tmp/users.csv'", 'postgres');
+    assert.deepEqual(codes(result), ['NOT_READ_ONLY']);
+    assert.match(result.reasons[0].message, /COPY/);
+  });
+
+  it('reports unparseable input as PARSE_ERROR', () => {
+    assert.deepEqual(codes(sqlGuard.check('show me the users', 'postgres')), ['PARSE_ERROR']);
+  });
+});
+
+describe('sqlGuard.check() — SQL Server', () => {
+  it('allows TOP, bracketed identifiers and CTEs', () => {
+    assert.deepEqual(sqlGuard.check('SELECT TOP 10 c.[Name] AS [Client Name] FROM [dbo].[Customers] c', 'sqlserver'), { ok: true });
+    assert.deepEqual(sqlGuard.check('WITH c AS (SELECT 1 AS x) SELECT x FROM c', 'sqlserver'), { ok: true });
+  });
+
+  it('rejects EXEC xp_cmdshell', () => {
+    const result = sqlGuard.check("EXEC xp_cmdshell 'dir'", 'sqlserver');
+    assert.deepEqual(codes(result), ['NOT_READ_ONLY']);
+    assert.match(result.reasons[0].message, /EXEC/);
+  });
+
+  it('allows date and conversion built-ins, and rejects unknown functions', () => {
+    const sqlText = "SELECT DATEADD(day, 1, GETDATE()), CONVERT(varchar(10), OrderDate, 120), ISNULL(Total, 0) FROM Orders";
+    assert.deepEqual(sqlGuard.check(sqlText, 'sqlserver'), { ok: true });
+    assert.deepEqual(codes(sqlGuard.check('SELECT SUSER_SNAME(), NEWID()', 'sqlserver')), ['FUNCTION_NOT_ALLOWED', 'FUNCTION_NOT_ALLOWED']);
+  });
+
+  it('rejects OPENROWSET', () => {
+    assert.deepEqual(codes(sqlGuard.check("SELECT * FROM OPENROWSET('SQLNCLI', 'x', 'SELECT 1')", 'sqlserver')), ['DANGEROUS_FUNCTION']);
+  });
+
+  it('rejects SELECT ... INTO a temp table', () => {
+    assert.deepEqual(codes(sqlGuard.check('SELECT * INTO #tmp FROM Customers', 'sqlserver')), ['SELECT_INTO']);
+  });
+});
+
+describe('sqlGuard.check() — MySQL and SQLite', () => {
+  it('allows backticked identifiers and LIMIT', () => {
+    assert.deepEqual(sqlGuard.check('SELECT `c`.`name` FROM `customers` `c` LIMIT 5', 'mysql'), { ok: true });
+    assert.deepEqual(sqlGuard.check('SELECT name FROM customers LIMIT 5', 'sqlite'), { ok: true });
+  });
+
+  it('rejects MySQL sleep and file reads', () => {
+    assert.deepEqual(codes(sqlGuard.check('SELECT SLEEP(10)', 'mysql')), ['DANGEROUS_FUNCTION']);
+    assert.deepEqual(codes(sqlGuard.check("SELECT LOAD_FILE('/etc/passwd')", 'mysql')), ['DANGEROUS_FUNCTION']);
+  });
+
+  it('allows the dialect\'s date functions, and nothing from another dialect\'s list', () => {
+    assert.deepEqual(sqlGuard.check("SELECT DATE_FORMAT(created_at, '%Y-%m'), IFNULL(total, 0) FROM orders", 'mysql'), { ok: true });
+    assert.deepEqual(sqlGuard.check("SELECT strftime('%Y', created_at), ifnull(total, 0) FROM orders", 'sqlite'), { ok: true });
+    assert.deepEqual(codes(sqlGuard.check('SELECT GETDATE()', 'mysql')), ['FUNCTION_NOT_ALLOWED']);
+    assert.deepEqual(codes(sqlGuard.check('SELECT LAST_INSERT_ID(), UUID()', 'mysql')), ['FUNCTION_NOT_ALLOWED', 'FUNCTION_NOT_ALLOWED']);
+  });
+
+  it('rejects SQLite extension loading', () => {
+    assert.deepEqual(codes(sqlGuard.check("SELECT load_extension('evil.so')", 'sqlite')), ['DANGEROUS_FUNCTION']);
+  });
+
+  it('rejects writes', () => {
+    assert.deepEqual(codes(sqlGuard.check('DELETE FROM customers', 'sqlite')), ['NOT_READ_ONLY']);
+  });
+});
+
+describe('sqlGuard.check() — catalogued routines', () => {
+  const routines = [
+    { name: 'sales.top_customers', callable: false },
+    { name: 'fiscal_quarter', callable: true },
+  ];
+
+  it('rejects routines the connection has not allowed, qualified or not', () => {
+    const result = sqlGuard.check('SELECT * FROM sales.top_customers(10) t', 'postgres', { routines });
+    assert.deepEqual(codes(result), ['ROUTINE_NOT_ALLOWED']);
+    assert.match(result.reasons[0].message, /sales\.top_customers/);
+    assert.deepEqual(codes(sqlGuard.check('SELECT * FROM TOP_CUSTOMERS(10)', 'postgres', { routines })), ['ROUTINE_NOT_ALLOWED']);
+  });
+
+  it('allows callable routines and built-in functions', () => {
+    assert.deepEqual(sqlGuard.check('SELECT fiscal_quarter(now()), count(*) FROM orders', 'postgres', { routines }), { ok: true });
+    assert.deepEqual(sqlGuard.check('SELECT public.fiscal_quarter(created_at) FROM orders', 'postgres', { routines }), { ok: true });
+  });
+
+  it('marks routines callable from the connection\'s opt-in, never procedures', () => {
+    const catalog = [
+      { name: 'sales.top_customers', type: 'TABLE FUNCTION' },
+      { name: 'fiscal_quarter', type: 'FUNCTION' },
+      { name: 'sales.close_month', type: 'PROCEDURE' },
+    ];
+    const callable = (allowRoutines) => withCallableFlags(catalog, allowRoutines).map((r) => r.callable);
+
+    assert.deepEqual(callable(false), [false, false, false]);
+    assert.deepEqual(callable(true), [true, true, false]);
+    assert.deepEqual(callable(['TOP_CUSTOMERS', 'sales.close_month']), [true, false, false]);
+  });
+
+  it('matches bracketed two-part names on SQL Server', () => {
+    const result = sqlGuard.check('SELECT [dbo].[fn_TaxRate](1.0)', 'sqlserver', { routines: [{ name: 'dbo.fn_TaxRate', callable: false }] });
+    assert.deepEqual(codes(result), ['ROUTINE_NOT_ALLOWED']);
+  });
+});
+
+describe('sqlGuard.check() — unknown dialect', () => {
+  it('rejects with UNSUPPORTED_DIALECT', () => {
+    assert.deepEqual(codes(sqlGuard.check('SELECT 1', 'oracle')), ['UNSUPPORTED_DIALECT']);
+  });
+});
+
+describe('executeQuery() runs the guard before touching a pool', () => {
+  it('returns 422 with reasons for postgres', async () => {
+    const result = await connectionService.executeQuery('guard-session', driverRegistry.get('postgres'), 'DROP TABLE users');
+    assert.equal(result.ok, false);
+    assert.equal(result.status, 422);
+    assert.deepEqual(result.body.reasons.map((r) => r.code), ['NOT_READ_ONLY']);
+  });
+
+  it('returns 422 with reasons for sqlserver', async () => {
+    const result = await connectionService.executeQuery('guard-session', driverRegistry.get('sqlserver'), "EXEC xp_cmdshell 'dir'");
+    assert.equal(result.status, 422);
+    assert.ok(result.body.reasons.length > 0);
+  });
+});